@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * ASCII Art Studio - apehost-ascii command
+ * See cli/index.js for commands, options and exit codes.
+ */
+
+import { AsciiCli } from '../cli/index.js';
+
+process.exitCode = await new AsciiCli().run(process.argv.slice(2));
@@ -0,0 +1,367 @@
+/**
+ * ASCII Art Studio - CLI Image Decoder
+ * Decodes image files to RGBA buffers ({ width, height, data }) without a DOM,
+ * so the command line can feed ImageGenerator.renderImageData directly.
+ *
+ * Supported: PNG (all color types and bit depths, non-interlaced) and
+ * Netpbm (PGM/PPM in plain or raw form, PAM).
+ */
+
+import { inflateSync } from 'node:zlib';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Samples per pixel for each PNG color type
+const PNG_CHANNELS = {
+    0: 1, // grayscale
+    2: 3, // RGB
+    3: 1, // palette index
+    4: 2, // grayscale + alpha
+    6: 4  // RGBA
+};
+
+const PAM_TUPLE_TYPES = {
+    GRAYSCALE: 1,
+    GRAYSCALE_ALPHA: 2,
+    RGB: 3,
+    RGB_ALPHA: 4
+};
+
+/**
+ * Read a byte range as Latin-1 text
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {string} Text
+ */
+function latin1(bytes, start, end) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('latin1', start, end);
+}
+
+export class ImageDecoder {
+    /**
+     * Detect the image format from its leading bytes
+     * @param {Uint8Array} bytes - File contents
+     * @returns {string|null} png, pnm or null when unrecognized
+     */
+    static detectFormat(bytes) {
+        if (bytes.length >= 8 && PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+            return 'png';
+        }
+        if (bytes.length >= 2 && bytes[0] === 0x50 && '235679'.includes(String.fromCharCode(bytes[1]))) {
+            return 'pnm';
+        }
+        return null;
+    }
+
+    /**
+     * Decode an image file to RGBA
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} { width, height, data } with 4 bytes per pixel
+     */
+    static decode(bytes) {
+        switch (this.detectFormat(bytes)) {
+            case 'png':
+                return this.decodePng(bytes);
+            case 'pnm':
+                return this.decodePnm(bytes);
+            default:
+                throw new Error('Unsupported image format. Please use PNG, PGM, PPM or PAM images.');
+        }
+    }
+
+    /**
+     * Decode a PNG file
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} RGBA image
+     */
+    static decodePng(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const idat = [];
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        let offset = 8;
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = latin1(bytes, offset + 4, offset + 8);
+            const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+            if (chunk.length !== length) {
+                throw new Error('Invalid PNG: truncated chunk');
+            }
+
+            if (type === 'IHDR') {
+                header = {
+                    width: view.getUint32(offset + 8),
+                    height: view.getUint32(offset + 12),
+                    bitDepth: chunk[8],
+                    colorType: chunk[9],
+                    interlace: chunk[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = chunk;
+            } else if (type === 'tRNS') {
+                transparency = chunk;
+            } else if (type === 'IDAT') {
+                idat.push(chunk);
+            } else if (type === 'IEND') {
+                break;
+            }
+
+            offset += length + 12;
+        }
+
+        if (!header || idat.length === 0) {
+            throw new Error('Invalid PNG: missing image header or data');
+        }
+
+        const { width, height, bitDepth, colorType, interlace } = header;
+        const channels = PNG_CHANNELS[colorType];
+        if (!channels || width === 0 || height === 0) {
+            throw new Error('Invalid PNG: unsupported color type or size');
+        }
+        if (interlace !== 0) {
+            throw new Error('Interlaced PNG images are not supported');
+        }
+        if (colorType === 3 && !palette) {
+            throw new Error('Invalid PNG: missing palette');
+        }
+
+        const bitsPerPixel = channels * bitDepth;
+        const stride = Math.ceil(width * bitsPerPixel / 8);
+        const raw = this.unfilterPng(inflateSync(Buffer.concat(idat)), stride, height, Math.max(1, bitsPerPixel >> 3));
+
+        const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+        const readSample = (row, index) => {
+            if (bitDepth === 16) {
+                return raw[row + index * 2];
+            }
+            if (bitDepth === 8) {
+                return raw[row + index];
+            }
+            const bit = index * bitDepth;
+            return (raw[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+        };
+        // Gray samples below 8 bits are scaled to 0-255; palette indices are not
+        const scale = colorType === 3 ? 1 : 255 / maxSample;
+        const transparentKey = transparency && (colorType === 0 || colorType === 2)
+            ? Array.from({ length: channels }, (_, i) => bitDepth === 16 ? transparency[i * 2] : transparency[i * 2 + 1] & maxSample)
+            : null;
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            const row = y * stride;
+            for (let x = 0; x < width; x++) {
+                const samples = [];
+                for (let c = 0; c < channels; c++) {
+                    samples.push(readSample(row, x * channels + c));
+                }
+
+                let rgba;
+                if (colorType === 3) {
+                    const index = samples[0];
+                    rgba = [
+                        palette[index * 3],
+                        palette[index * 3 + 1],
+                        palette[index * 3 + 2],
+                        transparency && index < transparency.length ? transparency[index] : 255
+                    ];
+                } else {
+                    const color = samples.map(value => Math.round(value * scale));
+                    if (channels <= 2) {
+                        rgba = [color[0], color[0], color[0], channels === 2 ? color[1] : 255];
+                    } else {
+                        rgba = [color[0], color[1], color[2], channels === 4 ? color[3] : 255];
+                    }
+                    if (transparentKey && transparentKey.every((value, i) => samples[i] === value)) {
+                        rgba[3] = 0;
+                    }
+                }
+
+                data.set(rgba, (y * width + x) * 4);
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * Undo PNG scanline filters
+     * @param {Uint8Array} inflated - Decompressed scanlines, each prefixed by its filter type
+     * @param {number} stride - Bytes per scanline without the filter byte
+     * @param {number} height - Number of scanlines
+     * @param {number} bpp - Bytes per complete pixel (at least 1)
+     * @returns {Uint8Array} Unfiltered scanlines
+     */
+    static unfilterPng(inflated, stride, height, bpp) {
+        if (inflated.length < (stride + 1) * height) {
+            throw new Error('Invalid PNG: image data is truncated');
+        }
+
+        const output = new Uint8Array(stride * height);
+        for (let y = 0; y < height; y++) {
+            const filter = inflated[y * (stride + 1)];
+            const input = y * (stride + 1) + 1;
+            const row = y * stride;
+            const previous = row - stride;
+
+            for (let x = 0; x < stride; x++) {
+                const left = x >= bpp ? output[row + x - bpp] : 0;
+                const up = y > 0 ? output[previous + x] : 0;
+                const upLeft = y > 0 && x >= bpp ? output[previous + x - bpp] : 0;
+                let predictor;
+
+                switch (filter) {
+                    case 0: predictor = 0; break;
+                    case 1: predictor = left; break;
+                    case 2: predictor = up; break;
+                    case 3: predictor = (left + up) >> 1; break;
+                    case 4: predictor = this.paeth(left, up, upLeft); break;
+                    default:
+                        throw new Error(`Invalid PNG: unknown filter type ${filter}`);
+                }
+
+                output[row + x] = (inflated[input + x] + predictor) & 0xff;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * PNG Paeth predictor
+     * @param {number} a - Left byte
+     * @param {number} b - Upper byte
+     * @param {number} c - Upper-left byte
+     * @returns {number} Predicted byte
+     */
+    static paeth(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        if (pa <= pb && pa <= pc) {
+            return a;
+        }
+        return pb <= pc ? b : c;
+    }
+
+    /**
+     * Decode a Netpbm file: P2/P5 (gray), P3/P6 (RGB) or P7 (PAM)
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} RGBA image
+     */
+    static decodePnm(bytes) {
+        const magic = String.fromCharCode(bytes[0], bytes[1]);
+        const { fields, offset } = magic === 'P7' ? this.readPamHeader(bytes) : this.readPnmHeader(bytes, magic);
+        const { width, height, maxval, channels } = fields;
+
+        if (!(width > 0 && height > 0 && maxval > 0 && maxval < 65536 && channels >= 1 && channels <= 4)) {
+            throw new Error('Invalid Netpbm header');
+        }
+
+        const count = width * height * channels;
+        let samples;
+        if (magic === 'P2' || magic === 'P3') {
+            samples = this.readPlainSamples(bytes, offset, count);
+        } else {
+            const size = maxval > 255 ? 2 : 1;
+            if (bytes.length - offset < count * size) {
+                throw new Error('Invalid Netpbm file: image data is truncated');
+            }
+            samples = new Uint16Array(count);
+            for (let i = 0; i < count; i++) {
+                const at = offset + i * size;
+                samples[i] = size === 2 ? (bytes[at] << 8) | bytes[at + 1] : bytes[at];
+            }
+        }
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            const pixel = Array.from(samples.subarray(i * channels, (i + 1) * channels), value => Math.round(value * 255 / maxval));
+            const color = channels <= 2 ? [pixel[0], pixel[0], pixel[0]] : pixel.slice(0, 3);
+            const alpha = channels === 2 || channels === 4 ? pixel[channels - 1] : 255;
+            data.set([...color, alpha], i * 4);
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * Read a PGM/PPM header, skipping comments
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} magic - P2, P3, P5 or P6
+     * @returns {Object} Header fields and the offset of the first sample
+     */
+    static readPnmHeader(bytes, magic) {
+        const tokens = [];
+        let offset = 2;
+
+        while (tokens.length < 3 && offset < bytes.length) {
+            const char = bytes[offset];
+            if (char === 0x23) {
+                while (offset < bytes.length && bytes[offset] !== 0x0a) {
+                    offset++;
+                }
+            } else if (char > 0x20) {
+                let token = '';
+                while (offset < bytes.length && bytes[offset] > 0x20) {
+                    token += String.fromCharCode(bytes[offset++]);
+                }
+                tokens.push(parseInt(token, 10));
+                continue;
+            }
+            offset++;
+        }
+
+        const [width, height, maxval] = tokens;
+        const channels = magic === 'P3' || magic === 'P6' ? 3 : 1;
+
+        // A single whitespace byte separates the header from raw samples
+        return { fields: { width, height, maxval, channels }, offset: offset + 1 };
+    }
+
+    /**
+     * Read a PAM header (WIDTH, HEIGHT, DEPTH, MAXVAL, TUPLTYPE ... ENDHDR)
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Header fields and the offset of the first sample
+     */
+    static readPamHeader(bytes) {
+        const fields = {};
+        let offset = 3;
+
+        while (offset < bytes.length) {
+            const end = bytes.indexOf(0x0a, offset);
+            const line = latin1(bytes, offset, end === -1 ? bytes.length : end).trim();
+            offset = end === -1 ? bytes.length : end + 1;
+
+            if (line === 'ENDHDR') {
+                const channels = fields.depth || PAM_TUPLE_TYPES[fields.tupltype];
+                return { fields: { ...fields, channels }, offset };
+            }
+
+            const [key, value] = line.split(/\s+/);
+            if (key && !key.startsWith('#')) {
+                fields[key.toLowerCase()] = key === 'TUPLTYPE' ? value : parseInt(value, 10);
+            }
+        }
+
+        throw new Error('Invalid PAM header: missing ENDHDR');
+    }
+
+    /**
+     * Read whitespace-separated decimal samples (P2/P3)
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} offset - Offset of the first sample
+     * @param {number} count - Number of samples to read
+     * @returns {Uint16Array} Samples
+     */
+    static readPlainSamples(bytes, offset, count) {
+        const text = latin1(bytes, offset, bytes.length);
+        const values = text.replace(/#[^\n]*/g, ' ').trim().split(/\s+/).map(Number);
+        if (values.length < count || values.slice(0, count).some(value => !Number.isFinite(value))) {
+            throw new Error('Invalid Netpbm file: image data is truncated');
+        }
+        return Uint16Array.from(values.slice(0, count));
+    }
+}
@@ -0,0 +1,946 @@
+/**
+ * ASCII Art Studio - Command Line Interface
+ * `apehost-ascii <text|figlet|banner|image> [options] [input]`
+ *
+ * Input comes from the arguments or stdin; output goes to stdout or --output
+ * in any ExportManager format. Exit codes: 0 on success, 1 when generation
+ * or file I/O fails, 2 for invalid usage or input rejected by InputValidator.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import {
+    Config,
+    TextGenerator,
+    FigletGenerator,
+    WarezGenerator,
+    NfoComposer,
+    NFO_SECTIONS,
+    DizGenerator,
+    ImageGenerator,
+    ColorRenderer,
+    Dithering,
+    ExportManager,
+    Cp437,
+    InputValidator,
+    ValidationError,
+    TextEffects,
+    TEXT_EFFECTS,
+    TextTransforms,
+    TEXT_TRANSFORMS,
+    AutoFit,
+    FIT_MODES,
+    StyleDesigner,
+    BannerLayout
+} from '../public/js/core.js';
+import { ImageDecoder } from './image-decoder.js';
+
+export const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2
+};
+
+export class CliError extends Error {
+    constructor(message, exitCode = EXIT_CODES.USAGE) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+const PROGRAM = 'apehost-ascii';
+
+// Options shared by every command
+const COMMON_OPTIONS = {
+    output: { alias: 'o', type: 'string', value: 'file', description: 'Write to a file instead of stdout' },
+    format: { alias: 'f', type: 'string', value: 'format', description: 'Export format (defaults to the --output extension, else txt)' },
+    palette: { type: 'string', value: 'name', description: 'Color theme for html and md exports' },
+    transform: { type: 'string', value: 'list', description: `Transforms to apply in order, e.g. mirror,rotate-90 (${TEXT_TRANSFORMS.join(', ')})` },
+    list: { type: 'boolean', description: 'List the available fonts, styles or densities and exit' },
+    help: { alias: 'h', type: 'boolean', description: 'Show help for this command' }
+};
+
+export class AsciiCli {
+    /**
+     * @param {Object} io - Streams to use: { stdin, stdout, stderr }
+     */
+    constructor(io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+        this.io = io;
+        this.generators = new Map();
+        this.exportManager = new ExportManager();
+        this.commands = this.defineCommands();
+    }
+
+    /**
+     * Command definitions: generator mode, option spec and what --list prints
+     * @returns {Object} Commands by name
+     */
+    defineCommands() {
+        return {
+            text: {
+                mode: 'text',
+                summary: 'Render text with the block fonts',
+                input: 'text',
+                list: () => this.getFonts('text'),
+                options: {
+                    font: { type: 'string', value: 'name', choices: () => this.getFonts('text'), description: 'Font' },
+                    spacing: { type: 'string', value: 'size', choices: ['narrow', 'normal', 'wide'], description: 'Character spacing' },
+                    width: { type: 'number', value: 'columns', min: 1, max: 500, description: 'Truncate lines to this width' },
+                    alignment: { type: 'string', value: 'side', choices: ['left', 'center', 'right'], description: 'Alignment within --width' },
+                    effects: { type: 'string', value: 'list', description: `Effects to apply, e.g. shadow=down-left:2:▒,fill=▓ (${TEXT_EFFECTS.join(', ')})` },
+                    vertical: { type: 'boolean', description: 'Stack the letters top to bottom' }
+                }
+            },
+            figlet: {
+                mode: 'figlet',
+                summary: 'Render text with the FIGlet fonts',
+                input: 'text',
+                list: () => this.getFonts('figlet'),
+                options: {
+                    font: { type: 'string', value: 'name', choices: () => this.getFonts('figlet'), description: 'Font' },
+                    fontFile: { type: 'string', value: 'path', description: 'Use a FIGlet .flf font file' },
+                    horizontalLayout: {
+                        type: 'string',
+                        value: 'layout',
+                        choices: ['default', 'full', 'fitted', 'smushed', 'universal'],
+                        description: 'Horizontal layout'
+                    },
+                    verticalLayout: {
+                        type: 'string',
+                        value: 'layout',
+                        choices: ['default', 'full', 'fitted', 'smushed', 'universal'],
+                        description: 'Vertical layout between lines'
+                    },
+                    width: { type: 'number', value: 'columns', min: 1, max: 500, description: 'Wrap words to this width' },
+                    effects: { type: 'string', value: 'list', description: `Effects to apply, e.g. outline=+ (${TEXT_EFFECTS.join(', ')})` },
+                    vertical: { type: 'boolean', description: 'Stack the letters top to bottom' }
+                }
+            },
+            fit: {
+                mode: 'fit',
+                summary: 'Pick the text or FIGlet font, spacing and layout that fit a width',
+                input: 'text',
+                list: () => Array.from(new Set([...this.getFonts('text'), ...this.getFonts('figlet')])),
+                options: {
+                    width: { type: 'number', value: 'columns', min: 1, max: 500, description: `Target width (default ${Config.LIMITS.FIT_WIDTH})` },
+                    generator: { type: 'string', value: 'name', choices: ['any', ...FIT_MODES], description: 'Only try text or FIGlet fonts' },
+                    fonts: { type: 'string', value: 'list', description: 'Only try these fonts, e.g. standard,small' },
+                    effects: { type: 'string', value: 'list', description: `Effects to apply while fitting (${TEXT_EFFECTS.join(', ')})` }
+                }
+            },
+            banner: {
+                mode: 'banner',
+                summary: 'Build a warez scene banner (use | for multiple lines)',
+                input: 'text',
+                list: () => this.getGenerator('banner').getAvailableStyles(),
+                options: {
+                    style: { type: 'string', value: 'name', choices: () => this.getGenerator('banner').getAvailableStyles(), description: 'Border style' },
+                    styleFile: { type: 'string', value: 'file', description: 'Use a border style exported from the style designer (JSON)' },
+                    textEffect: {
+                        type: 'string',
+                        value: 'effect',
+                        choices: ['uppercase', 'normal', 'leetspeak', 'alternating', 'spaced', 'wide'],
+                        description: 'Text effect'
+                    },
+                    credits: { type: 'string', value: 'text', description: 'Add a credits line' },
+                    date: { type: 'boolean', description: 'Add the current date' },
+                    multiline: { type: 'boolean', description: 'Split the text on | and newlines' },
+                    vertical: { type: 'boolean', description: 'Stack the letters top to bottom' },
+                    layout: { type: 'string', value: 'file', description: 'Build a multi-panel banner from a layout file (JSON) instead of text' }
+                }
+            },
+            nfo: {
+                mode: 'nfo',
+                summary: 'Compose an 80-column .nfo file from [section] text',
+                input: 'sections',
+                list: () => Object.keys(NFO_SECTIONS),
+                options: {
+                    logo: { type: 'string', value: 'text', description: 'Logo text' },
+                    logoGenerator: { type: 'string', value: 'name', choices: ['figlet', 'text'], description: 'Render the logo with FIGlet or text fonts' },
+                    logoFont: { type: 'string', value: 'name', description: 'Logo font, or auto for the largest that fits' },
+                    style: { type: 'string', value: 'name', choices: () => this.getGenerator('banner').getAvailableStyles(), description: 'Border style' },
+                    styleFile: { type: 'string', value: 'file', description: 'Use a border style exported from the style designer (JSON)' },
+                    footer: { type: 'string', value: 'text', description: 'Footer line' }
+                }
+            },
+            diz: {
+                mode: 'diz',
+                summary: `Lay out a FILE_ID.DIZ (${Config.LIMITS.DIZ_WIDTH}x${Config.LIMITS.DIZ_LINES}) with the description from arguments or stdin`,
+                input: 'description',
+                list: () => this.getGenerator('banner').getAvailableStyles(),
+                options: {
+                    name: { type: 'string', value: 'text', description: 'Release name (required)' },
+                    version: { type: 'string', value: 'text', description: 'Version, e.g. 1.0' },
+                    disk: { type: 'number', value: 'n', min: 1, max: 99, description: 'Disk number (default 1)' },
+                    disks: { type: 'number', value: 'n', min: 1, max: 99, description: 'Disk count, printed as [01/03]' },
+                    style: { type: 'string', value: 'name', choices: () => this.getGenerator('banner').getAvailableStyles(), description: 'Border style' },
+                    styleFile: { type: 'string', value: 'file', description: 'Use a border style exported from the style designer (JSON)' },
+                    textEffect: {
+                        type: 'string',
+                        value: 'effect',
+                        choices: ['uppercase', 'normal', 'leetspeak', 'alternating', 'spaced'],
+                        description: 'Text effect for the name'
+                    }
+                }
+            },
+            convert: {
+                mode: 'convert',
+                summary: 'Re-export a text file, reading .nfo, .diz and .ans files in CP437 (file path or - for stdin)',
+                input: 'document',
+                list: () => Object.keys(Config.EXPORT_FORMATS).map(format => format.toLowerCase()),
+                options: {
+                    encoding: {
+                        type: 'string',
+                        value: 'name',
+                        choices: ['auto', 'cp437', 'utf-8'],
+                        description: 'Input encoding (default auto: CP437 unless the file is valid UTF-8)'
+                    }
+                }
+            },
+            image: {
+                mode: 'image',
+                summary: 'Convert a PNG, PGM, PPM or PAM image (file path or - for stdin)',
+                input: 'file',
+                list: () => this.getDensities(),
+                options: {
+                    width: { type: 'number', value: 'columns', min: 1, max: Config.LIMITS.MAX_IMAGE_SIZE, description: 'Output width in characters' },
+                    density: { type: 'string', value: 'set', choices: () => this.getDensities(), description: 'Character set or block mode' },
+                    dithering: { type: 'string', value: 'algorithm', choices: () => Dithering.getAlgorithms(), description: 'Dithering algorithm' },
+                    serpentine: { type: 'boolean', description: 'Alternate the error diffusion direction per row' },
+                    threshold: { type: 'number', value: '0-255', min: 0, max: 255, description: 'Threshold for block and braille modes' },
+                    edges: { type: 'boolean', description: 'Apply edge detection' },
+                    matching: { type: 'string', value: 'mode', choices: ['luminance', 'shape'], description: 'Glyph matching (shape needs canvas support, so only luminance works in Node)' },
+                    color: { type: 'string', value: 'mode', choices: () => ColorRenderer.getSupportedModes(), description: 'Color output (implies --format ansi)' },
+                    brightness: { type: 'number', value: '-100-100', min: -100, max: 100, description: 'Brightness' },
+                    contrast: { type: 'number', value: '-100-100', min: -100, max: 100, description: 'Contrast' },
+                    gamma: { type: 'number', value: '0.1-5', min: 0.1, max: 5, description: 'Gamma' },
+                    sharpen: { type: 'number', value: '0-100', min: 0, max: 100, description: 'Sharpen amount' },
+                    blur: { type: 'number', value: '0-5', min: 0, max: 5, description: 'Blur radius' },
+                    equalize: { type: 'string', value: 'mode', choices: ['none', 'global', 'local'], description: 'Histogram equalization' },
+                    invert: { type: 'boolean', description: 'Invert brightness' }
+                }
+            }
+        };
+    }
+
+    /**
+     * Run the CLI
+     * @param {Array<string>} argv - Arguments after the program name
+     * @returns {Promise<number>} Exit code
+     */
+    async run(argv) {
+        try {
+            const [name, ...args] = argv;
+
+            if (!name || name === '--help' || name === '-h' || name === 'help') {
+                this.write(this.io.stdout, this.getUsage());
+                return name ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+            }
+            if (name === '--version' || name === '-v') {
+                this.write(this.io.stdout, Config.VERSION);
+                return EXIT_CODES.SUCCESS;
+            }
+
+            const command = this.commands[name];
+            if (!command) {
+                throw new CliError(`Unknown command: ${name}`);
+            }
+
+            const { options, positionals } = this.parseArgs(args, { ...command.options, ...COMMON_OPTIONS });
+
+            if (options.help) {
+                this.write(this.io.stdout, this.getCommandUsage(name));
+                return EXIT_CODES.SUCCESS;
+            }
+            if (options.list) {
+                this.write(this.io.stdout, command.list().join('\n'));
+                return EXIT_CODES.SUCCESS;
+            }
+
+            const format = this.resolveFormat(options, command);
+            let result;
+            if (command.input === 'file') {
+                result = await this.generateImage(positionals, options);
+            } else if (command.input === 'sections') {
+                result = await this.generateNfo(positionals, options);
+            } else if (command.input === 'description') {
+                result = await this.generateDiz(positionals, options);
+            } else if (command.input === 'document') {
+                result = await this.convertDocument(positionals, options);
+            } else {
+                result = await this.generateText(command, positionals, options);
+            }
+
+            const metadata = {
+                mode: command.mode,
+                palette: options.palette,
+                timestamp: new Date().toISOString(),
+                ...result.metadata
+            };
+            for (const warning of result.warnings || []) {
+                this.write(this.io.stderr, `${PROGRAM}: warning: ${warning}`);
+            }
+
+            const blob = await this.exportManager.createBlob(result.text, format, metadata);
+            const unmappable = this.exportManager.getEncodingReport(result.text, format);
+            if (unmappable.length > 0) {
+                this.write(this.io.stderr, `${PROGRAM}: warning: ${Cp437.formatReport(unmappable)}`);
+            }
+
+            // CP437 formats are written byte for byte, everything else as UTF-8 text
+            if (this.exportManager.getEncoding(format) === 'cp437') {
+                const bytes = Buffer.from(await blob.arrayBuffer());
+                if (options.output) {
+                    await this.writeFile(options.output, bytes);
+                } else {
+                    this.io.stdout.write(bytes);
+                }
+                return EXIT_CODES.SUCCESS;
+            }
+
+            const content = await blob.text();
+            if (options.output) {
+                await this.writeFile(options.output, content);
+            } else {
+                this.write(this.io.stdout, content);
+            }
+            return EXIT_CODES.SUCCESS;
+        } catch (error) {
+            return this.fail(error, argv[0]);
+        }
+    }
+
+    /**
+     * Parse arguments against an option spec
+     * Accepts --name value, --name=value, -x value, kebab-case or camelCase
+     * names, and -- to end option parsing.
+     * @param {Array<string>} args - Arguments after the command name
+     * @param {Object} spec - Option definitions keyed by camelCase name
+     * @returns {Object} { options, positionals }
+     */
+    parseArgs(args, spec) {
+        const options = {};
+        const positionals = [];
+        const aliases = new Map(Object.entries(spec)
+            .filter(([, definition]) => definition.alias)
+            .map(([key, definition]) => [definition.alias, key]));
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--') {
+                positionals.push(...args.slice(i + 1));
+                break;
+            }
+            if (arg === '-' || !arg.startsWith('-')) {
+                positionals.push(arg);
+                continue;
+            }
+
+            const [flag, inline] = arg.startsWith('--')
+                ? [arg.slice(2).split('=')[0], arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : undefined]
+                : [arg.slice(1), undefined];
+            const key = arg.startsWith('--')
+                ? flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())
+                : aliases.get(flag);
+            const definition = key && spec[key];
+
+            if (!definition) {
+                throw new CliError(`Unknown option: ${arg.split('=')[0]}`);
+            }
+
+            if (definition.type === 'boolean') {
+                if (inline !== undefined && !['true', 'false'].includes(inline)) {
+                    throw new CliError(`Option --${this.toFlag(key)} does not take a value`);
+                }
+                options[key] = inline !== 'false';
+                continue;
+            }
+
+            const value = inline !== undefined ? inline : args[++i];
+            if (value === undefined) {
+                throw new CliError(`Option --${this.toFlag(key)} requires a value`);
+            }
+            options[key] = this.coerceOption(key, value, definition);
+        }
+
+        return { options, positionals };
+    }
+
+    /**
+     * Convert and validate an option value
+     * @param {string} key - Option name
+     * @param {string} value - Raw value
+     * @param {Object} definition - Option definition
+     * @returns {string|number} Validated value
+     */
+    coerceOption(key, value, definition) {
+        const flag = `--${this.toFlag(key)}`;
+
+        if (definition.type === 'number') {
+            const validation = InputValidator.validateRange(value.trim() === '' ? NaN : Number(value), definition.min, definition.max, flag);
+            if (!validation.valid) {
+                throw new ValidationError(validation.error, key);
+            }
+            return validation.value;
+        }
+
+        if (definition.choices) {
+            const choices = typeof definition.choices === 'function' ? definition.choices() : definition.choices;
+            if (!choices.includes(value)) {
+                throw new ValidationError(`Invalid value for ${flag}: "${value}". Expected one of: ${choices.join(', ')}`, key);
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Pick the export format from --format, the --output extension or the color mode
+     * @param {Object} options - Parsed options
+     * @param {Object} command - Command definition
+     * @returns {string} Export format
+     */
+    resolveFormat(options, command) {
+        if (options.palette) {
+            this.assertValid(InputValidator.validatePalette(options.palette));
+        }
+
+        if (options.format) {
+            return this.assertValid(InputValidator.validateExportFormat(options.format));
+        }
+
+        if (options.output) {
+            const extension = extname(options.output).toLowerCase();
+            const match = Object.entries(Config.EXPORT_FORMATS).find(([, format]) => format.extension === extension);
+            if (match) {
+                return match[0].toLowerCase();
+            }
+        }
+
+        return command.mode === 'image' && options.color ? 'ansi' : 'txt';
+    }
+
+    /**
+     * Generate text, FIGlet or banner art
+     * @param {Object} command - Command definition
+     * @param {Array<string>} positionals - Words from the command line
+     * @param {Object} options - Parsed options
+     * @returns {Promise<Object>} { text, metadata }
+     */
+    async generateText(command, positionals, options) {
+        if (command.mode === 'banner' && options.layout !== undefined) {
+            if (positionals.length > 0) {
+                throw new ValidationError('Give either banner text or --layout, not both', 'layout');
+            }
+            return this.generateLayout(options);
+        }
+
+        const input = positionals.length > 0
+            ? positionals.join(' ')
+            : (await this.readStdin()).toString('utf8').replace(/\r?\n$/, '');
+
+        if (command.mode === 'banner') {
+            // Validate each banner line on its own; | and newlines split lines
+            const lines = input.split(/[|\n]/).filter(line => line.trim().length > 0);
+            (lines.length > 0 ? lines : [input]).forEach(line => this.assertValid(InputValidator.validateBannerText(line)));
+        } else {
+            this.assertValid(InputValidator.validateText(input));
+        }
+
+        const generatorOptions = { ...options };
+        if (options.fontFile) {
+            generatorOptions.font = await this.loadFontFile(options.fontFile);
+        }
+        if (options.effects !== undefined) {
+            try {
+                generatorOptions.effects = TextEffects.parse(options.effects);
+            } catch (error) {
+                throw new ValidationError(`Invalid value for --effects: ${error.message}`, 'effects');
+            }
+        }
+        generatorOptions.transforms = this.parseTransforms(options);
+        if (command.mode === 'banner') {
+            generatorOptions.addCredits = options.credits !== undefined;
+            generatorOptions.addDate = Boolean(options.date);
+            if (options.styleFile) {
+                generatorOptions.style = await this.loadStyleFile(options.styleFile, this.getGenerator('banner'));
+            }
+        }
+
+        let text;
+        if (command.mode === 'fit') {
+            const fitted = await this.fitToWidth(input, generatorOptions);
+            text = TextTransforms.apply(fitted.text, generatorOptions.transforms);
+            generatorOptions.font = fitted.font;
+        } else {
+            text = await this.getGenerator(command.mode).generate(input, generatorOptions);
+        }
+
+        return {
+            text,
+            metadata: {
+                input,
+                font: generatorOptions.font,
+                style: generatorOptions.style,
+                width: options.width
+            }
+        };
+    }
+
+    /**
+     * Build a multi-panel banner from a layout file
+     * @param {Object} options - Parsed options
+     * @returns {Promise<Object>} { text, metadata }
+     */
+    async generateLayout(options) {
+        const source = (await this.readFile(options.layout)).toString('utf8');
+        const generator = this.getGenerator('banner');
+        const style = options.styleFile ? await this.loadStyleFile(options.styleFile, generator) : options.style || 'classic';
+        const transforms = this.parseTransforms(options);
+
+        let text;
+        try {
+            text = generator.generateLayout(BannerLayout.parse(source), { style, textEffect: options.textEffect, transforms });
+        } catch (error) {
+            throw new ValidationError(`${options.layout}: ${error.message}`, 'layout');
+        }
+
+        return {
+            text,
+            metadata: { input: options.layout, style }
+        };
+    }
+
+    /**
+     * Compose an NFO file from [section] text
+     * @param {Array<string>} positionals - Section text, one line per
+     *   argument, or nothing for stdin
+     * @param {Object} options - Parsed options
+     * @returns {Promise<Object>} { text, metadata }
+     */
+    async generateNfo(positionals, options) {
+        const source = positionals.length > 0
+            ? positionals.join('\n')
+            : (await this.readStdin()).toString('utf8');
+
+        const composer = new NfoComposer({ text: this.getGenerator('text'), figlet: this.getGenerator('figlet') });
+        const style = options.styleFile ? await this.loadStyleFile(options.styleFile, composer) : options.style || 'classic';
+        let text;
+        try {
+            text = await composer.compose({
+                logo: options.logo && {
+                    text: options.logo,
+                    generator: options.logoGenerator || 'figlet',
+                    font: options.logoFont || 'auto'
+                },
+                sections: NfoComposer.parse(source),
+                footer: options.footer
+            }, { style });
+        } catch (error) {
+            throw new ValidationError(error.message, 'input');
+        }
+
+        return {
+            text: TextTransforms.apply(text, this.parseTransforms(options)),
+            metadata: { input: source, style, font: options.logoFont }
+        };
+    }
+
+    /**
+     * Lay out a FILE_ID.DIZ
+     * @param {Array<string>} positionals - Description words, or nothing
+     *   for stdin (no description when stdin is a terminal)
+     * @param {Object} options - Parsed options
+     * @returns {Promise<Object>} { text, metadata, warnings }
+     */
+    async generateDiz(positionals, options) {
+        if (!options.name) {
+            throw new CliError('The diz command needs --name');
+        }
+
+        let description = positionals.join(' ');
+        if (positionals.length === 0 && this.io.stdin && !this.io.stdin.isTTY) {
+            description = (await this.readStdin()).toString('utf8');
+        }
+
+        const generator = new DizGenerator();
+        const style = options.styleFile ? await this.loadStyleFile(options.styleFile, generator) : options.style || 'classic';
+        let result;
+        try {
+            result = generator.compose({
+                name: options.name,
+                version: options.version,
+                disk: options.disk,
+                disks: options.disks,
+                description
+            }, { style, textEffect: options.textEffect || 'uppercase' });
+        } catch (error) {
+            throw new ValidationError(error.message, 'input');
+        }
+
+        return {
+            text: TextTransforms.apply(result.text, this.parseTransforms(options)),
+            metadata: { input: options.name, style },
+            warnings: result.warnings
+        };
+    }
+
+    /**
+     * Read a text file for re-export, decoding CP437 to Unicode
+     * @param {Array<string>} positionals - A file path, or - / nothing for stdin
+     * @param {Object} options - Parsed options
+     * @returns {Promise<Object>} { text, metadata }
+     */
+    async convertDocument(positionals, options) {
+        if (positionals.length > 1) {
+            throw new CliError('The convert command takes a single file');
+        }
+
+        const [path = '-'] = positionals;
+        const bytes = path === '-' ? await this.readStdin() : await this.readFile(path);
+        const { encoding = 'auto' } = options;
+
+        let decoded;
+        if (encoding === 'cp437') {
+            decoded = { text: Cp437.decode(bytes), encoding };
+        } else if (encoding === 'utf-8') {
+            decoded = { text: bytes.toString('utf8'), encoding };
+        } else {
+            decoded = Cp437.decodeAuto(bytes);
+        }
+
+        const text = decoded.text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+        return {
+            text: TextTransforms.apply(text, this.parseTransforms(options)),
+            metadata: { input: path === '-' ? 'stdin' : basename(path), encoding: decoded.encoding }
+        };
+    }
+
+    /**
+     * Find the font and settings that fit the text into --width
+     * @param {string} input - Text to render
+     * @param {Object} options - Generator options from the command line
+     * @returns {Promise<Object>} Best AutoFit candidate
+     */
+    async fitToWidth(input, options) {
+        const autoFit = new AutoFit({ text: this.getGenerator('text'), figlet: this.getGenerator('figlet') });
+        const generator = options.generator || 'any';
+
+        try {
+            return await autoFit.fit(input, {
+                width: options.width || Config.LIMITS.FIT_WIDTH,
+                modes: generator === 'any' ? FIT_MODES : [generator],
+                fonts: options.fonts ? options.fonts.split(',').map(font => font.trim()) : null,
+                effects: options.effects || []
+            });
+        } catch (error) {
+            throw new ValidationError(error.message, 'width');
+        }
+    }
+
+    /**
+     * Read the --transform list
+     * @param {Object} options - Parsed options
+     * @returns {Array<string>} Transform names
+     */
+    parseTransforms(options) {
+        if (options.transform === undefined) {
+            return [];
+        }
+        try {
+            return TextTransforms.parse(options.transform);
+        } catch (error) {
+            throw new ValidationError(`Invalid value for --transform: ${error.message}`, 'transform');
+        }
+    }
+
+    /**
+     * Register a style designer JSON file with a banner, NFO or DIZ generator
+     * @param {string} path - Style file path
+     * @param {WarezGenerator} generator - Generator to register the style with
+     * @returns {Promise<string>} Style identifier
+     */
+    async loadStyleFile(path, generator) {
+        const source = (await this.readFile(path)).toString('utf8');
+        const designer = new StyleDesigner(null);
+        try {
+            designer.fromJSON(source, basename(path, extname(path)));
+            return designer.save([generator]);
+        } catch (error) {
+            throw new ValidationError(`${path}: ${error.message}`, 'styleFile');
+        }
+    }
+
+    /**
+     * Register a .flf font with the FIGlet generator
+     * @param {string} path - Font file path
+     * @returns {Promise<string>} Font identifier
+     */
+    async loadFontFile(path) {
+        const generator = this.getGenerator('figlet');
+        const bytes = await this.readFile(path);
+        const id = generator.getFontId(basename(path));
+
+        // Fonts are UTF-8 or Latin-1; fall back when the bytes are not valid UTF-8
+        let source;
+        try {
+            source = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch {
+            source = bytes.toString('latin1');
+        }
+
+        try {
+            generator.loadFont(id, source);
+        } catch (error) {
+            throw new ValidationError(`${path}: ${error.message}`, 'fontFile');
+        }
+        return id;
+    }
+
+    /**
+     * Decode and convert an image
+     * @param {Array<string>} positionals - Image path, - or nothing for stdin
+     * @param {Object} options - Parsed options
+     * @returns {Promise<Object>} { text, metadata } with per-cell colors when --color is set
+     */
+    async generateImage(positionals, options) {
+        if (positionals.length > 1) {
+            throw new CliError('The image command takes a single file');
+        }
+
+        // Shape matching draws the glyphs on a canvas, which Node does not have
+        if (options.matching === 'shape') {
+            const canvas = this.getGenerator('image').createRasterCanvas(1, 1);
+            if (!canvas || !canvas.getContext('2d')) {
+                throw new ValidationError('--matching shape needs canvas support, which is not available here. Use --matching luminance', 'matching');
+            }
+        }
+
+        const [path = '-'] = positionals;
+        const bytes = path === '-' ? await this.readStdin() : await this.readFile(path);
+
+        if (bytes.length > Config.VALIDATION.IMAGE_UPLOAD.maxSize) {
+            const maxSizeMB = Math.round(Config.VALIDATION.IMAGE_UPLOAD.maxSize / (1024 * 1024));
+            throw new ValidationError(`File size exceeds maximum limit of ${maxSizeMB}MB`, 'image');
+        }
+
+        let image;
+        try {
+            image = ImageDecoder.decode(bytes);
+        } catch (error) {
+            throw new ValidationError(error.message, 'image');
+        }
+
+        const defaults = Config.MODES.IMAGE.defaultOptions;
+        const colorMode = options.color || 'none';
+        const frame = this.getGenerator('image').renderImageData(image, {
+            width: options.width || defaults.width,
+            density: options.density || defaults.density,
+            dithering: options.dithering || false,
+            serpentine: Boolean(options.serpentine),
+            threshold: options.threshold !== undefined ? options.threshold : defaults.threshold,
+            edgeDetection: Boolean(options.edges),
+            matching: options.matching || defaults.matching,
+            colorMode,
+            transforms: this.parseTransforms(options),
+            adjustments: {
+                ...defaults.adjustments,
+                ...this.pick(options, ['brightness', 'contrast', 'gamma', 'sharpen', 'blur', 'equalize', 'invert'])
+            }
+        });
+
+        return {
+            text: frame.text,
+            metadata: {
+                input: path === '-' ? 'stdin' : path,
+                width: frame.width,
+                colorMode: colorMode === 'none' ? undefined : colorMode,
+                colors: colorMode === 'none' ? undefined : frame.colors,
+                backgrounds: colorMode === 'none' ? undefined : frame.backgrounds
+            }
+        };
+    }
+
+    /**
+     * Get (and cache) the generator for a mode
+     * @param {string} mode - text, figlet, banner or image
+     * @returns {Object} Generator instance
+     */
+    getGenerator(mode) {
+        if (!this.generators.has(mode)) {
+            const Generator = { text: TextGenerator, figlet: FigletGenerator, banner: WarezGenerator, image: ImageGenerator }[mode];
+            this.generators.set(mode, new Generator());
+        }
+        return this.generators.get(mode);
+    }
+
+    /**
+     * @param {string} mode - text or figlet
+     * @returns {Array<string>} Font identifiers
+     */
+    getFonts(mode) {
+        return Array.from(this.getGenerator(mode).fonts.keys());
+    }
+
+    /**
+     * @returns {Array<string>} Character sets and block modes for images
+     */
+    getDensities() {
+        const generator = this.getGenerator('image');
+        return [...Object.keys(generator.densityRamps), ...Object.keys(generator.cellModes)];
+    }
+
+    /**
+     * Read all of stdin
+     * @returns {Promise<Buffer>} Contents
+     */
+    async readStdin() {
+        const { stdin } = this.io;
+        if (!stdin || stdin.isTTY) {
+            throw new CliError('No input given. Pass it as an argument or pipe it to stdin.');
+        }
+
+        const chunks = [];
+        for await (const chunk of stdin) {
+            chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Read an input file
+     * @param {string} path - File path
+     * @returns {Promise<Buffer>} Contents
+     */
+    async readFile(path) {
+        try {
+            return await readFile(path);
+        } catch (error) {
+            throw new CliError(`Cannot read ${path}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`, EXIT_CODES.FAILURE);
+        }
+    }
+
+    /**
+     * Write the export to a file
+     * @param {string} path - File path
+     * @param {string} content - Exported content
+     */
+    async writeFile(path, content) {
+        try {
+            await writeFile(path, content);
+        } catch (error) {
+            throw new CliError(`Cannot write ${path}: ${error.message}`, EXIT_CODES.FAILURE);
+        }
+    }
+
+    /**
+     * Write text to a stream, ending with a newline
+     * @param {Object} stream - Writable stream
+     * @param {string} text - Text to write
+     */
+    write(stream, text) {
+        stream.write(text.endsWith('\n') ? text : text + '\n');
+    }
+
+    /**
+     * Report an error and map it to an exit code
+     * @param {Error} error - Error raised while running
+     * @param {string} commandName - Command that was run
+     * @returns {number} Exit code
+     */
+    fail(error, commandName) {
+        const usage = error instanceof ValidationError || (error instanceof CliError && error.exitCode === EXIT_CODES.USAGE);
+        this.write(this.io.stderr, `${PROGRAM}: ${error.message}`);
+
+        // Point at the help for malformed command lines, not for rejected input
+        if (usage && error instanceof CliError) {
+            const help = this.commands[commandName] ? `${PROGRAM} ${commandName} --help` : `${PROGRAM} --help`;
+            this.write(this.io.stderr, `Run '${help}' for usage.`);
+        }
+
+        if (usage) {
+            return EXIT_CODES.USAGE;
+        }
+        return error instanceof CliError ? error.exitCode : EXIT_CODES.FAILURE;
+    }
+
+    /**
+     * Throw a ValidationError for a failed InputValidator result
+     * @param {Object} validation - InputValidator result
+     * @returns {*} The validated value
+     */
+    assertValid(validation) {
+        if (!validation.valid) {
+            throw new ValidationError(validation.error, validation.field);
+        }
+        return validation.value;
+    }
+
+    /**
+     * Copy the keys that were set
+     * @param {Object} source - Source object
+     * @param {Array<string>} keys - Keys to copy
+     * @returns {Object} Object with the defined keys
+     */
+    pick(source, keys) {
+        return Object.fromEntries(keys.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+    }
+
+    /**
+     * @param {string} key - camelCase option name
+     * @returns {string} kebab-case flag
+     */
+    toFlag(key) {
+        return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    }
+
+    /**
+     * Top-level help
+     * @returns {string} Usage text
+     */
+    getUsage() {
+        const commands = Object.entries(this.commands)
+            .map(([name, command]) => `  ${name.padEnd(8)} ${command.summary}`);
+        const formats = Object.keys(Config.EXPORT_FORMATS).map(format => format.toLowerCase()).join(', ');
+
+        return [
+            `Usage: ${PROGRAM} <command> [options] [input]`,
+            '',
+            'Commands:',
+            ...commands,
+            '',
+            'Input is read from the arguments, or from stdin when none are given.',
+            `Export formats: ${formats}`,
+            '',
+            `Run '${PROGRAM} <command> --help' for command options.`,
+            '',
+            'Exit codes: 0 success, 1 generation or file error, 2 invalid usage or input'
+        ].join('\n');
+    }
+
+    /**
+     * Help for a single command
+     * @param {string} name - Command name
+     * @returns {string} Usage text
+     */
+    getCommandUsage(name) {
+        const command = this.commands[name];
+        const describe = options => Object.entries(options).map(([key, definition]) => {
+            const alias = definition.alias ? `-${definition.alias}, ` : '';
+            const flag = `${alias}--${this.toFlag(key)}${definition.value ? ` <${definition.value}>` : ''}`;
+            return `  ${flag.padEnd(28)} ${definition.description}`;
+        });
+
+        return [
+            `Usage: ${PROGRAM} ${name} [options] ${command.input === 'file' ? '[file]' : '[text]'}`,
+            '',
+            command.summary,
+            '',
+            'Options:',
+            ...describe(command.options),
+            ...describe(COMMON_OPTIONS)
+        ].join('\n');
+    }
+}
@@ -23,6 +23,17 @@ export default [
         clearInterval: 'readonly',
         fetch: 'readonly',
         crypto: 'readonly',
+        Worker: 'readonly',
+        OffscreenCanvas: 'readonly',
+        FontFace: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        createImageBitmap: 'readonly',
+        ImageBitmap: 'readonly',
+        HTMLImageElement: 'readonly',
+        HTMLCanvasElement: 'readonly',
+        AbortController: 'readonly',
+        DOMException: 'readonly',
       },
     },
     rules: {
@@ -39,6 +50,24 @@ export default [
       'no-async-promise-executor': 'error',
     },
   },
+  {
+    files: ['public/js/workers/**/*.js'],
+    languageOptions: {
+      globals: {
+        self: 'readonly',
+      },
+    },
+  },
+  {
+    files: ['bin/**/*.js', 'cli/**/*.js', 'tests/unit/cli/**/*.js'],
+    languageOptions: {
+      globals: {
+        process: 'readonly',
+        Buffer: 'readonly',
+        TextDecoder: 'readonly',
+      },
+    },
+  },
   {
     files: ['**/*.test.js', 'tests/**/*.js'],
     languageOptions: {
@@ -7,8 +7,27 @@ import { Config, ColorPalettes } from './config.js';
 import { TextGenerator } from './generators/text.js';
 import { ImageGenerator } from './generators/image.js';
 import { WarezGenerator } from './generators/warez.js';
+import { FigletGenerator } from './generators/figlet.js';
+import { NfoComposer } from './generators/nfo.js';
+import { DizGenerator } from './generators/diz.js';
 import { ExportManager } from './utils/export.js';
 import { clipboard } from './utils/clipboard.js';
+import { ColorRenderer } from './utils/color-renderer.js';
+import { ImageWorkerPool } from './utils/image-worker-pool.js';
+import { FontSynthesizer } from './utils/font-synthesizer.js';
+import { FontEditor } from './utils/font-editor.js';
+import { StyleDesigner } from './utils/style-designer.js';
+import { TextTransforms } from './utils/text-transforms.js';
+import { HistoryManager } from './managers/history-manager.js';
+import { PresetManager } from './managers/preset-manager.js';
+import { ShareManager } from './managers/share-manager.js';
+import { AutoFit } from './utils/auto-fit.js';
+import { Cp437 } from './utils/cp437.js';
+import { BannerLayout } from './utils/banner-layout.js';
+import { TextEffects } from './utils/text-effects.js';
+
+// Characters of input shown in each FIGlet font preview
+const FIGLET_PREVIEW_LENGTH = 12;
 
 class AsciiArtApp {
     constructor() {
@@ -17,13 +36,24 @@ class AsciiArtApp {
             currentPalette: 'orange',
             isGenerating: false,
             lastGenerated: null,
+            lastColors: null,
+            lastBackgrounds: null,
+            outputTransforms: [],
             generators: new Map(),
+            imageAbortController: null,
             saveToolOpen: false,
             lastSaveFormat: 'txt',
         };
 
         this.elements = new Map();
         this.exportManager = new ExportManager();
+        this.imagePool = ImageWorkerPool.getShared();
+        this.fontSynthesizer = new FontSynthesizer();
+        this.fontEditor = new FontEditor();
+        this.styleDesigner = new StyleDesigner();
+        this.history = new HistoryManager();
+        this.presetManager = new PresetManager();
+        this.shareManager = new ShareManager();
         
         // Modal interaction state
         this.modalState = {
@@ -85,6 +115,18 @@ class AsciiArtApp {
             // Warez banner generator
             this.state.generators.set('banner', new WarezGenerator());
 
+            // FIGlet generator, which also holds fonts loaded from .flf files
+            this.state.generators.set('figlet', new FigletGenerator());
+
+            // NFO composer, rendering logos with the text and FIGlet fonts above
+            this.state.generators.set('nfo', new NfoComposer({
+                text: this.state.generators.get('text'),
+                figlet: this.state.generators.get('figlet')
+            }));
+
+            // FILE_ID.DIZ generator
+            this.state.generators.set('diz', new DizGenerator());
+
             // Other generators can be loaded dynamically when needed
             console.log('Generators initialized');
         } catch (error) {
@@ -108,6 +150,30 @@ class AsciiArtApp {
             textInput: '#textInput',
             fontSelect: '#fontSelect',
             spacingSelect: '#spacingSelect',
+            effectShadow: '#effectShadow',
+            effectOutline: '#effectOutline',
+            effectHollow: '#effectHollow',
+            effectExtrude: '#effectExtrude',
+            effectFill: '#effectFill',
+            effectGradient: '#effectGradient',
+            textVertical: '#textVertical',
+            textWrapWidth: '#textWrapWidth',
+            textFitWidth: '#textFitWidth',
+            textFitBtn: '#textFitBtn',
+            effectDirection: '#effectDirection',
+            effectFillPattern: '#effectFillPattern',
+            effectGradientRamp: '#effectGradientRamp',
+            effectShadowChar: '#effectShadowChar',
+            effectShadowOffset: '#effectShadowOffset',
+            effectExtrudeDepth: '#effectExtrudeDepth',
+            effectOutlineChar: '#effectOutlineChar',
+            synthFontFamily: '#synthFontFamily',
+            synthFontHeight: '#synthFontHeight',
+            synthFontStyle: '#synthFontStyle',
+            synthesizeFontBtn: '#synthesizeFontBtn',
+            bitmapFontFile: '#bitmapFontFile',
+            bitmapFontScale: '#bitmapFontScale',
+            bitmapFontMode: '#bitmapFontMode',
             generateTextBtn: '#generateTextBtn',
             
             // Image mode
@@ -117,8 +183,25 @@ class AsciiArtApp {
             widthInput: '#widthInput',
             widthValue: '#widthValue',
             densitySelect: '#densitySelect',
+            thresholdInput: '#thresholdInput',
+            thresholdValue: '#thresholdValue',
             edgeDetection: '#edgeDetection',
             dithering: '#dithering',
+            serpentine: '#serpentine',
+            shapeMatching: '#shapeMatching',
+            colorModeSelect: '#colorModeSelect',
+            brightnessInput: '#brightnessInput',
+            brightnessValue: '#brightnessValue',
+            contrastInput: '#contrastInput',
+            contrastValue: '#contrastValue',
+            gammaInput: '#gammaInput',
+            gammaValue: '#gammaValue',
+            sharpenInput: '#sharpenInput',
+            sharpenValue: '#sharpenValue',
+            blurInput: '#blurInput',
+            blurValue: '#blurValue',
+            equalizeSelect: '#equalizeSelect',
+            invertImage: '#invertImage',
             generateImageBtn: '#generateImageBtn',
             
             // Banner mode
@@ -127,15 +210,84 @@ class AsciiArtApp {
             bannerTextEffect: '#bannerTextEffect',
             bannerAddCredits: '#bannerAddCredits',
             bannerAddDate: '#bannerAddDate',
+            bannerVertical: '#bannerVertical',
             bannerCredits: '#bannerCredits',
             bannerCreditsGroup: '#bannerCreditsGroup',
+            bannerUseLayout: '#bannerUseLayout',
+            bannerLayout: '#bannerLayout',
+            bannerLayoutGroup: '#bannerLayoutGroup',
             bannerStylePreviewContent: '#bannerStylePreviewContent',
             generateBannerBtn: '#generateBannerBtn',
             
             // FIGlet mode
             figletInput: '#figletInput',
             figletFont: '#figletFont',
+            figletFontPreviews: '#figletFontPreviews',
+            figletWidth: '#figletWidth',
+            figletHorizontalLayout: '#figletHorizontalLayout',
+            figletVerticalLayout: '#figletVerticalLayout',
+            figletVertical: '#figletVertical',
+            figletFitWidth: '#figletFitWidth',
+            figletFitBtn: '#figletFitBtn',
+            figletEffects: '#figletEffects',
+            figletPreset: '#figletPreset',
+            figletPresetName: '#figletPresetName',
+            saveFigletPresetBtn: '#saveFigletPresetBtn',
+            shareFigletBtn: '#shareFigletBtn',
+            figletFontFile: '#figletFontFile',
+            figletFontUrl: '#figletFontUrl',
+            loadFigletFontBtn: '#loadFigletFontBtn',
             generateFigletBtn: '#generateFigletBtn',
+
+            // Font editor mode
+            fontEditorName: '#fontEditorName',
+            fontEditorBase: '#fontEditorBase',
+            fontEditorLoadBtn: '#fontEditorLoadBtn',
+            fontEditorChar: '#fontEditorChar',
+            fontEditorHeight: '#fontEditorHeight',
+            fontEditorWidth: '#fontEditorWidth',
+            fontEditorFill: '#fontEditorFill',
+            fontEditorGrid: '#fontEditorGrid',
+            fontEditorCopyFrom: '#fontEditorCopyFrom',
+            fontEditorCopyBtn: '#fontEditorCopyBtn',
+            fontEditorClearBtn: '#fontEditorClearBtn',
+            fontEditorSample: '#fontEditorSample',
+            fontEditorPreview: '#fontEditorPreview',
+            fontEditorImportFile: '#fontEditorImportFile',
+            fontEditorExportJsonBtn: '#fontEditorExportJsonBtn',
+            fontEditorExportFlfBtn: '#fontEditorExportFlfBtn',
+            fontEditorSaveBtn: '#fontEditorSaveBtn',
+
+            // Style designer
+            styleDesignerName: '#styleDesignerName',
+            styleDesignerBase: '#styleDesignerBase',
+            styleDesignerLoadBtn: '#styleDesignerLoadBtn',
+            styleDesignerFields: '#styleDesignerFields',
+            styleDesignerSample: '#styleDesignerSample',
+            styleDesignerPreview: '#styleDesignerPreview',
+            styleDesignerImportFile: '#styleDesignerImportFile',
+            styleDesignerExportBtn: '#styleDesignerExportBtn',
+            styleDesignerSaveBtn: '#styleDesignerSaveBtn',
+
+            // NFO mode
+            nfoLogoText: '#nfoLogoText',
+            nfoLogoGenerator: '#nfoLogoGenerator',
+            nfoLogoFont: '#nfoLogoFont',
+            nfoStyle: '#nfoStyle',
+            nfoInput: '#nfoInput',
+            nfoFooter: '#nfoFooter',
+            generateNfoBtn: '#generateNfoBtn',
+            downloadNfoBtn: '#downloadNfoBtn',
+
+            // DIZ mode
+            dizName: '#dizName',
+            dizVersion: '#dizVersion',
+            dizDisk: '#dizDisk',
+            dizDisks: '#dizDisks',
+            dizStyle: '#dizStyle',
+            dizDescription: '#dizDescription',
+            generateDizBtn: '#generateDizBtn',
+            downloadDizBtn: '#downloadDizBtn',
             
             // Output
             asciiOutput: '#asciiOutput',
@@ -143,6 +295,13 @@ class AsciiArtApp {
             copyBtn: '#copyBtn',
             copyDiscordBtn: '#copyDiscordBtn',
             expandBtn: '#expandBtn',
+            openFileBtn: '#openFileBtn',
+            openFileInput: '#openFileInput',
+            mirrorBtn: '#mirrorBtn',
+            flipBtn: '#flipBtn',
+            rotateBtn: '#rotateBtn',
+            undoBtn: '#undoBtn',
+            redoBtn: '#redoBtn',
             
             // Save Tool
             saveToolContainer: '#saveToolContainer',
@@ -203,6 +362,19 @@ class AsciiArtApp {
             this.updateCharacterCount();
         });
 
+        // Font synthesis
+        this.elements.get('synthesizeFontBtn').addEventListener('click', () => {
+            this.synthesizeFont();
+        });
+
+        // Bitmap font import
+        this.elements.get('bitmapFontFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importBitmapFont(file);
+            }
+        });
+
         // Image generation
         this.elements.get('generateImageBtn').addEventListener('click', () => {
             this.generateImage();
@@ -218,6 +390,10 @@ class AsciiArtApp {
             this.toggleBannerCredits(e.target.checked);
         });
 
+        this.elements.get('bannerUseLayout').addEventListener('change', (e) => {
+            this.elements.get('bannerLayoutGroup').classList.toggle('hidden', !e.target.checked);
+        });
+
         // Banner style preview
         this.elements.get('bannerStyle').addEventListener('change', () => {
             this.updateBannerStylePreview();
@@ -232,6 +408,174 @@ class AsciiArtApp {
             this.generateFiglet();
         });
 
+        // Fit to width
+        this.elements.get('textFitBtn').addEventListener('click', () => {
+            this.fitToWidth('text');
+        });
+
+        this.elements.get('figletFitBtn').addEventListener('click', () => {
+            this.fitToWidth('figlet');
+        });
+
+        // FIGlet font previews follow the text and layout
+        this.elements.get('figletInput').addEventListener('input', () => {
+            this.updateFigletPreviews();
+        });
+
+        ['figletHorizontalLayout', 'figletVerticalLayout'].forEach(key => {
+            this.elements.get(key).addEventListener('change', () => {
+                this.updateFigletPreviews();
+            });
+        });
+
+        this.elements.get('figletFont').addEventListener('change', (e) => {
+            this.selectFigletFont(e.target.value);
+        });
+
+        // FIGlet presets and share links
+        this.elements.get('figletPreset').addEventListener('change', (e) => {
+            this.applyFigletPreset(e.target.value);
+        });
+
+        this.elements.get('saveFigletPresetBtn').addEventListener('click', () => {
+            this.saveFigletPreset();
+        });
+
+        this.elements.get('shareFigletBtn').addEventListener('click', () => {
+            this.shareFiglet();
+        });
+
+        // FIGlet font loading
+        this.elements.get('figletFontFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadFigletFont(generator => generator.loadFontFromFile(file));
+            }
+        });
+
+        this.elements.get('loadFigletFontBtn').addEventListener('click', () => {
+            const url = this.elements.get('figletFontUrl').value.trim();
+            if (!url) {
+                this.showError('Please enter a font URL');
+                return;
+            }
+            this.loadFigletFont(generator => generator.loadFontFromUrl(url));
+        });
+
+        // Font editor
+        this.elements.get('fontEditorLoadBtn').addEventListener('click', () => {
+            this.openFontInEditor(this.elements.get('fontEditorBase').value);
+        });
+
+        this.elements.get('fontEditorChar').addEventListener('change', () => {
+            this.renderFontEditor();
+        });
+
+        this.elements.get('fontEditorGrid').addEventListener('click', (e) => {
+            const cell = e.target.closest('.font-editor-cell');
+            if (cell) {
+                const fill = this.elements.get('fontEditorFill').value || '█';
+                this.editFontGlyph((editor, char) => {
+                    editor.toggleCell(char, Number(cell.dataset.row), Number(cell.dataset.column), fill);
+                });
+            }
+        });
+
+        this.elements.get('fontEditorHeight').addEventListener('change', (e) => {
+            this.editFontGlyph(editor => editor.setHeight(parseInt(e.target.value)));
+        });
+
+        this.elements.get('fontEditorWidth').addEventListener('change', (e) => {
+            this.editFontGlyph((editor, char) => editor.setGlyphWidth(char, parseInt(e.target.value)));
+        });
+
+        this.elements.get('fontEditorCopyBtn').addEventListener('click', () => {
+            const from = this.elements.get('fontEditorCopyFrom').value;
+            if (from) {
+                this.editFontGlyph((editor, char) => editor.copyGlyph(from, char));
+            }
+        });
+
+        this.elements.get('fontEditorClearBtn').addEventListener('click', () => {
+            this.editFontGlyph((editor, char) => editor.deleteGlyph(char));
+        });
+
+        this.elements.get('fontEditorSample').addEventListener('input', () => {
+            this.updateFontEditorPreview();
+        });
+
+        this.elements.get('fontEditorImportFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importEditorFont(file);
+            }
+        });
+
+        this.elements.get('fontEditorExportJsonBtn').addEventListener('click', () => {
+            this.exportEditorFont('json');
+        });
+
+        this.elements.get('fontEditorExportFlfBtn').addEventListener('click', () => {
+            this.exportEditorFont('flf');
+        });
+
+        this.elements.get('fontEditorSaveBtn').addEventListener('click', () => {
+            this.saveEditorFont();
+        });
+
+        // Style designer
+        this.elements.get('styleDesignerLoadBtn').addEventListener('click', () => {
+            this.openStyleInDesigner(this.elements.get('styleDesignerBase').value);
+        });
+
+        this.elements.get('styleDesignerFields').addEventListener('input', (e) => {
+            if (e.target.dataset.field) {
+                this.editStyleField(e.target);
+            }
+        });
+
+        this.elements.get('styleDesignerSample').addEventListener('input', () => {
+            this.updateStyleDesignerPreview();
+        });
+
+        this.elements.get('styleDesignerImportFile').addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) {
+                this.importDesignerStyle(file);
+            }
+            e.target.value = '';
+        });
+
+        this.elements.get('styleDesignerExportBtn').addEventListener('click', () => {
+            this.exportDesignerStyle();
+        });
+
+        this.elements.get('styleDesignerSaveBtn').addEventListener('click', () => {
+            this.saveDesignerStyle();
+        });
+
+        // NFO composer
+        this.elements.get('generateNfoBtn').addEventListener('click', () => {
+            this.generateNfo();
+        });
+
+        this.elements.get('nfoLogoGenerator').addEventListener('change', () => {
+            this.populateNfoFonts();
+        });
+
+        this.elements.get('downloadNfoBtn').addEventListener('click', () => {
+            this.downloadNfo();
+        });
+
+        // FILE_ID.DIZ
+        this.elements.get('generateDizBtn').addEventListener('click', () => {
+            this.generateDiz();
+        });
+
+        this.elements.get('downloadDizBtn').addEventListener('click', () => {
+            this.downloadDiz();
+        });
+
         // Image upload
         this.elements.get('imageInput').addEventListener('change', (e) => {
             this.handleImageUpload(e);
@@ -249,11 +593,39 @@ class AsciiArtApp {
             this.elements.get('widthValue').textContent = `${e.target.value} characters`;
         });
 
+        // Threshold slider (braille dots and dithering cut-off)
+        this.elements.get('thresholdInput').addEventListener('input', (e) => {
+            this.elements.get('thresholdValue').textContent = e.target.value;
+        });
+
+        // Image adjustment sliders
+        ['brightness', 'contrast', 'sharpen', 'blur'].forEach(name => {
+            this.elements.get(`${name}Input`).addEventListener('input', (e) => {
+                this.elements.get(`${name}Value`).textContent = e.target.value;
+            });
+        });
+
+        this.elements.get('gammaInput').addEventListener('input', (e) => {
+            this.elements.get('gammaValue').textContent = parseFloat(e.target.value).toFixed(1);
+        });
+
         // Output actions
         this.elements.get('copyBtn').addEventListener('click', () => {
             this.copyToClipboard();
         });
 
+        this.elements.get('openFileBtn').addEventListener('click', () => {
+            this.elements.get('openFileInput').click();
+        });
+
+        this.elements.get('openFileInput').addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            if (file) {
+                this.openTextFile(file);
+            }
+            e.target.value = '';
+        });
+
         this.elements.get('copyDiscordBtn').addEventListener('click', () => {
             this.copyToDiscord();
         });
@@ -262,6 +634,27 @@ class AsciiArtApp {
             this.openModal();
         });
 
+        // Output transforms and history
+        this.elements.get('mirrorBtn').addEventListener('click', () => {
+            this.applyOutputTransform('mirror');
+        });
+
+        this.elements.get('flipBtn').addEventListener('click', () => {
+            this.applyOutputTransform('flip');
+        });
+
+        this.elements.get('rotateBtn').addEventListener('click', () => {
+            this.applyOutputTransform('rotate-90');
+        });
+
+        this.elements.get('undoBtn').addEventListener('click', () => {
+            this.undo();
+        });
+
+        this.elements.get('redoBtn').addEventListener('click', () => {
+            this.redo();
+        });
+
         // Save Tool
         this.elements.get('saveToolBtn').addEventListener('click', () => {
             this.toggleSaveTool();
@@ -453,7 +846,13 @@ class AsciiArtApp {
             }
             
             const generator = this.state.generators.get('text');
-            const result = await generator.generate(text, { font, spacing });
+            const result = await generator.generate(text, {
+                font,
+                spacing,
+                effects: this.getTextEffects(),
+                vertical: this.elements.get('textVertical').checked,
+                wrap: parseInt(this.elements.get('textWrapWidth').value) || null
+            });
             
             this.displayOutput(result);
             this.updateStatus('Text generated successfully');
@@ -466,6 +865,521 @@ class AsciiArtApp {
         }
     }
 
+    /**
+     * Pick the font and spacing (text) or font and layout (FIGlet) that fit
+     * the fit width, set the controls to them and generate
+     * @param {string} mode - text or figlet
+     */
+    async fitToWidth(mode) {
+        try {
+            const isText = mode === 'text';
+            const text = this.elements.get(isText ? 'textInput' : 'figletInput').value.trim();
+            const width = parseInt(this.elements.get(isText ? 'textFitWidth' : 'figletFitWidth').value);
+
+            if (!text) {
+                throw new Error('Please enter some text');
+            }
+            if (!(width > 0)) {
+                throw new Error('Please enter a width to fit');
+            }
+
+            this.updateStatus('Fitting...');
+            const autoFit = new AutoFit({
+                text: this.state.generators.get('text'),
+                figlet: this.state.generators.get('figlet')
+            });
+            const fitted = await autoFit.fit(text, {
+                width,
+                modes: [mode],
+                effects: isText ? this.getTextEffects() : this.getFigletEffects()
+            });
+
+            if (isText) {
+                this.elements.get('fontSelect').value = fitted.font;
+                this.elements.get('spacingSelect').value = fitted.options.spacing;
+                this.elements.get('textWrapWidth').value = fitted.rows > 1 ? width : '';
+                this.elements.get('textVertical').checked = false;
+                await this.generateText();
+            } else {
+                this.selectFigletFont(fitted.font);
+                this.elements.get('figletHorizontalLayout').value = fitted.options.horizontalLayout;
+                this.elements.get('figletWidth').value = width;
+                this.elements.get('figletVertical').checked = false;
+                await this.generateFiglet();
+            }
+
+            this.updateStatus(`Fitted with ${fitted.font} in ${fitted.width} of ${width} columns`);
+        } catch (error) {
+            console.error('Fit to width failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Read the enabled text effects
+     * Glyph changes (hollow, fill, gradient) run before the effects that
+     * draw around the glyphs (outline, extrude, shadow).
+     * @returns {Array<Object>} Effects for TextEffects.apply
+     */
+    getTextEffects() {
+        const direction = this.elements.get('effectDirection').value;
+        const effects = [
+            { key: 'effectHollow', effect: { type: 'hollow' } },
+            { key: 'effectFill', effect: { type: 'fill', pattern: this.elements.get('effectFillPattern').value || '▓' } },
+            { key: 'effectGradient', effect: { type: 'gradient', ramp: this.elements.get('effectGradientRamp').value } },
+            { key: 'effectOutline', effect: { type: 'outline', char: this.elements.get('effectOutlineChar').value || '#' } },
+            {
+                key: 'effectExtrude',
+                effect: { type: 'extrude', direction, depth: parseInt(this.elements.get('effectExtrudeDepth').value, 10) || 2 }
+            },
+            {
+                key: 'effectShadow',
+                effect: {
+                    type: 'shadow',
+                    direction,
+                    offset: parseInt(this.elements.get('effectShadowOffset').value, 10) || 1,
+                    char: this.elements.get('effectShadowChar').value || '░'
+                }
+            }
+        ];
+
+        return effects
+            .filter(({ key }) => this.elements.get(key).checked)
+            .map(({ effect }) => effect);
+    }
+
+    /**
+     * Create a text font from a web font and select it
+     */
+    async synthesizeFont() {
+        const button = this.elements.get('synthesizeFontBtn');
+        try {
+            const family = this.elements.get('synthFontFamily').value.trim();
+            if (!family) {
+                throw new Error('Please enter a font family');
+            }
+
+            button.disabled = true;
+            this.updateStatus(`Rasterizing ${family}...`);
+
+            const id = await this.fontSynthesizer.register(this.state.generators.get('text'), family, {
+                height: parseInt(this.elements.get('synthFontHeight').value) || 8,
+                style: this.elements.get('synthFontStyle').value
+            });
+
+            this.addTextFontOption(id);
+            this.elements.get('fontSelect').value = id;
+            this.updateStatus(`Font created: ${this.state.generators.get('text').formatFontName(id)}`);
+        } catch (error) {
+            console.error('Font synthesis failed:', error);
+            this.showError(error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Import a BDF or PSF console font as a text font and select it
+     * @param {File} file - Font file
+     */
+    async importBitmapFont(file) {
+        try {
+            const generator = this.state.generators.get('text');
+            const id = await generator.loadBitmapFontFromFile(file, undefined, {
+                scale: parseInt(this.elements.get('bitmapFontScale').value) || 1,
+                mode: this.elements.get('bitmapFontMode').value
+            });
+
+            this.addTextFontOption(id);
+            this.elements.get('fontSelect').value = id;
+            this.updateStatus(`Font imported: ${generator.formatFontName(id)}`);
+        } catch (error) {
+            console.error('Bitmap font import failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Register synthesized and edited fonts from earlier sessions and list
+     * them in the font select
+     */
+    restoreCustomFonts() {
+        const generator = this.state.generators.get('text');
+        const ids = [...this.fontSynthesizer.restore(generator), ...this.fontEditor.restore(generator)];
+        ids.forEach(id => this.addTextFontOption(id));
+    }
+
+    /**
+     * Add a text font to the font select unless it is already listed
+     * @param {string} id - Font identifier
+     */
+    addTextFontOption(id) {
+        const select = this.elements.get('fontSelect');
+        if (Array.from(select.options).some(option => option.value === id)) {
+            return;
+        }
+
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = this.state.generators.get('text').formatFontName(id);
+        select.appendChild(option);
+    }
+
+    /**
+     * List the text fonts the editor can start from
+     */
+    populateFontEditorBases() {
+        const generator = this.state.generators.get('text');
+        const select = this.elements.get('fontEditorBase');
+        const selected = select.value;
+
+        const blank = document.createElement('option');
+        blank.value = '';
+        blank.textContent = 'Blank font';
+        select.replaceChildren(blank);
+
+        for (const id of generator.fonts.keys()) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = generator.formatFontName(id);
+            select.appendChild(option);
+        }
+
+        select.value = generator.fonts.has(selected) ? selected : '';
+    }
+
+    /**
+     * Start editing a copy of a text font, or a blank font
+     * Saved custom fonts keep their name so saving updates them; built-in
+     * and imported fonts get a "-custom" name so they are not replaced.
+     * @param {string} id - Font identifier, or an empty string for a blank font
+     */
+    openFontInEditor(id) {
+        try {
+            const nameInput = this.elements.get('fontEditorName');
+            if (id) {
+                const name = this.fontEditor.getSavedFonts()[id] ? id : `${id}-custom`;
+                this.fontEditor.load(this.state.generators.get('text').fonts.get(id), name);
+            } else {
+                this.fontEditor.create(parseInt(this.elements.get('fontEditorHeight').value) || 6, nameInput.value.trim() || 'custom');
+            }
+
+            nameInput.value = this.fontEditor.name;
+            this.renderFontEditor();
+        } catch (error) {
+            console.error('Opening font failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Apply an edit to the glyph being edited and redraw the editor
+     * @param {Function} edit - Receives the FontEditor and the selected character
+     */
+    editFontGlyph(edit) {
+        try {
+            edit(this.fontEditor, this.elements.get('fontEditorChar').value);
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.renderFontEditor();
+    }
+
+    /**
+     * Redraw the character lists, the glyph grid and the preview
+     */
+    renderFontEditor() {
+        const editor = this.fontEditor;
+        const charSelect = this.elements.get('fontEditorChar');
+        const copySelect = this.elements.get('fontEditorCopyFrom');
+        const selected = charSelect.value || 'A';
+
+        charSelect.replaceChildren();
+        copySelect.replaceChildren();
+        for (const char of editor.getCharacters()) {
+            const option = document.createElement('option');
+            option.value = char;
+            option.textContent = editor.hasGlyph(char) ? char : `${char} (empty)`;
+            charSelect.appendChild(option);
+
+            if (editor.hasGlyph(char)) {
+                const source = document.createElement('option');
+                source.value = char;
+                source.textContent = char;
+                copySelect.appendChild(source);
+            }
+        }
+        charSelect.value = editor.getCharacters().includes(selected) ? selected : 'A';
+
+        const glyph = editor.getGlyph(charSelect.value);
+        const grid = this.elements.get('fontEditorGrid');
+        grid.style.setProperty('--glyph-columns', glyph[0].length);
+        grid.replaceChildren();
+        glyph.forEach((line, row) => {
+            line.split('').forEach((value, column) => {
+                const cell = document.createElement('button');
+                cell.type = 'button';
+                cell.className = 'font-editor-cell';
+                cell.classList.toggle('font-editor-cell--filled', value !== ' ');
+                cell.dataset.row = row;
+                cell.dataset.column = column;
+                cell.textContent = value;
+                cell.setAttribute('aria-label', `Row ${row + 1}, column ${column + 1}`);
+                grid.appendChild(cell);
+            });
+        });
+
+        this.elements.get('fontEditorHeight').value = editor.fontData.height;
+        this.elements.get('fontEditorWidth').value = glyph[0].length;
+        this.updateFontEditorPreview();
+    }
+
+    /**
+     * Render the sample text with the font being edited
+     */
+    updateFontEditorPreview() {
+        const sample = this.elements.get('fontEditorSample').value.trim();
+        const generator = this.state.generators.get('text');
+
+        this.elements.get('fontEditorPreview').textContent = sample
+            ? generator.convertTextToAscii(sample, this.fontEditor.fontData, 'normal').join('\n')
+            : '';
+    }
+
+    /**
+     * Register the edited font, save it locally and select it in text mode
+     */
+    saveEditorFont() {
+        try {
+            this.fontEditor.name = this.elements.get('fontEditorName').value.trim();
+            const generator = this.state.generators.get('text');
+            const id = this.fontEditor.save(generator);
+
+            this.addTextFontOption(id);
+            this.elements.get('fontSelect').value = id;
+            this.populateFontEditorBases();
+            this.updateStatus(`Font saved: ${generator.formatFontName(id)}`);
+        } catch (error) {
+            console.error('Saving font failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Open a JSON or .flf font file in the editor
+     * @param {File} file - Font file
+     */
+    async importEditorFont(file) {
+        try {
+            const source = await file.text();
+            const name = file.name.replace(/\.(json|flf)$/i, '');
+
+            if (/\.flf$/i.test(file.name)) {
+                this.fontEditor.fromFlf(source, name);
+            } else {
+                this.fontEditor.fromJSON(source, name);
+            }
+
+            this.elements.get('fontEditorName').value = this.fontEditor.name;
+            this.renderFontEditor();
+            this.updateStatus(`Font opened: ${file.name}`);
+        } catch (error) {
+            console.error('Font import failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Download the edited font
+     * @param {string} format - json or flf
+     */
+    exportEditorFont(format) {
+        try {
+            this.fontEditor.name = this.elements.get('fontEditorName').value.trim() || this.fontEditor.name;
+            const content = format === 'flf' ? this.fontEditor.toFlf() : this.fontEditor.toJSON();
+            const type = format === 'flf' ? 'text/plain' : 'application/json';
+
+            this.exportManager.downloadBlob(
+                new Blob([content], { type: `${type};charset=utf-8` }),
+                `${this.fontEditor.getFontId(this.fontEditor.name)}.${format}`
+            );
+        } catch (error) {
+            console.error('Font export failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Generators that draw with the warez banner styles
+     * @returns {Array<WarezGenerator>}
+     */
+    getStyledGenerators() {
+        return ['banner', 'nfo', 'diz'].map(mode => this.state.generators.get(mode));
+    }
+
+    /**
+     * Register styles designed in earlier sessions and list them in the style selects
+     */
+    restoreCustomStyles() {
+        this.styleDesigner.restore(this.getStyledGenerators()).forEach(id => this.addStyleOption(id));
+    }
+
+    /**
+     * Add a banner style to every style select unless it is already listed
+     * @param {string} id - Style identifier
+     */
+    addStyleOption(id) {
+        const { name } = this.state.generators.get('banner').styles[id];
+        for (const key of ['bannerStyle', 'nfoStyle', 'dizStyle']) {
+            const select = this.elements.get(key);
+            const existing = Array.from(select.options).find(option => option.value === id);
+            if (existing) {
+                existing.textContent = name;
+                continue;
+            }
+
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+    }
+
+    /**
+     * List the styles the designer can start from
+     */
+    populateStyleDesignerBases() {
+        const generator = this.state.generators.get('banner');
+        const select = this.elements.get('styleDesignerBase');
+        const selected = select.value;
+
+        const blank = document.createElement('option');
+        blank.value = '';
+        blank.textContent = 'Plain ASCII';
+        select.replaceChildren(blank);
+
+        for (const [id, style] of Object.entries(generator.styles)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = style.name;
+            select.appendChild(option);
+        }
+
+        select.value = generator.styles[selected] ? selected : '';
+    }
+
+    /**
+     * Start editing a copy of a banner style, or a plain ASCII style
+     * Saved custom styles keep their name so saving updates them; built-in
+     * styles get a " Custom" name so they are not replaced.
+     * @param {string} id - Style identifier, or an empty string for a plain style
+     */
+    openStyleInDesigner(id) {
+        try {
+            const nameInput = this.elements.get('styleDesignerName');
+            if (id) {
+                const style = this.state.generators.get('banner').styles[id];
+                const name = this.styleDesigner.getSavedStyles()[id] ? style.name : `${style.name} Custom`;
+                this.styleDesigner.load(style, name);
+            } else {
+                this.styleDesigner.create(nameInput.value.trim() || 'Custom');
+            }
+
+            nameInput.value = this.styleDesigner.style.name;
+            this.renderStyleDesigner();
+        } catch (error) {
+            console.error('Opening style failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Apply a field edit, flagging characters that would misalign the border
+     * @param {HTMLInputElement} input - Style field input
+     */
+    editStyleField(input) {
+        try {
+            this.styleDesigner.set(input.dataset.field, input.value);
+            input.classList.remove('style-designer-field--invalid');
+            this.updateStyleDesignerPreview();
+        } catch (error) {
+            input.classList.add('style-designer-field--invalid');
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Fill the field inputs from the style being designed and redraw the preview
+     */
+    renderStyleDesigner() {
+        const { style } = this.styleDesigner;
+        this.elements.get('styleDesignerFields').querySelectorAll('[data-field]').forEach(input => {
+            input.value = style[input.dataset.field];
+            input.classList.remove('style-designer-field--invalid');
+        });
+        this.updateStyleDesignerPreview();
+    }
+
+    /**
+     * Draw the style being designed
+     */
+    updateStyleDesignerPreview() {
+        this.elements.get('styleDesignerPreview').textContent =
+            this.styleDesigner.getPreview(this.elements.get('styleDesignerSample').value.trim());
+    }
+
+    /**
+     * Register the designed style, save it locally and select it in banner mode
+     */
+    saveDesignerStyle() {
+        try {
+            this.styleDesigner.style.name = this.elements.get('styleDesignerName').value.trim();
+            const id = this.styleDesigner.save(this.getStyledGenerators());
+
+            this.addStyleOption(id);
+            this.elements.get('bannerStyle').value = id;
+            this.updateBannerStylePreview();
+            this.populateStyleDesignerBases();
+            this.updateStatus(`Style saved: ${this.styleDesigner.style.name}`);
+        } catch (error) {
+            console.error('Saving style failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Open a JSON style file in the designer
+     * @param {File} file - Style file
+     */
+    async importDesignerStyle(file) {
+        try {
+            this.styleDesigner.fromJSON(await file.text(), file.name.replace(/\.json$/i, ''));
+
+            this.elements.get('styleDesignerName').value = this.styleDesigner.style.name;
+            this.renderStyleDesigner();
+            this.updateStatus(`Style opened: ${file.name}`);
+        } catch (error) {
+            console.error('Style import failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Download the designed style as JSON
+     */
+    exportDesignerStyle() {
+        try {
+            this.styleDesigner.style.name = this.elements.get('styleDesignerName').value.trim() || this.styleDesigner.style.name;
+            this.exportManager.downloadBlob(
+                new Blob([this.styleDesigner.toJSON()], { type: 'application/json;charset=utf-8' }),
+                `${this.styleDesigner.getStyleId(this.styleDesigner.style.name)}.json`
+            );
+        } catch (error) {
+            console.error('Style export failed:', error);
+            this.showError(error.message);
+        }
+    }
+
     /**
      * Generate image ASCII art
      */
@@ -481,27 +1395,84 @@ class AsciiArtApp {
             const width = parseInt(this.elements.get('widthInput').value) || 80;
             const density = this.elements.get('densitySelect').value || 'detailed';
             const edgeDetection = this.elements.get('edgeDetection').checked;
-            const dithering = this.elements.get('dithering').checked;
+            const dithering = this.getDitheringAlgorithm();
+            const serpentine = this.elements.get('serpentine').checked;
+            const thresholdValue = parseInt(this.elements.get('thresholdInput').value, 10);
+            const threshold = Number.isNaN(thresholdValue) ? 128 : thresholdValue;
+            const matching = this.elements.get('shapeMatching').checked ? 'shape' : 'luminance';
+            const colorMode = this.elements.get('colorModeSelect').value || 'none';
+            const adjustments = this.getImageAdjustments();
+            
+            // A new conversion replaces any that is still running
+            if (this.state.imageAbortController) {
+                this.state.imageAbortController.abort();
+            }
+            const controller = new AbortController();
+            this.state.imageAbortController = controller;
             
-            const generator = this.state.generators.get('image');
-            const result = await generator.generate(previewImage.src, {
+            // The preview's blob URL is revoked once it loads, so pass the element itself
+            const frame = await this.imagePool.render(previewImage, {
                 width,
                 density,
                 edgeDetection,
-                dithering
+                dithering,
+                serpentine,
+                threshold,
+                matching,
+                colorMode,
+                adjustments,
+                signal: controller.signal,
+                onProgress: (percent) => this.updateStatus(`Converting image... ${percent}%`)
             });
+            this.state.imageAbortController = null;
             
-            this.displayOutput(result);
+            if (colorMode === 'none') {
+                this.displayOutput(frame.text);
+            } else {
+                this.displayOutput(frame.text, frame.colors, frame.backgrounds);
+            }
             this.updateStatus('Image converted to ASCII successfully');
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
+            this.state.imageAbortController = null;
             console.error('Image generation failed:', error);
             this.showError(error.message);
         } finally {
-            this.setGenerating(false);
+            // A cancelled run leaves the generating state to the run that replaced it
+            if (!this.state.imageAbortController) {
+                this.setGenerating(false);
+            }
         }
     }
 
+    /**
+     * Read the selected dithering algorithm
+     * @returns {string|boolean} Algorithm name, or false when dithering is off
+     */
+    getDitheringAlgorithm() {
+        const value = this.elements.get('dithering').value;
+        return value && value !== 'none' ? value : false;
+    }
+
+    /**
+     * Read image adjustment settings from the controls
+     * @returns {Object} Adjustment settings for ImageGenerator
+     */
+    getImageAdjustments() {
+        return {
+            brightness: parseInt(this.elements.get('brightnessInput').value) || 0,
+            contrast: parseInt(this.elements.get('contrastInput').value) || 0,
+            gamma: parseFloat(this.elements.get('gammaInput').value) || 1,
+            sharpen: parseInt(this.elements.get('sharpenInput').value) || 0,
+            blur: parseInt(this.elements.get('blurInput').value) || 0,
+            equalize: this.elements.get('equalizeSelect').value || 'none',
+            invert: this.elements.get('invertImage').checked
+        };
+    }
+
     /**
      * Generate banner ASCII art
      */
@@ -515,19 +1486,27 @@ class AsciiArtApp {
             const addCredits = this.elements.get('bannerAddCredits').checked;
             const addDate = this.elements.get('bannerAddDate').checked;
             const credits = this.elements.get('bannerCredits').value.trim() || 'ASCII ART STUDIO';
+            const generator = this.state.generators.get('banner');
+
+            if (this.elements.get('bannerUseLayout').checked) {
+                const layout = BannerLayout.parse(this.elements.get('bannerLayout').value);
+                this.displayOutput(generator.generateLayout(layout, { style, textEffect }));
+                this.updateStatus('Layout banner generated successfully');
+                return;
+            }
 
             if (!text) {
                 throw new Error('Please enter banner text');
             }
 
-            const generator = this.state.generators.get('banner');
             const result = await generator.generate(text, {
                 style,
                 textEffect,
                 addCredits,
                 addDate,
                 credits,
-                multiline: text.includes('|')
+                multiline: text.includes('|'),
+                vertical: this.elements.get('bannerVertical').checked
             });
 
             this.displayOutput(result);
@@ -541,14 +1520,175 @@ class AsciiArtApp {
         }
     }
 
+    /**
+     * Compose an NFO file from the logo, sections and footer
+     */
+    async generateNfo() {
+        try {
+            this.setGenerating(true);
+
+            const logoText = this.elements.get('nfoLogoText').value.trim();
+            const sections = NfoComposer.parse(this.elements.get('nfoInput').value);
+
+            if (!logoText && sections.length === 0) {
+                throw new Error('Please enter a logo or at least one section');
+            }
+
+            const composer = this.state.generators.get('nfo');
+            const result = await composer.compose({
+                logo: logoText ? {
+                    text: logoText,
+                    generator: this.elements.get('nfoLogoGenerator').value,
+                    font: this.elements.get('nfoLogoFont').value || 'auto'
+                } : null,
+                sections,
+                footer: this.elements.get('nfoFooter').value.trim()
+            }, {
+                style: this.elements.get('nfoStyle').value
+            });
+
+            this.displayOutput(result);
+            this.updateStatus('NFO composed successfully');
+
+        } catch (error) {
+            console.error('NFO composition failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setGenerating(false);
+        }
+    }
+
+    /**
+     * Save the composed NFO with DOS line endings
+     */
+    async downloadNfo() {
+        if (!this.state.lastGenerated || this.state.currentMode !== 'nfo') {
+            this.showError('Compose an NFO first');
+            return;
+        }
+
+        try {
+            await this.exportManager.download(this.state.lastGenerated, 'nfo', this.getCurrentMetadata());
+            this.updateStatus(this.getSaveStatus('nfo'));
+        } catch (error) {
+            console.error('NFO save failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Lay out a FILE_ID.DIZ, reporting anything cut to fit
+     */
+    generateDiz() {
+        try {
+            this.setGenerating(true);
+
+            const generator = this.state.generators.get('diz');
+            const { text, warnings } = generator.compose({
+                name: this.elements.get('dizName').value,
+                version: this.elements.get('dizVersion').value,
+                disk: parseInt(this.elements.get('dizDisk').value) || 1,
+                disks: parseInt(this.elements.get('dizDisks').value) || 1,
+                description: this.elements.get('dizDescription').value
+            }, {
+                style: this.elements.get('dizStyle').value
+            });
+
+            this.displayOutput(text);
+            this.updateStatus(warnings.length > 0
+                ? `DIZ generated with warnings: ${warnings.join('; ')}`
+                : 'DIZ generated successfully');
+
+        } catch (error) {
+            console.error('DIZ generation failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.setGenerating(false);
+        }
+    }
+
+    /**
+     * Save the DIZ as FILE_ID.DIZ
+     */
+    async downloadDiz() {
+        if (!this.state.lastGenerated || this.state.currentMode !== 'diz') {
+            this.showError('Generate a DIZ first');
+            return;
+        }
+
+        try {
+            await this.exportManager.download(this.state.lastGenerated, 'diz', this.getCurrentMetadata());
+            this.updateStatus(this.getSaveStatus('diz'));
+        } catch (error) {
+            console.error('DIZ save failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Fill a select with the warez banner styles, keeping its selection
+     * @param {HTMLSelectElement} select - Style select
+     */
+    populateStyleSelect(select) {
+        const styles = this.state.generators.get('banner').styles;
+        const selected = select.value;
+        select.replaceChildren();
+
+        for (const [id, style] of Object.entries(styles)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = style.name;
+            select.appendChild(option);
+        }
+
+        select.value = styles[selected] ? selected : 'classic';
+    }
+
+    /**
+     * Fill the NFO style select and the logo fonts of the chosen generator
+     */
+    populateNfoFonts() {
+        this.populateStyleSelect(this.elements.get('nfoStyle'));
+
+        const generator = this.state.generators.get(this.elements.get('nfoLogoGenerator').value);
+        const select = this.elements.get('nfoLogoFont');
+        const selected = select.value;
+        select.replaceChildren();
+
+        const auto = document.createElement('option');
+        auto.value = 'auto';
+        auto.textContent = 'Auto (largest that fits)';
+        select.appendChild(auto);
+
+        for (const font of generator.getAvailableFonts()) {
+            const option = document.createElement('option');
+            option.value = font.id;
+            option.textContent = font.name;
+            select.appendChild(option);
+        }
+
+        select.value = generator.fonts.has(selected) ? selected : 'auto';
+    }
+
     /**
      * Generate FIGlet ASCII art
      */
     async generateFiglet() {
         try {
             this.setGenerating(true);
-            this.updateStatus('FIGlet generation coming soon!');
-            this.showError('FIGlet generator is not yet implemented. Coming soon!');
+
+            const text = this.elements.get('figletInput').value.trim();
+
+            if (!text) {
+                throw new Error('Please enter some text');
+            }
+
+            const generator = this.state.generators.get('figlet');
+            const result = await generator.generate(text, { ...this.getFigletOptions(), effects: this.getFigletEffects() });
+
+            this.displayOutput(result);
+            this.updateStatus('FIGlet text generated successfully');
+
         } catch (error) {
             console.error('FIGlet generation failed:', error);
             this.showError(error.message);
@@ -557,6 +1697,257 @@ class AsciiArtApp {
         }
     }
 
+    /**
+     * Load a FIGlet font and select it
+     * @param {Function} load - Receives the generator, resolves to the font id
+     */
+    async loadFigletFont(load) {
+        try {
+            this.updateStatus('Loading font...');
+            const generator = this.state.generators.get('figlet');
+            const id = await load(generator);
+
+            this.populateFigletFonts();
+            this.selectFigletFont(id);
+
+            this.updateStatus(`Font loaded: ${generator.formatFontName(id)}`);
+        } catch (error) {
+            console.error('Font loading failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Read FIGlet settings from the controls
+     * @returns {Object} Options for FigletGenerator.generate
+     */
+    getFigletOptions() {
+        const width = parseInt(this.elements.get('figletWidth').value);
+        return {
+            font: this.elements.get('figletFont').value || 'standard',
+            horizontalLayout: this.elements.get('figletHorizontalLayout').value || 'default',
+            verticalLayout: this.elements.get('figletVerticalLayout').value || 'default',
+            width: width > 0 ? width : null,
+            vertical: this.elements.get('figletVertical').checked
+        };
+    }
+
+    /**
+     * FIGlet settings with the input text, as kept in history entries
+     * @returns {Object} getFigletOptions plus text
+     */
+    getFigletSettings() {
+        return {
+            ...this.getFigletOptions(),
+            effects: this.elements.get('figletEffects').value,
+            text: this.elements.get('figletInput').value
+        };
+    }
+
+    /**
+     * Parse the FIGlet effect list, written as for the CLI's --effects
+     * @returns {Array<Object>} Effects for TextEffects.apply
+     */
+    getFigletEffects() {
+        return TextEffects.parse(this.elements.get('figletEffects').value);
+    }
+
+    /**
+     * Set the FIGlet controls from saved settings
+     * Fonts that are no longer loaded are left as they are.
+     * @param {Object} settings - From getFigletSettings, a preset or a share link
+     */
+    applyFigletSettings(settings) {
+        const generator = this.state.generators.get('figlet');
+
+        if (settings.font && generator.fonts.has(settings.font)) {
+            this.selectFigletFont(settings.font);
+        }
+        if (settings.horizontalLayout) {
+            this.elements.get('figletHorizontalLayout').value = settings.horizontalLayout;
+        }
+        if (settings.verticalLayout) {
+            this.elements.get('figletVerticalLayout').value = settings.verticalLayout;
+        }
+        if (settings.width !== undefined) {
+            this.elements.get('figletWidth').value = settings.width || '';
+        }
+        if (settings.vertical !== undefined) {
+            this.elements.get('figletVertical').checked = Boolean(settings.vertical);
+        }
+        if (typeof settings.effects === 'string') {
+            this.elements.get('figletEffects').value = settings.effects;
+        }
+        if (typeof settings.text === 'string') {
+            this.elements.get('figletInput').value = settings.text;
+        }
+
+        this.updateFigletPreviews();
+    }
+
+    /**
+     * Fill the preset select with the FIGlet presets
+     * @param {string} selected - Preset to select
+     */
+    populateFigletPresets(selected = '') {
+        const select = this.elements.get('figletPreset');
+        select.replaceChildren();
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Choose a preset';
+        select.appendChild(placeholder);
+
+        for (const [name, preset] of Object.entries(this.presetManager.getAllPresets())) {
+            if (preset.mode === 'figlet') {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            }
+        }
+        select.value = selected;
+    }
+
+    /**
+     * Apply a FIGlet preset to the controls
+     * @param {string} name - Preset name
+     */
+    applyFigletPreset(name) {
+        const preset = name ? this.presetManager.loadPreset(name) : null;
+        if (!preset) {
+            return;
+        }
+        this.applyFigletSettings(preset.settings);
+        this.updateStatus(`Preset applied: ${name}`);
+    }
+
+    /**
+     * Save the FIGlet controls as a preset
+     */
+    saveFigletPreset() {
+        const name = this.elements.get('figletPresetName').value.trim();
+        if (!name) {
+            this.showError('Please enter a preset name');
+            return;
+        }
+
+        const settings = { ...this.getFigletOptions(), effects: this.elements.get('figletEffects').value };
+        if (!this.presetManager.savePreset(name, { mode: 'figlet', settings })) {
+            this.showError('Failed to save preset');
+            return;
+        }
+        this.populateFigletPresets(name);
+        this.updateStatus(`Preset saved: ${name}`);
+    }
+
+    /**
+     * Copy a link that opens the current FIGlet output with its settings
+     */
+    async shareFiglet() {
+        if (this.state.currentMode !== 'figlet' || !this.state.lastGenerated) {
+            this.showError('Generate FIGlet text first');
+            return;
+        }
+
+        const url = this.shareManager.generateShareUrl(this.state.lastGenerated, { mode: 'figlet', ...this.getFigletSettings() });
+        if (url && await this.shareManager.copyShareUrl(url)) {
+            this.updateStatus('Share link copied to clipboard');
+        } else {
+            this.showError('Failed to create share link');
+        }
+    }
+
+    /**
+     * Open FIGlet output from a share link in the page URL
+     */
+    loadSharedOutput() {
+        const shared = this.shareManager.loadFromUrl();
+        if (!shared || shared.mode !== 'figlet') {
+            return;
+        }
+
+        this.setMode('figlet');
+        this.applyFigletSettings(shared.settings);
+        this.displayOutput(shared.content);
+        this.updateStatus('Opened shared FIGlet text');
+    }
+
+    /**
+     * Fill the font select and the preview picker with the generator's fonts
+     */
+    populateFigletFonts() {
+        const generator = this.state.generators.get('figlet');
+        const select = this.elements.get('figletFont');
+        const picker = this.elements.get('figletFontPreviews');
+        const selected = select.value;
+
+        select.replaceChildren();
+        picker.replaceChildren();
+
+        for (const font of generator.getAvailableFonts()) {
+            const option = document.createElement('option');
+            option.value = font.id;
+            option.textContent = font.name;
+            select.appendChild(option);
+
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'figlet-font-card';
+            card.dataset.font = font.id;
+            card.setAttribute('role', 'option');
+
+            const name = document.createElement('div');
+            name.className = 'figlet-font-card__name';
+            name.textContent = font.name;
+
+            const preview = document.createElement('pre');
+            preview.className = 'style-preview__content';
+
+            card.append(name, preview);
+            card.addEventListener('click', () => this.selectFigletFont(font.id));
+            picker.appendChild(card);
+        }
+
+        this.selectFigletFont(generator.fonts.has(selected) ? selected : 'standard');
+        this.updateFigletPreviews();
+    }
+
+    /**
+     * Select a FIGlet font in the select and the picker
+     * @param {string} id - Font identifier
+     */
+    selectFigletFont(id) {
+        this.elements.get('figletFont').value = id;
+
+        this.elements.get('figletFontPreviews').querySelectorAll('.figlet-font-card').forEach(card => {
+            const isActive = card.dataset.font === id;
+            card.classList.toggle('figlet-font-card--active', isActive);
+            card.setAttribute('aria-selected', isActive);
+        });
+    }
+
+    /**
+     * Render the first line of FIGlet input in every font
+     * Falls back to the font name while the input is empty.
+     */
+    updateFigletPreviews() {
+        const generator = this.state.generators.get('figlet');
+        const { horizontalLayout, verticalLayout } = this.getFigletOptions();
+        const line = this.elements.get('figletInput').value.split('\n')
+            .map(text => text.trim())
+            .find(text => text.length > 0);
+
+        this.elements.get('figletFontPreviews').querySelectorAll('.figlet-font-card').forEach(card => {
+            const id = card.dataset.font;
+            const sample = (line || generator.formatFontName(id)).slice(0, FIGLET_PREVIEW_LENGTH);
+            card.querySelector('pre').textContent = generator.convertTextToFiglet(sample, generator.fonts.get(id), {
+                horizontalLayout,
+                verticalLayout
+            });
+        });
+    }
+
     /**
      * Handle image upload
      */
@@ -662,9 +2053,68 @@ class AsciiArtApp {
     }
 
     /**
-     * Display generated output
+     * Display generated output and record it in the history
+     * @param {string} content - Plain ASCII content
+     * @param {Array|null} colors - Optional per-cell colors for colored display and export
+     * @param {Array|null} backgrounds - Optional per-cell background colors
+     */
+    displayOutput(content, colors = null, backgrounds = null) {
+        this.renderOutput(content, colors, backgrounds);
+        if (content && content.trim() !== '') {
+            this.history.push({
+                mode: this.state.currentMode,
+                content,
+                colors,
+                backgrounds,
+                transforms: [...this.state.outputTransforms],
+                settings: this.state.currentMode === 'figlet' ? this.getFigletSettings() : null
+            });
+        }
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Show a text file as the output, decoding CP437 scene files to Unicode
+     * @param {File} file - .txt, .nfo, .diz or .ans file
+     */
+    async openTextFile(file) {
+        try {
+            if (file.size > Config.LIMITS.MAX_FILE_SIZE) {
+                throw new Error(Config.ERRORS.FILE_TOO_LARGE);
+            }
+
+            const { text, encoding } = await this.exportManager.importFile(file);
+            if (text.length > Config.LIMITS.MAX_OUTPUT_SIZE) {
+                throw new Error(`File has more than ${Config.LIMITS.MAX_OUTPUT_SIZE} characters`);
+            }
+
+            this.state.outputTransforms = [];
+            this.displayOutput(text.replace(/\n$/, ''));
+            this.updateStatus(`Opened ${file.name} (${encoding === 'cp437' ? 'CP437' : 'UTF-8'})`);
+        } catch (error) {
+            console.error('Opening file failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Describe a save, warning about characters the format cannot hold
+     * @param {string} format - Export format
+     * @returns {string} Status message
+     */
+    getSaveStatus(format) {
+        const unmappable = this.exportManager.getEncodingReport(this.state.lastGenerated, format);
+        const saved = `Saved as ${format.toUpperCase()}`;
+        return unmappable.length > 0 ? `${saved}. ${Cp437.formatReport(unmappable)}` : saved;
+    }
+
+    /**
+     * Show output without touching the history
+     * @param {string} content - Plain ASCII content
+     * @param {Array|null} colors - Optional per-cell colors
+     * @param {Array|null} backgrounds - Optional per-cell background colors
      */
-    displayOutput(content) {
+    renderOutput(content, colors = null, backgrounds = null) {
         const output = this.elements.get('asciiOutput');
         
         if (!content || content.trim() === '') {
@@ -680,10 +2130,16 @@ class AsciiArtApp {
             return;
         }
         
-        output.textContent = content;
+        if (colors) {
+            output.innerHTML = ColorRenderer.toHtml(content, colors, backgrounds);
+        } else {
+            output.textContent = content;
+        }
         output.classList.remove('ascii-output--empty');
         output.classList.add('ascii-output--filled');
         this.state.lastGenerated = content;
+        this.state.lastColors = colors;
+        this.state.lastBackgrounds = backgrounds;
         this.setActionButtonsEnabled(true);
     }
 
@@ -700,10 +2156,71 @@ class AsciiArtApp {
         `;
         output.classList.add('ascii-output--empty');
         this.state.lastGenerated = null;
+        this.state.lastColors = null;
+        this.state.lastBackgrounds = null;
         this.setActionButtonsEnabled(false);
         this.updateStatus('Ready');
     }
 
+    /**
+     * Mirror, flip or rotate the current output, colors included
+     * @param {string} name - Transform from TEXT_TRANSFORMS
+     */
+    applyOutputTransform(name) {
+        if (!this.state.lastGenerated) {
+            return;
+        }
+
+        const frame = TextTransforms.applyToFrame({
+            text: this.state.lastGenerated,
+            colors: this.state.lastColors,
+            backgrounds: this.state.lastBackgrounds
+        }, [name]);
+
+        this.state.outputTransforms = [...this.state.outputTransforms, name];
+        this.displayOutput(frame.text, frame.colors, frame.backgrounds);
+        this.updateStatus(`Applied ${name}`);
+    }
+
+    /**
+     * Step back through the output history
+     */
+    undo() {
+        this.restoreHistoryState(this.history.undo());
+    }
+
+    /**
+     * Step forward through the output history
+     */
+    redo() {
+        this.restoreHistoryState(this.history.redo());
+    }
+
+    /**
+     * Show a history entry
+     * @param {Object|null} entry - Entry from the HistoryManager
+     */
+    restoreHistoryState(entry) {
+        if (!entry) {
+            return;
+        }
+        this.state.outputTransforms = [...entry.transforms];
+        if (entry.mode === 'figlet' && entry.settings) {
+            this.applyFigletSettings(entry.settings);
+        }
+        this.renderOutput(entry.content, entry.colors, entry.backgrounds);
+        this.updateHistoryButtons();
+        this.updateStatus(entry.transforms.length > 0 ? `Restored (${entry.transforms.join(', ')})` : 'Restored');
+    }
+
+    /**
+     * Enable undo and redo when the history allows them
+     */
+    updateHistoryButtons() {
+        this.elements.get('undoBtn').disabled = !this.history.canUndo();
+        this.elements.get('redoBtn').disabled = !this.history.canRedo();
+    }
+
     /**
      * Set action buttons enabled state
      */
@@ -712,6 +2229,9 @@ class AsciiArtApp {
         this.elements.get('copyDiscordBtn').disabled = !enabled;
         this.elements.get('expandBtn').disabled = !enabled;
         this.elements.get('saveToolBtn').disabled = !enabled;
+        ['mirrorBtn', 'flipBtn', 'rotateBtn'].forEach(key => {
+            this.elements.get(key).disabled = !enabled;
+        });
         
         // Show/hide save tool
         const saveToolContainer = this.elements.get('saveToolContainer');
@@ -831,7 +2351,7 @@ class AsciiArtApp {
             // Perform the save
             const metadata = this.getCurrentMetadata();
             await this.exportManager.download(this.state.lastGenerated, format, metadata);
-            this.updateStatus(`Saved as ${format.toUpperCase()}`);
+            this.updateStatus(this.getSaveStatus(format));
             
             // Close the menu
             this.closeSaveTool();
@@ -886,11 +2406,18 @@ class AsciiArtApp {
             timestamp: new Date().toISOString(),
         };
 
+        if (this.state.outputTransforms.length > 0) {
+            metadata.transforms = this.state.outputTransforms;
+        }
+
         // Add mode-specific metadata
         switch (this.state.currentMode) {
             case 'text':
                 metadata.font = this.elements.get('fontSelect').value;
                 metadata.spacing = this.elements.get('spacingSelect').value;
+                metadata.effects = this.getTextEffects().map(effect => effect.type);
+                metadata.vertical = this.elements.get('textVertical').checked;
+                metadata.wrap = parseInt(this.elements.get('textWrapWidth').value) || null;
                 metadata.input = this.elements.get('textInput').value;
                 break;
                 
@@ -898,18 +2425,49 @@ class AsciiArtApp {
                 metadata.width = this.elements.get('widthInput').value;
                 metadata.density = this.elements.get('densitySelect').value;
                 metadata.edgeDetection = this.elements.get('edgeDetection').checked;
-                metadata.dithering = this.elements.get('dithering').checked;
+                metadata.dithering = this.getDitheringAlgorithm();
+                metadata.serpentine = this.elements.get('serpentine').checked;
+                metadata.threshold = this.elements.get('thresholdInput').value;
+                metadata.matching = this.elements.get('shapeMatching').checked ? 'shape' : 'luminance';
+                metadata.adjustments = this.getImageAdjustments();
+                if (this.state.lastColors) {
+                    metadata.colorMode = this.elements.get('colorModeSelect').value;
+                    metadata.colors = this.state.lastColors;
+                    metadata.backgrounds = this.state.lastBackgrounds;
+                }
                 break;
                 
             case 'banner':
                 metadata.style = this.elements.get('bannerStyle').value;
-                metadata.input = this.elements.get('bannerInput').value;
+                metadata.input = this.elements.get('bannerUseLayout').checked
+                    ? this.elements.get('bannerLayout').value
+                    : this.elements.get('bannerInput').value;
+                metadata.vertical = this.elements.get('bannerVertical').checked;
                 break;
                 
-            case 'figlet':
-                metadata.font = this.elements.get('figletFont').value;
+            case 'figlet': {
+                const { font, horizontalLayout, verticalLayout, width, vertical } = this.getFigletOptions();
+                metadata.font = font;
+                metadata.horizontalLayout = horizontalLayout;
+                metadata.verticalLayout = verticalLayout;
+                metadata.width = width;
+                metadata.vertical = vertical;
+                metadata.effects = this.elements.get('figletEffects').value || undefined;
                 metadata.input = this.elements.get('figletInput').value;
                 break;
+            }
+
+            case 'nfo':
+                metadata.style = this.elements.get('nfoStyle').value;
+                metadata.logo = this.elements.get('nfoLogoText').value;
+                metadata.logoFont = this.elements.get('nfoLogoFont').value;
+                metadata.input = this.elements.get('nfoInput').value;
+                break;
+
+            case 'diz':
+                metadata.style = this.elements.get('dizStyle').value;
+                metadata.input = this.elements.get('dizName').value;
+                break;
         }
 
         return metadata;
@@ -991,6 +2549,18 @@ class AsciiArtApp {
                     event.preventDefault();
                     this.generateCurrent();
                     break;
+                case 'z':
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                    break;
+                case 'y':
+                    event.preventDefault();
+                    this.redo();
+                    break;
             }
         }
     }
@@ -1003,6 +2573,15 @@ class AsciiArtApp {
             case 'text':
                 this.generateText();
                 break;
+            case 'figlet':
+                this.generateFiglet();
+                break;
+            case 'nfo':
+                this.generateNfo();
+                break;
+            case 'diz':
+                this.generateDiz();
+                break;
             // Add other modes when implemented
         }
     }
@@ -1012,9 +2591,17 @@ class AsciiArtApp {
      */
     setGenerating(isGenerating) {
         this.state.isGenerating = isGenerating;
+
+        // New output starts without transforms
+        if (isGenerating) {
+            this.state.outputTransforms = [];
+        }
         
         // Disable generate buttons during generation
         this.elements.get('generateTextBtn').disabled = isGenerating;
+        this.elements.get('generateFigletBtn').disabled = isGenerating;
+        this.elements.get('generateNfoBtn').disabled = isGenerating;
+        this.elements.get('generateDizBtn').disabled = isGenerating;
         // Add other generate buttons as needed
         
         // Update status
@@ -1056,6 +2643,12 @@ class AsciiArtApp {
                 this.updateLastFormatDisplay(lastSaveFormat);
             }
 
+            // Fonts generated or edited in earlier sessions
+            this.restoreCustomFonts();
+
+            // Banner styles from the style designer
+            this.restoreCustomStyles();
+
             // Load other settings as needed
         } catch (error) {
             console.warn('Failed to load settings:', error);
@@ -1096,6 +2689,27 @@ class AsciiArtApp {
 
         // Initialize banner style preview
         this.updateBannerStylePreview();
+        this.elements.get('bannerLayout').value = BannerLayout.getTemplate();
+
+        // Fill the FIGlet font picker and presets
+        this.populateFigletFonts();
+        this.populateFigletPresets();
+
+        // Fill the NFO styles and logo fonts, starting from the template
+        this.populateNfoFonts();
+        this.elements.get('nfoInput').value = NfoComposer.getTemplate();
+        this.populateStyleSelect(this.elements.get('dizStyle'));
+
+        // Show the font editor's blank font
+        this.populateFontEditorBases();
+        this.renderFontEditor();
+
+        // Show the style designer's plain style
+        this.populateStyleDesignerBases();
+        this.renderStyleDesigner();
+
+        // Open output shared by link
+        this.loadSharedOutput();
     }
 
     /**
@@ -11,6 +11,10 @@ export const Config = {
     // Performance Limits
     LIMITS: {
         BANNER_WIDTH: 78,
+        FIT_WIDTH: 80,
+        NFO_WIDTH: 80,
+        DIZ_WIDTH: 45,
+        DIZ_LINES: 10,
         CHAR_ASPECT_RATIO: 0.5,
         MAX_IMAGE_SIZE: 200,
         MAX_MEMORY: 50 * 1024 * 1024, // 50MB
@@ -54,6 +58,9 @@ export const Config = {
         SETTINGS: 'ascii-studio-settings',
         RECENT_INPUTS: 'ascii-studio-recent',
         USER_PREFERENCES: 'ascii-studio-prefs',
+        SYNTH_FONTS: 'ascii-studio-synth-fonts',
+        CUSTOM_FONTS: 'ascii-studio-custom-fonts',
+        CUSTOM_STYLES: 'ascii-studio-custom-styles',
     },
     
     // Theme Configuration
@@ -69,6 +76,10 @@ export const Config = {
         JSON: { extension: '.json', mimeType: 'application/json' },
         MD: { extension: '.md', mimeType: 'text/markdown' },
         DISCORD: { extension: '.txt', mimeType: 'text/plain' },
+        ANSI: { extension: '.ansi', mimeType: 'text/plain' },
+        NFO: { extension: '.nfo', mimeType: 'application/octet-stream', encoding: 'cp437' },
+        DIZ: { extension: '.diz', mimeType: 'application/octet-stream', encoding: 'cp437' },
+        BBS: { extension: '.ans', mimeType: 'application/octet-stream', encoding: 'cp437' },
     },
     
     // Error Messages
@@ -112,6 +123,19 @@ export const Config = {
                 density: 'detailed',
                 edgeDetection: false,
                 dithering: false,
+                serpentine: false,
+                threshold: 128,
+                matching: 'luminance',
+                colorMode: 'none',
+                adjustments: {
+                    blur: 0,
+                    sharpen: 0,
+                    equalize: 'none',
+                    brightness: 0,
+                    contrast: 0,
+                    gamma: 1,
+                    invert: false,
+                },
             }
         },
         BANNER: {
@@ -149,7 +173,8 @@ export const Config = {
         TEXT_INPUT: {
             minLength: 1,
             maxLength: 100,
-            allowedChars: /^[a-zA-Z0-9\s\-_.!?'"()[\]{}]+$/
+            // Printable ASCII plus line breaks and tabs
+            allowedChars: /^[\x20-\x7E\t\r\n]+$/
         },
         IMAGE_UPLOAD: {
             maxSize: 10 * 1024 * 1024, // 10MB
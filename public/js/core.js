@@ -0,0 +1,63 @@
+/**
+ * ASCII Art Studio - Headless Core
+ * DOM-free entry point for Node scripts, the Cloudflare worker and tests.
+ * Images are passed as raw RGBA buffers ({ width, height, data }), so no
+ * Image, FileReader or canvas is needed.
+ */
+
+import { ImageGenerator } from './generators/image.js';
+
+export { Config, ColorPalettes, FontConfig } from './config.js';
+export { TextGenerator } from './generators/text.js';
+export { FigletGenerator } from './generators/figlet.js';
+export { WarezGenerator } from './generators/warez.js';
+export { NfoComposer, NFO_SECTIONS, NFO_LAYOUTS } from './generators/nfo.js';
+export { DizGenerator } from './generators/diz.js';
+export { ImageGenerator };
+export { ColorRenderer } from './utils/color-renderer.js';
+export { ExportManager } from './utils/export.js';
+export { Cp437, CP437 } from './utils/cp437.js';
+export { Dithering } from './utils/dithering.js';
+export { FigletFontParser } from './utils/figlet-font-parser.js';
+export { ImageAdjustments } from './utils/image-adjustments.js';
+export { TextEffects, TEXT_EFFECTS } from './utils/text-effects.js';
+export { TextTransforms, TEXT_TRANSFORMS } from './utils/text-transforms.js';
+export { AutoFit, FIT_MODES } from './utils/auto-fit.js';
+export { StyleDesigner, STYLE_FILE_FORMAT, STYLE_FIELDS } from './utils/style-designer.js';
+export { CharWidth } from './utils/char-width.js';
+export { BannerLayout, LAYOUT_ALIGNMENTS, LAYOUT_VERTICAL_ALIGNMENTS } from './utils/banner-layout.js';
+export { InputValidator, ValidationError } from './utils/validator.js';
+
+let imageGenerator = null;
+
+/**
+ * Shared generator, so glyph rasters are cached across calls
+ * @returns {ImageGenerator} Generator
+ */
+function getImageGenerator() {
+    if (!imageGenerator) {
+        imageGenerator = new ImageGenerator();
+    }
+    return imageGenerator;
+}
+
+/**
+ * Render an RGBA buffer to a frame
+ * @param {Object} image - { width, height, data } with 4 bytes per pixel
+ * @param {Object} options - ImageGenerator options (width, density, dithering, colorMode, ...)
+ * @returns {Object} Frame with text, colors, backgrounds, width and height
+ */
+export function renderImage(image, options = {}) {
+    return getImageGenerator().renderImageData(image, options);
+}
+
+/**
+ * Convert an RGBA buffer to ASCII art
+ * @param {Object} image - { width, height, data } with 4 bytes per pixel
+ * @param {Object} options - ImageGenerator options (width, density, dithering, colorMode, ...)
+ * @returns {string} ASCII art, with ANSI color sequences when colorMode is set
+ */
+export function convertImage(image, options = {}) {
+    const generator = getImageGenerator();
+    return generator.formatFrame(generator.renderImageData(image, options), options.colorMode);
+}
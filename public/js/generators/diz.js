@@ -0,0 +1,196 @@
+/**
+ * ASCII Art Studio - FILE_ID.DIZ Generator
+ * Lays out the archive description read by BBS software: a compact banner
+ * with the release name, version, disk count and a short description
+ *
+ * FILE_ID.DIZ files are at most 45 columns by 10 lines. Content that does
+ * not fit is cut to the limits and reported in the warnings rather than
+ * rejected, since BBS software would cut it anyway.
+ */
+
+import { Config } from '../config.js';
+import { WarezGenerator } from './warez.js';
+import { BannerLayout } from '../utils/banner-layout.js';
+
+// Columns between the frame and the content on each side
+const BODY_PADDING = 1;
+
+// Marks a cut line
+const ELLIPSIS = '...';
+
+export class DizGenerator extends WarezGenerator {
+    constructor() {
+        super();
+        this.bannerWidth = Config.LIMITS.DIZ_WIDTH;
+    }
+
+    /**
+     * Compose a FILE_ID.DIZ
+     * @param {Object} diz - { name, version, disk, disks, description }.
+     *   disk and disks (default 1) print as [01/01]; the description
+     *   wraps on words and keeps its line breaks.
+     * @param {Object} options - style (a warez banner style) and
+     *   textEffect (applied to the name)
+     * @returns {Object} { text, warnings } where warnings describe content
+     *   cut to fit the limits
+     */
+    compose(diz, options = {}) {
+        const { style = 'classic', textEffect = 'uppercase' } = options;
+        const styleData = this.styles[style];
+        if (!styleData) {
+            throw new Error(`Unknown style: ${style}`);
+        }
+        const name = String(diz.name || '').trim();
+        if (!name) {
+            throw new Error('DIZ name cannot be empty');
+        }
+
+        const width = this.getBodyWidth();
+        const warnings = [];
+        const lines = [
+            this.createTopBorder(styleData),
+            this.frameLine(this.centerText(this.cut(this.applyTextEffect(name, textEffect), width, 'Name', warnings), width), styleData)
+        ];
+
+        const info = this.createInfoText(diz, width, warnings);
+        if (info) {
+            lines.push(this.frameLine(info, styleData));
+        }
+
+        const description = String(diz.description || '').trim();
+        if (description) {
+            // Room left for the description between the separator and the bottom border
+            const room = Config.LIMITS.DIZ_LINES - lines.length - 2;
+            lines.push(
+                this.createSeparatorLine(styleData),
+                ...this.layoutDescription(description, width, room, warnings).map(line => this.frameLine(line, styleData))
+            );
+        }
+
+        lines.push(this.createBottomBorder(styleData));
+        return { text: lines.join('\n'), warnings };
+    }
+
+    /**
+     * Divider between the header and the description, joined to the frame
+     * with the style's junctions as in banner layouts (╠═╣ for Classic)
+     * @param {Object} style - Style data
+     * @returns {string} Line
+     */
+    createSeparatorLine(style) {
+        const { left, right } = BannerLayout.getJunctions(style);
+        return left + style.horizontal.repeat(this.bannerWidth - 2) + right;
+    }
+
+    /**
+     * Version on the left, disk count on the right
+     * @param {Object} diz - DIZ fields
+     * @param {number} width - Body width
+     * @param {Array<string>} warnings - Collects cut content
+     * @returns {string|null} Info text, or null without a version or disk count
+     */
+    createInfoText(diz, width, warnings) {
+        const disks = this.formatDisks(diz.disk, diz.disks);
+        let version = String(diz.version || '').trim();
+        if (!version && !disks) {
+            return null;
+        }
+        if (/^\d/.test(version)) {
+            version = `v${version}`;
+        }
+
+        const diskLabel = disks || '';
+        const room = diskLabel ? width - diskLabel.length - 1 : width;
+        version = this.cut(version, room, 'Version', warnings);
+        return version + ' '.repeat(width - Array.from(version).length - diskLabel.length) + diskLabel;
+    }
+
+    /**
+     * Format the disk count as [01/03]
+     * @param {number|string} disk - Disk number
+     * @param {number|string} disks - Disk total
+     * @returns {string|null} Label, or null when neither is set
+     */
+    formatDisks(disk, disks) {
+        if (disk === undefined && disks === undefined) {
+            return null;
+        }
+
+        const current = Number(disk ?? 1);
+        const total = Number(disks ?? current);
+        if (!Number.isInteger(current) || !Number.isInteger(total) || current < 1 || total > 99 || current > total) {
+            throw new Error('Disk count must be whole numbers from 1 to 99, the disk no larger than the total');
+        }
+
+        const pad = value => String(value).padStart(2, '0');
+        return `[${pad(current)}/${pad(total)}]`;
+    }
+
+    /**
+     * Wrap the description and cut it to the lines left
+     * @param {string} description - Description text
+     * @param {number} width - Body width
+     * @param {number} room - Lines available
+     * @param {Array<string>} warnings - Collects cut content
+     * @returns {Array<string>} Lines
+     */
+    layoutDescription(description, width, room, warnings) {
+        const lines = description.split(/\r?\n/)
+            .flatMap(line => this.wrapText(line.trim().replace(/\s+/g, ' '), width))
+            .map(line => this.cut(line, width, 'Description word', warnings));
+
+        if (lines.length <= room) {
+            return lines;
+        }
+
+        warnings.push(`Description cut to ${room} of ${lines.length} lines to fit ${Config.LIMITS.DIZ_LINES} lines`);
+        const kept = lines.slice(0, room);
+        const last = Array.from(kept[room - 1]).slice(0, width - ELLIPSIS.length).join('').trimEnd();
+        kept[room - 1] = last + ELLIPSIS;
+        return kept;
+    }
+
+    /**
+     * Cut text to a width, noting it in the warnings
+     * @param {string} text - Text
+     * @param {number} width - Maximum width
+     * @param {string} label - What the text is, for the warning
+     * @param {Array<string>} warnings - Collects cut content
+     * @returns {string}
+     */
+    cut(text, width, label, warnings) {
+        const chars = Array.from(text);
+        if (chars.length <= width) {
+            return text;
+        }
+        warnings.push(`${label} "${text}" cut to ${width} columns`);
+        return chars.slice(0, width).join('');
+    }
+
+    /**
+     * @param {string} text - Text no wider than the width
+     * @param {number} width - Width
+     * @returns {string} Text centered in the width
+     */
+    centerText(text, width) {
+        return ' '.repeat(Math.floor((width - Array.from(text).length) / 2)) + text;
+    }
+
+    /**
+     * Pad content to the body width and add the side borders
+     * @param {string} text - Content no wider than the body width
+     * @param {Object} style - Style data
+     * @returns {string} Framed line
+     */
+    frameLine(text, style) {
+        const padding = ' '.repeat(BODY_PADDING);
+        return style.vertical + padding + text + ' '.repeat(this.getBodyWidth() - Array.from(text).length) + padding + style.vertical;
+    }
+
+    /**
+     * @returns {number} Columns available for content
+     */
+    getBodyWidth() {
+        return this.bannerWidth - 2 - BODY_PADDING * 2;
+    }
+}
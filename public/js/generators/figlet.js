@@ -6,6 +6,24 @@ let-style text art with various fonts
  */
 
 import { Config } from '../config.js';
+import { FigletFontParser, FIGLET_LAYOUT } from '../utils/figlet-font-parser.js';
+import { TextEffects } from '../utils/text-effects.js';
+import { TextTransforms } from '../utils/text-transforms.js';
+
+// Horizontal smushing rule bits (equal, underscore, hierarchy, pair, big X, hardblank)
+const HORIZONTAL_RULES = 63;
+
+// Vertical smushing rule bits (equal, underscore, hierarchy, horizontal line, vertical line)
+const VERTICAL_RULES = 256 | 512 | 1024 | 2048 | 4096;
+
+const UNDERSCORE_REPLACEMENTS = '|/\\[]{}()<>';
+
+// Hierarchy rule: the character from the later class wins
+const HIERARCHY_CLASSES = ['|', '/\\', '[]', '{}', '()', '<>'];
+
+const OPPOSITE_PAIRS = ['[]', '][', '{}', '}{', '()', ')('];
+
+const BIG_X = { '/\\': '|', '\\/': 'Y', '><': 'X' };
 
 export class FigletGenerator {
     constructor() {
@@ -21,11 +39,7 @@ export class FigletGenerator {
      */
     async generate(text, options = {}) {
         try {
-            const {
-                font = 'standard',
-                horizontalLayout = 'default',
-                verticalLayout = 'default'
-            } = options;
+            const { font = 'standard', effects = [], transforms = [] } = options;
 
             // Validate input
             const validation = this.validateInput(text);
@@ -40,9 +54,12 @@ export class FigletGenerator {
             }
 
             // Convert text to FIGlet
-            const figletArt = this.convertTextToFiglet(text, fontData, options);
+            let figletArt = this.convertTextToFiglet(text, fontData, options);
 
-            return figletArt;
+            if (effects.length > 0) {
+                figletArt = TextEffects.apply(figletArt.split('\n'), effects).join('\n');
+            }
+            return TextTransforms.apply(figletArt, transforms);
         } catch (error) {
             console.error('FIGlet generation failed:', error);
             throw error;
@@ -51,101 +68,477 @@ export class FigletGenerator {
 
     /**
      * Convert text to FIGlet using font data
-     * @param {string} text - Input text
+     * Each input line becomes a FIGure, wrapped at word boundaries when a
+     * width is given, and the FIGures are stacked with the vertical layout.
+     * With the vertical option each letter is its own centered FIGure instead.
+     * @param {string} text - Input text, lines separated by newlines
      * @param {Object} fontData - Font character data
-     * @param {Object} options - Generation options
+     * @param {Object} options - Generation options (horizontalLayout, verticalLayout, width, vertical)
      * @returns {string} FIGlet art
      */
     convertTextToFiglet(text, fontData, options) {
-        const cleanText = text.toUpperCase().trim();
-        const lines = Array(fontData.height).fill('');
-
-        for (let i = 0; i < cleanText.length; i++) {
-            const char = cleanText[i];
-            const charLines = this.getCharacterLines(char, fontData);
-
-            // Add character to each line with optional kerning
-            for (let lineIdx = 0; lineIdx < fontData.height; lineIdx++) {
-                if (i > 0 && options.horizontalLayout !== 'full') {
-                    // Apply kerning between characters
-                    const overlap = this.calculateKerning(
-                        lines[lineIdx],
-                        charLines[lineIdx],
-                        fontData
-                    );
-                    if (overlap > 0) {
-                        lines[lineIdx] = lines[lineIdx].slice(0, -overlap);
-                    }
-                }
-                lines[lineIdx] += charLines[lineIdx];
-            }
+        const mode = this.getSmushMode(fontData, options.horizontalLayout);
+        const verticalMode = this.getVerticalSmushMode(fontData, options.verticalLayout);
+        const hardblank = fontData.hardblank || '$';
+
+        const figures = options.vertical
+            ? this.renderVertical(text, fontData, mode)
+            : text.trim().split(/\r?\n/)
+                .flatMap(line => this.wrapLine(line.trim(), fontData, mode, options.width));
+        const rows = this.stackFigures(figures, verticalMode, hardblank);
+
+        // Hardblanks only block smushing; they print as spaces
+        return rows.map(row => row.split(hardblank).join(' ')).join('\n');
+    }
+
+    /**
+     * Render each letter as a FIGure centered on the widest, top to bottom
+     * @param {string} text - Input text
+     * @param {Object} fontData - Font character data
+     * @param {number} mode - Horizontal smush mode
+     * @returns {Array<Array<string>>} FIGures
+     */
+    renderVertical(text, fontData, mode) {
+        const figures = TextTransforms.toVerticalLines(text).map(char => this.renderLine(char, fontData, mode));
+        const rows = TextTransforms.centerBlocks(figures);
+        return figures.map((figure, i) => rows.slice(i * fontData.height, (i + 1) * fontData.height));
+    }
+
+    /**
+     * Render one line of text as a FIGure
+     * @param {string} text - Single line of text
+     * @param {Object} fontData - Font character data
+     * @param {number} mode - Horizontal smush mode
+     * @returns {Array<string>} FIGure rows of equal width
+     */
+    renderLine(text, fontData, mode) {
+        let lines = Array(fontData.height).fill('');
+        let previousWidth = 0;
+
+        for (const char of text) {
+            const charLines = this.padCharacter(this.getCharacterLines(char, fontData), fontData.height);
+            const charWidth = charLines[0].length;
+            const context = { mode, hardblank: fontData.hardblank || '$', previousWidth, charWidth };
+
+            const amount = this.calculateSmushAmount(lines, charLines, context);
+            lines = lines.map((line, row) => this.addCharacter(line, charLines[row], amount, context));
+            previousWidth = charWidth;
         }
 
-        return lines.join('\n');
+        return lines;
     }
 
     /**
-     * Get character lines from font
-     * @param {string} char - Character
-     * @param {Object} fontData - Font data
-     * @returns {Array<string>} Character lines
+     * Render a line, breaking it into several FIGures to fit a width
+     * Breaks fall between words, like figlet -w; words wider than the
+     * width on their own are split between characters.
+     * @param {string} text - Single line of text
+     * @param {Object} fontData - Font character data
+     * @param {number} mode - Horizontal smush mode
+     * @param {number|null} width - Maximum FIGure width in columns
+     * @returns {Array<Array<string>>} FIGures
      */
-    getCharacterLines(char, fontData) {
-        if (char === ' ') {
-            return Array(fontData.height).fill('  ');
+    wrapLine(text, fontData, mode, width) {
+        if (!width || width <= 0) {
+            return [this.renderLine(text, fontData, mode)];
         }
 
-        if (fontData.chars[char]) {
-            return fontData.chars[char];
+        const fits = candidate => this.renderLine(candidate, fontData, mode)[0].length <= width;
+        const figures = [];
+        let current = '';
+
+        for (const word of text.split(/\s+/).filter(Boolean)) {
+            const candidate = current ? `${current} ${word}` : word;
+            if (fits(candidate)) {
+                current = candidate;
+                continue;
+            }
+
+            if (current) {
+                figures.push(this.renderLine(current, fontData, mode));
+                current = '';
+            }
+
+            // Split words that are too wide for a line of their own
+            for (const char of word) {
+                if (current && !fits(current + char)) {
+                    figures.push(this.renderLine(current, fontData, mode));
+                    current = '';
+                }
+                current += char;
+            }
         }
 
-        // Fallback to question mark
-        if (fontData.chars['?']) {
-            return fontData.chars['?'];
+        if (current || figures.length === 0) {
+            figures.push(this.renderLine(current, fontData, mode));
         }
+        return figures;
+    }
 
-        // Ultimate fallback
-        return Array(fontData.height).fill('█ ');
+    /**
+     * Resolve the vertical smush mode (full_layout bits) for a vertical layout
+     * @param {Object} fontData - Font data with optional fullLayout
+     * @param {string} layout - default, full, fitted, smushed or universal
+     * @returns {number} Layout bits: vertical rules, VERTICAL_FITTING and VERTICAL_SMUSHING
+     */
+    getVerticalSmushMode(fontData, layout = 'default') {
+        const fontLayout = fontData.fullLayout || 0;
+        const rules = fontLayout & VERTICAL_RULES;
+
+        switch (layout) {
+            case 'default':
+                return fontLayout & (VERTICAL_RULES | FIGLET_LAYOUT.VERTICAL_FITTING | FIGLET_LAYOUT.VERTICAL_SMUSHING);
+            case 'full':
+                return 0;
+            case 'fitted':
+                return FIGLET_LAYOUT.VERTICAL_FITTING;
+            case 'smushed':
+                return rules | FIGLET_LAYOUT.VERTICAL_SMUSHING;
+            case 'universal':
+                return FIGLET_LAYOUT.VERTICAL_SMUSHING;
+            default:
+                throw new Error(`Unknown vertical layout: ${layout}`);
+        }
     }
 
     /**
-     * Calculate kerning between two character lines
-     * @param {string} leftLine - Left character line
-     * @param {string} rightLine - Right character line
-     * @param {Object} fontData - Font data
-     * @returns {number} Overlap amount
+     * Stack FIGures top to bottom, overlapping them as the vertical mode allows
+     * @param {Array<Array<string>>} figures - FIGures to stack
+     * @param {number} mode - Vertical smush mode
+     * @param {string} hardblank - Font hardblank
+     * @returns {Array<string>} Rows of equal width
      */
-    calculateKerning(leftLine, rightLine, fontData) {
-        const hardblank = fontData.hardblank || '$';
-        let maxOverlap = 0;
+    stackFigures(figures, mode, hardblank) {
+        const width = Math.max(...figures.map(figure => figure[0].length));
+        const padded = figures.map(figure => figure.map(row => row.padEnd(width)));
 
-        // Try different overlap amounts
-        for (let overlap = 1; overlap <= 2; overlap++) {
-            if (overlap >= rightLine.length) break;
+        return padded.reduce((rows, figure) => {
+            const amount = this.calculateVerticalSmushAmount(rows, figure, mode, hardblank);
+            const merged = figure.slice(0, amount).map((row, i) => {
+                const upper = rows[rows.length - amount + i];
+                return Array.from(row, (char, column) => this.smushVertical(upper[column], char, mode, hardblank)).join('');
+            });
+            return [...rows.slice(0, rows.length - amount), ...merged, ...figure.slice(amount)];
+        });
+    }
+
+    /**
+     * Rows the lower FIGure can move up, worked out per column as FIGlet
+     * does: the blank rows at the bottom of the upper FIGure plus the blank
+     * rows at the top of the lower one, plus one row when the characters
+     * that then meet smush (more for | over | with supersmushing). The
+     * tightest column decides.
+     * @param {Array<string>} upper - Rows stacked so far
+     * @param {Array<string>} lower - Next FIGure
+     * @param {number} mode - Vertical smush mode
+     * @param {string} hardblank - Font hardblank
+     * @returns {number} Overlap in rows
+     */
+    calculateVerticalSmushAmount(upper, lower, mode, hardblank) {
+        if ((mode & (FIGLET_LAYOUT.VERTICAL_FITTING | FIGLET_LAYOUT.VERTICAL_SMUSHING)) === 0) {
+            return 0;
+        }
 
-            const leftEnd = leftLine.slice(-overlap);
-            const rightStart = rightLine.slice(0, overlap);
+        const maxAmount = Math.min(upper.length, lower.length);
+        const width = lower[0].length;
+        const isBlank = char => char === undefined || char === ' ' || char === hardblank;
 
-            // Check if overlap is safe (no collision)
-            let canOverlap = true;
-            for (let i = 0; i < overlap; i++) {
-                const leftChar = leftEnd[i];
-                const rightChar = rightStart[i];
+        let amount = maxAmount;
+        for (let column = 0; column < width; column++) {
+            let top = upper.length - 1;
+            while (top >= 0 && isBlank(upper[top][column])) {
+                top--;
+            }
+            let bottom = 0;
+            while (bottom < lower.length && isBlank(lower[bottom][column])) {
+                bottom++;
+            }
+            if (top < 0 || bottom === lower.length) {
+                continue;
+            }
 
-                // Don't overlap if both positions have visible characters
-                if (leftChar !== ' ' && leftChar !== hardblank &&
-                    rightChar !== ' ' && rightChar !== hardblank) {
-                    canOverlap = false;
+            let columnAmount = upper.length - 1 - top + bottom;
+            let smushes = 0;
+            while (top - smushes >= 0 && bottom + smushes < lower.length) {
+                const upperChar = upper[top - smushes][column];
+                const lowerChar = lower[bottom + smushes][column];
+                const superSmush = mode & FIGLET_LAYOUT.VERTICAL_LINE_SUPER && upperChar === '|' && lowerChar === '|';
+                if ((smushes > 0 && !superSmush) || isBlank(upperChar) || isBlank(lowerChar) ||
+                    this.smushVertical(upperChar, lowerChar, mode, hardblank) === null) {
                     break;
                 }
+                smushes++;
+            }
+            columnAmount += smushes;
+
+            amount = Math.min(amount, columnAmount);
+        }
+        return amount;
+    }
+
+    /**
+     * Combine two vertically overlapping characters
+     * @param {string} top - Character from the upper FIGure
+     * @param {string} bottom - Character from the lower FIGure
+     * @param {number} mode - Vertical smush mode
+     * @param {string} hardblank - Font hardblank
+     * @returns {string|null} Smushed character, or null when they cannot smush
+     */
+    smushVertical(top, bottom, mode, hardblank) {
+        if (top === ' ' || top === hardblank) {
+            return bottom === ' ' ? top : bottom;
+        }
+        if (bottom === ' ' || bottom === hardblank) {
+            return top;
+        }
+        if ((mode & FIGLET_LAYOUT.VERTICAL_SMUSHING) === 0) {
+            return null;
+        }
+
+        // Universal smushing: the lower character wins
+        if ((mode & VERTICAL_RULES) === 0) {
+            return bottom;
+        }
+
+        if (mode & FIGLET_LAYOUT.VERTICAL_EQUAL && top === bottom) {
+            return top;
+        }
+
+        if (mode & FIGLET_LAYOUT.VERTICAL_UNDERSCORE) {
+            if (top === '_' && UNDERSCORE_REPLACEMENTS.includes(bottom)) {
+                return bottom;
+            }
+            if (bottom === '_' && UNDERSCORE_REPLACEMENTS.includes(top)) {
+                return top;
+            }
+        }
+
+        if (mode & FIGLET_LAYOUT.VERTICAL_HIERARCHY) {
+            const topClass = HIERARCHY_CLASSES.findIndex(group => group.includes(top));
+            const bottomClass = HIERARCHY_CLASSES.findIndex(group => group.includes(bottom));
+            if (topClass !== -1 && bottomClass !== -1 && topClass !== bottomClass) {
+                return topClass > bottomClass ? top : bottom;
+            }
+        }
+
+        if (mode & FIGLET_LAYOUT.HORIZONTAL_LINE && ((top === '-' && bottom === '_') || (top === '_' && bottom === '-'))) {
+            return '=';
+        }
+
+        if (mode & FIGLET_LAYOUT.VERTICAL_LINE_SUPER && top === '|' && bottom === '|') {
+            return '|';
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve the smush mode (full_layout bits) for a horizontal layout
+     * @param {Object} fontData - Font data with optional fullLayout
+     * @param {string} layout - default, full, fitted, smushed or universal
+     * @returns {number} Layout bits: rules 1-32, KERNING and SMUSHING
+     */
+    getSmushMode(fontData, layout = 'default') {
+        // Built-in fonts carry no layout and are fitted
+        const fontLayout = fontData.fullLayout !== undefined ? fontData.fullLayout : FIGLET_LAYOUT.KERNING;
+        const rules = fontLayout & HORIZONTAL_RULES;
+
+        switch (layout) {
+            case 'default':
+                return fontLayout & (HORIZONTAL_RULES | FIGLET_LAYOUT.KERNING | FIGLET_LAYOUT.SMUSHING);
+            case 'full':
+                return 0;
+            case 'fitted':
+                return FIGLET_LAYOUT.KERNING;
+            case 'smushed':
+                // Controlled smushing with the font's rules; universal when it has none
+                return rules | FIGLET_LAYOUT.SMUSHING;
+            case 'universal':
+                return FIGLET_LAYOUT.SMUSHING;
+            default:
+                throw new Error(`Unknown horizontal layout: ${layout}`);
+        }
+    }
+
+    /**
+     * Columns the next character can move left: the blank gap on the
+     * tightest row, plus one more when every row can smush
+     * @param {Array<string>} lines - Output lines so far
+     * @param {Array<string>} charLines - Next character, padded to equal width
+     * @param {Object} context - Smush mode, hardblank and character widths
+     * @returns {number} Overlap in columns
+     */
+    calculateSmushAmount(lines, charLines, context) {
+        if ((context.mode & (FIGLET_LAYOUT.SMUSHING | FIGLET_LAYOUT.KERNING)) === 0) {
+            return 0;
+        }
+
+        let amount = context.charWidth;
+        for (let row = 0; row < lines.length; row++) {
+            const line = lines[row];
+            const charRow = charLines[row];
+
+            let lineEnd = Math.max(0, line.length - 1);
+            while (lineEnd > 0 && line[lineEnd] === ' ') {
+                lineEnd--;
+            }
+            let charStart = 0;
+            while (charStart < charRow.length && charRow[charStart] === ' ') {
+                charStart++;
+            }
+
+            const left = line[lineEnd];
+            const right = charRow[charStart];
+            let rowAmount = charStart + line.length - 1 - lineEnd;
+
+            if (left === undefined || left === ' ') {
+                rowAmount++;
+            } else if (right !== undefined && this.smushCharacters(left, right, context) !== null) {
+                rowAmount++;
+            }
+
+            amount = Math.min(amount, rowAmount);
+        }
+
+        return Math.max(0, amount);
+    }
+
+    /**
+     * Append a character row, smushing the overlapping columns
+     * @param {string} line - Output line
+     * @param {string} charRow - Character row
+     * @param {number} amount - Overlap in columns
+     * @param {Object} context - Smush mode, hardblank and character widths
+     * @returns {string} Combined line
+     */
+    addCharacter(line, charRow, amount, context) {
+        const result = line.split('');
+        for (let k = 0; k < amount; k++) {
+            // Columns left of the line start only ever hold the character's leading blanks
+            const column = line.length - amount + k;
+            if (column < 0) {
+                continue;
+            }
+            const merged = this.smushCharacters(result[column], charRow[k], context);
+            result[column] = merged !== null ? merged : charRow[k];
+        }
+        return result.join('') + charRow.slice(amount);
+    }
+
+    /**
+     * Combine two overlapping characters using the active smushing rules
+     * @param {string} left - Character from the output so far
+     * @param {string} right - Character from the next FIGcharacter
+     * @param {Object} context - Smush mode, hardblank and character widths
+     * @returns {string|null} Smushed character, or null when they cannot smush
+     */
+    smushCharacters(left, right, context) {
+        const { mode, hardblank, previousWidth, charWidth } = context;
+
+        if (left === ' ') {
+            return right;
+        }
+        if (right === ' ') {
+            return left;
+        }
+        // Narrow characters (such as a lone space) never smush
+        if (previousWidth < 2 || charWidth < 2) {
+            return null;
+        }
+        if ((mode & FIGLET_LAYOUT.SMUSHING) === 0) {
+            return null;
+        }
+
+        // Universal smushing: the later character wins, except over hardblanks
+        if ((mode & HORIZONTAL_RULES) === 0) {
+            if (left === hardblank) {
+                return right;
             }
+            if (right === hardblank) {
+                return left;
+            }
+            return right;
+        }
 
-            if (canOverlap) {
-                maxOverlap = overlap;
+        if (mode & FIGLET_LAYOUT.HARDBLANK && left === hardblank && right === hardblank) {
+            return left;
+        }
+        if (left === hardblank || right === hardblank) {
+            return null;
+        }
+
+        if (mode & FIGLET_LAYOUT.EQUAL && left === right) {
+            return left;
+        }
+
+        if (mode & FIGLET_LAYOUT.UNDERSCORE) {
+            if (left === '_' && UNDERSCORE_REPLACEMENTS.includes(right)) {
+                return right;
+            }
+            if (right === '_' && UNDERSCORE_REPLACEMENTS.includes(left)) {
+                return left;
             }
         }
 
-        return maxOverlap;
+        if (mode & FIGLET_LAYOUT.HIERARCHY) {
+            const leftClass = HIERARCHY_CLASSES.findIndex(group => group.includes(left));
+            const rightClass = HIERARCHY_CLASSES.findIndex(group => group.includes(right));
+            if (leftClass !== -1 && rightClass !== -1 && leftClass !== rightClass) {
+                return leftClass > rightClass ? left : right;
+            }
+        }
+
+        if (mode & FIGLET_LAYOUT.OPPOSITE_PAIR && OPPOSITE_PAIRS.includes(left + right)) {
+            return '|';
+        }
+
+        if (mode & FIGLET_LAYOUT.BIG_X && BIG_X[left + right]) {
+            return BIG_X[left + right];
+        }
+
+        return null;
+    }
+
+    /**
+     * Pad character rows to the font height and a common width
+     * @param {Array<string>} charLines - Character rows
+     * @param {number} height - Font height
+     * @returns {Array<string>} Rectangular rows
+     */
+    padCharacter(charLines, height) {
+        const rows = Array.from({ length: height }, (_, row) => charLines[row] || '');
+        const width = Math.max(...rows.map(row => row.length));
+        return rows.map(row => row.padEnd(width));
+    }
+
+    /**
+     * Get character lines from font
+     * @param {string} char - Character
+     * @param {Object} fontData - Font data
+     * @returns {Array<string>} Character lines
+     */
+    getCharacterLines(char, fontData) {
+        if (fontData.chars[char]) {
+            return fontData.chars[char];
+        }
+
+        // Fonts without lowercase render it with the capitals, as figlet fonts do
+        const upper = char.toUpperCase();
+        if (fontData.chars[upper]) {
+            return fontData.chars[upper];
+        }
+
+        if (char === ' ') {
+            return Array(fontData.height).fill('  ');
+        }
+
+        // Fallback to question mark
+        if (fontData.chars['?']) {
+            return fontData.chars['?'];
+        }
+
+        // Ultimate fallback
+        return Array(fontData.height).fill('█ ');
     }
 
     /**
@@ -190,6 +583,87 @@ export class FigletGenerator {
         return fontId.charAt(0).toUpperCase() + fontId.slice(1).replace(/[_-]/g, ' ');
     }
 
+    /**
+     * Parse a FIGfont (.flf) and register it
+     * @param {string} id - Font identifier
+     * @param {string} source - Contents of the .flf file
+     * @returns {Object} Parsed font data
+     */
+    loadFont(id, source) {
+        const fontData = FigletFontParser.parse(source);
+        this.addFont(id, fontData);
+        return fontData;
+    }
+
+    /**
+     * Load a FIGfont from an uploaded file
+     * @param {File} file - .flf file
+     * @param {string} id - Font identifier (defaults to the file name)
+     * @returns {Promise<string>} Registered font identifier
+     */
+    async loadFontFromFile(file, id = this.getFontId(file.name)) {
+        this.loadFont(id, await file.text());
+        return id;
+    }
+
+    /**
+     * Load a FIGfont from a URL
+     * @param {string} url - Address of the .flf file
+     * @param {string} id - Font identifier (defaults to the file name in the URL)
+     * @returns {Promise<string>} Registered font identifier
+     */
+    async loadFontFromUrl(url, id = this.getFontId(url.split(/[?#]/)[0])) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load font: ${response.status} ${response.statusText}`);
+        }
+
+        this.loadFont(id, await response.text());
+        return id;
+    }
+
+    /**
+     * Derive a font identifier from a file name or path
+     * @param {string} name - File name, e.g. "fonts/Slant.flf"
+     * @returns {string} Font identifier, e.g. "slant"
+     */
+    getFontId(name) {
+        const id = String(name || '')
+            .split('/').pop()
+            .replace(/\.flf$/i, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9_-]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        if (!id) {
+            throw new Error('Cannot derive a font name; please provide one');
+        }
+        return id;
+    }
+
+    /**
+     * Add custom font
+     * @param {string} id - Font identifier
+     * @param {Object} fontData - Font data
+     */
+    addFont(id, fontData) {
+        if (!fontData.height || !fontData.chars) {
+            throw new Error('Invalid font data format');
+        }
+        this.fonts.set(id, fontData);
+    }
+
+    /**
+     * Remove font
+     * @param {string} id - Font identifier
+     */
+    removeFont(id) {
+        if (id === 'standard') {
+            throw new Error('Cannot remove standard font');
+        }
+        return this.fonts.delete(id);
+    }
+
     /**
      * Load built-in FIGlet fonts
      */
@@ -198,6 +672,9 @@ export class FigletGenerator {
         this.fonts.set('standard', {
             height: 6,
             hardblank: '$',
+            // Layout of figlet's standard.flf: smushing rules 1-4
+            oldLayout: 15,
+            fullLayout: 24463,
             chars: {
                 'A': [
                     '    ___    ',
@@ -511,13 +988,454 @@ export class FigletGenerator {
                     ' _ ',
                     '(_)'
                 ],
+                'a': [
+                    '       ',
+                    '  __ _ ',
+                    ' / _` |',
+                    '| (_| |',
+                    ' \\__,_|',
+                    '       '
+                ],
+                'b': [
+                    ' _     ',
+                    '| |__  ',
+                    '| \'_ \\ ',
+                    '| |_) |',
+                    '|_.__/ ',
+                    '       '
+                ],
+                'c': [
+                    '      ',
+                    '  ___ ',
+                    ' / __|',
+                    '| (__ ',
+                    ' \\___|',
+                    '      '
+                ],
+                'd': [
+                    '     _ ',
+                    '  __| |',
+                    ' / _` |',
+                    '| (_| |',
+                    ' \\__,_|',
+                    '       '
+                ],
+                'e': [
+                    '      ',
+                    '  ___ ',
+                    ' / _ \\',
+                    '|  __/',
+                    ' \\___|',
+                    '      '
+                ],
+                'f': [
+                    '  __ ',
+                    ' / _|',
+                    '| |_ ',
+                    '|  _|',
+                    '|_|  ',
+                    '     '
+                ],
+                'g': [
+                    '       ',
+                    '  __ _ ',
+                    ' / _` |',
+                    '| (_| |',
+                    ' \\__, |',
+                    ' |___/ '
+                ],
+                'h': [
+                    ' _     ',
+                    '| |__  ',
+                    '| \'_ \\ ',
+                    '| | | |',
+                    '|_| |_|',
+                    '       '
+                ],
+                'i': [
+                    ' _ ',
+                    '(_)',
+                    '| |',
+                    '| |',
+                    '|_|',
+                    '   '
+                ],
+                'j': [
+                    '   _ ',
+                    '  (_)',
+                    '  | |',
+                    '  | |',
+                    ' _/ |',
+                    '|__/ '
+                ],
+                'k': [
+                    ' _    ',
+                    '| | __',
+                    '| |/ /',
+                    '|   < ',
+                    '|_|\\_\\',
+                    '      '
+                ],
+                'l': [
+                    ' _ ',
+                    '| |',
+                    '| |',
+                    '| |',
+                    '|_|',
+                    '   '
+                ],
+                'm': [
+                    '           ',
+                    ' _ __ ___  ',
+                    '| \'_ ` _ \\ ',
+                    '| | | | | |',
+                    '|_| |_| |_|',
+                    '           '
+                ],
+                'n': [
+                    '       ',
+                    ' _ __  ',
+                    '| \'_ \\ ',
+                    '| | | |',
+                    '|_| |_|',
+                    '       '
+                ],
+                'o': [
+                    '       ',
+                    '  ___  ',
+                    ' / _ \\ ',
+                    '| (_) |',
+                    ' \\___/ ',
+                    '       '
+                ],
+                'p': [
+                    '       ',
+                    ' _ __  ',
+                    '| \'_ \\ ',
+                    '| |_) |',
+                    '| .__/ ',
+                    '|_|    '
+                ],
+                'q': [
+                    '       ',
+                    '  __ _ ',
+                    ' / _` |',
+                    '| (_| |',
+                    ' \\__, |',
+                    '    |_|'
+                ],
+                'r': [
+                    '      ',
+                    ' _ __ ',
+                    '| \'__|',
+                    '| |   ',
+                    '|_|   ',
+                    '      '
+                ],
+                's': [
+                    '     ',
+                    ' ___ ',
+                    '/ __|',
+                    '\\__ \\',
+                    '|___/',
+                    '     '
+                ],
+                't': [
+                    ' _   ',
+                    '| |_ ',
+                    '| __|',
+                    '| |_ ',
+                    ' \\__|',
+                    '     '
+                ],
+                'u': [
+                    '       ',
+                    ' _   _ ',
+                    '| | | |',
+                    '| |_| |',
+                    ' \\__,_|',
+                    '       '
+                ],
+                'v': [
+                    '       ',
+                    '__   __',
+                    '\\ \\ / /',
+                    ' \\ V / ',
+                    '  \\_/  ',
+                    '       '
+                ],
+                'w': [
+                    '          ',
+                    '__      __',
+                    '\\ \\ /\\ / /',
+                    ' \\ V  V / ',
+                    '  \\_/\\_/  ',
+                    '          '
+                ],
+                'x': [
+                    '      ',
+                    '__  __',
+                    '\\ \\/ /',
+                    ' >  < ',
+                    '/_/\\_\\',
+                    '      '
+                ],
+                'y': [
+                    '       ',
+                    ' _   _ ',
+                    '| | | |',
+                    '| |_| |',
+                    ' \\__, |',
+                    ' |___/ '
+                ],
+                'z': [
+                    '     ',
+                    ' ____',
+                    '|_  /',
+                    ' / / ',
+                    '/___|',
+                    '     '
+                ],
+                '"': [
+                    ' _ _ ',
+                    '( | )',
+                    ' V V ',
+                    '     ',
+                    '     ',
+                    '     '
+                ],
+                '#': [
+                    '   _  _   ',
+                    ' _| || |_ ',
+                    '|_  ..  _|',
+                    '|_      _|',
+                    '  |_||_|  ',
+                    '          '
+                ],
+                '$': [
+                    '  _  ',
+                    ' | | ',
+                    '/ __)',
+                    '\\__ \\',
+                    '(   /',
+                    ' |_| '
+                ],
+                '%': [
+                    ' _  __',
+                    '(_)/ /',
+                    '  / / ',
+                    ' / /_ ',
+                    '/_/(_)',
+                    '      '
+                ],
+                '&': [
+                    '  ___   ',
+                    ' ( _ )  ',
+                    ' / _ \\/\\',
+                    '| (_>  <',
+                    ' \\___/\\/',
+                    '        '
+                ],
+                '\'': [
+                    ' _ ',
+                    '( )',
+                    '|/ ',
+                    '   ',
+                    '   ',
+                    '   '
+                ],
+                '(': [
+                    '  __',
+                    ' / /',
+                    '| | ',
+                    '| | ',
+                    '| | ',
+                    ' \\_\\'
+                ],
+                ')': [
+                    '__  ',
+                    '\\ \\ ',
+                    ' | |',
+                    ' | |',
+                    ' | |',
+                    '/_/ '
+                ],
+                '*': [
+                    '      ',
+                    '__/\\__',
+                    '\\    /',
+                    '/_  _\\',
+                    '  \\/  ',
+                    '      '
+                ],
+                '+': [
+                    '       ',
+                    '   _   ',
+                    ' _| |_ ',
+                    '|_   _|',
+                    '  |_|  ',
+                    '       '
+                ],
+                ',': [
+                    '   ',
+                    '   ',
+                    '   ',
+                    ' _ ',
+                    '( )',
+                    '|/ '
+                ],
+                '-': [
+                    '       ',
+                    '       ',
+                    ' _____ ',
+                    '|_____|',
+                    '       ',
+                    '       '
+                ],
+                '/': [
+                    '    __',
+                    '   / /',
+                    '  / / ',
+                    ' / /  ',
+                    '/_/   ',
+                    '      '
+                ],
+                ':': [
+                    '   ',
+                    ' _ ',
+                    '(_)',
+                    ' _ ',
+                    '(_)',
+                    '   '
+                ],
+                ';': [
+                    '   ',
+                    ' _ ',
+                    '(_)',
+                    ' _ ',
+                    '( )',
+                    '|/ '
+                ],
+                '<': [
+                    '  __',
+                    ' / /',
+                    '/ / ',
+                    '\\ \\ ',
+                    ' \\_\\',
+                    '    '
+                ],
+                '=': [
+                    '       ',
+                    ' _____ ',
+                    '|_____|',
+                    '|_____|',
+                    '       ',
+                    '       '
+                ],
+                '>': [
+                    '__  ',
+                    '\\ \\ ',
+                    ' \\ \\',
+                    ' / /',
+                    '/_/ ',
+                    '    '
+                ],
+                '@': [
+                    '   ____  ',
+                    '  / __ \\ ',
+                    ' / / _` |',
+                    '| | (_| |',
+                    ' \\ \\__,_|',
+                    '  \\____/ '
+                ],
+                '[': [
+                    ' __ ',
+                    '| _|',
+                    '| | ',
+                    '| | ',
+                    '| | ',
+                    '|__|'
+                ],
+                '\\': [
+                    '__    ',
+                    '\\ \\   ',
+                    ' \\ \\  ',
+                    '  \\ \\ ',
+                    '   \\_\\',
+                    '      '
+                ],
+                ']': [
+                    ' __ ',
+                    '|_ |',
+                    ' | |',
+                    ' | |',
+                    ' | |',
+                    '|__|'
+                ],
+                '^': [
+                    ' /\\ ',
+                    '|/\\|',
+                    '    ',
+                    '    ',
+                    '    ',
+                    '    '
+                ],
+                '_': [
+                    '       ',
+                    '       ',
+                    '       ',
+                    '       ',
+                    ' _____ ',
+                    '|_____|'
+                ],
+                '`': [
+                    ' _ ',
+                    '( )',
+                    ' \\|',
+                    '   ',
+                    '   ',
+                    '   '
+                ],
+                '{': [
+                    '   __',
+                    '  / /',
+                    ' | | ',
+                    '< <  ',
+                    ' | | ',
+                    '  \\_\\'
+                ],
+                '|': [
+                    ' _ ',
+                    '| |',
+                    '| |',
+                    '| |',
+                    '| |',
+                    '|_|'
+                ],
+                '}': [
+                    '__   ',
+                    '\\ \\  ',
+                    ' | | ',
+                    '  > >',
+                    ' | | ',
+                    '/_/  '
+                ],
+                '~': [
+                    ' /\\/|',
+                    '|/\\/ ',
+                    '     ',
+                    '     ',
+                    '     ',
+                    '     '
+                ],
+                // Hardblanks, as in standard.flf, so fitting and smushing keep word spaces
                 ' ': [
-                    '  ',
-                    '  ',
-                    '  ',
-                    '  ',
-                    '  ',
-                    '  '
+                    '$',
+                    '$',
+                    '$',
+                    '$',
+                    '$',
+                    '$'
                 ]
             }
         });
@@ -762,13 +1680,391 @@ export class FigletGenerator {
                     '########'
                 ],
                 ' ': [
-                    '   ',
-                    '   ',
-                    '   ',
-                    '   ',
-                    '   ',
-                    '   ',
-                    '   '
+                    '$',
+                    '$',
+                    '$',
+                    '$',
+                    '$',
+                    '$',
+                    '$'
+                ],
+                '!': [
+                    '####',
+                    '####',
+                    '####',
+                    ' ## ',
+                    '    ',
+                    '####',
+                    '####'
+                ],
+                '"': [
+                    '#### #### ',
+                    '#### #### ',
+                    ' ##   ##  ',
+                    '          ',
+                    '          ',
+                    '          ',
+                    '          '
+                ],
+                '#': [
+                    '  ## ##   ',
+                    '  ## ##   ',
+                    '######### ',
+                    '  ## ##   ',
+                    '######### ',
+                    '  ## ##   ',
+                    '  ## ##   '
+                ],
+                '$': [
+                    ' ######## ',
+                    '##  ##    ',
+                    '##  ##    ',
+                    ' ######## ',
+                    '    ##  ##',
+                    '    ##  ##',
+                    ' ######## '
+                ],
+                '%': [
+                    '#####   ##  ',
+                    '## ##  ##   ',
+                    '##### ##    ',
+                    '     ##     ',
+                    '    ## #####',
+                    '   ##  ## ##',
+                    '  ##   #####'
+                ],
+                '&': [
+                    '  ####    ',
+                    ' ##  ##   ',
+                    '  ####    ',
+                    ' ####     ',
+                    '##  ## ## ',
+                    '##   ##   ',
+                    ' ####  ## '
+                ],
+                '\'': [
+                    '#### ',
+                    '#### ',
+                    ' ##  ',
+                    '##   ',
+                    '     ',
+                    '     ',
+                    '     '
+                ],
+                '(': [
+                    '  ## ',
+                    ' ##  ',
+                    '##   ',
+                    '##   ',
+                    '##   ',
+                    ' ##  ',
+                    '  ## '
+                ],
+                ')': [
+                    '##   ',
+                    ' ##  ',
+                    '  ## ',
+                    '  ## ',
+                    '  ## ',
+                    ' ##  ',
+                    '##   '
+                ],
+                '*': [
+                    '          ',
+                    ' ##   ##  ',
+                    '  ## ##   ',
+                    '######### ',
+                    '  ## ##   ',
+                    ' ##   ##  ',
+                    '          '
+                ],
+                '+': [
+                    '         ',
+                    '   ##    ',
+                    '   ##    ',
+                    '######## ',
+                    '   ##    ',
+                    '   ##    ',
+                    '         '
+                ],
+                ',': [
+                    '     ',
+                    '     ',
+                    '     ',
+                    '#### ',
+                    '#### ',
+                    ' ##  ',
+                    '##   '
+                ],
+                '-': [
+                    '        ',
+                    '        ',
+                    '        ',
+                    '####### ',
+                    '        ',
+                    '        ',
+                    '        '
+                ],
+                '.': [
+                    '    ',
+                    '    ',
+                    '    ',
+                    '    ',
+                    '    ',
+                    '### ',
+                    '### '
+                ],
+                '/': [
+                    '      ## ',
+                    '     ##  ',
+                    '    ##   ',
+                    '   ##    ',
+                    '  ##     ',
+                    ' ##      ',
+                    '##       '
+                ],
+                '0': [
+                    '  #####  ',
+                    ' ##   ## ',
+                    '##     ##',
+                    '##     ##',
+                    '##     ##',
+                    ' ##   ## ',
+                    '  #####  '
+                ],
+                '1': [
+                    '   ##   ',
+                    ' ####   ',
+                    '   ##   ',
+                    '   ##   ',
+                    '   ##   ',
+                    '   ##   ',
+                    ' ###### '
+                ],
+                '2': [
+                    ' #######  ',
+                    '##     ## ',
+                    '       ## ',
+                    ' #######  ',
+                    '##        ',
+                    '##        ',
+                    '######### '
+                ],
+                '3': [
+                    ' #######  ',
+                    '##     ## ',
+                    '       ## ',
+                    ' #######  ',
+                    '       ## ',
+                    '##     ## ',
+                    ' #######  '
+                ],
+                '4': [
+                    '##        ',
+                    '##    ##  ',
+                    '##    ##  ',
+                    '##    ##  ',
+                    '######### ',
+                    '      ##  ',
+                    '      ##  '
+                ],
+                '5': [
+                    '######## ',
+                    '##       ',
+                    '##       ',
+                    '#######  ',
+                    '      ## ',
+                    '##    ## ',
+                    ' ######  '
+                ],
+                '6': [
+                    ' #######  ',
+                    '##     ## ',
+                    '##        ',
+                    '########  ',
+                    '##     ## ',
+                    '##     ## ',
+                    ' #######  '
+                ],
+                '7': [
+                    '######## ',
+                    '##    ## ',
+                    '    ##   ',
+                    '   ##    ',
+                    '  ##     ',
+                    '  ##     ',
+                    '  ##     '
+                ],
+                '8': [
+                    ' #######  ',
+                    '##     ## ',
+                    '##     ## ',
+                    ' #######  ',
+                    '##     ## ',
+                    '##     ## ',
+                    ' #######  '
+                ],
+                '9': [
+                    ' #######  ',
+                    '##     ## ',
+                    '##     ## ',
+                    ' ######## ',
+                    '       ## ',
+                    '##     ## ',
+                    ' #######  '
+                ],
+                ':': [
+                    '    ',
+                    '### ',
+                    '### ',
+                    '    ',
+                    '### ',
+                    '### ',
+                    '    '
+                ],
+                ';': [
+                    '    ',
+                    '### ',
+                    '### ',
+                    '    ',
+                    '### ',
+                    ' ## ',
+                    '##  '
+                ],
+                '<': [
+                    '   ## ',
+                    '  ##  ',
+                    ' ##   ',
+                    '##    ',
+                    ' ##   ',
+                    '  ##  ',
+                    '   ## '
+                ],
+                '=': [
+                    '      ',
+                    '      ',
+                    '##### ',
+                    '      ',
+                    '##### ',
+                    '      ',
+                    '      '
+                ],
+                '>': [
+                    '##    ',
+                    ' ##   ',
+                    '  ##  ',
+                    '   ## ',
+                    '  ##  ',
+                    ' ##   ',
+                    '##    '
+                ],
+                '?': [
+                    ' #######  ',
+                    '##     ## ',
+                    '      ##  ',
+                    '    ###   ',
+                    '    ##    ',
+                    '          ',
+                    '    ##    '
+                ],
+                '@': [
+                    ' #######  ',
+                    '##     ## ',
+                    '## ### ## ',
+                    '## ### ## ',
+                    '## #####  ',
+                    '##        ',
+                    ' #######  '
+                ],
+                '[': [
+                    '###### ',
+                    '##     ',
+                    '##     ',
+                    '##     ',
+                    '##     ',
+                    '##     ',
+                    '###### '
+                ],
+                '\\': [
+                    '##       ',
+                    ' ##      ',
+                    '  ##     ',
+                    '   ##    ',
+                    '    ##   ',
+                    '     ##  ',
+                    '      ## '
+                ],
+                ']': [
+                    '###### ',
+                    '    ## ',
+                    '    ## ',
+                    '    ## ',
+                    '    ## ',
+                    '    ## ',
+                    '###### '
+                ],
+                '^': [
+                    '  ###   ',
+                    ' ## ##  ',
+                    '##   ## ',
+                    '        ',
+                    '        ',
+                    '        ',
+                    '        '
+                ],
+                '_': [
+                    '        ',
+                    '        ',
+                    '        ',
+                    '        ',
+                    '        ',
+                    '        ',
+                    '####### '
+                ],
+                '`': [
+                    '#### ',
+                    '#### ',
+                    ' ##  ',
+                    '  ## ',
+                    '     ',
+                    '     ',
+                    '     '
+                ],
+                '{': [
+                    '  #### ',
+                    ' ##    ',
+                    ' ##    ',
+                    '###    ',
+                    ' ##    ',
+                    ' ##    ',
+                    '  #### '
+                ],
+                '|': [
+                    '## ',
+                    '## ',
+                    '## ',
+                    '## ',
+                    '## ',
+                    '## ',
+                    '## '
+                ],
+                '}': [
+                    '####   ',
+                    '   ##  ',
+                    '   ##  ',
+                    '   ### ',
+                    '   ##  ',
+                    '   ##  ',
+                    '####   '
+                ],
+                '~': [
+                    ' ####      ',
+                    '##  ##  ## ',
+                    '     ####  ',
+                    '           ',
+                    '           ',
+                    '           ',
+                    '           '
                 ]
             }
         });
@@ -777,6 +2073,9 @@ export class FigletGenerator {
         this.fonts.set('small', {
             height: 5,
             hardblank: '$',
+            // Layout of figlet's small.flf: smushing rules 1-4
+            oldLayout: 15,
+            fullLayout: 22415,
             chars: {
                 'A': [' ___ ', '| _ |', '|___|', '|   |', '|   |'],
                 'B': ['___ ', '|  \\', '|__/', '|  \\', '|__/'],
@@ -804,7 +2103,49 @@ export class FigletGenerator {
                 'X': ['_  _', '\\ \\/ /', ' >  < ', '/_/\\_\\', '      '],
                 'Y': ['_  _', '\\ \\/ /', ' \\  / ', '  \\/  ', '      '],
                 'Z': ['___', ' / /', '/ _ ', '\\__|', '   '],
-                ' ': ['  ', '  ', '  ', '  ', '  ']
+                ' ': ['$', '$', '$', '$', '$'],
+                '!': [' _ ', '| |', '|_|', '(_)', '   '],
+                '"': [' _ _ ', '( | )', ' V V ', '     ', '     '],
+                '#': ['   _ _   ', ' _| | |_ ', '|_  .  _|', '|_     _|', '  |_|_|  '],
+                '$': ['    ', ' ||_', '(_-<', '/ _/', ' || '],
+                '%': [' _  __ ', '(_)/ / ', '  / /_ ', ' /_/(_)', '       '],
+                '&': ['  __   ', ' / _|  ', ' > _|_ ', ' \\_____|', '       '],
+                '\'': [' _ ', '( )', '|/ ', '   ', '   '],
+                '(': ['  __', ' / /', '| | ', '| | ', ' \\_\\'],
+                ')': ['__  ', '\\ \\ ', ' | |', ' | |', '/_/ '],
+                '*': ['      ', '__/\\__', '\\    /', '/_  _\\', '  \\/  '],
+                '+': ['   _   ', ' _| |_ ', '|_   _|', '  |_|  ', '       '],
+                ',': ['   ', '   ', ' _ ', '( )', '|/ '],
+                '-': ['     ', ' ___ ', '|___|', '     ', '     '],
+                '.': ['   ', '   ', ' _ ', '(_)', '   '],
+                '/': ['    __', '   / /', '  / / ', ' /_/  ', '      '],
+                '0': ['  __  ', ' /  \\ ', '| () |', ' \\__/ ', '      '],
+                '1': [' _ ', '/ |', '| |', '|_|', '   '],
+                '2': [' ___ ', '|_  )', ' / / ', '/___|', '     '],
+                '3': [' ____', '|__ /', ' |_ \\', '|___/', '     '],
+                '4': [' _ _  ', '| | | ', '|_  _|', '  |_| ', '      '],
+                '5': [' ___ ', '| __|', '|__ \\', '|___/', '     '],
+                '6': ['  __ ', ' / / ', '/ _ \\', '\\___/', '     '],
+                '7': [' ____ ', '|__  |', '  / / ', ' /_/  ', '      '],
+                '8': [' ___ ', '( _ )', '/ _ \\', '\\___/', '     '],
+                '9': [' ___ ', '/ _ \\', '\\_, /', ' /_/ ', '     '],
+                ':': [' _ ', '(_)', ' _ ', '(_)', '   '],
+                ';': [' _ ', '(_)', ' _ ', '( )', '|/ '],
+                '<': ['  __', ' / /', '< < ', ' \\_\\', '    '],
+                '=': ['     ', ' ___ ', '|___|', '|___|', '     '],
+                '>': ['__  ', '\\ \\ ', ' > >', '/_/ ', '    '],
+                '?': [' ___ ', '|__ \\', '  /_/', ' (_) ', '     '],
+                '@': ['  ____  ', ' / __ \\ ', '/ / _` |', '\\ \\__,_|', ' \\____/ '],
+                '[': [' __ ', '| _|', '| | ', '| | ', '|__|'],
+                '\\': ['__    ', '\\ \\   ', ' \\ \\  ', '  \\_\\ ', '      '],
+                ']': [' __ ', '|_ |', ' | |', ' | |', '|__|'],
+                '^': [' /\\ ', '|/\\|', '    ', '    ', '    '],
+                '_': ['     ', '     ', '     ', ' ___ ', '|___|'],
+                '`': [' _ ', '( )', ' \\|', '   ', '   '],
+                '{': ['   __', '  / /', '_| | ', ' | | ', '  \\_\\'],
+                '|': [' _ ', '| |', '| |', '| |', '|_|'],
+                '}': ['__   ', '\\ \\  ', ' | |_', ' | | ', '/_/  '],
+                '~': ['     ', ' /\\/|', '|/\\/ ', '     ', '     ']
             }
         });
     }
@@ -1,9 +1,14 @@
 /**
  * ASCII Art Studio - Image Generator
- * Converts images to ASCII art using pixel luminance analysis
+ * Converts images to ASCII art using pixel luminance analysis,
+ * optionally keeping per-cell color for ANSI and HTML output
  */
 
 import { Config } from '../config.js';
+import { ColorRenderer } from '../utils/color-renderer.js';
+import { ImageAdjustments } from '../utils/image-adjustments.js';
+import { Dithering } from '../utils/dithering.js';
+import { TextTransforms } from '../utils/text-transforms.js';
 
 export class ImageGenerator {
     constructor() {
@@ -13,57 +18,259 @@ export class ImageGenerator {
             detailed: [' ', '.', ':', ';', '+', '=', 'c', 'o', 'a', 'A', '@', '#'],
             extended: [' ', '.', "'", '`', '^', '"', ',', ':', ';', 'I', 'l', '!', 'i', '>', '<', '~', '+', '_', '-', '?', ']', '[', '}', '{', '1', ')', '(', '|', '\\', '/', 't', 'f', 'j', 'r', 'x', 'n', 'u', 'v', 'c', 'z', 'X', 'Y', 'U', 'J', 'C', 'L', 'Q', '0', 'O', 'Z', 'm', 'w', 'q', 'p', 'd', 'b', 'k', 'h', 'a', 'o', '*', '#', 'M', 'W', '&', '8', '%', 'B', '@', '$']
         };
+
+        // Modes that pack a block of sub-pixels into each character cell.
+        // Block glyphs are indexed by a bitmask of inked sub-pixels,
+        // bit (y * cellWidth + x), e.g. quadrant bit 0 is top-left.
+        this.cellModes = {
+            braille: { cellWidth: 2, cellHeight: 4 },
+            halfblock: {
+                cellWidth: 1,
+                cellHeight: 2,
+                glyphs: [' ', '▀', '▄', '█']
+            },
+            quadrant: {
+                cellWidth: 2,
+                cellHeight: 2,
+                glyphs: [' ', '▘', '▝', '▀', '▖', '▌', '▞', '▛', '▗', '▚', '▐', '▜', '▄', '▙', '▟', '█']
+            }
+        };
+
+        // Sub-pixel grid compared against glyph shapes in shape matching mode
+        this.shapeCell = { cellWidth: 4, cellHeight: 8 };
+        this.shapeEdgeWeight = 0.5;
+        this.glyphCache = new Map();
     }
 
     /**
      * Generate ASCII art from image
-     * @param {File|HTMLImageElement} imageSource - Image source
+     * @param {File|HTMLImageElement|HTMLCanvasElement|ImageBitmap|string} imageSource - Image source
      * @param {Object} options - Generation options
-     * @returns {Promise<string>} ASCII art
+     * @returns {Promise<string>} ASCII art, with ANSI color sequences when colorMode is set
      */
     async generate(imageSource, options = {}) {
         try {
-            const {
-                width = 80,
-                density = 'detailed',
-                edgeDetection = false,
-                dithering = false
-            } = options;
-
-            // Load image
-            const image = await this.loadImage(imageSource);
-            
-            // Convert to canvas
-            const canvas = this.createCanvas(image, width);
-            const imageData = this.getImageData(canvas);
-            
-            // Process pixels
-            let pixels = this.extractPixels(imageData);
-            
-            if (edgeDetection) {
-                pixels = this.applyEdgeDetection(pixels, canvas.width, canvas.height);
-            }
-            
-            if (dithering) {
-                pixels = this.applyFloydSteinbergDithering(pixels, canvas.width, canvas.height);
-            }
-            
-            // Convert to ASCII
-            const asciiArt = this.pixelsToAscii(pixels, canvas.width, canvas.height, density);
-            
-            return asciiArt;
+            const frame = await this.render(imageSource, options);
+            return this.formatFrame(frame, options.colorMode);
         } catch (error) {
             console.error('Image generation failed:', error);
             throw error;
         }
     }
 
+    /**
+     * Turn a rendered frame into a string
+     * @param {Object} frame - Frame from render or convert
+     * @param {string} colorMode - none, ansi16, ansi256 or truecolor
+     * @returns {string} Plain text, or ANSI-colored text
+     */
+    formatFrame(frame, colorMode = 'none') {
+        if (colorMode === 'none') {
+            return frame.text;
+        }
+
+        return ColorRenderer.toAnsi(frame.text, frame.colors, colorMode, frame.backgrounds);
+    }
+
+    /**
+     * Render image to ASCII text together with per-cell colors
+     * Loads and resizes the source, then hands the pixels to convert().
+     * Raw RGBA buffers are resized without a canvas (see renderImageData).
+     * @param {File|HTMLImageElement|HTMLCanvasElement|ImageBitmap|ImageData|string} imageSource - Image source
+     * @param {Object} options - Generation options (see convert)
+     * @returns {Promise<Object>} Frame with text, colors, backgrounds (block modes only), width and height
+     */
+    async render(imageSource, options = {}) {
+        if (this.isPixelBuffer(imageSource)) {
+            return this.renderImageData(imageSource, options);
+        }
+
+        const { width = 80 } = options;
+        const { cellWidth, verticalScale } = this.getCellMode(options);
+
+        this.reportProgress(options, 0, 'load');
+        const image = await this.loadImage(imageSource);
+
+        // Convert to canvas, sampling cellWidth x cellHeight pixels per character
+        const canvas = this.createCanvas(image, width * cellWidth, verticalScale);
+
+        return this.convert(this.getImageData(canvas), options);
+    }
+
+    /**
+     * Render a raw RGBA buffer without any DOM or canvas APIs
+     * @param {Object} imageData - { width, height, data } with 4 bytes per pixel
+     * @param {Object} options - Generation options (see convert)
+     * @returns {Object} Frame with text, colors, backgrounds (block modes only), width and height
+     */
+    renderImageData(imageData, options = {}) {
+        const { width: sourceWidth, height: sourceHeight, data } = imageData;
+        if (!data || data.length !== sourceWidth * sourceHeight * 4) {
+            throw new Error(`Invalid RGBA buffer: expected ${sourceWidth * sourceHeight * 4} bytes`);
+        }
+
+        const { width = 80 } = options;
+        const { cellWidth, verticalScale } = this.getCellMode(options);
+        const target = this.getTargetSize(sourceWidth, sourceHeight, width * cellWidth, verticalScale);
+
+        this.reportProgress(options, 0, 'load');
+        return this.convert(this.resizeImageData(imageData, target.width, target.height), options);
+    }
+
+    /**
+     * Convert already-resized RGBA pixels to ASCII text with per-cell colors
+     * Block modes pick glyphs by threshold for monochrome output, or the best
+     * foreground/background split per cell when a colorMode is requested.
+     * Adjustments (see ImageAdjustments) run on luminance before edge
+     * detection, dithering and character mapping. `dithering` is false, true
+     * (Floyd-Steinberg) or an algorithm name from Dithering.getAlgorithms().
+     * Progress is reported between stages through `onProgress(percent, stage)`;
+     * an aborted `signal` stops the conversion at the next stage.
+     * `transforms` (see TextTransforms) mirror, flip or rotate the finished
+     * frame, colors included.
+     * @param {ImageData} imageData - RGBA pixels, cellWidth x cellHeight per character
+     * @param {Object} options - Generation options
+     * @returns {Object} Frame with text, colors, backgrounds (block modes only), width and height
+     */
+    convert(imageData, options = {}) {
+        const {
+            density = 'detailed',
+            edgeDetection = false,
+            dithering = false,
+            serpentine = false,
+            threshold = 128,
+            colorMode = 'none',
+            adjustments = null,
+            transforms = []
+        } = options;
+
+        const { cellMode, useShapes } = this.getCellMode(options);
+        const { cellWidth, cellHeight } = cellMode;
+        const { width, height } = imageData;
+
+        const columns = Math.ceil(width / cellWidth);
+        const rows = Math.ceil(height / cellHeight);
+
+        // Process pixels
+        this.reportProgress(options, 10, 'adjust');
+        const original = this.extractPixels(imageData);
+        let luminance = original;
+
+        if (ImageAdjustments.isActive(adjustments)) {
+            luminance = ImageAdjustments.apply(luminance, width, height, adjustments);
+        }
+
+        let pixels = luminance;
+
+        if (edgeDetection) {
+            this.reportProgress(options, 30, 'edges');
+            pixels = this.applyEdgeDetection(pixels, width, height);
+        }
+
+        if (dithering) {
+            this.reportProgress(options, 40, 'dither');
+            // Ramp modes quantize to one level per character, the rest to black/white
+            const ramp = this.densityRamps[density];
+            pixels = Dithering.apply(pixels, width, height, {
+                algorithm: dithering === true ? 'floyd-steinberg' : dithering,
+                levels: ramp && !useShapes ? ramp.length : 2,
+                threshold,
+                serpentine
+            });
+        }
+
+        // Colored block modes choose glyphs from the adjusted colors, or
+        // take their shapes from the edge-detected or dithered pixels
+        if (cellMode.glyphs && colorMode !== 'none') {
+            this.reportProgress(options, 60, 'map');
+            const source = luminance === original ? imageData : this.adjustColors(imageData, original, luminance);
+            const masks = edgeDetection || dithering
+                ? this.pixelsToBlockMasks(pixels, width, height, cellMode, threshold)
+                : null;
+            const frame = {
+                ...this.colorsToBlocks(source, cellMode, masks),
+                width: columns,
+                height: rows
+            };
+            this.reportProgress(options, 100, 'done');
+            return TextTransforms.applyToFrame(frame, transforms);
+        }
+
+        // Convert to ASCII
+        this.reportProgress(options, 60, 'map');
+        let text;
+        if (density === 'braille') {
+            text = this.pixelsToBraille(pixels, width, height, threshold);
+        } else if (cellMode.glyphs) {
+            text = this.pixelsToBlocks(pixels, width, height, cellMode, threshold);
+        } else if (useShapes) {
+            const ramp = this.densityRamps[density] || this.densityRamps.detailed;
+            const glyphs = this.rasterizeGlyphs(ramp, cellWidth, cellHeight);
+            text = this.pixelsToShapes(pixels, width, height, glyphs, {
+                cellWidth,
+                cellHeight,
+                gradients: this.computeGradients(luminance, width, height)
+            });
+        } else {
+            text = this.pixelsToAscii(pixels, width, height, density);
+        }
+
+        this.reportProgress(options, 90, 'color');
+        const frame = {
+            text,
+            colors: this.extractColors(imageData, cellWidth, cellHeight),
+            backgrounds: null,
+            width: columns,
+            height: rows
+        };
+        this.reportProgress(options, 100, 'done');
+        return TextTransforms.applyToFrame(frame, transforms);
+    }
+
+    /**
+     * Resolve the sub-pixel grid sampled for each character
+     * @param {Object} options - Generation options (density and matching)
+     * @returns {Object} cellMode, whether shape matching is used, and the vertical scale
+     *   that corrects for the character aspect ratio
+     */
+    getCellMode(options = {}) {
+        const { density = 'detailed', matching = 'luminance' } = options;
+        const useShapes = matching === 'shape' && !this.cellModes[density];
+        const cellMode = this.cellModes[density] || (useShapes ? this.shapeCell : { cellWidth: 1, cellHeight: 1 });
+
+        const { cellWidth, cellHeight } = cellMode;
+        const verticalScale = Config.LIMITS.CHAR_ASPECT_RATIO * cellHeight / cellWidth;
+
+        return { cellMode, useShapes, cellWidth, cellHeight, verticalScale };
+    }
+
+    /**
+     * Report conversion progress and stop if the caller cancelled
+     * @param {Object} options - Generation options with optional onProgress and signal
+     * @param {number} percent - Completion (0-100)
+     * @param {string} stage - Pipeline stage name
+     */
+    reportProgress(options, percent, stage) {
+        if (options.signal && options.signal.aborted) {
+            throw new DOMException('Image conversion cancelled', 'AbortError');
+        }
+        if (options.onProgress) {
+            options.onProgress(percent, stage);
+        }
+    }
+
     /**
      * Load image from various sources
-     * @param {File|HTMLImageElement|string} source - Image source
-     * @returns {Promise<HTMLImageElement>} Loaded image
+     * Canvases and ImageBitmaps are already decoded and are returned as-is,
+     * which is also the only path available inside a worker.
+     * @param {File|HTMLImageElement|HTMLCanvasElement|ImageBitmap|string} source - Image source
+     * @returns {Promise<HTMLImageElement|HTMLCanvasElement|ImageBitmap|OffscreenCanvas>} Drawable image
      */
     async loadImage(source) {
+        if (this.isDecoded(source)) {
+            return source;
+        }
+
         return new Promise((resolve, reject) => {
             const img = new Image();
 
@@ -92,22 +299,39 @@ export class ImageGenerator {
         });
     }
 
+    /**
+     * Check whether a source is a raw RGBA buffer such as ImageData
+     * @param {*} source - Image source
+     * @returns {boolean} True for { width, height, data } objects
+     */
+    isPixelBuffer(source) {
+        return Boolean(source) && typeof source === 'object' && !this.isDecoded(source) &&
+            ArrayBuffer.isView(source.data) && Number.isInteger(source.width) && Number.isInteger(source.height);
+    }
+
+    /**
+     * Check whether a source can be drawn without decoding
+     * @param {*} source - Image source
+     * @returns {boolean} True for canvases and ImageBitmaps
+     */
+    isDecoded(source) {
+        return (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) ||
+            (typeof OffscreenCanvas !== 'undefined' && source instanceof OffscreenCanvas) ||
+            (typeof HTMLCanvasElement !== 'undefined' && source instanceof HTMLCanvasElement);
+    }
+
     /**
      * Create canvas from image with target width
-     * @param {HTMLImageElement} image - Source image
-     * @param {number} targetWidth - Target ASCII width
-     * @returns {HTMLCanvasElement} Canvas with resized image
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - Source image
+     * @param {number} targetWidth - Target width in pixels
+     * @param {number} verticalScale - Height correction for the character aspect ratio
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas with resized image
      */
-    createCanvas(image, targetWidth) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Calculate aspect ratio
-        const aspectRatio = image.height / image.width;
-        const targetHeight = Math.floor(targetWidth * aspectRatio * 0.5); // 0.5 for character aspect ratio
+    createCanvas(image, targetWidth, verticalScale = 0.5) {
+        const { height: targetHeight } = this.getTargetSize(image.width, image.height, targetWidth, verticalScale);
         
-        canvas.width = targetWidth;
-        canvas.height = targetHeight;
+        const canvas = this.createRasterCanvas(targetWidth, targetHeight);
+        const ctx = canvas.getContext('2d');
         
         // Draw image to canvas
         ctx.drawImage(image, 0, 0, targetWidth, targetHeight);
@@ -115,6 +339,71 @@ export class ImageGenerator {
         return canvas;
     }
 
+    /**
+     * Calculate the resized pixel dimensions for a target width
+     * @param {number} sourceWidth - Source width in pixels
+     * @param {number} sourceHeight - Source height in pixels
+     * @param {number} targetWidth - Target width in pixels
+     * @param {number} verticalScale - Height correction for the character aspect ratio
+     * @returns {Object} Target width and height
+     */
+    getTargetSize(sourceWidth, sourceHeight, targetWidth, verticalScale = 0.5) {
+        const aspectRatio = sourceHeight / sourceWidth;
+        return {
+            width: targetWidth,
+            height: Math.max(1, Math.floor(targetWidth * aspectRatio * verticalScale))
+        };
+    }
+
+    /**
+     * Resize an RGBA buffer by area averaging
+     * Each target pixel averages the source pixels it covers, weighted by overlap,
+     * which handles both downscaling and upscaling without a canvas.
+     * @param {Object} imageData - { width, height, data } source
+     * @param {number} targetWidth - Target width in pixels
+     * @param {number} targetHeight - Target height in pixels
+     * @returns {Object} Resized { width, height, data } with a Uint8ClampedArray
+     */
+    resizeImageData(imageData, targetWidth, targetHeight) {
+        const { width, height, data } = imageData;
+        const result = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+        const scaleX = width / targetWidth;
+        const scaleY = height / targetHeight;
+        const sum = new Float64Array(4);
+
+        for (let ty = 0; ty < targetHeight; ty++) {
+            const y0 = ty * scaleY;
+            const y1 = y0 + scaleY;
+
+            for (let tx = 0; tx < targetWidth; tx++) {
+                const x0 = tx * scaleX;
+                const x1 = x0 + scaleX;
+                let total = 0;
+                sum.fill(0);
+
+                for (let sy = Math.floor(y0); sy < Math.min(height, Math.ceil(y1)); sy++) {
+                    const wy = Math.min(y1, sy + 1) - Math.max(y0, sy);
+                    for (let sx = Math.floor(x0); sx < Math.min(width, Math.ceil(x1)); sx++) {
+                        const weight = wy * (Math.min(x1, sx + 1) - Math.max(x0, sx));
+                        const i = (sy * width + sx) * 4;
+                        sum[0] += data[i] * weight;
+                        sum[1] += data[i + 1] * weight;
+                        sum[2] += data[i + 2] * weight;
+                        sum[3] += data[i + 3] * weight;
+                        total += weight;
+                    }
+                }
+
+                const o = (ty * targetWidth + tx) * 4;
+                for (let c = 0; c < 4; c++) {
+                    result[o + c] = sum[c] / total;
+                }
+            }
+        }
+
+        return { width: targetWidth, height: targetHeight, data: result };
+    }
+
     /**
      * Get image data from canvas
      * @param {HTMLCanvasElement} canvas - Source canvas
@@ -128,34 +417,90 @@ export class ImageGenerator {
     /**
      * Extract pixel luminance values
      * @param {ImageData} imageData - Image data
-     * @returns {Array<number>} Luminance values (0-255)
+     * @returns {Float32Array} Luminance values (0-255)
      */
     extractPixels(imageData) {
-        const pixels = [];
         const data = imageData.data;
+        const pixels = new Float32Array(data.length / 4);
         
-        for (let i = 0; i < data.length; i += 4) {
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
             const r = data[i];
             const g = data[i + 1];
             const b = data[i + 2];
             
             // Calculate luminance using standard weights
-            const luminance = Math.floor(0.299 * r + 0.587 * g + 0.114 * b);
-            pixels.push(luminance);
+            pixels[p] = Math.floor(0.299 * r + 0.587 * g + 0.114 * b);
         }
         
         return pixels;
     }
 
+    /**
+     * Extract cell colors grouped into rows
+     * Each cell's color is the average of its cellWidth x cellHeight pixel block.
+     * @param {ImageData} imageData - Image data
+     * @param {number} cellWidth - Pixels per cell horizontally
+     * @param {number} cellHeight - Pixels per cell vertically
+     * @returns {Array<Array<Array<number>>>} [r, g, b] per cell, indexed [row][column]
+     */
+    extractColors(imageData, cellWidth = 1, cellHeight = 1) {
+        const { data, width, height } = imageData;
+        const rows = [];
+
+        for (let cy = 0; cy < height; cy += cellHeight) {
+            const row = [];
+            for (let cx = 0; cx < width; cx += cellWidth) {
+                let r = 0, g = 0, b = 0, count = 0;
+
+                for (let y = cy; y < Math.min(cy + cellHeight, height); y++) {
+                    for (let x = cx; x < Math.min(cx + cellWidth, width); x++) {
+                        const i = (y * width + x) * 4;
+                        r += data[i];
+                        g += data[i + 1];
+                        b += data[i + 2];
+                        count++;
+                    }
+                }
+
+                row.push([Math.round(r / count), Math.round(g / count), Math.round(b / count)]);
+            }
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
     /**
      * Apply Sobel edge detection
      * @param {Array<number>} pixels - Pixel luminance values
      * @param {number} width - Image width
      * @param {number} height - Image height
-     * @returns {Array<number>} Edge-detected pixels
+     * @returns {Float32Array} Edge-detected pixels
      */
     applyEdgeDetection(pixels, width, height) {
-        const result = new Array(pixels.length).fill(0);
+        const { gx, gy } = this.computeGradients(pixels, width, height);
+        const result = new Float32Array(pixels.length);
+        
+        for (let i = 0; i < pixels.length; i++) {
+            // Calculate gradient magnitude
+            const magnitude = Math.sqrt(gx[i] * gx[i] + gy[i] * gy[i]);
+            result[i] = Math.min(255, magnitude);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Compute Sobel gradients
+     * Border pixels have a zero gradient.
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Object} Horizontal (gx) and vertical (gy) gradients per pixel
+     */
+    computeGradients(pixels, width, height) {
+        const gx = new Float32Array(pixels.length);
+        const gy = new Float32Array(pixels.length);
         
         // Sobel kernels
         const sobelX = [[-1, 0, 1], [-2, 0, 2], [-1, 0, 1]];
@@ -163,25 +508,61 @@ export class ImageGenerator {
         
         for (let y = 1; y < height - 1; y++) {
             for (let x = 1; x < width - 1; x++) {
-                let gx = 0, gy = 0;
+                let sx = 0, sy = 0;
                 
                 // Apply Sobel kernels
                 for (let ky = -1; ky <= 1; ky++) {
                     for (let kx = -1; kx <= 1; kx++) {
                         const idx = (y + ky) * width + (x + kx);
                         const pixel = pixels[idx];
-                        gx += pixel * sobelX[ky + 1][kx + 1];
-                        gy += pixel * sobelY[ky + 1][kx + 1];
+                        sx += pixel * sobelX[ky + 1][kx + 1];
+                        sy += pixel * sobelY[ky + 1][kx + 1];
                     }
                 }
                 
-                // Calculate gradient magnitude
-                const magnitude = Math.sqrt(gx * gx + gy * gy);
-                result[y * width + x] = Math.min(255, magnitude);
+                gx[y * width + x] = sx;
+                gy[y * width + x] = sy;
             }
         }
         
-        return result;
+        return { gx, gy };
+    }
+
+    /**
+     * Measure the dominant edge orientation of a region
+     * Uses the Sobel structure tensor: coherence is 1 for a single clean edge
+     * direction and 0 for flat or isotropic regions.
+     * @param {Object} gradients - Gradients from computeGradients
+     * @param {number} width - Image width
+     * @param {Object} region - Region { x, y, width, height }
+     * @returns {Object} Gradient angle (radians), coherence (0-1) and mean magnitude
+     */
+    measureOrientation(gradients, width, region) {
+        const { gx, gy } = gradients;
+        let jxx = 0, jyy = 0, jxy = 0, magnitude = 0, count = 0;
+
+        for (let y = region.y; y < region.y + region.height; y++) {
+            for (let x = region.x; x < region.x + region.width; x++) {
+                const i = y * width + x;
+                if (gx[i] === undefined) {
+                    continue;
+                }
+                jxx += gx[i] * gx[i];
+                jyy += gy[i] * gy[i];
+                jxy += gx[i] * gy[i];
+                magnitude += Math.sqrt(gx[i] * gx[i] + gy[i] * gy[i]);
+                count++;
+            }
+        }
+
+        const trace = jxx + jyy;
+        const coherence = trace > 0 ? Math.sqrt((jxx - jyy) ** 2 + 4 * jxy * jxy) / trace : 0;
+
+        return {
+            angle: 0.5 * Math.atan2(2 * jxy, jxx - jyy),
+            coherence,
+            magnitude: count > 0 ? magnitude / count : 0
+        };
     }
 
     /**
@@ -189,37 +570,11 @@ export class ImageGenerator {
      * @param {Array<number>} pixels - Pixel luminance values
      * @param {number} width - Image width
      * @param {number} height - Image height
+     * @param {number} threshold - Black/white cut-off (0-255)
      * @returns {Array<number>} Dithered pixels
      */
-    applyFloydSteinbergDithering(pixels, width, height) {
-        const result = [...pixels];
-        
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const idx = y * width + x;
-                const oldPixel = result[idx];
-                const newPixel = oldPixel < 128 ? 0 : 255;
-                result[idx] = newPixel;
-                
-                const error = oldPixel - newPixel;
-                
-                // Distribute error to neighboring pixels
-                if (x + 1 < width) {
-                    result[idx + 1] += error * 7 / 16;
-                }
-                if (y + 1 < height) {
-                    if (x > 0) {
-                        result[(y + 1) * width + (x - 1)] += error * 3 / 16;
-                    }
-                    result[(y + 1) * width + x] += error * 5 / 16;
-                    if (x + 1 < width) {
-                        result[(y + 1) * width + (x + 1)] += error * 1 / 16;
-                    }
-                }
-            }
-        }
-        
-        return result;
+    applyFloydSteinbergDithering(pixels, width, height, threshold = 128) {
+        return Dithering.apply(pixels, width, height, { algorithm: 'floyd-steinberg', threshold });
     }
 
     /**
@@ -250,6 +605,380 @@ export class ImageGenerator {
         return lines.join('\n');
     }
 
+    /**
+     * Rasterize characters into coverage masks for shape matching
+     * Glyphs are drawn at 8x resolution and averaged down to the cell grid;
+     * their edge orientation is measured on the full-resolution raster.
+     * @param {Array<string>} chars - Character set
+     * @param {number} cellWidth - Mask width
+     * @param {number} cellHeight - Mask height
+     * @returns {Array<Object>} Glyphs with char, coverage (0-1 per sub-pixel), angle and coherence
+     */
+    rasterizeGlyphs(chars, cellWidth, cellHeight) {
+        const key = `${cellWidth}x${cellHeight}:${chars.join('')}`;
+        if (this.glyphCache.has(key)) {
+            return this.glyphCache.get(key);
+        }
+
+        const scale = 8;
+        const rasterWidth = cellWidth * scale;
+        const rasterHeight = cellHeight * scale;
+        const canvas = this.createRasterCanvas(rasterWidth, rasterHeight);
+        const ctx = canvas && canvas.getContext('2d');
+        if (!ctx) {
+            throw new Error('Shape matching requires canvas support');
+        }
+
+        const glyphs = chars.map(char => {
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, rasterWidth, rasterHeight);
+            ctx.fillStyle = '#000';
+            ctx.font = `${rasterHeight}px monospace`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(char, rasterWidth / 2, rasterHeight / 2);
+
+            const raster = this.extractPixels(ctx.getImageData(0, 0, rasterWidth, rasterHeight));
+            const coverage = [];
+
+            for (let cy = 0; cy < cellHeight; cy++) {
+                for (let cx = 0; cx < cellWidth; cx++) {
+                    let ink = 0;
+                    for (let y = cy * scale; y < (cy + 1) * scale; y++) {
+                        for (let x = cx * scale; x < (cx + 1) * scale; x++) {
+                            ink += 255 - raster[y * rasterWidth + x];
+                        }
+                    }
+                    coverage.push(ink / (255 * scale * scale));
+                }
+            }
+
+            const { angle, coherence } = this.measureOrientation(
+                this.computeGradients(raster, rasterWidth, rasterHeight),
+                rasterWidth,
+                { x: 0, y: 0, width: rasterWidth, height: rasterHeight }
+            );
+
+            return { char, coverage, angle, coherence };
+        });
+
+        this.glyphCache.set(key, glyphs);
+        return glyphs;
+    }
+
+    /**
+     * Create a canvas for resizing and glyph rasterization
+     * Workers have no document, so they get an OffscreenCanvas.
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {HTMLCanvasElement|OffscreenCanvas|null} Canvas, or null when none is available
+     */
+    createRasterCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            // Headless environments without OffscreenCanvas have no canvas at all
+            return typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(width, height) : null;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Convert pixels to characters by comparing cell shapes with glyph shapes
+     * Each cell's darkness pattern is matched against every glyph's coverage
+     * mask. Cells on a clear edge also penalize glyphs whose stroke runs in a
+     * different direction, so diagonals become / or \ and verticals become |.
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Array<Object>} glyphs - Glyphs from rasterizeGlyphs
+     * @param {Object} options - cellWidth, cellHeight and gradients of the source luminance
+     * @returns {string} ASCII art
+     */
+    pixelsToShapes(pixels, width, height, glyphs, options) {
+        const { cellWidth, cellHeight, gradients } = options;
+        const edgeWeight = this.shapeEdgeWeight;
+        const size = cellWidth * cellHeight;
+
+        // Map full darkness to the densest glyph's coverage so the tonal range matches
+        const maxCoverage = Math.max(...glyphs.map(glyph =>
+            glyph.coverage.reduce((sum, value) => sum + value, 0) / size
+        )) || 1;
+
+        const lines = [];
+
+        for (let cy = 0; cy < height; cy += cellHeight) {
+            let line = '';
+            for (let cx = 0; cx < width; cx += cellWidth) {
+                const darkness = [];
+                for (let dy = 0; dy < cellHeight; dy++) {
+                    for (let dx = 0; dx < cellWidth; dx++) {
+                        const x = Math.min(cx + dx, width - 1);
+                        const y = Math.min(cy + dy, height - 1);
+                        darkness.push((1 - pixels[y * width + x] / 255) * maxCoverage);
+                    }
+                }
+
+                const edge = gradients
+                    ? this.measureOrientation(gradients, width, {
+                        x: cx,
+                        y: cy,
+                        width: Math.min(cellWidth, width - cx),
+                        height: Math.min(cellHeight, height - cy)
+                    })
+                    : { angle: 0, coherence: 0, magnitude: 0 };
+                const edgeStrength = edge.coherence * Math.min(1, edge.magnitude / 255);
+
+                let bestChar = glyphs[0].char;
+                let bestScore = Infinity;
+
+                for (const glyph of glyphs) {
+                    let error = 0;
+                    for (let i = 0; i < size; i++) {
+                        const diff = darkness[i] - glyph.coverage[i];
+                        error += diff * diff;
+                    }
+                    error /= size;
+
+                    if (edgeStrength > 0) {
+                        const alignment = Math.cos(edge.angle - glyph.angle) ** 2;
+                        error += edgeWeight * edgeStrength * (1 - glyph.coherence * alignment);
+                    }
+
+                    if (error < bestScore) {
+                        bestScore = error;
+                        bestChar = glyph.char;
+                    }
+                }
+
+                line += bestChar;
+            }
+            lines.push(line);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Convert pixels to braille characters
+     * Each character packs a 2x4 block of pixels; a dot is raised where the
+     * pixel is darker than the threshold (dark on light, like the ramps).
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {number} threshold - Dot cut-off (0-255)
+     * @returns {string} Braille art
+     */
+    pixelsToBraille(pixels, width, height, threshold = 128) {
+        // Bit for each dot, indexed [row][column] within the 2x4 cell
+        const dotBits = [[0x01, 0x08], [0x02, 0x10], [0x04, 0x20], [0x40, 0x80]];
+        const lines = [];
+
+        for (let cy = 0; cy < height; cy += 4) {
+            let line = '';
+            for (let cx = 0; cx < width; cx += 2) {
+                let bits = 0;
+
+                for (let dy = 0; dy < 4; dy++) {
+                    for (let dx = 0; dx < 2; dx++) {
+                        const x = cx + dx;
+                        const y = cy + dy;
+                        if (x < width && y < height && pixels[y * width + x] < threshold) {
+                            bits |= dotBits[dy][dx];
+                        }
+                    }
+                }
+
+                line += String.fromCharCode(0x2800 + bits);
+            }
+            lines.push(line);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Convert pixels to block glyphs by threshold
+     * A sub-pixel is inked where it is darker than the threshold.
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} cellMode - Cell mode with cellWidth, cellHeight and glyphs
+     * @param {number} threshold - Ink cut-off (0-255)
+     * @returns {string} Block art
+     */
+    pixelsToBlocks(pixels, width, height, cellMode, threshold = 128) {
+        return this.pixelsToBlockMasks(pixels, width, height, cellMode, threshold)
+            .map(row => row.map(mask => cellMode.glyphs[mask]).join(''))
+            .join('\n');
+    }
+
+    /**
+     * Inked sub-pixels of each cell as a glyph index
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} cellMode - Cell mode with cellWidth and cellHeight
+     * @param {number} threshold - Ink cut-off (0-255)
+     * @returns {Array<Array<number>>} Masks indexed [row][column]
+     */
+    pixelsToBlockMasks(pixels, width, height, cellMode, threshold = 128) {
+        const { cellWidth, cellHeight } = cellMode;
+        const masks = [];
+
+        for (let cy = 0; cy < height; cy += cellHeight) {
+            const row = [];
+            for (let cx = 0; cx < width; cx += cellWidth) {
+                let mask = 0;
+
+                for (let dy = 0; dy < cellHeight; dy++) {
+                    for (let dx = 0; dx < cellWidth; dx++) {
+                        const x = cx + dx;
+                        const y = cy + dy;
+                        if (x < width && y < height && pixels[y * width + x] < threshold) {
+                            mask |= 1 << (dy * cellWidth + dx);
+                        }
+                    }
+                }
+
+                row.push(mask);
+            }
+            masks.push(row);
+        }
+
+        return masks;
+    }
+
+    /**
+     * Shift each pixel's color by the change its luminance went through in
+     * the adjustments, so colored modes follow brightness, contrast and the
+     * rest while keeping their hue
+     * @param {ImageData} imageData - Image data
+     * @param {Array<number>} before - Luminance before the adjustments
+     * @param {Array<number>} after - Luminance after the adjustments
+     * @returns {Object} ImageData-like { width, height, data }
+     */
+    adjustColors(imageData, before, after) {
+        const { width, height } = imageData;
+        const data = new Uint8ClampedArray(imageData.data);
+
+        for (let p = 0, i = 0; p < before.length; p++, i += 4) {
+            const shift = after[p] - before[p];
+            data[i] += shift;
+            data[i + 1] += shift;
+            data[i + 2] += shift;
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * Convert pixel colors to block glyphs with a foreground/background pair per cell
+     * Every split of the cell's sub-pixels into two groups is tried; the split
+     * whose group means reproduce the pixels with the least squared error wins.
+     * Given masks (from edge detection or dithering) fix the split instead.
+     * @param {ImageData} imageData - Image data
+     * @param {Object} cellMode - Cell mode with cellWidth, cellHeight and glyphs
+     * @param {Array<Array<number>>|null} masks - Split for each cell, indexed [row][column]
+     * @returns {Object} Text, colors (foreground) and backgrounds, indexed [row][column]
+     */
+    colorsToBlocks(imageData, cellMode, masks = null) {
+        const { data, width, height } = imageData;
+        const { cellWidth, cellHeight, glyphs } = cellMode;
+        const lines = [];
+        const colors = [];
+        const backgrounds = [];
+
+        for (let cy = 0; cy < height; cy += cellHeight) {
+            let line = '';
+            const rowColors = [];
+            const rowBackgrounds = [];
+
+            for (let cx = 0; cx < width; cx += cellWidth) {
+                // Collect sub-pixels present in this cell with their bit positions
+                const samples = [];
+                for (let dy = 0; dy < cellHeight; dy++) {
+                    for (let dx = 0; dx < cellWidth; dx++) {
+                        const x = cx + dx;
+                        const y = cy + dy;
+                        if (x < width && y < height) {
+                            const i = (y * width + x) * 4;
+                            samples.push({
+                                bit: 1 << (dy * cellWidth + dx),
+                                rgb: [data[i], data[i + 1], data[i + 2]]
+                            });
+                        }
+                    }
+                }
+
+                const fullMask = glyphs.length - 1;
+                let best = null;
+
+                if (masks) {
+                    const mask = masks[cy / cellHeight][cx / cellWidth];
+                    const ink = samples.filter(sample => mask & sample.bit);
+                    const paper = samples.filter(sample => !(mask & sample.bit));
+                    const bg = this.averageColor(paper.length > 0 ? paper : ink);
+                    best = { mask, fg: ink.length > 0 ? this.averageColor(ink) : bg, bg };
+                }
+
+                for (let mask = 1; !masks && mask <= fullMask; mask++) {
+                    const ink = samples.filter(sample => mask & sample.bit);
+                    const paper = samples.filter(sample => !(mask & sample.bit));
+                    if (ink.length === 0) {
+                        continue;
+                    }
+
+                    const fg = this.averageColor(ink);
+                    const bg = paper.length > 0 ? this.averageColor(paper) : fg;
+                    const error = this.colorError(ink, fg) + this.colorError(paper, bg);
+
+                    if (!best || error < best.error) {
+                        best = { mask, fg, bg, error };
+                    }
+                }
+
+                line += glyphs[best.mask];
+                rowColors.push(best.fg);
+                rowBackgrounds.push(best.bg);
+            }
+
+            lines.push(line);
+            colors.push(rowColors);
+            backgrounds.push(rowBackgrounds);
+        }
+
+        return { text: lines.join('\n'), colors, backgrounds };
+    }
+
+    /**
+     * Average color of a group of samples
+     * @param {Array<Object>} samples - Samples with an rgb property
+     * @returns {Array<number>} [r, g, b]
+     */
+    averageColor(samples) {
+        const sum = [0, 0, 0];
+        samples.forEach(({ rgb }) => {
+            sum[0] += rgb[0];
+            sum[1] += rgb[1];
+            sum[2] += rgb[2];
+        });
+        return sum.map(channel => Math.round(channel / samples.length));
+    }
+
+    /**
+     * Squared error of samples against a single color
+     * @param {Array<Object>} samples - Samples with an rgb property
+     * @param {Array<number>} color - [r, g, b]
+     * @returns {number} Summed squared error
+     */
+    colorError(samples, color) {
+        return samples.reduce((sum, { rgb }) =>
+            sum + (rgb[0] - color[0]) ** 2 + (rgb[1] - color[1]) ** 2 + (rgb[2] - color[2]) ** 2, 0);
+    }
+
     /**
      * Validate image file
      * @param {File} file - Image file
@@ -279,7 +1008,7 @@ export class ImageGenerator {
      * @returns {Array<string>} Supported density types
      */
     getSupportedDensities() {
-        return Object.keys(this.densityRamps);
+        return [...Object.keys(this.densityRamps), ...Object.keys(this.cellModes)];
     }
 
     /**
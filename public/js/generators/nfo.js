@@ -0,0 +1,408 @@
+/**
+ * ASCII Art Studio - NFO Composer
+ * Builds full scene .nfo files from a logo and templated sections, framed
+ * with the warez banner styles
+ *
+ * NFO files are 80 columns wide. Every line is padded to exactly that
+ * width, body text is word-wrapped inside the frame, and a logo that does
+ * not fit is rejected rather than cut.
+ */
+
+import { Config } from '../config.js';
+import { WarezGenerator } from './warez.js';
+import { TextGenerator } from './text.js';
+import { FigletGenerator } from './figlet.js';
+import { AutoFit } from '../utils/auto-fit.js';
+
+export const NFO_LAYOUTS = ['fields', 'text', 'steps', 'names'];
+
+// Section templates: default title and how the content is laid out
+export const NFO_SECTIONS = {
+    release: { title: 'Release Info', layout: 'fields' },
+    notes: { title: 'Release Notes', layout: 'text' },
+    install: { title: 'Install', layout: 'steps' },
+    greetings: { title: 'Greetings', layout: 'names' },
+    contact: { title: 'Group Contact', layout: 'fields' }
+};
+
+// Columns between the frame and the section content on each side
+const BODY_PADDING = 2;
+
+export class NfoComposer extends WarezGenerator {
+    /**
+     * @param {Object} generators - Logo generators: { text, figlet }
+     */
+    constructor(generators = {}) {
+        super();
+        this.bannerWidth = Config.LIMITS.NFO_WIDTH;
+        this.generators = {
+            text: generators.text || new TextGenerator(),
+            figlet: generators.figlet || new FigletGenerator()
+        };
+    }
+
+    /**
+     * Compose an NFO file
+     * @param {Object} nfo - { logo, sections, footer }. The logo is a string
+     *   or { text, generator: 'text'|'figlet', font } where the font 'auto'
+     *   picks the largest that fits. Sections are { type, title, layout,
+     *   content }; type names a template from NFO_SECTIONS.
+     * @param {Object} options - style (a warez banner style)
+     * @returns {Promise<string>} NFO text, every line 80 columns wide
+     */
+    async compose(nfo, options = {}) {
+        const { style = 'classic' } = options;
+        const styleData = this.styles[style];
+        if (!styleData) {
+            throw new Error(`Unknown style: ${style}`);
+        }
+
+        const sections = (nfo.sections || []).map(section => this.normalizeSection(section));
+        const lines = [
+            this.createTopBorder(styleData),
+            this.createDecorativeLine(styleData, true)
+        ];
+
+        if (nfo.logo) {
+            const logo = await this.renderLogo(nfo.logo);
+            lines.push(
+                this.createEmptyLine(styleData),
+                ...this.centerBlock(logo).map(line => this.frameLine(line, styleData)),
+                this.createEmptyLine(styleData),
+                this.createDecorativeLine(styleData, true)
+            );
+        }
+
+        for (const section of sections) {
+            lines.push(
+                this.createEmptyLine(styleData),
+                this.createSectionHeader(section.title, styleData),
+                this.createEmptyLine(styleData),
+                ...this.layoutSection(section).map(line => this.createBodyLine(line, styleData))
+            );
+        }
+
+        lines.push(this.createEmptyLine(styleData));
+        if (nfo.footer) {
+            lines.push(
+                this.createSeparatorLine(styleData),
+                ...this.wrapWords(nfo.footer, this.getBodyWidth())
+                    .map(line => this.createTextLine(line, styleData, true, 'normal'))
+            );
+        }
+        lines.push(this.createDecorativeLine(styleData, false), this.createBottomBorder(styleData));
+
+        this.assertWidth(lines);
+        return lines.join('\n');
+    }
+
+    /**
+     * Parse NFO section source
+     * Each section starts with a [name] or [name: Title] header; names from
+     * NFO_SECTIONS use their template, any other name becomes a text
+     * section titled with it. Fields are "Key: value" lines, steps are one
+     * per line, names are separated by commas or lines.
+     * @param {string} source - Section source
+     * @returns {Array<Object>} Sections for compose()
+     */
+    static parse(source) {
+        const sections = [];
+        for (const line of String(source).split(/\r?\n/)) {
+            const header = line.trim().match(/^\[([^\]:]+)(?::([^\]]*))?\]$/);
+            if (header) {
+                const name = header[1].trim();
+                const template = NFO_SECTIONS[name.toLowerCase()];
+                const title = header[2]?.trim() || (template ? template.title : name);
+                sections.push({
+                    type: template ? name.toLowerCase() : undefined,
+                    title,
+                    layout: template ? template.layout : 'text',
+                    lines: []
+                });
+            } else if (sections.length > 0) {
+                sections.at(-1).lines.push(line.trimEnd());
+            } else if (line.trim()) {
+                throw new Error('NFO sections must start with a [section] header');
+            }
+        }
+
+        return sections.map(({ lines, ...section }) => ({
+            ...section,
+            content: this.parseContent(this.trimBlankLines(lines), section.layout)
+        }));
+    }
+
+    /**
+     * Turn section lines into content for a layout
+     * @param {Array<string>} lines - Section lines
+     * @param {string} layout - Layout from NFO_LAYOUTS
+     * @returns {Array|string} Content
+     */
+    static parseContent(lines, layout) {
+        switch (layout) {
+            case 'fields':
+                return lines.filter(line => line.trim()).reduce((fields, line) => {
+                    const separator = line.indexOf(':');
+                    if (separator === -1 && fields.length > 0) {
+                        // Lines without a key continue the previous value
+                        fields.at(-1)[1] += ` ${line.trim()}`;
+                    } else if (separator === -1) {
+                        fields.push([line.trim(), '']);
+                    } else {
+                        fields.push([line.slice(0, separator).trim(), line.slice(separator + 1).trim()]);
+                    }
+                    return fields;
+                }, []);
+            case 'steps':
+                return lines.filter(line => line.trim()).map(line => line.trim().replace(/^(\d+[.)]|[-*])\s+/, ''));
+            case 'names':
+                return lines.join(',').split(',').map(name => name.trim()).filter(Boolean);
+            default:
+                return lines.join('\n');
+        }
+    }
+
+    /**
+     * Drop blank lines at the start and end
+     * @param {Array<string>} lines - Lines
+     * @returns {Array<string>}
+     */
+    static trimBlankLines(lines) {
+        const start = lines.findIndex(line => line.trim());
+        if (start === -1) {
+            return [];
+        }
+        const end = lines.findLastIndex(line => line.trim());
+        return lines.slice(start, end + 1);
+    }
+
+    /**
+     * Fill in a section's title and layout from its template
+     * @param {Object} section - { type, title, layout, content }
+     * @returns {Object} Section with title, layout and content
+     */
+    normalizeSection(section) {
+        const template = section.type ? NFO_SECTIONS[section.type] : null;
+        if (section.type && !template) {
+            throw new Error(`Unknown NFO section: ${section.type}. Expected one of: ${Object.keys(NFO_SECTIONS).join(', ')}`);
+        }
+
+        const layout = section.layout || template?.layout || 'text';
+        if (!NFO_LAYOUTS.includes(layout)) {
+            throw new Error(`Unknown section layout: ${layout}. Expected one of: ${NFO_LAYOUTS.join(', ')}`);
+        }
+
+        const title = section.title || template?.title;
+        if (!title) {
+            throw new Error('NFO sections need a title');
+        }
+        return { title, layout, content: section.content ?? '' };
+    }
+
+    /**
+     * Render the logo with a text or FIGlet font
+     * @param {string|Object} logo - Text, or { text, generator, font }
+     * @returns {Promise<Array<string>>} Logo lines
+     */
+    async renderLogo(logo) {
+        const { text, generator = 'figlet', font = 'standard' } = typeof logo === 'string' ? { text: logo } : logo;
+        if (!this.generators[generator]) {
+            throw new Error(`Unknown logo generator: ${generator}`);
+        }
+
+        const width = this.bannerWidth - 2;
+        let art;
+        if (font === 'auto') {
+            art = (await new AutoFit(this.generators).fit(text, { width, modes: [generator] })).text;
+        } else {
+            art = await this.generators[generator].generate(text, { font });
+        }
+
+        const lines = art.split('\n').map(line => line.trimEnd());
+        const logoWidth = Math.max(0, ...lines.map(line => Array.from(line).length));
+        if (logoWidth > width) {
+            throw new Error(`Logo is ${logoWidth} columns wide; it must fit in ${width} columns inside the ${this.bannerWidth}-column NFO. Try a smaller font or "auto"`);
+        }
+        return lines;
+    }
+
+    /**
+     * Lay out a section's content as body lines
+     * @param {Object} section - Normalized section
+     * @returns {Array<string>} Lines no wider than the body width
+     */
+    layoutSection(section) {
+        const width = this.getBodyWidth();
+        const { content } = section;
+
+        switch (section.layout) {
+            case 'fields': {
+                const fields = Array.isArray(content) ? content : Object.entries(content);
+                const keyWidth = Math.max(0, ...fields.map(([key]) => String(key).length));
+                // "Key .....: value", values wrapping under the first value column
+                const indent = keyWidth + 6;
+                if (indent > width / 2) {
+                    throw new Error(`Field names must be at most ${Math.floor(width / 2) - 6} characters`);
+                }
+                return fields.flatMap(([key, value]) => {
+                    const label = `${key} `.padEnd(keyWidth + 4, '.') + ': ';
+                    return this.wrapWords(String(value), width - indent)
+                        .map((line, i) => (i === 0 ? label : ' '.repeat(indent)) + line);
+                });
+            }
+            case 'steps': {
+                const steps = [].concat(content);
+                const numberWidth = String(steps.length).length + 2;
+                return steps.flatMap((step, i) => this.wrapWords(String(step), width - numberWidth)
+                    .map((line, j) => (j === 0 ? `${i + 1}.`.padEnd(numberWidth) : ' '.repeat(numberWidth)) + line));
+            }
+            case 'names':
+                return this.centerLines(this.wrapWords([].concat(content).join(', '), width), width);
+            default:
+                return String(content).split('\n').flatMap(line => this.wrapWords(line, width));
+        }
+    }
+
+    /**
+     * Word-wrap text, splitting words longer than the width
+     * @param {string} text - Text
+     * @param {number} width - Maximum line width
+     * @returns {Array<string>} Lines (one empty line for empty text)
+     */
+    wrapWords(text, width) {
+        const lines = [];
+        let current = '';
+
+        for (let word of text.trim().split(/\s+/).filter(Boolean)) {
+            while (Array.from(word).length > width) {
+                if (current) {
+                    lines.push(current);
+                    current = '';
+                }
+                lines.push(Array.from(word).slice(0, width).join(''));
+                word = Array.from(word).slice(width).join('');
+            }
+
+            const candidate = current ? `${current} ${word}` : word;
+            if (Array.from(candidate).length <= width) {
+                current = candidate;
+            } else {
+                lines.push(current);
+                current = word;
+            }
+        }
+
+        lines.push(current);
+        return lines;
+    }
+
+    /**
+     * Center lines individually within a width
+     * @param {Array<string>} lines - Lines
+     * @param {number} width - Width
+     * @returns {Array<string>}
+     */
+    centerLines(lines, width) {
+        return lines.map(line => ' '.repeat(Math.floor((width - Array.from(line).length) / 2)) + line);
+    }
+
+    /**
+     * Center a block of lines as a whole, keeping its left edge straight
+     * @param {Array<string>} lines - Lines
+     * @returns {Array<string>}
+     */
+    centerBlock(lines) {
+        const blockWidth = Math.max(0, ...lines.map(line => Array.from(line).length));
+        const left = ' '.repeat(Math.floor((this.bannerWidth - 2 - blockWidth) / 2));
+        return lines.map(line => left + line);
+    }
+
+    /**
+     * Section header: the title between decorations on a separator rule
+     * @param {string} title - Section title
+     * @param {Object} style - Style data
+     * @returns {string} Header line
+     */
+    createSectionHeader(title, style) {
+        const innerWidth = this.bannerWidth - 2;
+        const decoration = Array.from(style.decoration);
+        const label = ` ${decoration.join('')} ${title} ${[...decoration].reverse().join('')} `;
+        const labelWidth = Array.from(label).length;
+        if (labelWidth > innerWidth) {
+            throw new Error(`Section title too long: ${title}`);
+        }
+
+        const left = Math.floor((innerWidth - labelWidth) / 2);
+        const rule = length => style.separator.repeat(length);
+        return style.vertical + rule(left) + label + rule(innerWidth - labelWidth - left) + style.vertical;
+    }
+
+    /**
+     * Body line: content inside the frame with padding
+     * @param {string} text - Content no wider than the body width
+     * @param {Object} style - Style data
+     * @returns {string} Body line
+     */
+    createBodyLine(text, style) {
+        const padding = ' '.repeat(BODY_PADDING);
+        return this.frameLine(padding + text, style);
+    }
+
+    /**
+     * Pad content to the inner width and add the side borders
+     * @param {string} text - Content
+     * @param {Object} style - Style data
+     * @returns {string} Framed line
+     */
+    frameLine(text, style) {
+        const innerWidth = this.bannerWidth - 2;
+        return style.vertical + text + ' '.repeat(Math.max(0, innerWidth - Array.from(text).length)) + style.vertical;
+    }
+
+    /**
+     * @returns {number} Columns available for section content
+     */
+    getBodyWidth() {
+        return this.bannerWidth - 2 - BODY_PADDING * 2;
+    }
+
+    /**
+     * Check every line is exactly the NFO width
+     * @param {Array<string>} lines - Lines
+     */
+    assertWidth(lines) {
+        const index = lines.findIndex(line => Array.from(line).length !== this.bannerWidth);
+        if (index !== -1) {
+            throw new Error(`NFO line ${index + 1} is ${Array.from(lines[index]).length} columns, expected ${this.bannerWidth}`);
+        }
+    }
+
+    /**
+     * A starting document with every section template
+     * @returns {string} Section source for parse()
+     */
+    static getTemplate() {
+        return [
+            '[release]',
+            'Release: Title.Of.The.Release',
+            'Date: YYYY-MM-DD',
+            'Size: 1 x 700MB',
+            'Format: ISO',
+            '',
+            '[notes]',
+            'Describe the release here.',
+            '',
+            '[install]',
+            'Unpack the archive',
+            'Run the installer',
+            'Enjoy',
+            '',
+            '[greetings]',
+            'All our friends, Everyone we forgot',
+            '',
+            '[contact]',
+            'WWW: example.com',
+            'Email: crew@example.com'
+        ].join('\n');
+    }
+}
@@ -4,6 +4,9 @@
  */
 
 import { Config, FontConfig } from '../config.js';
+import { BitmapFontParser } from '../utils/bitmap-font-parser.js';
+import { TextEffects } from '../utils/text-effects.js';
+import { TextTransforms } from '../utils/text-transforms.js';
 
 export class TextGenerator {
     constructor() {
@@ -23,7 +26,11 @@ export class TextGenerator {
                 font = 'standard',
                 spacing = 'normal',
                 width = null,
-                alignment = 'left'
+                alignment = 'left',
+                effects = [],
+                vertical = false,
+                wrap = null,
+                transforms = []
             } = options;
 
             // Validate input
@@ -39,12 +46,20 @@ export class TextGenerator {
             }
 
             // Convert text to ASCII
-            const lines = this.convertTextToAscii(text, fontData, spacing);
+            let lines;
+            if (vertical) {
+                lines = this.convertTextToVertical(text, fontData, spacing);
+            } else if (wrap > 0) {
+                lines = this.wrapText(text, fontData, spacing, wrap)
+                    .flatMap((row, i) => (i > 0 ? ['', ...row] : row));
+            } else {
+                lines = this.convertTextToAscii(text, fontData, spacing);
+            }
             
             // Apply formatting
-            const formatted = this.formatOutput(lines, { width, alignment });
+            const formatted = this.formatOutput(lines, { width, alignment, effects });
             
-            return formatted;
+            return TextTransforms.apply(formatted, transforms);
         } catch (error) {
             console.error('Text generation failed:', error);
             throw error;
@@ -59,7 +74,7 @@ export class TextGenerator {
      * @returns {Array<string>} ASCII lines
      */
     convertTextToAscii(text, fontData, spacing) {
-        const cleanText = text.toUpperCase().trim();
+        const cleanText = text.trim();
         const spaceWidth = spacing === 'wide' ? 2 : spacing === 'narrow' ? 0 : 1;
         const result = [];
 
@@ -86,6 +101,67 @@ export class TextGenerator {
         return result;
     }
 
+    /**
+     * Render text as several rows that each fit a width
+     * Breaks fall between words; words wider than the width on their own are
+     * split between characters, and a single glyph wider than the width
+     * gets a row of its own.
+     * @param {string} text - Input text
+     * @param {Object} fontData - Font character data
+     * @param {string} spacing - Character spacing
+     * @param {number} width - Maximum row width in columns
+     * @returns {Array<Array<string>>} Rendered rows
+     */
+    wrapText(text, fontData, spacing, width) {
+        const render = candidate => this.convertTextToAscii(candidate, fontData, spacing);
+        const fits = candidate => Math.max(...render(candidate).map(line => line.length)) <= width;
+        const rows = [];
+        let current = '';
+
+        for (const word of text.trim().split(/\s+/).filter(Boolean)) {
+            const candidate = current ? `${current} ${word}` : word;
+            if (fits(candidate)) {
+                current = candidate;
+                continue;
+            }
+
+            if (current) {
+                rows.push(render(current));
+                current = '';
+            }
+
+            // Split words that are too wide for a row of their own
+            for (const char of word) {
+                if (current && !fits(current + char)) {
+                    rows.push(render(current));
+                    current = '';
+                }
+                current += char;
+            }
+        }
+
+        if (current || rows.length === 0) {
+            rows.push(render(current));
+        }
+        return rows;
+    }
+
+    /**
+     * Convert text to ASCII with the letters stacked top to bottom
+     * Each letter is centered on the widest; spacing sets the blank lines
+     * between letters.
+     * @param {string} text - Input text
+     * @param {Object} fontData - Font character data
+     * @param {string} spacing - Letter spacing
+     * @returns {Array<string>} ASCII lines
+     */
+    convertTextToVertical(text, fontData, spacing) {
+        const gap = spacing === 'wide' ? 2 : spacing === 'narrow' ? 0 : 1;
+        const blocks = TextTransforms.toVerticalLines(text)
+            .map(char => this.convertTextToAscii(char, fontData, spacing));
+        return TextTransforms.centerBlocks(blocks, gap);
+    }
+
     /**
      * Get character data from font, with fallback
      * @param {string} char - Character to get
@@ -93,12 +169,18 @@ export class TextGenerator {
      * @returns {Array<string>} Character ASCII lines
      */
     getCharacterData(char, fontData) {
+        if (fontData.chars[char]) {
+            return fontData.chars[char];
+        }
+
         if (char === ' ') {
             return Array(fontData.height).fill('   '); // 3-space width for space character
         }
 
-        if (fontData.chars[char]) {
-            return fontData.chars[char];
+        // Fonts without lowercase render it with the capitals
+        const upper = char.toUpperCase();
+        if (fontData.chars[upper]) {
+            return fontData.chars[upper];
         }
 
         // Fallback to a simple block representation
@@ -126,15 +208,19 @@ export class TextGenerator {
     }
 
     /**
-     * Format output with width and alignment
+     * Format output with effects, width and alignment
      * @param {Array<string>} lines - ASCII lines
-     * @param {Object} options - Formatting options
+     * @param {Object} options - Formatting options (width, alignment, effects for TextEffects.apply)
      * @returns {string} Formatted ASCII art
      */
     formatOutput(lines, options) {
-        const { width, alignment } = options;
+        const { width, alignment, effects = [] } = options;
         let formattedLines = [...lines];
 
+        if (effects.length > 0) {
+            formattedLines = TextEffects.apply(formattedLines, effects);
+        }
+
         if (width && width > 0) {
             formattedLines = this.applyWidth(formattedLines, width);
         }
@@ -577,6 +663,438 @@ export class TextGenerator {
                     '       ',
                     '   █   ',
                     '  █    '
+                ],
+                'a': [
+                    '       ',
+                    '       ',
+                    ' █████ ',
+                    '█    █ ',
+                    '█    █ ',
+                    ' ██████'
+                ],
+                'b': [
+                    '█      ',
+                    '█      ',
+                    '██████ ',
+                    '█     █',
+                    '█     █',
+                    '██████ '
+                ],
+                'c': [
+                    '       ',
+                    '       ',
+                    ' ██████',
+                    '█      ',
+                    '█      ',
+                    ' ██████'
+                ],
+                'd': [
+                    '      █',
+                    '      █',
+                    ' ██████',
+                    '█     █',
+                    '█     █',
+                    ' ██████'
+                ],
+                'e': [
+                    '       ',
+                    '       ',
+                    ' █████ ',
+                    '███████',
+                    '█      ',
+                    ' ██████'
+                ],
+                'f': [
+                    '   ████',
+                    '  █    ',
+                    '██████ ',
+                    '  █    ',
+                    '  █    ',
+                    '  █    '
+                ],
+                'g': [
+                    '       ',
+                    ' ██████',
+                    '█     █',
+                    ' ██████',
+                    '      █',
+                    ' █████ '
+                ],
+                'h': [
+                    '█      ',
+                    '█      ',
+                    '██████ ',
+                    '█     █',
+                    '█     █',
+                    '█     █'
+                ],
+                'i': [
+                    '   █   ',
+                    '       ',
+                    '  ██   ',
+                    '   █   ',
+                    '   █   ',
+                    '  ███  '
+                ],
+                'j': [
+                    '     █ ',
+                    '       ',
+                    '    ██ ',
+                    '     █ ',
+                    '█    █ ',
+                    ' ████  '
+                ],
+                'k': [
+                    '█      ',
+                    '█      ',
+                    '█   ██ ',
+                    '████   ',
+                    '█   █  ',
+                    '█    ██'
+                ],
+                'l': [
+                    '  ██   ',
+                    '   █   ',
+                    '   █   ',
+                    '   █   ',
+                    '   █   ',
+                    '  ███  '
+                ],
+                'm': [
+                    '       ',
+                    '       ',
+                    '██████ ',
+                    '█  █  █',
+                    '█  █  █',
+                    '█  █  █'
+                ],
+                'n': [
+                    '       ',
+                    '       ',
+                    '██████ ',
+                    '█     █',
+                    '█     █',
+                    '█     █'
+                ],
+                'o': [
+                    '       ',
+                    '       ',
+                    ' █████ ',
+                    '█     █',
+                    '█     █',
+                    ' █████ '
+                ],
+                'p': [
+                    '       ',
+                    '██████ ',
+                    '█     █',
+                    '██████ ',
+                    '█      ',
+                    '█      '
+                ],
+                'q': [
+                    '       ',
+                    ' ██████',
+                    '█     █',
+                    ' ██████',
+                    '      █',
+                    '      █'
+                ],
+                'r': [
+                    '       ',
+                    '       ',
+                    '█ ████ ',
+                    '██     ',
+                    '█      ',
+                    '█      '
+                ],
+                's': [
+                    '       ',
+                    '       ',
+                    ' ██████',
+                    ' ███   ',
+                    '    ███',
+                    '██████ '
+                ],
+                't': [
+                    '  █    ',
+                    '  █    ',
+                    '██████ ',
+                    '  █    ',
+                    '  █    ',
+                    '   ████'
+                ],
+                'u': [
+                    '       ',
+                    '       ',
+                    '█     █',
+                    '█     █',
+                    '█     █',
+                    ' ██████'
+                ],
+                'v': [
+                    '       ',
+                    '       ',
+                    '█     █',
+                    '█     █',
+                    ' █   █ ',
+                    '  ███  '
+                ],
+                'w': [
+                    '       ',
+                    '       ',
+                    '█     █',
+                    '█  █  █',
+                    '█  █  █',
+                    ' ██ ██ '
+                ],
+                'x': [
+                    '       ',
+                    '       ',
+                    '██   ██',
+                    '  ███  ',
+                    '  ███  ',
+                    '██   ██'
+                ],
+                'y': [
+                    '       ',
+                    '█     █',
+                    '█     █',
+                    ' ██████',
+                    '      █',
+                    ' █████ '
+                ],
+                'z': [
+                    '       ',
+                    '       ',
+                    '███████',
+                    '    ██ ',
+                    '  ██   ',
+                    '███████'
+                ],
+                '"': [
+                    '  █ █  ',
+                    '  █ █  ',
+                    '       ',
+                    '       ',
+                    '       ',
+                    '       '
+                ],
+                '#': [
+                    ' █   █ ',
+                    '███████',
+                    ' █   █ ',
+                    ' █   █ ',
+                    '███████',
+                    ' █   █ '
+                ],
+                '$': [
+                    ' ██████',
+                    '█  █   ',
+                    ' █████ ',
+                    '   █  █',
+                    '██████ ',
+                    '   █   '
+                ],
+                '%': [
+                    '██    █',
+                    '██   █ ',
+                    '    █  ',
+                    '   █   ',
+                    '  █  ██',
+                    ' █   ██'
+                ],
+                '&': [
+                    ' ███   ',
+                    '█   █  ',
+                    ' ███   ',
+                    '█   █ █',
+                    '█    █ ',
+                    ' ████ █'
+                ],
+                '\'': [
+                    '   █   ',
+                    '   █   ',
+                    '       ',
+                    '       ',
+                    '       ',
+                    '       '
+                ],
+                '(': [
+                    '    █  ',
+                    '   █   ',
+                    '  █    ',
+                    '  █    ',
+                    '   █   ',
+                    '    █  '
+                ],
+                ')': [
+                    '  █    ',
+                    '   █   ',
+                    '    █  ',
+                    '    █  ',
+                    '   █   ',
+                    '  █    '
+                ],
+                '*': [
+                    '       ',
+                    '█  █  █',
+                    ' █ █ █ ',
+                    '  ███  ',
+                    ' █ █ █ ',
+                    '█  █  █'
+                ],
+                '+': [
+                    '       ',
+                    '   █   ',
+                    '   █   ',
+                    '███████',
+                    '   █   ',
+                    '   █   '
+                ],
+                '-': [
+                    '       ',
+                    '       ',
+                    '       ',
+                    '███████',
+                    '       ',
+                    '       '
+                ],
+                '/': [
+                    '      █',
+                    '     █ ',
+                    '    █  ',
+                    '   █   ',
+                    '  █    ',
+                    ' █     '
+                ],
+                ':': [
+                    '       ',
+                    '   █   ',
+                    '       ',
+                    '       ',
+                    '   █   ',
+                    '       '
+                ],
+                ';': [
+                    '       ',
+                    '   █   ',
+                    '       ',
+                    '       ',
+                    '   █   ',
+                    '  █    '
+                ],
+                '<': [
+                    '     █ ',
+                    '   █   ',
+                    ' █     ',
+                    ' █     ',
+                    '   █   ',
+                    '     █ '
+                ],
+                '=': [
+                    '       ',
+                    '       ',
+                    '███████',
+                    '       ',
+                    '███████',
+                    '       '
+                ],
+                '>': [
+                    ' █     ',
+                    '   █   ',
+                    '     █ ',
+                    '     █ ',
+                    '   █   ',
+                    ' █     '
+                ],
+                '@': [
+                    ' █████ ',
+                    '█     █',
+                    '█  ██ █',
+                    '█ █ █ █',
+                    '█  ████',
+                    ' █████ '
+                ],
+                '[': [
+                    '  ███  ',
+                    '  █    ',
+                    '  █    ',
+                    '  █    ',
+                    '  █    ',
+                    '  ███  '
+                ],
+                '\\': [
+                    '█      ',
+                    ' █     ',
+                    '  █    ',
+                    '   █   ',
+                    '    █  ',
+                    '     █ '
+                ],
+                ']': [
+                    '  ███  ',
+                    '    █  ',
+                    '    █  ',
+                    '    █  ',
+                    '    █  ',
+                    '  ███  '
+                ],
+                '^': [
+                    '   █   ',
+                    '  █ █  ',
+                    ' █   █ ',
+                    '       ',
+                    '       ',
+                    '       '
+                ],
+                '_': [
+                    '       ',
+                    '       ',
+                    '       ',
+                    '       ',
+                    '       ',
+                    '███████'
+                ],
+                '`': [
+                    '  █    ',
+                    '   █   ',
+                    '       ',
+                    '       ',
+                    '       ',
+                    '       '
+                ],
+                '{': [
+                    '    ██ ',
+                    '   █   ',
+                    ' ██    ',
+                    '   █   ',
+                    '   █   ',
+                    '    ██ '
+                ],
+                '|': [
+                    '   █   ',
+                    '   █   ',
+                    '   █   ',
+                    '   █   ',
+                    '   █   ',
+                    '   █   '
+                ],
+                '}': [
+                    ' ██    ',
+                    '   █   ',
+                    '    ██ ',
+                    '   █   ',
+                    '   █   ',
+                    ' ██    '
+                ],
+                '~': [
+                    '       ',
+                    ' ██   █',
+                    '█  ███ ',
+                    '       ',
+                    '       ',
+                    '       '
                 ]
             }
         });
@@ -624,7 +1142,61 @@ export class TextGenerator {
                 '!': [' █  ', ' █  ', '    ', ' █  '],
                 '?': ['███ ', ' ██ ', '    ', ' █  '],
                 '.': ['    ', '    ', '    ', ' █  '],
-                ',': ['    ', '    ', ' █  ', '█   ']
+                ',': ['    ', '    ', ' █  ', '█   '],
+                'a': ['    ', ' ███', '█  █', ' ███'],
+                'b': ['█   ', '███ ', '█  █', '███ '],
+                'c': ['    ', ' ███', '█   ', ' ███'],
+                'd': ['   █', ' ███', '█  █', ' ███'],
+                'e': ['    ', ' ██ ', '████', ' ███'],
+                'f': ['  ██', ' █  ', '███ ', ' █  '],
+                'g': [' ███', '█  █', ' ███', '███ '],
+                'h': ['█   ', '███ ', '█  █', '█  █'],
+                'i': [' █  ', '    ', ' █  ', ' █  '],
+                'j': ['  █ ', '    ', '  █ ', '██  '],
+                'k': ['█   ', '█ █ ', '██  ', '█ █ '],
+                'l': [' █  ', ' █  ', ' █  ', ' ██ '],
+                'm': ['    ', '████', '█ █ ', '█ █ '],
+                'n': ['    ', '███ ', '█  █', '█  █'],
+                'o': ['    ', ' ██ ', '█  █', ' ██ '],
+                'p': ['███ ', '█  █', '███ ', '█   '],
+                'q': [' ███', '█  █', ' ███', '   █'],
+                'r': ['    ', '█ ██', '██  ', '█   '],
+                's': ['    ', ' ███', ' ██ ', '███ '],
+                't': [' █  ', '███ ', ' █  ', '  ██'],
+                'u': ['    ', '█  █', '█  █', ' ███'],
+                'v': ['    ', '█  █', '█  █', ' ██ '],
+                'w': ['    ', '█  █', '████', ' ██ '],
+                'x': ['    ', '█  █', ' ██ ', '█  █'],
+                'y': ['█  █', '█  █', ' ███', '███ '],
+                'z': ['    ', '████', ' ██ ', '████'],
+                '"': ['█ █ ', '█ █ ', '    ', '    '],
+                '#': ['█ █ ', '████', '████', '█ █ '],
+                '$': [' ███', '██  ', '  ██', '███ '],
+                '%': ['█  █', '  █ ', ' █  ', '█  █'],
+                '&': [' █  ', '█ █ ', ' ██ ', '█ ██'],
+                '\'': [' █  ', ' █  ', '    ', '    '],
+                '(': ['  █ ', ' █  ', ' █  ', '  █ '],
+                ')': [' █  ', '  █ ', '  █ ', ' █  '],
+                '*': ['█ █ ', ' █  ', '█ █ ', '    '],
+                '+': ['    ', ' █  ', '███ ', ' █  '],
+                '-': ['    ', '    ', '███ ', '    '],
+                '/': ['   █', '  █ ', ' █  ', '█   '],
+                ':': ['    ', ' █  ', '    ', ' █  '],
+                ';': [' █  ', '    ', ' █  ', '█   '],
+                '<': ['  █ ', '██  ', '  █ ', '    '],
+                '=': ['    ', '███ ', '    ', '███ '],
+                '>': [' █  ', '  ██', ' █  ', '    '],
+                '@': [' ███', '█ ██', '█ ██', ' ██ '],
+                '[': [' ██ ', ' █  ', ' █  ', ' ██ '],
+                '\\': ['█   ', ' █  ', '  █ ', '   █'],
+                ']': [' ██ ', '  █ ', '  █ ', ' ██ '],
+                '^': [' █  ', '█ █ ', '    ', '    '],
+                '_': ['    ', '    ', '    ', '████'],
+                '`': ['█   ', ' █  ', '    ', '    '],
+                '{': ['  ██', '██  ', ' █  ', '  ██'],
+                '|': [' █  ', ' █  ', ' █  ', ' █  '],
+                '}': ['██  ', '  ██', '  █ ', '██  '],
+                '~': [' █ █', '█ █ ', '    ', '    ']
             }
         });
 
@@ -671,11 +1243,109 @@ export class TextGenerator {
                 '!': ['     █     ', '     █     ', '     █     ', '     █     ', '     █     ', '           ', '           ', '     █     '],
                 '?': [' █████████ ', '█         █', '          █', '       ███ ', '     █     ', '           ', '           ', '     █     '],
                 '.': ['           ', '           ', '           ', '           ', '           ', '           ', '           ', '     █     '],
-                ',': ['           ', '           ', '           ', '           ', '           ', '     █     ', '    █      ', '           ']
+                ',': ['           ', '           ', '           ', '           ', '           ', '     █     ', '    █      ', '           '],
+                'a': ['           ', '           ', '           ', ' █████████ ', '          █', ' ██████████', '█         █', ' ██████████'],
+                'b': ['█          ', '█          ', '█          ', '██████████ ', '█         █', '█         █', '█         █', '██████████ '],
+                'c': ['           ', '           ', '           ', ' ██████████', '█          ', '█          ', '█          ', ' ██████████'],
+                'd': ['          █', '          █', '          █', ' ██████████', '█         █', '█         █', '█         █', ' ██████████'],
+                'e': ['           ', '           ', '           ', ' █████████ ', '█         █', '███████████', '█          ', ' ██████████'],
+                'f': ['     ██████', '    █      ', '    █      ', '  ███████  ', '    █      ', '    █      ', '    █      ', '    █      '],
+                'g': ['           ', '           ', ' ██████████', '█         █', '█         █', ' ██████████', '          █', ' █████████ '],
+                'h': ['█          ', '█          ', '█          ', '██████████ ', '█         █', '█         █', '█         █', '█         █'],
+                'i': ['           ', '     █     ', '           ', '    ██     ', '     █     ', '     █     ', '     █     ', '   █████   '],
+                'j': ['           ', '        █  ', '           ', '       ██  ', '        █  ', '        █  ', ' █      █  ', '  ██████   '],
+                'k': ['█          ', '█          ', '█          ', '█      ██  ', '█   ██     ', '████       ', '█   ██     ', '█      ██  '],
+                'l': ['    ██     ', '     █     ', '     █     ', '     █     ', '     █     ', '     █     ', '     █     ', '   █████   '],
+                'm': ['           ', '           ', '           ', '██████████ ', '█    █    █', '█    █    █', '█    █    █', '█    █    █'],
+                'n': ['           ', '           ', '           ', '██████████ ', '█         █', '█         █', '█         █', '█         █'],
+                'o': ['           ', '           ', '           ', ' █████████ ', '█         █', '█         █', '█         █', ' █████████ '],
+                'p': ['           ', '           ', '██████████ ', '█         █', '█         █', '██████████ ', '█          ', '█          '],
+                'q': ['           ', '           ', ' ██████████', '█         █', '█         █', ' ██████████', '          █', '          █'],
+                'r': ['           ', '           ', '           ', '█ ████████ ', '██         ', '█          ', '█          ', '█          '],
+                's': ['           ', '           ', '           ', ' ██████████', '█          ', ' █████████ ', '          █', '██████████ '],
+                't': ['    █      ', '    █      ', '    █      ', ' ████████  ', '    █      ', '    █      ', '    █      ', '     ██████'],
+                'u': ['           ', '           ', '           ', '█         █', '█         █', '█         █', '█         █', ' ██████████'],
+                'v': ['           ', '           ', '           ', '█         █', ' █       █ ', '  █     █  ', '   █   █   ', '    ███    '],
+                'w': ['           ', '           ', '           ', '█         █', '█    █    █', '█    █    █', '█    █    █', ' ████ ████ '],
+                'x': ['           ', '           ', '           ', '██       ██', '  ██   ██  ', '    ███    ', '  ██   ██  ', '██       ██'],
+                'y': ['           ', '           ', '█         █', '█         █', '█         █', ' ██████████', '          █', ' █████████ '],
+                'z': ['           ', '           ', '           ', '███████████', '       ██  ', '     █     ', '  ██       ', '███████████'],
+                '"': ['   █   █   ', '   █   █   ', '   █   █   ', '           ', '           ', '           ', '           ', '           '],
+                '#': ['   █   █   ', '   █   █   ', '███████████', '   █   █   ', '   █   █   ', '███████████', '   █   █   ', '   █   █   '],
+                '$': ['     █     ', ' ██████████', '█    █     ', ' █████████ ', '     █    █', '██████████ ', '     █     ', '           '],
+                '%': ['██        █', '██       █ ', '        █  ', '      █    ', '    █      ', '  █        ', ' █       ██', '█        ██'],
+                '&': ['   ████    ', '  █    █   ', '  █    █   ', '   ████    ', ' ██  █   █ ', '█     █ █  ', '█      █   ', ' ██████ ██ '],
+                '\'': ['     █     ', '     █     ', '     █     ', '           ', '           ', '           ', '           ', '           '],
+                '(': ['      ██   ', '     █     ', '    █      ', '    █      ', '    █      ', '    █      ', '     █     ', '      ██   '],
+                ')': ['   ██      ', '     █     ', '      █    ', '      █    ', '      █    ', '      █    ', '     █     ', '   ██      '],
+                '*': ['           ', '█    █    █', '  █  █  █  ', '    ███    ', '███████████', '    ███    ', '  █  █  █  ', '█    █    █'],
+                '+': ['           ', '     █     ', '     █     ', '     █     ', '███████████', '     █     ', '     █     ', '     █     '],
+                '-': ['           ', '           ', '           ', '           ', '███████████', '           ', '           ', '           '],
+                '/': ['         █ ', '        █  ', '       █   ', '      █    ', '     █     ', '    █      ', '   █       ', '  █        '],
+                ':': ['           ', '           ', '           ', '     █     ', '           ', '           ', '           ', '     █     '],
+                ';': ['           ', '           ', '     █     ', '           ', '           ', '     █     ', '    █      ', '           '],
+                '<': ['        ██ ', '      ██   ', '    ██     ', '  ██       ', '  ██       ', '    ██     ', '      ██   ', '        ██ '],
+                '=': ['           ', '           ', '           ', '███████████', '           ', '███████████', '           ', '           '],
+                '>': [' ██        ', '   ██      ', '     ██    ', '       ██  ', '       ██  ', '     ██    ', '   ██      ', ' ██        '],
+                '@': [' █████████ ', '█         █', '█   █████ █', '█  █    █ █', '█  █    █ █', '█   ██████ ', '█          ', ' ██████████'],
+                '[': ['   █████   ', '   █       ', '   █       ', '   █       ', '   █       ', '   █       ', '   █       ', '   █████   '],
+                '\\': [' █         ', '  █        ', '   █       ', '    █      ', '     █     ', '      █    ', '       █   ', '        █  '],
+                ']': ['   █████   ', '       █   ', '       █   ', '       █   ', '       █   ', '       █   ', '       █   ', '   █████   '],
+                '^': ['     █     ', '   █   █   ', ' █       █ ', '           ', '           ', '           ', '           ', '           '],
+                '_': ['           ', '           ', '           ', '           ', '           ', '           ', '           ', '███████████'],
+                '`': ['   █       ', '     █     ', '           ', '           ', '           ', '           ', '           ', '           '],
+                '{': ['      ███  ', '     █     ', '     █     ', '   ██      ', '   ██      ', '     █     ', '     █     ', '      ███  '],
+                '|': ['     █     ', '     █     ', '     █     ', '     █     ', '     █     ', '     █     ', '     █     ', '     █     '],
+                '}': ['  ███      ', '     █     ', '     █     ', '      ██   ', '      ██   ', '     █     ', '     █     ', '  ███      '],
+                '~': ['           ', '           ', '           ', '  ███    █ ', ' █   ████  ', '           ', '           ', '           ']
             }
         });
     }
 
+    /**
+     * Parse a BDF or PSF bitmap font and register it
+     * @param {string} id - Font identifier
+     * @param {ArrayBuffer|Uint8Array|string} source - Contents of the font file
+     * @param {Object} options - mode (half or block) and scale, see BitmapFontParser.toFontData
+     * @returns {Object} Font data
+     */
+    loadBitmapFont(id, source, options = {}) {
+        const fontData = BitmapFontParser.toFontData(BitmapFontParser.parse(source), options);
+        this.addFont(id, fontData);
+        return fontData;
+    }
+
+    /**
+     * Load a bitmap font from an uploaded file
+     * @param {File} file - .bdf, .psf or .psfu file
+     * @param {string} id - Font identifier (defaults to the file name)
+     * @param {Object} options - mode (half or block) and scale
+     * @returns {Promise<string>} Registered font identifier
+     */
+    async loadBitmapFontFromFile(file, id = this.getFontId(file.name), options = {}) {
+        this.loadBitmapFont(id, new Uint8Array(await file.arrayBuffer()), options);
+        return id;
+    }
+
+    /**
+     * Derive a font identifier from a file name or path
+     * @param {string} name - File name, e.g. "fonts/Lat2-Terminus16.psfu"
+     * @returns {string} Font identifier, e.g. "lat2-terminus16"
+     */
+    getFontId(name) {
+        const id = String(name || '')
+            .split('/').pop()
+            .replace(/\.(bdf|psfu?|psf2)$/i, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9_-]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        if (!id) {
+            throw new Error('Cannot derive a font name; please provide one');
+        }
+        return id;
+    }
+
     /**
      * Add custom font
      * @param {string} id - Font identifier
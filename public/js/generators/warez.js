@@ -4,11 +4,27 @@
  */
 
 import { Config } from '../config.js';
+import { TextTransforms } from '../utils/text-transforms.js';
+import { CharWidth } from '../utils/char-width.js';
+import { BannerLayout } from '../utils/banner-layout.js';
+
+// Style fields drawn with a single character
+export const STYLE_CHARACTERS = [
+    'topLeft', 'topRight', 'bottomLeft', 'bottomRight',
+    'horizontal', 'vertical', 'topJunction', 'bottomJunction', 'separator'
+];
+
+// Junctions used by multi-panel layouts, derived from topJunction when unset
+export const LAYOUT_JUNCTIONS = ['leftJunction', 'rightJunction', 'crossJunction'];
+
+// Longest repeating decoration pattern
+export const MAX_DECORATION_LENGTH = 16;
 
 export class WarezGenerator {
     constructor() {
         this.bannerWidth = Config.LIMITS.BANNER_WIDTH || 78;
         this.styles = this.initializeStyles();
+        this.builtinStyles = new Set(Object.keys(this.styles));
     }
 
     /**
@@ -202,7 +218,9 @@ export class WarezGenerator {
                 credits = 'ASCII ART STUDIO',
                 addDate = false,
                 multiline = false,
-                textEffect = 'uppercase'
+                textEffect = 'uppercase',
+                vertical = false,
+                transforms = []
             } = options;
 
             // Validate input
@@ -226,24 +244,84 @@ export class WarezGenerator {
             const hasMultilineMarkers = text.includes('|') || text.includes('\n');
             const shouldSplit = multiline || hasMultilineMarkers;
 
-            // Process text (split into lines if multiline)
-            const textLines = shouldSplit ? this.splitIntoLines(text) : [text];
+            // Process text (one letter per line if vertical, else split into lines if multiline)
+            let textLines = shouldSplit ? this.splitIntoLines(text) : [text];
+            if (vertical) {
+                textLines = TextTransforms.toVerticalLines(text.replace(/\|/g, ' '));
+            }
 
             // Build banner
             const banner = this.buildBanner(textLines, styleData, {
                 addCredits,
                 credits,
                 addDate,
-                textEffect
+                textEffect,
+                compact: vertical
             });
 
-            return banner;
+            return TextTransforms.apply(banner, transforms);
         } catch (error) {
             console.error('Warez banner generation failed:', error);
             throw error;
         }
     }
 
+    /**
+     * Generate a multi-panel banner from a layout
+     * @param {Object|Array} layout - Layout model (see BannerLayout.normalize)
+     * @param {Object} options - style, textEffect (for cells without their
+     *   own), width (defaults to the layout's, then the banner width) and
+     *   transforms
+     * @returns {string} ASCII banner
+     */
+    generateLayout(layout, options = {}) {
+        const { style = 'classic', textEffect = 'uppercase', transforms = [] } = options;
+        const styleData = this.styles[style] || this.styles.classic;
+        const model = BannerLayout.normalize(layout);
+        const width = options.width || model.width || this.bannerWidth;
+
+        return TextTransforms.apply(this.buildLayout(model, styleData, width, textEffect), transforms);
+    }
+
+    /**
+     * Draw a normalized layout; nested layouts fill their cell's width
+     * @param {Object} layout - Normalized layout
+     * @param {Object} style - Style data
+     * @param {number} width - Total width
+     * @param {string} textEffect - Text effect for cells without their own
+     * @returns {string} Banner
+     */
+    buildLayout(layout, style, width, textEffect) {
+        return BannerLayout.render(layout, style, width, (cell, cellWidth) => {
+            if (cell.layout) {
+                return this.buildLayout(cell.layout, style, cellWidth, textEffect).split('\n');
+            }
+            return this.layoutCellText(cell.text, cellWidth, cell.textEffect || textEffect);
+        });
+    }
+
+    /**
+     * Apply the text effect to each line of a cell and wrap it to the cell
+     * @param {string} text - Cell text, lines separated by newlines
+     * @param {number} width - Cell width
+     * @param {string} textEffect - Text effect
+     * @returns {Array<string>} Lines no wider than the cell
+     */
+    layoutCellText(text, width, textEffect) {
+        return text.split(/\r?\n/)
+            .map(line => this.applyTextEffect(line.trim().replace(/\s+/g, ' '), textEffect))
+            .flatMap(line => this.wrapText(line, width))
+            .flatMap(line => {
+                // Break words longer than the cell
+                const chars = Array.from(line);
+                const pieces = [];
+                for (let start = 0; start < chars.length; start += width) {
+                    pieces.push(chars.slice(start, start + width).join('').trim());
+                }
+                return pieces.length > 0 ? pieces : [''];
+            });
+    }
+
     /**
      * Validate banner input
      * @param {string} text - Input text
@@ -385,7 +463,8 @@ export class WarezGenerator {
      * Build the complete banner
      * @param {Array<string>} textLines - Lines of text
      * @param {Object} style - Style data
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options (compact drops the blank
+     *   lines between text lines)
      * @returns {string} Complete banner
      */
     buildBanner(textLines, style, options) {
@@ -406,7 +485,7 @@ export class WarezGenerator {
         textLines.forEach((textLine, index) => {
             lines.push(this.createTextLine(textLine, style, false, textEffect));
             // Add spacing between multiple lines
-            if (index < textLines.length - 1) {
+            if (index < textLines.length - 1 && !options.compact) {
                 lines.push(this.createEmptyLine(style));
             }
         });
@@ -517,6 +596,66 @@ export class WarezGenerator {
         return style.vertical + centeredText + style.vertical;
     }
 
+    /**
+     * Add a custom style
+     * @param {string} id - Style identifier
+     * @param {Object} style - Style data (see validateStyle)
+     */
+    addStyle(id, style) {
+        if (this.builtinStyles.has(id)) {
+            throw new Error(`Cannot replace built-in style: ${id}`);
+        }
+        WarezGenerator.validateStyle(style);
+        this.styles[id] = { ...style };
+    }
+
+    /**
+     * Remove a custom style
+     * @param {string} id - Style identifier
+     * @returns {boolean} Whether a style was removed
+     */
+    removeStyle(id) {
+        if (this.builtinStyles.has(id)) {
+            throw new Error(`Cannot remove built-in style: ${id}`);
+        }
+        return delete this.styles[id];
+    }
+
+    /**
+     * Check style data: a name, one single-cell character for each of
+     * STYLE_CHARACTERS and a decoration pattern of single-cell characters,
+     * so borders stay aligned
+     * @param {Object} style - Style data
+     */
+    static validateStyle(style) {
+        if (!style || typeof style !== 'object') {
+            throw new Error('Invalid style: expected an object');
+        }
+        if (typeof style.name !== 'string' || !style.name.trim()) {
+            throw new Error('Invalid style: missing name');
+        }
+
+        for (const field of STYLE_CHARACTERS) {
+            if (typeof style[field] !== 'string' || !CharWidth.isSingleCell(style[field])) {
+                throw new Error(`Invalid style: ${field} must be one character, one cell wide`);
+            }
+        }
+        for (const field of LAYOUT_JUNCTIONS) {
+            if (style[field] !== undefined && (typeof style[field] !== 'string' || !CharWidth.isSingleCell(style[field]))) {
+                throw new Error(`Invalid style: ${field} must be one character, one cell wide`);
+            }
+        }
+
+        const decoration = Array.from(typeof style.decoration === 'string' ? style.decoration : '');
+        if (decoration.length === 0 || decoration.length > MAX_DECORATION_LENGTH) {
+            throw new Error(`Invalid style: decoration must be 1-${MAX_DECORATION_LENGTH} characters`);
+        }
+        const wide = decoration.find(char => !CharWidth.isSingleCell(char));
+        if (wide !== undefined) {
+            throw new Error(`Invalid style: decoration character ${wide} is not one cell wide`);
+        }
+    }
+
     /**
      * Get available styles
      * @returns {Array<string>} Style names
@@ -541,18 +680,27 @@ export class WarezGenerator {
     }
 
     /**
-     * Create a small preview of a style
+     * Create a small preview of a style showing every part: corners,
+     * edges, junctions, decoration and separator
      * @param {Object} style - Style data
+     * @param {string} text - Sample text
      * @returns {string} Preview
      */
-    createPreview(style) {
+    createPreview(style, text = 'BANNER TEXT') {
         const width = 30;
         const innerWidth = width - 2;
+        const left = Math.floor((innerWidth - 1) / 2);
+        const edge = (corner, junction, end) => corner + style.horizontal.repeat(left) + junction + style.horizontal.repeat(innerWidth - left - 1) + end;
+        const decoration = Array.from(style.decoration.repeat(innerWidth)).slice(0, innerWidth).join('');
+        const sample = Array.from(text).slice(0, innerWidth).join('');
+        const padding = Math.floor((innerWidth - Array.from(sample).length) / 2);
         const lines = [];
 
-        lines.push(style.topLeft + style.horizontal.repeat(innerWidth) + style.topRight);
-        lines.push(style.vertical + ' '.repeat(innerWidth) + style.vertical);
-        lines.push(style.bottomLeft + style.horizontal.repeat(innerWidth) + style.bottomRight);
+        lines.push(edge(style.topLeft, style.topJunction, style.topRight));
+        lines.push(style.vertical + decoration + style.vertical);
+        lines.push(style.vertical + sample.padStart(sample.length + padding).padEnd(innerWidth) + style.vertical);
+        lines.push(style.vertical + style.separator.repeat(innerWidth) + style.vertical);
+        lines.push(edge(style.bottomLeft, style.bottomJunction, style.bottomRight));
 
         return lines.join('\n');
     }
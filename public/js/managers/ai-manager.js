@@ -85,11 +85,15 @@ export class AIManager {
             const analysis = await this.analyzeImage(imageData);
             const enhancements = this.calculateEnhancements(analysis);
 
-            // Note: In production, use actual image processing library
-            // For now, return original with suggestions
+            // Pixels are adjusted during conversion; explicit options win over suggestions
             return {
                 data: imageData,
                 suggestions: enhancements,
+                adjustments: this.toAdjustments({
+                    brightness: brightness || enhancements.brightness,
+                    contrast: contrast || enhancements.contrast,
+                    sharpness: sharpness || enhancements.sharpness
+                }),
                 analysis
             };
         } catch (error) {
@@ -187,7 +191,11 @@ export class AIManager {
             // Generate ASCII with optimized settings
             const ascii = await asciiGenerator(imageUrl, {
                 ...options.asciiOptions,
-                ...analysis.recommendations
+                ...analysis.recommendations,
+                adjustments: {
+                    ...this.toAdjustments(this.calculateEnhancements(analysis)),
+                    invert: Boolean(analysis.recommendations?.invert)
+                }
             });
 
             return ascii;
@@ -457,6 +465,19 @@ export class AIManager {
         return enhancements;
     }
 
+    /**
+     * Map enhancement settings onto ImageGenerator adjustments
+     * @param {Object} enhancements - brightness, contrast and sharpness
+     * @returns {Object} Adjustment settings
+     */
+    toAdjustments(enhancements) {
+        return {
+            brightness: enhancements.brightness,
+            contrast: enhancements.contrast,
+            sharpen: enhancements.sharpness
+        };
+    }
+
     /**
      * Parse crop coordinates from response
      * @param {string} response - AI response
@@ -4,8 +4,15 @@
  * Implements Issue #18 - Batch Processing
  */
 
+import { ImageWorkerPool } from '../utils/image-worker-pool.js';
+
 export class BatchProcessor {
-    constructor() {
+    /**
+     * @param {ImageWorkerPool} pool - Worker pool for image items, shared with other image consumers by default
+     */
+    constructor(pool = ImageWorkerPool.getShared()) {
+        this.pool = pool;
+        this.abortController = null;
         this.queue = [];
         this.processing = false;
         this.results = [];
@@ -61,6 +68,7 @@ export class BatchProcessor {
 
         this.processing = true;
         this.results = [];
+        this.abortController = new AbortController();
 
         const total = this.queue.length;
 
@@ -122,6 +130,7 @@ export class BatchProcessor {
 
         this.processing = true;
         this.results = [];
+        this.abortController = new AbortController();
 
         const total = this.queue.length;
         let completed = 0;
@@ -177,6 +186,35 @@ export class BatchProcessor {
         return this.results;
     }
 
+    /**
+     * Create a processor that converts image file items in the worker pool
+     * Each item's settings override the defaults; cancel() aborts running conversions.
+     * @param {Object} defaults - Default ImageGenerator options
+     * @returns {Function} Processor for process() or processParallel()
+     */
+    createImageProcessor(defaults = {}) {
+        return (item) => this.pool.generate(item.file, {
+            ...defaults,
+            ...item.settings,
+            signal: this.abortController ? this.abortController.signal : null
+        });
+    }
+
+    /**
+     * Create a processor that renders text items with a text generator
+     * Works with any generator taking (text, options), e.g. TextGenerator or
+     * FigletGenerator; each item's settings override the defaults.
+     * @param {Object} generator - Generator with an async generate(text, options)
+     * @param {Object} defaults - Default generator options
+     * @returns {Function} Processor for process() or processParallel()
+     */
+    createTextProcessor(generator, defaults = {}) {
+        return (item) => generator.generate(item.text, {
+            ...defaults,
+            ...item.settings
+        });
+    }
+
     /**
      * Export batch results as ZIP
      * @param {Array} results - Processing results
@@ -263,6 +301,9 @@ export class BatchProcessor {
      */
     cancel() {
         this.processing = false;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
         this.queue.forEach(item => {
             if (item.status === 'pending' || item.status === 'processing') {
                 item.status = 'cancelled';
@@ -152,6 +152,24 @@ export class PresetManager {
                 },
                 custom: false
             },
+            'FIGlet Classic': {
+                mode: 'figlet',
+                settings: {
+                    font: 'standard',
+                    horizontalLayout: 'default',
+                    verticalLayout: 'default'
+                },
+                custom: false
+            },
+            'FIGlet Wide': {
+                mode: 'figlet',
+                settings: {
+                    font: 'banner',
+                    horizontalLayout: 'full',
+                    verticalLayout: 'full'
+                },
+                custom: false
+            },
             'Image Detailed': {
                 mode: 'image',
                 settings: {
@@ -161,6 +179,22 @@ export class PresetManager {
                     dithering: false
                 },
                 custom: false
+            },
+            'Photo Enhanced': {
+                mode: 'image',
+                settings: {
+                    width: 100,
+                    density: 'extended',
+                    edgeDetection: false,
+                    dithering: false,
+                    adjustments: {
+                        equalize: 'local',
+                        contrast: 15,
+                        gamma: 1.1,
+                        sharpen: 30
+                    }
+                },
+                custom: false
             }
         };
     }
@@ -23,7 +23,18 @@ export class ShareManager {
                     spacing: metadata.spacing,
                     palette: metadata.palette,
                     style: metadata.style,
-                    width: metadata.width
+                    width: metadata.width,
+                    density: metadata.density,
+                    edgeDetection: metadata.edgeDetection,
+                    dithering: metadata.dithering,
+                    serpentine: metadata.serpentine,
+                    threshold: metadata.threshold,
+                    matching: metadata.matching,
+                    adjustments: metadata.adjustments,
+                    horizontalLayout: metadata.horizontalLayout,
+                    verticalLayout: metadata.verticalLayout,
+                    vertical: metadata.vertical,
+                    effects: metadata.effects
                 }))
             });
 
@@ -0,0 +1,177 @@
+/**
+ * ASCII Art Studio - Auto Fit
+ * Picks the font, spacing and FIGlet layout that fit text into a width
+ *
+ * Every text font with every spacing, and every FIGlet font with every
+ * horizontal layout, is rendered wrapped to the target width. The best
+ * rendering wraps onto the fewest rows, then uses the tallest font, then
+ * fills the most of the width.
+ */
+
+import { Config } from '../config.js';
+import { TextGenerator } from '../generators/text.js';
+import { FigletGenerator } from '../generators/figlet.js';
+
+export const FIT_MODES = ['text', 'figlet'];
+
+const TEXT_SPACINGS = ['wide', 'normal', 'narrow'];
+const FIGLET_LAYOUTS = ['default', 'full', 'fitted', 'smushed'];
+
+export class AutoFit {
+    /**
+     * @param {Object} generators - Generators to render with: { text, figlet }
+     */
+    constructor(generators = {}) {
+        this.generators = {
+            text: generators.text || new TextGenerator(),
+            figlet: generators.figlet || new FigletGenerator()
+        };
+    }
+
+    /**
+     * Find the best rendering of text that fits a width
+     * @param {string} text - Input text
+     * @param {Object} options - width (columns, default 80), modes (text
+     *   and/or figlet), fonts (names to try, default all) and effects
+     *   (applied while measuring, see TextEffects)
+     * @returns {Promise<Object>} Best candidate (see getCandidates)
+     */
+    async fit(text, options = {}) {
+        const candidates = await this.getCandidates(text, options);
+        if (candidates.length === 0) {
+            const { width = Config.LIMITS.FIT_WIDTH } = options;
+            throw new Error(`No font fits the text in ${width} columns`);
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Render every font and setting, keeping the ones that fit, best first
+     * @param {string} text - Input text
+     * @param {Object} options - Same as fit()
+     * @returns {Promise<Array<Object>>} Candidates with mode, font, the
+     *   generator options that produced them, text, width, height and rows
+     */
+    async getCandidates(text, options = {}) {
+        const {
+            width = Config.LIMITS.FIT_WIDTH,
+            modes = FIT_MODES,
+            fonts = null,
+            effects = []
+        } = options;
+
+        if (!Number.isInteger(width) || width < 1) {
+            throw new Error('Fit width must be a whole number of columns');
+        }
+        modes.forEach(mode => {
+            if (!FIT_MODES.includes(mode)) {
+                throw new Error(`Unknown fit mode: ${mode}. Expected one of: ${FIT_MODES.join(', ')}`);
+            }
+        });
+
+        const candidates = [];
+        if (modes.includes('text')) {
+            candidates.push(...await this.fitText(text, width, this.getFonts('text', fonts), effects));
+        }
+        if (modes.includes('figlet')) {
+            candidates.push(...await this.fitFiglet(text, width, this.getFonts('figlet', fonts), effects));
+        }
+
+        return candidates
+            .filter(candidate => candidate.width <= width)
+            .sort((a, b) => AutoFit.compare(a, b));
+    }
+
+    /**
+     * Render with every text font and spacing, wrapping words to the width
+     * @param {string} text - Input text
+     * @param {number} width - Target width
+     * @param {Array<string>} fonts - Font names
+     * @param {Array} effects - Text effects
+     * @returns {Promise<Array<Object>>} Candidates
+     */
+    async fitText(text, width, fonts, effects) {
+        const generator = this.generators.text;
+        const candidates = [];
+
+        for (const font of fonts) {
+            const fontData = generator.fonts.get(font);
+            for (const spacing of TEXT_SPACINGS) {
+                const generatorOptions = { font, spacing, wrap: width, effects };
+                const art = await generator.generate(text, generatorOptions);
+                const rows = generator.wrapText(text, fontData, spacing, width).length;
+                candidates.push(this.createCandidate('text', generatorOptions, art, rows, fontData.height));
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Render with every FIGlet font and horizontal layout, wrapping words to the width
+     * @param {string} text - Input text, lines separated by newlines
+     * @param {number} width - Target width
+     * @param {Array<string>} fonts - Font names
+     * @param {Array} effects - Text effects
+     * @returns {Promise<Array<Object>>} Candidates
+     */
+    async fitFiglet(text, width, fonts, effects) {
+        const generator = this.generators.figlet;
+        const candidates = [];
+
+        for (const font of fonts) {
+            const fontData = generator.fonts.get(font);
+            for (const horizontalLayout of FIGLET_LAYOUTS) {
+                const generatorOptions = { font, horizontalLayout, width, effects };
+                const art = await generator.generate(text, generatorOptions);
+                const mode = generator.getSmushMode(fontData, horizontalLayout);
+                const rows = text.trim().split(/\r?\n/)
+                    .reduce((count, line) => count + generator.wrapLine(line.trim(), fontData, mode, width).length, 0);
+                candidates.push(this.createCandidate('figlet', generatorOptions, art, rows, fontData.height));
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * @param {string} mode - text or figlet
+     * @param {Object} generatorOptions - Options passed to generate()
+     * @param {string} art - Rendered text
+     * @param {number} rows - Rows the text wrapped onto
+     * @param {number} fontHeight - Lines per row
+     * @returns {Object} Candidate
+     */
+    createCandidate(mode, generatorOptions, art, rows, fontHeight) {
+        const lines = art.split('\n');
+        return {
+            mode,
+            font: generatorOptions.font,
+            options: generatorOptions,
+            text: art,
+            width: Math.max(0, ...lines.map(line => line.length)),
+            height: lines.length,
+            rows,
+            fontHeight
+        };
+    }
+
+    /**
+     * Fonts of a generator to try, limited to the requested names
+     * @param {string} mode - text or figlet
+     * @param {Array<string>|null} fonts - Requested names, or null for all
+     * @returns {Array<string>}
+     */
+    getFonts(mode, fonts) {
+        const available = Array.from(this.generators[mode].fonts.keys());
+        return fonts ? available.filter(font => fonts.includes(font)) : available;
+    }
+
+    /**
+     * Order candidates: fewest rows, then tallest font, then widest
+     * @param {Object} a - Candidate
+     * @param {Object} b - Candidate
+     * @returns {number}
+     */
+    static compare(a, b) {
+        return (a.rows - b.rows) || (b.fontHeight - a.fontHeight) || (b.width - a.width);
+    }
+}
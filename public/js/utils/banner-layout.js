@@ -0,0 +1,374 @@
+/**
+ * ASCII Art Studio - Banner Layouts
+ * Multi-panel banners: a grid of boxed cells drawn with a warez banner style
+ *
+ * A layout is a list of rows, each a list of cells. Cells can span several
+ * columns or rows, align their content and hold a nested layout. All borders
+ * are drawn on one canvas and each border point picks its character from the
+ * lines that meet there, so inner dividers join the frame with the style's
+ * junctions (╦ ╩ ╠ ╣ ╬ for Classic) instead of overlapping it.
+ */
+
+export const LAYOUT_ALIGNMENTS = ['left', 'center', 'right'];
+export const LAYOUT_VERTICAL_ALIGNMENTS = ['top', 'middle', 'bottom'];
+
+// Columns between a cell border and its content on each side
+const CELL_PADDING = 1;
+
+// Border lines leaving a point
+const UP = 1;
+const DOWN = 2;
+const LEFT = 4;
+const RIGHT = 8;
+
+// Left, right and cross junctions for styles that only define top and
+// bottom ones, keyed by the top junction
+const JUNCTION_FAMILIES = {
+    '╦': '╠╣╬',
+    '┬': '├┤┼',
+    '╤': '╞╡╪',
+    '╥': '╟╢╫',
+    '┳': '┣┫╋',
+    '+': '+++'
+};
+
+const LAYOUT_TEMPLATE = {
+    columns: [1, 1],
+    rows: [
+        [{ text: 'Release Name\nby The Group', colSpan: 2 }],
+        [
+            { text: 'Cracker: Someone\nSupplier: Someone', align: 'left' },
+            { text: 'Date: 2025-01-01\nDisks: 3 x 1.44MB', align: 'right' }
+        ],
+        [{ text: 'Greetings to all the groups', colSpan: 2, textEffect: 'normal' }]
+    ]
+};
+
+export class BannerLayout {
+    /**
+     * Read a layout from JSON
+     * @param {string} source - JSON text
+     * @returns {Object} Normalized layout
+     */
+    static parse(source) {
+        let data;
+        try {
+            data = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid layout: ${error.message}`);
+        }
+        return this.normalize(data);
+    }
+
+    /**
+     * Example layout: a title panel over a two-column info grid
+     * @returns {string} JSON text
+     */
+    static getTemplate() {
+        return JSON.stringify(LAYOUT_TEMPLATE, null, 2);
+    }
+
+    /**
+     * Check a layout and fill in defaults
+     * @param {Object|Array} layout - { rows, columns, width }, or just the
+     *   rows. Each row is a list of cells (or { cells }). A cell is a string
+     *   or { text, align, valign, colSpan, rowSpan, textEffect, layout };
+     *   columns are relative column widths, equal by default.
+     * @returns {Object} { rows, columns, width } with every cell an object
+     */
+    static normalize(layout) {
+        const data = Array.isArray(layout) ? { rows: layout } : layout;
+        if (!data || typeof data !== 'object' || !Array.isArray(data.rows) || data.rows.length === 0) {
+            throw new Error('Invalid layout: expected at least one row');
+        }
+
+        const rows = data.rows.map((row, index) => {
+            const cells = Array.isArray(row) ? row : row?.cells;
+            if (!Array.isArray(cells)) {
+                throw new Error(`Invalid layout: row ${index + 1} must be a list of cells`);
+            }
+            return cells.map(cell => this.normalizeCell(cell, index));
+        });
+
+        const { columns, width } = data;
+        if (columns !== undefined && (!Array.isArray(columns) || columns.length === 0 ||
+            !columns.every(value => Number.isFinite(value) && value > 0))) {
+            throw new Error('Invalid layout: columns must be a list of positive widths');
+        }
+        if (width !== undefined && !(Number.isInteger(width) && width > 0)) {
+            throw new Error('Invalid layout: width must be a positive whole number');
+        }
+
+        return { rows, columns, width };
+    }
+
+    /**
+     * @param {string|Object} cell - Cell text or cell data
+     * @param {number} row - Row index, for error messages
+     * @returns {Object} Cell with defaults filled in
+     */
+    static normalizeCell(cell, row) {
+        const data = typeof cell === 'string' ? { text: cell } : cell;
+        if (!data || typeof data !== 'object') {
+            throw new Error(`Invalid layout: cells in row ${row + 1} must be text or objects`);
+        }
+
+        const { align = 'center', valign = 'top', colSpan = 1, rowSpan = 1 } = data;
+        if (!LAYOUT_ALIGNMENTS.includes(align)) {
+            throw new Error(`Invalid layout: align must be one of ${LAYOUT_ALIGNMENTS.join(', ')}`);
+        }
+        if (!LAYOUT_VERTICAL_ALIGNMENTS.includes(valign)) {
+            throw new Error(`Invalid layout: valign must be one of ${LAYOUT_VERTICAL_ALIGNMENTS.join(', ')}`);
+        }
+        if (!Number.isInteger(colSpan) || colSpan < 1 || !Number.isInteger(rowSpan) || rowSpan < 1) {
+            throw new Error(`Invalid layout: spans in row ${row + 1} must be whole numbers of at least 1`);
+        }
+
+        return {
+            text: data.text === undefined ? '' : String(data.text),
+            align,
+            valign,
+            colSpan,
+            rowSpan,
+            textEffect: data.textEffect,
+            layout: data.layout === undefined || data.layout === null ? null : this.normalize(data.layout)
+        };
+    }
+
+    /**
+     * Place cells on the grid as an HTML table does: each cell takes the
+     * next slot in its row not covered by a row span from above. Slots a
+     * row leaves free widen the cell before them, or get an empty cell.
+     * @param {Object} layout - Normalized layout
+     * @returns {Object} { cells: [{ cell, row, column }], rowCount, columnCount }
+     */
+    static place(layout) {
+        const rowCount = layout.rows.length;
+        const taken = Array.from({ length: rowCount }, () => new Set());
+        const cells = [];
+
+        layout.rows.forEach((row, rowIndex) => {
+            let column = 0;
+            row.forEach((cell, cellIndex) => {
+                while (taken[rowIndex].has(column)) {
+                    column++;
+                }
+                if (rowIndex + cell.rowSpan > rowCount) {
+                    throw new Error(`Invalid layout: cell ${cellIndex + 1} in row ${rowIndex + 1} spans past the last row`);
+                }
+
+                for (let r = rowIndex; r < rowIndex + cell.rowSpan; r++) {
+                    for (let c = column; c < column + cell.colSpan; c++) {
+                        if (taken[r].has(c)) {
+                            throw new Error(`Invalid layout: cell ${cellIndex + 1} in row ${rowIndex + 1} overlaps a cell spanning from an earlier row`);
+                        }
+                        taken[r].add(c);
+                    }
+                }
+                cells.push({ cell: { ...cell }, row: rowIndex, column });
+                column += cell.colSpan;
+            });
+        });
+
+        const columnCount = layout.columns
+            ? layout.columns.length
+            : Math.max(...cells.map(({ cell, column }) => column + cell.colSpan), 1);
+        const overflow = cells.find(({ cell, column }) => column + cell.colSpan > columnCount);
+        if (overflow) {
+            throw new Error(`Invalid layout: row ${overflow.row + 1} has more than ${columnCount} columns`);
+        }
+
+        taken.forEach((columns, row) => {
+            for (let column = 0; column < columnCount; column++) {
+                if (columns.has(column)) {
+                    continue;
+                }
+                const before = cells.find(entry => entry.row === row && entry.cell.rowSpan === 1 &&
+                    entry.column + entry.cell.colSpan === column);
+                if (before) {
+                    before.cell.colSpan++;
+                } else {
+                    cells.push({ cell: this.normalizeCell('', row), row, column });
+                }
+                columns.add(column);
+            }
+        });
+
+        return { cells, rowCount, columnCount };
+    }
+
+    /**
+     * Split the width between columns in proportion to their weights
+     * @param {Array<number>} weights - Relative column widths
+     * @param {number} width - Total width, borders included
+     * @returns {Array<number>} Column widths between the borders
+     */
+    static getColumnWidths(weights, width) {
+        const available = width - weights.length - 1;
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        const widths = weights.map(weight => Math.floor(available * weight / total));
+
+        let rest = available - widths.reduce((sum, value) => sum + value, 0);
+        for (let index = 0; rest > 0; index = (index + 1) % widths.length, rest--) {
+            widths[index]++;
+        }
+
+        if (widths.some(value => value < 1 + CELL_PADDING * 2)) {
+            throw new Error(`Layout does not fit in ${width} columns`);
+        }
+        return widths;
+    }
+
+    /**
+     * Grow rows until every cell's content fits; a cell spanning rows
+     * grows the last of them
+     * @param {Array<Object>} cells - Placed cells with their content lines
+     * @param {number} rowCount - Number of rows
+     * @returns {Array<number>} Row heights between the borders
+     */
+    static getRowHeights(cells, rowCount) {
+        const heights = new Array(rowCount).fill(1);
+        const bySpan = [...cells].sort((a, b) => a.cell.rowSpan - b.cell.rowSpan);
+
+        bySpan.forEach(({ cell, row, lines }) => {
+            const last = row + cell.rowSpan - 1;
+            const height = heights.slice(row, last + 1).reduce((sum, value) => sum + value, 0) + cell.rowSpan - 1;
+            heights[last] += Math.max(0, lines.length - height);
+        });
+
+        return heights;
+    }
+
+    /**
+     * Draw a layout
+     * @param {Object} layout - Normalized layout
+     * @param {Object} style - WarezGenerator style data
+     * @param {number} width - Total width, borders included
+     * @param {Function} renderCell - (cell, width) => lines of content no
+     *   wider than width
+     * @returns {string} Banner
+     */
+    static render(layout, style, width, renderCell) {
+        const { cells, rowCount, columnCount } = this.place(layout);
+        const xs = this.getOffsets(this.getColumnWidths(layout.columns || new Array(columnCount).fill(1), width));
+
+        cells.forEach(entry => {
+            entry.width = xs[entry.column + entry.cell.colSpan] - xs[entry.column] - 1 - CELL_PADDING * 2;
+            entry.lines = renderCell(entry.cell, entry.width);
+        });
+        const ys = this.getOffsets(this.getRowHeights(cells, rowCount));
+
+        const canvas = Array.from({ length: ys[rowCount] + 1 }, () => new Array(width).fill(' '));
+        const arms = Array.from({ length: ys[rowCount] + 1 }, () => new Array(width).fill(0));
+        const link = (y, x, arm) => {
+            arms[y][x] |= arm;
+        };
+
+        cells.forEach(entry => {
+            const left = xs[entry.column];
+            const right = xs[entry.column + entry.cell.colSpan];
+            const top = ys[entry.row];
+            const bottom = ys[entry.row + entry.cell.rowSpan];
+
+            for (let x = left; x < right; x++) {
+                [top, bottom].forEach(y => {
+                    link(y, x, RIGHT);
+                    link(y, x + 1, LEFT);
+                });
+            }
+            for (let y = top; y < bottom; y++) {
+                [left, right].forEach(x => {
+                    link(y, x, DOWN);
+                    link(y + 1, x, UP);
+                });
+            }
+
+            this.drawContent(canvas, entry, left + 1 + CELL_PADDING, top + 1, bottom - top - 1);
+        });
+
+        const junctions = this.getJunctions(style);
+        arms.forEach((row, y) => row.forEach((value, x) => {
+            if (value) {
+                canvas[y][x] = this.getBorderCharacter(style, junctions, value);
+            }
+        }));
+
+        return canvas.map(row => row.join('')).join('\n');
+    }
+
+    /**
+     * Write a cell's lines into the canvas with its alignment
+     * @param {Array<Array<string>>} canvas - Characters by row
+     * @param {Object} entry - Placed cell with its lines and width
+     * @param {number} x - First content column
+     * @param {number} y - First content row
+     * @param {number} height - Rows available
+     */
+    static drawContent(canvas, entry, x, y, height) {
+        const { cell, lines, width } = entry;
+        const space = height - lines.length;
+        const top = { top: 0, middle: Math.floor(space / 2), bottom: space }[cell.valign];
+
+        lines.forEach((line, index) => {
+            const chars = Array.from(line).slice(0, width);
+            const room = width - chars.length;
+            const left = { left: 0, center: Math.floor(room / 2), right: room }[cell.align];
+            chars.forEach((char, column) => {
+                canvas[y + top + index][x + left + column] = char;
+            });
+        });
+    }
+
+    /**
+     * @param {Array<number>} sizes - Column widths or row heights
+     * @returns {Array<number>} Position of each border line
+     */
+    static getOffsets(sizes) {
+        const offsets = [0];
+        sizes.forEach(size => offsets.push(offsets[offsets.length - 1] + size + 1));
+        return offsets;
+    }
+
+    /**
+     * Left, right and cross junctions of a style. Styles may set them as
+     * leftJunction, rightJunction and crossJunction; otherwise they follow
+     * the top junction's line family, falling back to the vertical edge.
+     * @param {Object} style - Style data
+     * @returns {Object} { left, right, cross }
+     */
+    static getJunctions(style) {
+        const family = Array.from(JUNCTION_FAMILIES[style.topJunction] || '');
+        return {
+            left: style.leftJunction || family[0] || style.vertical,
+            right: style.rightJunction || family[1] || style.vertical,
+            cross: style.crossJunction || family[2] || style.topJunction
+        };
+    }
+
+    /**
+     * Border character for the lines leaving a point
+     * @param {Object} style - Style data
+     * @param {Object} junctions - From getJunctions
+     * @param {number} arms - UP, DOWN, LEFT and RIGHT bits
+     * @returns {string}
+     */
+    static getBorderCharacter(style, junctions, arms) {
+        switch (arms) {
+            case DOWN | RIGHT: return style.topLeft;
+            case DOWN | LEFT: return style.topRight;
+            case UP | RIGHT: return style.bottomLeft;
+            case UP | LEFT: return style.bottomRight;
+            case DOWN | LEFT | RIGHT: return style.topJunction;
+            case UP | LEFT | RIGHT: return style.bottomJunction;
+            case UP | DOWN | RIGHT: return junctions.left;
+            case UP | DOWN | LEFT: return junctions.right;
+            case UP | DOWN | LEFT | RIGHT: return junctions.cross;
+            case UP:
+            case DOWN:
+            case UP | DOWN:
+                return style.vertical;
+            default:
+                return style.horizontal;
+        }
+    }
+}
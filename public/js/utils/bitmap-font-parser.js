@@ -0,0 +1,399 @@
+/**
+ * ASCII Art Studio - Bitmap Font Parser
+ * Reads BDF and PSF console fonts and turns their glyphs into TextGenerator
+ * font data drawn with block characters
+ *
+ * Formats:
+ *   BDF  - text format from X11: STARTFONT, FONTBOUNDINGBOX, one STARTCHAR
+ *          block per glyph with ENCODING, BBX and hex BITMAP rows
+ *   PSF1 - Linux console font: 4-byte header, 8-pixel wide glyphs,
+ *          256 or 512 of them, optional UCS-2 Unicode table
+ *   PSF2 - 32-byte header with any glyph width, optional UTF-8 Unicode table
+ * PSF fonts without a Unicode table are taken to be in CP437 order.
+ */
+
+import { CP437 } from './cp437.js';
+
+const PSF1_MAGIC = [0x36, 0x04];
+const PSF2_MAGIC = [0x72, 0xb5, 0x4a, 0x86];
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+// PSF1 mode bits
+const PSF1_MODE512 = 0x01;
+const PSF1_MODEHASTAB = 0x02;
+const PSF1_MODESEQ = 0x04;
+
+// PSF2 flags
+const PSF2_HAS_UNICODE_TABLE = 0x01;
+
+export const BITMAP_FONT_MODES = ['half', 'block'];
+
+export class BitmapFontParser {
+    /**
+     * Parse a BDF, PSF1 or PSF2 font
+     * @param {ArrayBuffer|Uint8Array|string} source - File contents
+     * @returns {Object} Bitmap font: format, name, height and glyphs, a Map of
+     *   character to { width, rows } where rows are arrays of booleans
+     */
+    static parse(source) {
+        const bytes = typeof source === 'string'
+            ? new TextEncoder().encode(source)
+            : source instanceof Uint8Array ? source : new Uint8Array(source);
+
+        if (bytes.length === 0) {
+            throw new Error('Invalid bitmap font: file is empty');
+        }
+        if (this.startsWith(bytes, GZIP_MAGIC)) {
+            throw new Error('Compressed fonts are not supported; gunzip the file first');
+        }
+        if (this.startsWith(bytes, PSF2_MAGIC)) {
+            return this.parsePsf2(bytes);
+        }
+        if (this.startsWith(bytes, PSF1_MAGIC)) {
+            return this.parsePsf1(bytes);
+        }
+
+        const text = new TextDecoder('latin1').decode(bytes);
+        if (text.startsWith('STARTFONT')) {
+            return this.parseBdf(text);
+        }
+
+        throw new Error('Invalid bitmap font: expected a BDF, PSF1 or PSF2 file');
+    }
+
+    /**
+     * Parse a BDF font
+     * Glyphs are placed on the font's cell using their bounding box offsets,
+     * so every glyph has the font height with a shared baseline.
+     * @param {string} text - BDF source
+     * @returns {Object} Bitmap font
+     */
+    static parseBdf(text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const font = { format: 'bdf', name: '', height: 0, glyphs: new Map() };
+
+        let boundingBox = null;
+        let ascent = null;
+        let descent = null;
+        let glyph = null;
+        let bitmapRows = null;
+
+        for (const line of lines) {
+            const [keyword, ...args] = line.trim().split(/\s+/);
+            const numbers = args.map(value => parseInt(value, 10));
+
+            if (bitmapRows) {
+                if (keyword === 'ENDCHAR') {
+                    this.addBdfGlyph(font, glyph, bitmapRows, { boundingBox, ascent });
+                    glyph = null;
+                    bitmapRows = null;
+                } else {
+                    bitmapRows.push(keyword);
+                }
+                continue;
+            }
+
+            switch (keyword) {
+                case 'FONT':
+                    font.name = args.join(' ');
+                    break;
+                case 'FONTBOUNDINGBOX':
+                    boundingBox = { width: numbers[0], height: numbers[1], x: numbers[2], y: numbers[3] };
+                    break;
+                case 'FONT_ASCENT':
+                    ascent = numbers[0];
+                    break;
+                case 'FONT_DESCENT':
+                    descent = numbers[0];
+                    break;
+                case 'STARTCHAR':
+                    glyph = { encoding: -1, width: null, box: null };
+                    break;
+                case 'ENCODING':
+                    if (glyph) {
+                        glyph.encoding = numbers[0];
+                    }
+                    break;
+                case 'DWIDTH':
+                    if (glyph) {
+                        glyph.width = numbers[0];
+                    }
+                    break;
+                case 'BBX':
+                    if (glyph) {
+                        glyph.box = { width: numbers[0], height: numbers[1], x: numbers[2], y: numbers[3] };
+                    }
+                    break;
+                case 'BITMAP':
+                    if (glyph) {
+                        bitmapRows = [];
+                    }
+                    break;
+            }
+
+            // Sizes are known once the header is done
+            if (keyword === 'CHARS' || keyword === 'STARTCHAR') {
+                if (!boundingBox) {
+                    throw new Error('Invalid bitmap font: BDF file has no FONTBOUNDINGBOX');
+                }
+                ascent ??= boundingBox.height + boundingBox.y;
+                descent ??= -boundingBox.y;
+                font.height = ascent + descent;
+            }
+        }
+
+        if (font.glyphs.size === 0) {
+            throw new Error('Invalid bitmap font: BDF file has no glyphs');
+        }
+        return font;
+    }
+
+    /**
+     * Place one BDF glyph on the font cell
+     * @param {Object} font - Font being built
+     * @param {Object} glyph - encoding, width and box of the glyph
+     * @param {Array<string>} bitmapRows - Hex rows
+     * @param {Object} metrics - Font bounding box and ascent
+     */
+    static addBdfGlyph(font, glyph, bitmapRows, { boundingBox, ascent }) {
+        if (glyph.encoding < 0 || glyph.encoding > 0x10ffff) {
+            return;
+        }
+
+        const box = glyph.box || boundingBox;
+        const width = Math.max(1, glyph.width ?? box.width + box.x);
+        const rows = Array.from({ length: font.height }, () => new Array(width).fill(false));
+        const top = ascent - (box.y + box.height);
+
+        bitmapRows.slice(0, box.height).forEach((hex, row) => {
+            const y = top + row;
+            if (y < 0 || y >= font.height) {
+                return;
+            }
+            for (let column = 0; column < box.width; column++) {
+                const nibble = parseInt(hex[column >> 2] || '0', 16);
+                const x = box.x + column;
+                if (x >= 0 && x < width && (nibble & (8 >> (column & 3)))) {
+                    rows[y][x] = true;
+                }
+            }
+        });
+
+        font.glyphs.set(String.fromCodePoint(glyph.encoding), { width, rows });
+    }
+
+    /**
+     * Parse a PSF1 font
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Bitmap font
+     */
+    static parsePsf1(bytes) {
+        const mode = bytes[2];
+        const height = bytes[3];
+        const count = mode & PSF1_MODE512 ? 512 : 256;
+        const tableOffset = 4 + count * height;
+
+        if (height === 0 || bytes.length < tableOffset) {
+            throw new Error('Invalid bitmap font: PSF1 file is truncated');
+        }
+
+        let codes = null;
+        if (mode & (PSF1_MODEHASTAB | PSF1_MODESEQ)) {
+            codes = this.readPsf1Table(bytes, tableOffset, count);
+        }
+
+        return this.buildPsfFont('psf1', bytes, { offset: 4, count, width: 8, height, charSize: height, codes });
+    }
+
+    /**
+     * Parse a PSF2 font
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Bitmap font
+     */
+    static parsePsf2(bytes) {
+        if (bytes.length < 32) {
+            throw new Error('Invalid bitmap font: PSF2 header is truncated');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const [headerSize, flags, count, charSize, height, width] = [8, 12, 16, 20, 24, 28]
+            .map(offset => view.getUint32(offset, true));
+        const tableOffset = headerSize + count * charSize;
+
+        if (height === 0 || width === 0 || charSize < height * Math.ceil(width / 8) || bytes.length < tableOffset) {
+            throw new Error('Invalid bitmap font: PSF2 file is truncated');
+        }
+
+        let codes = null;
+        if (flags & PSF2_HAS_UNICODE_TABLE) {
+            codes = this.readPsf2Table(bytes, tableOffset, count);
+        }
+
+        return this.buildPsfFont('psf2', bytes, { offset: headerSize, count, width, height, charSize, codes });
+    }
+
+    /**
+     * Decode PSF glyph bitmaps and assign their characters
+     * @param {string} format - psf1 or psf2
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} layout - offset, count, width, height, charSize and codes
+     *   (characters per glyph from the Unicode table, or null for CP437 order)
+     * @returns {Object} Bitmap font
+     */
+    static buildPsfFont(format, bytes, { offset, count, width, height, charSize, codes }) {
+        const font = { format, name: '', height, glyphs: new Map() };
+        const rowBytes = Math.ceil(width / 8);
+
+        for (let index = 0; index < count; index++) {
+            const chars = codes ? codes[index] : (index < 256 && index > 0 ? [CP437[index]] : []);
+            if (chars.length === 0) {
+                continue;
+            }
+
+            const start = offset + index * charSize;
+            const rows = [];
+            for (let y = 0; y < height; y++) {
+                const row = [];
+                for (let x = 0; x < width; x++) {
+                    const byte = bytes[start + y * rowBytes + (x >> 3)];
+                    row.push((byte & (0x80 >> (x & 7))) !== 0);
+                }
+                rows.push(row);
+            }
+
+            // The first glyph listed for a character wins
+            const glyph = { width, rows };
+            for (const char of chars) {
+                if (!font.glyphs.has(char)) {
+                    font.glyphs.set(char, glyph);
+                }
+            }
+        }
+
+        return font;
+    }
+
+    /**
+     * Read a PSF1 Unicode table: UCS-2 values per glyph ended by 0xFFFF,
+     * with 0xFFFE introducing combining sequences (skipped)
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} offset - Table start
+     * @param {number} count - Glyph count
+     * @returns {Array<Array<string>>} Characters per glyph
+     */
+    static readPsf1Table(bytes, offset, count) {
+        const codes = [];
+        let position = offset;
+
+        for (let index = 0; index < count; index++) {
+            const chars = [];
+            let inSequence = false;
+            while (position + 1 < bytes.length) {
+                const value = bytes[position] | (bytes[position + 1] << 8);
+                position += 2;
+                if (value === 0xffff) {
+                    break;
+                }
+                if (value === 0xfffe) {
+                    inSequence = true;
+                } else if (!inSequence) {
+                    chars.push(String.fromCharCode(value));
+                }
+            }
+            codes.push(chars);
+        }
+
+        return codes;
+    }
+
+    /**
+     * Read a PSF2 Unicode table: UTF-8 characters per glyph ended by 0xFF,
+     * with 0xFE introducing combining sequences (skipped)
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} offset - Table start
+     * @param {number} count - Glyph count
+     * @returns {Array<Array<string>>} Characters per glyph
+     */
+    static readPsf2Table(bytes, offset, count) {
+        const decoder = new TextDecoder('utf-8');
+        const codes = [];
+        let position = offset;
+
+        for (let index = 0; index < count; index++) {
+            let end = position;
+            while (end < bytes.length && bytes[end] !== 0xff) {
+                end++;
+            }
+
+            const entry = bytes.subarray(position, end);
+            const sequenceStart = entry.indexOf(0xfe);
+            const singles = sequenceStart === -1 ? entry : entry.subarray(0, sequenceStart);
+            codes.push(Array.from(decoder.decode(singles)));
+
+            position = end + 1;
+        }
+
+        return codes;
+    }
+
+    /**
+     * Turn a bitmap font into TextGenerator font data
+     * Both modes keep pixels square: half packs two pixel rows into each
+     * text row with ▀ and ▄, block draws each pixel two characters wide.
+     * @param {Object} font - Bitmap font from parse()
+     * @param {Object} options - mode (half or block) and scale (1-8 pixels per pixel)
+     * @returns {Object} Font data: height, chars and source
+     */
+    static toFontData(font, options = {}) {
+        const { mode = 'half', scale = 1 } = options;
+
+        if (!BITMAP_FONT_MODES.includes(mode)) {
+            throw new Error(`Unknown bitmap font mode: ${mode}`);
+        }
+        if (!Number.isInteger(scale) || scale < 1 || scale > 8) {
+            throw new Error('Bitmap font scale must be between 1 and 8');
+        }
+
+        const pixelHeight = font.height * scale;
+        const height = mode === 'half' ? Math.ceil(pixelHeight / 2) : pixelHeight;
+        const chars = {};
+
+        for (const [char, glyph] of font.glyphs) {
+            const pixel = (x, y) => y < pixelHeight && glyph.rows[Math.floor(y / scale)][Math.floor(x / scale)];
+            const pixelWidth = glyph.width * scale;
+            const rows = [];
+
+            for (let row = 0; row < height; row++) {
+                let line = '';
+                for (let x = 0; x < pixelWidth; x++) {
+                    if (mode === 'half') {
+                        const top = pixel(x, row * 2);
+                        const bottom = pixel(x, row * 2 + 1);
+                        line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+                    } else {
+                        line += pixel(x, row) ? '██' : '  ';
+                    }
+                }
+                rows.push(line);
+            }
+
+            chars[char] = rows;
+        }
+
+        return {
+            height,
+            chars,
+            source: { format: font.format, name: font.name, mode, scale }
+        };
+    }
+
+    /**
+     * Check a byte prefix
+     * @param {Uint8Array} bytes - Data
+     * @param {Array<number>} prefix - Expected bytes
+     * @returns {boolean}
+     */
+    static startsWith(bytes, prefix) {
+        return prefix.every((value, i) => bytes[i] === value);
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * ASCII Art Studio - Character Width
+ * How many terminal cells a character takes up
+ *
+ * Follows the usual wcwidth rules: combining marks and zero-width
+ * characters take no cells, East Asian wide and fullwidth characters and
+ * emoji take two, everything else one. Ambiguous-width characters such as
+ * box drawing and shades count as one cell, as Western fonts draw them.
+ */
+
+// East Asian Wide and Fullwidth ranges
+const WIDE_RANGES = [
+    [0x1100, 0x115f], [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf],
+    [0x4e00, 0x9fff], [0xa000, 0xa4cf], [0xa960, 0xa97f], [0xac00, 0xd7a3],
+    [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f], [0xff00, 0xff60],
+    [0xffe0, 0xffe6], [0x1f300, 0x1f64f], [0x1f900, 0x1f9ff], [0x20000, 0x3fffd]
+];
+
+const ZERO_WIDTH = /^[\p{Mn}\p{Me}\p{Cf}\u200B]$/u;
+const CONTROL = /^\p{Cc}$/u;
+const EMOJI = /^\p{Emoji_Presentation}$/u;
+
+export class CharWidth {
+    /**
+     * Cells a single code point takes up
+     * @param {string} char - One code point
+     * @returns {number} 0, 1 or 2; -1 for control characters
+     */
+    static of(char) {
+        if (CONTROL.test(char)) {
+            return -1;
+        }
+        if (ZERO_WIDTH.test(char)) {
+            return 0;
+        }
+
+        const code = char.codePointAt(0);
+        if (EMOJI.test(char) || WIDE_RANGES.some(([start, end]) => code >= start && code <= end)) {
+            return 2;
+        }
+        return 1;
+    }
+
+    /**
+     * Whether a string is exactly one character taking one cell
+     * @param {string} text - Text to check
+     * @returns {boolean}
+     */
+    static isSingleCell(text) {
+        const chars = Array.from(String(text));
+        return chars.length === 1 && this.of(chars[0]) === 1;
+    }
+}
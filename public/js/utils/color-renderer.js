@@ -0,0 +1,281 @@
+/**
+ * Color Renderer
+ * Turns per-cell color data into ANSI escape sequences or colored HTML
+ * Shared by the image generator and the HTML export
+ */
+
+import { InputValidator } from './validator.js';
+
+const ESC = '\x1b[';
+const RESET = `${ESC}0m`;
+
+/**
+ * Standard xterm values for the 16 basic ANSI colors
+ */
+const ANSI16_PALETTE = [
+    [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+    [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+    [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+    [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+];
+
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+export class ColorRenderer {
+    /**
+     * Supported ANSI color modes
+     * @returns {Array<string>} Mode identifiers
+     */
+    static getSupportedModes() {
+        return ['ansi16', 'ansi256', 'truecolor'];
+    }
+
+    /**
+     * Render text with per-cell colors as ANSI escape sequences
+     * @param {string} text - Plain text, one line per row
+     * @param {Array<Array<Array<number>>>} colors - Foreground [r, g, b] per cell, indexed [row][column]
+     * @param {string} mode - ansi16, ansi256 or truecolor
+     * @param {Array<Array<Array<number>>>|null} backgrounds - Optional background [r, g, b] per cell
+     * @returns {string} ANSI-colored text
+     */
+    static toAnsi(text, colors, mode = 'truecolor', backgrounds = null) {
+        if (!this.getSupportedModes().includes(mode)) {
+            throw new Error(`Unsupported color mode: ${mode}`);
+        }
+
+        return this.renderAnsi(text, colors, backgrounds, (fg, bg) => this.createSequence(fg, bg, mode));
+    }
+
+    /**
+     * Render text with per-cell colors as DOS ANSI.SYS escape sequences
+     * DOS viewers and BBS software only know SGR 30-37 and 40-47, so bright
+     * foregrounds use bold (1;3x) and bright backgrounds use blink (5;4x),
+     * which iCE color viewers show as a bright background.
+     * @param {string} text - Plain text, one line per row
+     * @param {Array<Array<Array<number>>>} colors - Foreground [r, g, b] per cell, indexed [row][column]
+     * @param {Array<Array<Array<number>>>|null} backgrounds - Optional background [r, g, b] per cell
+     * @returns {string} ANSI-colored text
+     */
+    static toDosAnsi(text, colors, backgrounds = null) {
+        return this.renderAnsi(text, colors, backgrounds, (fg, bg) => this.createDosSequence(fg, bg));
+    }
+
+    /**
+     * Render text with an escape sequence wherever the cell colors change
+     * @param {string} text - Plain text, one line per row
+     * @param {Array<Array<Array<number>>>} colors - Foreground [r, g, b] per cell
+     * @param {Array<Array<Array<number>>>|null} backgrounds - Optional background [r, g, b] per cell
+     * @param {Function} createSequence - (fg, bg) => escape sequence, empty when no color applies
+     * @returns {string} ANSI-colored text
+     */
+    static renderAnsi(text, colors, backgrounds, createSequence) {
+        return text.split('\n').map((line, y) => {
+            const chars = Array.from(line);
+            const rowColors = colors[y] || [];
+            const rowBackgrounds = backgrounds ? backgrounds[y] || [] : [];
+            let output = '';
+            let lastCode = null;
+
+            chars.forEach((char, x) => {
+                const fg = rowColors[x];
+                const bg = rowBackgrounds[x];
+                const code = createSequence(fg, bg);
+
+                if (code !== lastCode) {
+                    output += code ? `${RESET}${code}` : RESET;
+                    lastCode = code;
+                }
+                output += char;
+            });
+
+            return lastCode === null ? output : output + RESET;
+        }).join('\n');
+    }
+
+    /**
+     * Render text with per-cell colors as HTML spans
+     * Adjacent cells with the same colors share one span.
+     * @param {string} text - Plain text, one line per row
+     * @param {Array<Array<Array<number>>>} colors - Foreground [r, g, b] per cell
+     * @param {Array<Array<Array<number>>>|null} backgrounds - Optional background [r, g, b] per cell
+     * @returns {string} HTML markup
+     */
+    static toHtml(text, colors, backgrounds = null) {
+        return text.split('\n').map((line, y) => {
+            const chars = Array.from(line);
+            const rowColors = colors[y] || [];
+            const rowBackgrounds = backgrounds ? backgrounds[y] || [] : [];
+            const runs = [];
+
+            chars.forEach((char, x) => {
+                const style = this.createStyle(rowColors[x], rowBackgrounds[x]);
+                const last = runs[runs.length - 1];
+
+                if (last && last.style === style) {
+                    last.text += char;
+                } else {
+                    runs.push({ style, text: char });
+                }
+            });
+
+            return runs.map(run => {
+                const escaped = InputValidator.sanitizeHtml(run.text);
+                return run.style ? `<span style="${run.style}">${escaped}</span>` : escaped;
+            }).join('');
+        }).join('\n');
+    }
+
+    /**
+     * Create the escape sequence for a foreground/background pair
+     * @param {Array<number>|undefined} fg - Foreground color
+     * @param {Array<number>|undefined} bg - Background color
+     * @param {string} mode - Color mode
+     * @returns {string} Escape sequence, empty when no color applies
+     */
+    static createSequence(fg, bg, mode) {
+        const parts = [];
+
+        if (fg) {
+            parts.push(this.colorParameters(fg, mode, false));
+        }
+        if (bg) {
+            parts.push(this.colorParameters(bg, mode, true));
+        }
+
+        return parts.length > 0 ? `${ESC}${parts.join(';')}m` : '';
+    }
+
+    /**
+     * Create the DOS ANSI.SYS escape sequence for a foreground/background pair
+     * @param {Array<number>|undefined} fg - Foreground color
+     * @param {Array<number>|undefined} bg - Background color
+     * @returns {string} Escape sequence, empty when no color applies
+     */
+    static createDosSequence(fg, bg) {
+        const parts = [];
+
+        if (fg) {
+            const index = this.rgbToAnsi16(...fg);
+            parts.push(index < 8 ? `${30 + index}` : `1;${30 + index - 8}`);
+        }
+        if (bg) {
+            const index = this.rgbToAnsi16(...bg);
+            parts.push(index < 8 ? `${40 + index}` : `5;${40 + index - 8}`);
+        }
+
+        return parts.length > 0 ? `${ESC}${parts.join(';')}m` : '';
+    }
+
+    /**
+     * Get SGR parameters for a single color
+     * @param {Array<number>} color - [r, g, b]
+     * @param {string} mode - Color mode
+     * @param {boolean} background - Whether this is a background color
+     * @returns {string} SGR parameters
+     */
+    static colorParameters(color, mode, background) {
+        const [r, g, b] = color;
+
+        switch (mode) {
+            case 'ansi16': {
+                const index = this.rgbToAnsi16(r, g, b);
+                const base = background ? 40 : 30;
+                return String(index < 8 ? base + index : base + 60 + index - 8);
+            }
+            case 'ansi256':
+                return `${background ? 48 : 38};5;${this.rgbToAnsi256(r, g, b)}`;
+            case 'truecolor':
+            default:
+                return `${background ? 48 : 38};2;${r};${g};${b}`;
+        }
+    }
+
+    /**
+     * Create a CSS style for a foreground/background pair
+     * @param {Array<number>|undefined} fg - Foreground color
+     * @param {Array<number>|undefined} bg - Background color
+     * @returns {string} Inline style, empty when no color applies
+     */
+    static createStyle(fg, bg) {
+        const rules = [];
+
+        if (fg) {
+            rules.push(`color:rgb(${fg[0]},${fg[1]},${fg[2]})`);
+        }
+        if (bg) {
+            rules.push(`background:rgb(${bg[0]},${bg[1]},${bg[2]})`);
+        }
+
+        return rules.join(';');
+    }
+
+    /**
+     * Find the nearest of the 16 basic ANSI colors
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {number} Palette index (0-15)
+     */
+    static rgbToAnsi16(r, g, b) {
+        return this.nearestIndex(ANSI16_PALETTE, r, g, b);
+    }
+
+    /**
+     * Find the nearest xterm 256-color index (color cube or grayscale ramp)
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {number} Palette index (16-255)
+     */
+    static rgbToAnsi256(r, g, b) {
+        const cubeLevels = CUBE_LEVELS.map(v => [v]);
+        const toCube = (value) => this.nearestIndex(cubeLevels, value);
+
+        const cr = toCube(r);
+        const cg = toCube(g);
+        const cb = toCube(b);
+        const cubeIndex = 16 + 36 * cr + 6 * cg + cb;
+        const cubeColor = [CUBE_LEVELS[cr], CUBE_LEVELS[cg], CUBE_LEVELS[cb]];
+
+        // Grayscale ramp runs from 8 to 238 in steps of 10
+        const average = (r + g + b) / 3;
+        const grayStep = Math.max(0, Math.min(23, Math.round((average - 8) / 10)));
+        const grayValue = 8 + grayStep * 10;
+        const grayColor = [grayValue, grayValue, grayValue];
+
+        return this.distance(cubeColor, r, g, b) <= this.distance(grayColor, r, g, b)
+            ? cubeIndex
+            : 232 + grayStep;
+    }
+
+    /**
+     * Find the index of the nearest palette entry
+     * @param {Array<Array<number>>} palette - Palette entries
+     * @param {...number} channels - Channel values to match
+     * @returns {number} Index of the nearest entry
+     */
+    static nearestIndex(palette, ...channels) {
+        let best = 0;
+        let bestDistance = Infinity;
+
+        palette.forEach((entry, index) => {
+            const d = this.distance(entry, ...channels);
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = index;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Squared euclidean distance between a palette entry and channel values
+     * @param {Array<number>} entry - Palette entry
+     * @param {...number} channels - Channel values
+     * @returns {number} Squared distance
+     */
+    static distance(entry, ...channels) {
+        return channels.reduce((sum, value, i) => sum + (entry[i] - value) ** 2, 0);
+    }
+}
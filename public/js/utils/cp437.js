@@ -0,0 +1,144 @@
+/**
+ * ASCII Art Studio - Code Page 437
+ * The IBM PC character set used by DOS console fonts and scene art, and a
+ * transcoder between it and Unicode
+ */
+
+// Unicode characters for bytes 0x00-0xFF; control bytes use their glyph shapes
+export const CP437 = Array.from(
+    '\u0000☺☻♥♦♣♠•◘○◙♂♀♪♫☼►◄↕‼¶§▬↨↑↓→←∟↔▲▼' +
+    ' !"#$%&\'()*+,-./0123456789:;<=>?' +
+    '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_' +
+    '`abcdefghijklmnopqrstuvwxyz{|}~⌂' +
+    'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+    'áíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+    '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+    'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ '
+);
+
+// Bytes decoded as control characters rather than glyphs: tab, line breaks and escape
+const CONTROL_BYTES = [0x09, 0x0a, 0x0d, 0x1b];
+
+// DOS end-of-file marker; a SAUCE metadata record may follow it
+const EOF_BYTE = 0x1a;
+
+// Glyphs of the control and end-of-file bytes have no byte of their own:
+// writing ◙ as 0x0A would start a new line
+const ENCODE_MAP = new Map();
+CP437.forEach((char, byte) => {
+    if (!ENCODE_MAP.has(char) && !CONTROL_BYTES.includes(byte) && byte !== EOF_BYTE) {
+        ENCODE_MAP.set(char, byte);
+    }
+});
+CONTROL_BYTES.forEach(byte => ENCODE_MAP.set(String.fromCharCode(byte), byte));
+
+export class Cp437 {
+    /**
+     * Encode text as CP437 bytes
+     * @param {string} text - Unicode text
+     * @param {Object} options - replacement (character written for
+     *   characters CP437 lacks, default ?)
+     * @returns {Object} { bytes: Uint8Array, unmappable } where unmappable
+     *   lists each missing character once: { char, code, count, line, column }
+     *   with the line and column of its first use
+     */
+    static encode(text, options = {}) {
+        const { replacement = '?' } = options;
+        const replacementByte = ENCODE_MAP.get(replacement);
+        if (replacementByte === undefined) {
+            throw new Error(`Replacement character ${replacement} is not in CP437`);
+        }
+
+        const chars = Array.from(String(text));
+        const bytes = new Uint8Array(chars.length);
+        const unmappable = new Map();
+        let line = 1;
+        let column = 1;
+
+        chars.forEach((char, i) => {
+            const byte = ENCODE_MAP.get(char);
+            if (byte === undefined) {
+                const entry = unmappable.get(char);
+                if (entry) {
+                    entry.count++;
+                } else {
+                    unmappable.set(char, { char, code: this.formatCodePoint(char), count: 1, line, column });
+                }
+            }
+            bytes[i] = byte ?? replacementByte;
+
+            if (char === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+        });
+
+        return { bytes, unmappable: Array.from(unmappable.values()) };
+    }
+
+    /**
+     * Decode CP437 bytes to Unicode
+     * Bytes 0x00-0x1F are drawn with their DOS glyphs except tab, line
+     * breaks and escape, so ANSI art keeps its escape sequences. Decoding
+     * stops at the DOS end-of-file byte, which hides a trailing SAUCE record.
+     * @param {Uint8Array|ArrayBuffer} bytes - File contents
+     * @returns {string}
+     */
+    static decode(bytes) {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const end = data.indexOf(EOF_BYTE);
+        let text = '';
+        for (const byte of end === -1 ? data : data.subarray(0, end)) {
+            text += CONTROL_BYTES.includes(byte) ? String.fromCharCode(byte) : CP437[byte];
+        }
+        return text;
+    }
+
+    /**
+     * Decode a text file that may be UTF-8 or CP437
+     * Files that are not valid UTF-8 are read as CP437; plain ASCII reads
+     * the same either way.
+     * @param {Uint8Array|ArrayBuffer} bytes - File contents
+     * @returns {Object} { text, encoding: 'utf-8'|'cp437' }
+     */
+    static decodeAuto(bytes) {
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+        } catch {
+            return { text: this.decode(bytes), encoding: 'cp437' };
+        }
+    }
+
+    /**
+     * Check whether a character has a CP437 byte
+     * @param {string} char - Character
+     * @returns {boolean}
+     */
+    static canEncode(char) {
+        return ENCODE_MAP.has(char);
+    }
+
+    /**
+     * Describe characters that could not be encoded
+     * @param {Array<Object>} unmappable - From encode()
+     * @returns {string} e.g. "2 characters have no CP437 byte and were
+     *   replaced: ▘ U+2598 (3×, first at line 1, column 4), ..."
+     */
+    static formatReport(unmappable) {
+        const total = unmappable.reduce((sum, entry) => sum + entry.count, 0);
+        const details = unmappable
+            .map(({ char, code, count, line, column }) => `${char} ${code} (${count}×, first at line ${line}, column ${column})`)
+            .join(', ');
+        return `${total} character${total === 1 ? '' : 's'} ${total === 1 ? 'has' : 'have'} no CP437 byte and ${total === 1 ? 'was' : 'were'} replaced: ${details}`;
+    }
+
+    /**
+     * @param {string} char - Character
+     * @returns {string} Code point as U+XXXX
+     */
+    static formatCodePoint(char) {
+        return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+}
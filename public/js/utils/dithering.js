@@ -0,0 +1,329 @@
+/**
+ * Dithering
+ * Error-diffusion and ordered dithering of luminance values to N levels,
+ * so the output maps exactly onto the characters of a density ramp
+ */
+
+/**
+ * Error-diffusion kernels as [dx, dy, weight] entries with a divisor.
+ * Atkinson deliberately diffuses only 6/8 of the error.
+ */
+const DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        entries: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    atkinson: {
+        divisor: 8,
+        entries: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    },
+    'jarvis-judice-ninke': {
+        divisor: 48,
+        entries: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    sierra: {
+        divisor: 32,
+        entries: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    }
+};
+
+/**
+ * Ordered dithering threshold map generators
+ */
+const ORDERED_MAPS = {
+    bayer2: () => Dithering.createBayerMatrix(2),
+    bayer4: () => Dithering.createBayerMatrix(4),
+    bayer8: () => Dithering.createBayerMatrix(8),
+    'blue-noise': () => Dithering.createBlueNoiseMatrix(32)
+};
+
+const matrixCache = new Map();
+
+export class Dithering {
+    /**
+     * Available dithering algorithms
+     * @returns {Array<string>} Algorithm identifiers
+     */
+    static getAlgorithms() {
+        return [...Object.keys(DIFFUSION_KERNELS), ...Object.keys(ORDERED_MAPS)];
+    }
+
+    /**
+     * Check whether an algorithm is ordered (frame-stable) rather than error diffusion
+     * @param {string} algorithm - Algorithm identifier
+     * @returns {boolean} True for threshold-map algorithms
+     */
+    static isOrdered(algorithm) {
+        return Object.prototype.hasOwnProperty.call(ORDERED_MAPS, algorithm);
+    }
+
+    /**
+     * Dither luminance values to a fixed number of evenly spaced levels
+     * @param {Array<number>} pixels - Pixel luminance values (0-255)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} options - algorithm, levels, threshold (two levels only) and serpentine
+     * @returns {Float32Array} Quantized pixels
+     */
+    static apply(pixels, width, height, options = {}) {
+        const {
+            algorithm = 'floyd-steinberg',
+            levels = 2,
+            threshold = 128,
+            serpentine = false
+        } = options;
+
+        if (levels < 2) {
+            throw new Error('Dithering requires at least 2 levels');
+        }
+
+        const quantize = this.createQuantizer(levels, threshold);
+
+        if (this.isOrdered(algorithm)) {
+            return this.applyOrdered(pixels, width, height, this.getThresholdMatrix(algorithm), levels, quantize);
+        }
+
+        const kernel = DIFFUSION_KERNELS[algorithm];
+        if (!kernel) {
+            throw new Error(`Unknown dithering algorithm: ${algorithm}`);
+        }
+
+        return this.applyErrorDiffusion(pixels, width, height, kernel, quantize, serpentine);
+    }
+
+    /**
+     * Create a function mapping a value to the nearest output level
+     * With two levels the cut-off follows the threshold instead of mid-gray.
+     * @param {number} levels - Number of output levels
+     * @param {number} threshold - Black/white cut-off for two levels
+     * @returns {Function} Quantizer
+     */
+    static createQuantizer(levels, threshold = 128) {
+        if (levels === 2) {
+            return value => (value < threshold ? 0 : 255);
+        }
+
+        // Levels are rounded up so that floor(value / 255 * (levels - 1))
+        // recovers the level index when mapping onto a ramp
+        const step = 255 / (levels - 1);
+        return value => {
+            const level = Math.max(0, Math.min(levels - 1, Math.round(value / step)));
+            return Math.min(255, Math.ceil(level * step));
+        };
+    }
+
+    /**
+     * Diffuse quantization error to neighbouring pixels
+     * Serpentine scanning alternates direction per row and mirrors the kernel.
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} kernel - Diffusion kernel
+     * @param {Function} quantize - Quantizer
+     * @param {boolean} serpentine - Whether to alternate scan direction
+     * @returns {Float32Array} Quantized pixels
+     */
+    static applyErrorDiffusion(pixels, width, height, kernel, quantize, serpentine) {
+        const result = Float32Array.from(pixels);
+
+        for (let y = 0; y < height; y++) {
+            const reverse = serpentine && y % 2 === 1;
+
+            for (let i = 0; i < width; i++) {
+                const x = reverse ? width - 1 - i : i;
+                const idx = y * width + x;
+                const oldPixel = result[idx];
+                const newPixel = quantize(oldPixel);
+                const error = oldPixel - newPixel;
+                result[idx] = newPixel;
+
+                for (const [dx, dy, weight] of kernel.entries) {
+                    const nx = reverse ? x - dx : x + dx;
+                    const ny = y + dy;
+                    if (nx >= 0 && nx < width && ny < height) {
+                        result[ny * width + nx] += error * weight / kernel.divisor;
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Offset each pixel by a tiled threshold map before quantizing
+     * The pattern depends only on position, so it stays stable between video frames.
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Array<Array<number>>} matrix - Threshold map with values in [0, 1)
+     * @param {number} levels - Number of output levels
+     * @param {Function} quantize - Quantizer
+     * @returns {Float32Array} Quantized pixels
+     */
+    static applyOrdered(pixels, width, height, matrix, levels, quantize) {
+        const size = matrix.length;
+        const spread = 255 / (levels - 1);
+        const result = new Float32Array(pixels.length);
+
+        for (let y = 0; y < height; y++) {
+            const row = matrix[y % size];
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                result[idx] = quantize(pixels[idx] + (row[x % size] - 0.5) * spread);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get a (cached) threshold map for an ordered algorithm
+     * @param {string} algorithm - Ordered algorithm identifier
+     * @returns {Array<Array<number>>} Threshold map
+     */
+    static getThresholdMatrix(algorithm) {
+        if (!matrixCache.has(algorithm)) {
+            matrixCache.set(algorithm, ORDERED_MAPS[algorithm]());
+        }
+        return matrixCache.get(algorithm);
+    }
+
+    /**
+     * Build a normalized Bayer matrix by recursive doubling
+     * @param {number} size - Matrix size (power of two)
+     * @returns {Array<Array<number>>} Threshold map with values in [0, 1)
+     */
+    static createBayerMatrix(size) {
+        let matrix = [[0]];
+
+        while (matrix.length < size) {
+            const n = matrix.length;
+            const next = [];
+            for (let y = 0; y < n * 2; y++) {
+                next.push(new Array(n * 2));
+            }
+
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    const v = matrix[y][x] * 4;
+                    next[y][x] = v;
+                    next[y][x + n] = v + 2;
+                    next[y + n][x] = v + 3;
+                    next[y + n][x + n] = v + 1;
+                }
+            }
+            matrix = next;
+        }
+
+        const cells = size * size;
+        return matrix.map(row => row.map(v => (v + 0.5) / cells));
+    }
+
+    /**
+     * Build a blue-noise threshold map with the void-and-cluster method
+     * A seeded generator keeps the map identical between runs.
+     * @param {number} size - Matrix size
+     * @param {number} sigma - Gaussian filter width used to find clusters and voids
+     * @returns {Array<Array<number>>} Threshold map with values in [0, 1)
+     */
+    static createBlueNoiseMatrix(size, sigma = 1.5) {
+        const cells = size * size;
+
+        // Toroidal gaussian weights by wrapped offset
+        const weights = new Array(cells);
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                const wx = Math.min(dx, size - dx);
+                const wy = Math.min(dy, size - dy);
+                weights[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+            }
+        }
+
+        const pattern = new Array(cells).fill(false);
+        const energy = new Array(cells).fill(0);
+        const toggle = (p, on) => {
+            pattern[p] = on;
+            const px = p % size;
+            const py = Math.floor(p / size);
+            const sign = on ? 1 : -1;
+            for (let q = 0; q < cells; q++) {
+                const dx = (q % size - px + size) % size;
+                const dy = (Math.floor(q / size) - py + size) % size;
+                energy[q] += sign * weights[dy * size + dx];
+            }
+        };
+        const find = (on, pickMax) => {
+            let best = -1;
+            for (let q = 0; q < cells; q++) {
+                if (pattern[q] === on && (best < 0 || (pickMax ? energy[q] > energy[best] : energy[q] < energy[best]))) {
+                    best = q;
+                }
+            }
+            return best;
+        };
+
+        // Seed roughly 10% of cells with a deterministic LCG
+        let seed = 12345;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 2147483648;
+        };
+        const initialCount = Math.max(1, Math.floor(cells / 10));
+        let placed = 0;
+        while (placed < initialCount) {
+            const p = Math.floor(random() * cells);
+            if (!pattern[p]) {
+                toggle(p, true);
+                placed++;
+            }
+        }
+
+        // Spread the seed points: move the tightest cluster into the largest void
+        for (let iteration = 0; iteration < cells; iteration++) {
+            const cluster = find(true, true);
+            toggle(cluster, false);
+            const voidIndex = find(false, false);
+            toggle(voidIndex, true);
+            if (voidIndex === cluster) {
+                break;
+            }
+        }
+
+        const initialPattern = [...pattern];
+        const initialEnergy = [...energy];
+        const ranks = new Array(cells);
+
+        // Rank the seed points by removing clusters
+        for (let ones = initialCount; ones > 0; ones--) {
+            const cluster = find(true, true);
+            toggle(cluster, false);
+            ranks[cluster] = ones - 1;
+        }
+
+        // Rank the remaining cells by filling voids
+        initialPattern.forEach((on, i) => {
+            pattern[i] = on;
+            energy[i] = initialEnergy[i];
+        });
+        for (let ones = initialCount; ones < cells; ones++) {
+            const voidIndex = find(false, false);
+            toggle(voidIndex, true);
+            ranks[voidIndex] = ones;
+        }
+
+        const matrix = [];
+        for (let y = 0; y < size; y++) {
+            matrix.push(ranks.slice(y * size, (y + 1) * size).map(rank => (rank + 0.5) / cells));
+        }
+        return matrix;
+    }
+}
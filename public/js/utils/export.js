@@ -4,6 +4,9 @@
  */
 
 import { Config, ColorPalettes } from '../config.js';
+import { ColorRenderer } from './color-renderer.js';
+import { InputValidator } from './validator.js';
+import { Cp437 } from './cp437.js';
 
 export class ExportManager {
     constructor() {
@@ -58,6 +61,14 @@ export class ExportManager {
                 return this.createMarkdownBlob(content, metadata);
             case 'discord':
                 return this.createDiscordBlob(content, metadata);
+            case 'ansi':
+                return this.createAnsiBlob(content, metadata);
+            case 'nfo':
+                return this.createNfoBlob(content);
+            case 'diz':
+                return this.createDizBlob(content);
+            case 'bbs':
+                return this.createBbsBlob(content, metadata);
             default:
                 throw new Error(`Unsupported format: ${format}`);
         }
@@ -162,7 +173,9 @@ export class ExportManager {
             ${metadata.font ? ` | Font: ${metadata.font}` : ''}
             ${metadata.width ? ` | Width: ${metadata.width}px` : ''}
         </div>
-        <div class="ascii-art">${this.escapeHtml(content)}</div>
+        <div class="ascii-art">${metadata.colors
+            ? ColorRenderer.toHtml(content, metadata.colors, metadata.backgrounds)
+            : this.escapeHtml(content)}</div>
     </div>
 </body>
 </html>`;
@@ -182,7 +195,7 @@ export class ExportManager {
         const jsonData = {
             ascii_art: content,
             metadata: {
-                ...metadata,
+                ...this.stripColorData(metadata),
                 generator: 'ApeHost',
                 version: Config.VERSION,
                 generated_at: metadata.timestamp || new Date().toISOString(),
@@ -196,6 +209,121 @@ export class ExportManager {
         });
     }
 
+    /**
+     * Create ANSI blob with terminal color sequences
+     * Falls back to plain text when no color data is available.
+     * @param {string} content - ASCII content
+     * @param {Object} metadata - Generation metadata (colors, backgrounds, colorMode)
+     * @returns {Blob}
+     */
+    createAnsiBlob(content, metadata) {
+        const ansiContent = metadata.colors
+            ? ColorRenderer.toAnsi(content, metadata.colors, metadata.colorMode || 'truecolor', metadata.backgrounds)
+            : content;
+
+        return new Blob([ansiContent + '\n'], {
+            type: this.supportedFormats.ANSI.mimeType
+        });
+    }
+
+    /**
+     * Create NFO blob: CP437 bytes, DOS line endings, no line wider than
+     * the NFO width
+     * @param {string} content - ASCII content
+     * @returns {Blob}
+     */
+    createNfoBlob(content) {
+        const lines = content.split(/\r?\n/);
+        const tooWide = lines.findIndex(line => Array.from(line).length > Config.LIMITS.NFO_WIDTH);
+        if (tooWide !== -1) {
+            throw new Error(`Line ${tooWide + 1} is wider than ${Config.LIMITS.NFO_WIDTH} columns; NFO files are limited to ${Config.LIMITS.NFO_WIDTH}`);
+        }
+
+        return this.createDosBlob(lines.join('\n'), 'NFO');
+    }
+
+    /**
+     * Create FILE_ID.DIZ blob: CP437 bytes with DOS line endings, within
+     * the DIZ width and line limits
+     * @param {string} content - ASCII content
+     * @returns {Blob}
+     */
+    createDizBlob(content) {
+        const { DIZ_WIDTH, DIZ_LINES } = Config.LIMITS;
+        const lines = content.split(/\r?\n/);
+        if (lines.length > DIZ_LINES) {
+            throw new Error(`FILE_ID.DIZ has ${lines.length} lines; it is limited to ${DIZ_LINES}`);
+        }
+        const tooWide = lines.findIndex(line => Array.from(line).length > DIZ_WIDTH);
+        if (tooWide !== -1) {
+            throw new Error(`Line ${tooWide + 1} is wider than ${DIZ_WIDTH} columns; FILE_ID.DIZ is limited to ${DIZ_WIDTH}`);
+        }
+
+        return this.createDosBlob(lines.join('\n'), 'DIZ');
+    }
+
+    /**
+     * Create BBS ANSI blob: 16-color escape sequences in CP437 bytes, as
+     * DOS viewers and BBS software expect
+     * @param {string} content - ASCII content
+     * @param {Object} metadata - Generation metadata (colors, backgrounds)
+     * @returns {Blob}
+     */
+    createBbsBlob(content, metadata) {
+        const ansiContent = metadata.colors
+            ? ColorRenderer.toDosAnsi(content, metadata.colors, metadata.backgrounds)
+            : content;
+
+        return this.createDosBlob(ansiContent, 'BBS');
+    }
+
+    /**
+     * Encode text as CP437 with DOS line endings
+     * Characters CP437 lacks are written as ?; use getEncodingReport() to
+     * list them.
+     * @param {string} content - Text
+     * @param {string} format - Format key in Config.EXPORT_FORMATS
+     * @returns {Blob}
+     */
+    createDosBlob(content, format) {
+        const { bytes } = Cp437.encode(content.replace(/\r?\n/g, '\r\n') + '\r\n');
+        return new Blob([bytes], {
+            type: this.supportedFormats[format].mimeType
+        });
+    }
+
+    /**
+     * List characters a format cannot represent
+     * @param {string} content - ASCII content
+     * @param {string} format - Export format
+     * @returns {Array<Object>} Unmappable characters (see Cp437.encode);
+     *   empty for formats written as UTF-8
+     */
+    getEncodingReport(content, format) {
+        if (this.getEncoding(format) !== 'cp437') {
+            return [];
+        }
+        return Cp437.encode(content).unmappable;
+    }
+
+    /**
+     * @param {string} format - Export format
+     * @returns {string} cp437 or utf-8
+     */
+    getEncoding(format) {
+        return this.supportedFormats[format.toUpperCase()]?.encoding || 'utf-8';
+    }
+
+    /**
+     * Read a text file for editing, decoding CP437 files to Unicode
+     * @param {File|Blob} file - .nfo, .diz, .ans or text file
+     * @returns {Promise<Object>} { text, encoding } with \n line endings
+     */
+    async importFile(file) {
+        const { text, encoding } = Cp437.decodeAuto(new Uint8Array(await file.arrayBuffer()));
+        return { text: text.replace(/\r\n?/g, '\n'), encoding };
+    }
+
     /**
      * Create Discord-optimized blob with proper formatting
      * @param {string} content - ASCII content
@@ -278,7 +406,7 @@ ${content}
 ${JSON.stringify({
     character_count: content.length,
     line_count: content.split('\n').length,
-    generation_settings: metadata,
+    generation_settings: this.stripColorData(metadata),
     export_timestamp: new Date().toISOString()
 }, null, 2)}
 \`\`\`
@@ -300,6 +428,11 @@ ${JSON.stringify({
      * @returns {string}
      */
     generateFilename(format, metadata) {
+        // BBS software only reads the description under this name
+        if (format.toLowerCase() === 'diz') {
+            return 'FILE_ID.DIZ';
+        }
+
         const timestamp = Date.now();
         const mode = metadata.mode || 'ascii';
         const extension = this.supportedFormats[format.toUpperCase()].extension;
@@ -333,15 +466,25 @@ ${JSON.stringify({
         }
     }
 
+    /**
+     * Remove per-cell color data from metadata before serializing it
+     * @param {Object} metadata - Generation metadata
+     * @returns {Object} Metadata without colors and backgrounds
+     */
+    stripColorData(metadata) {
+        const rest = { ...metadata };
+        delete rest.colors;
+        delete rest.backgrounds;
+        return rest;
+    }
+
     /**
      * Escape HTML special characters
      * @param {string} text - Text to escape
      * @returns {string}
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return InputValidator.sanitizeHtml(text);
     }
 
     /**
@@ -0,0 +1,209 @@
+/**
+ * ASCII Art Studio - FIGlet Font Parser
+ * Parses FIGfont v2 (.flf) files into the font data used by FigletGenerator
+ *
+ * File layout:
+ *   flf2a$ height baseline maxLength oldLayout commentLines [printDirection fullLayout codetagCount]
+ *   commentLines lines of comments
+ *   ASCII 32-126, then the German characters Ä Ö Ü ä ö ü ß, height lines each
+ *   Code-tagged characters: a "code [name]" line followed by height lines
+ * Every character line ends with an endmark; the last line of a character
+ * ends with two.
+ */
+
+const SIGNATURE = 'flf2a';
+
+// Required characters after printable ASCII, in file order
+const GERMAN_CODES = [196, 214, 220, 228, 246, 252, 223];
+
+// Layout bits (full_layout)
+export const FIGLET_LAYOUT = {
+    EQUAL: 1,
+    UNDERSCORE: 2,
+    HIERARCHY: 4,
+    OPPOSITE_PAIR: 8,
+    BIG_X: 16,
+    HARDBLANK: 32,
+    KERNING: 64,
+    SMUSHING: 128,
+    VERTICAL_EQUAL: 256,
+    VERTICAL_UNDERSCORE: 512,
+    VERTICAL_HIERARCHY: 1024,
+    HORIZONTAL_LINE: 2048,
+    VERTICAL_LINE_SUPER: 4096,
+    VERTICAL_FITTING: 8192,
+    VERTICAL_SMUSHING: 16384
+};
+
+export class FigletFontParser {
+    /**
+     * Parse a FIGfont file
+     * @param {string} source - Contents of a .flf file
+     * @returns {Object} Font data: height, hardblank, chars keyed by character,
+     *   baseline, maxLength, oldLayout, fullLayout, printDirection and comment
+     */
+    static parse(source) {
+        if (typeof source !== 'string' || source.length === 0) {
+            throw new Error('Invalid FIGlet font: file is empty');
+        }
+        if (source.startsWith('PK')) {
+            throw new Error('Compressed FIGlet fonts are not supported; unzip the .flf file first');
+        }
+
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+        const header = this.parseHeader(lines[0]);
+        const font = {
+            ...header,
+            comment: lines.slice(1, 1 + header.commentLines).join('\n'),
+            chars: {}
+        };
+
+        let index = 1 + header.commentLines;
+        const readCharacter = () => {
+            if (index + header.height > lines.length) {
+                return null;
+            }
+            const glyph = lines.slice(index, index + header.height).map(line => this.stripEndmarks(line));
+            index += header.height;
+            return glyph;
+        };
+
+        // Required characters: printable ASCII, then the German set
+        const required = [];
+        for (let code = 32; code <= 126; code++) {
+            required.push(code);
+        }
+        required.push(...GERMAN_CODES);
+
+        for (const code of required) {
+            const glyph = readCharacter();
+            if (!glyph) {
+                // Many fonts stop after ASCII; only the ASCII set is mandatory in practice
+                if (code <= 126) {
+                    throw new Error(`Invalid FIGlet font: missing character ${code}`);
+                }
+                return font;
+            }
+            font.chars[String.fromCodePoint(code)] = glyph;
+        }
+
+        // Code-tagged characters run to the end of the file
+        while (index < lines.length) {
+            const tag = lines[index];
+            if (tag.trim() === '') {
+                index++;
+                continue;
+            }
+
+            // Like figlet, stop at the first malformed tag
+            const code = this.parseCodeTag(tag);
+            if (code === null) {
+                break;
+            }
+
+            index++;
+            const glyph = readCharacter();
+            if (!glyph) {
+                break;
+            }
+            // Negative codes are translation-table entries that are never printed
+            if (code >= 0) {
+                font.chars[String.fromCodePoint(code)] = glyph;
+            }
+        }
+
+        return font;
+    }
+
+    /**
+     * Parse the header line
+     * @param {string} line - First line of the file
+     * @returns {Object} Header fields with fullLayout derived from oldLayout when absent
+     */
+    static parseHeader(line) {
+        if (!line || !line.startsWith(SIGNATURE) || line.length < SIGNATURE.length + 1) {
+            throw new Error('Invalid FIGlet font: missing flf2a signature');
+        }
+
+        const hardblank = line[SIGNATURE.length];
+        const fields = line.slice(SIGNATURE.length + 1).trim().split(/\s+/).map(value => parseInt(value, 10));
+        const [height, baseline, maxLength, oldLayout, commentLines, printDirection, fullLayout] = fields;
+
+        if (!(height > 0) || [baseline, maxLength, oldLayout, commentLines].some(value => !Number.isInteger(value))) {
+            throw new Error('Invalid FIGlet font: malformed header');
+        }
+
+        return {
+            hardblank,
+            height,
+            baseline,
+            maxLength,
+            oldLayout,
+            commentLines: Math.max(0, commentLines),
+            printDirection: Number.isInteger(printDirection) ? printDirection : 0,
+            fullLayout: Number.isInteger(fullLayout) ? fullLayout : this.layoutFromOldLayout(oldLayout)
+        };
+    }
+
+    /**
+     * Translate the old_layout header field into full_layout bits
+     * -1 is full width, 0 is kerning, positive values are smushing rules
+     * @param {number} oldLayout - old_layout value
+     * @returns {number} full_layout value
+     */
+    static layoutFromOldLayout(oldLayout) {
+        if (oldLayout < 0) {
+            return 0;
+        }
+        if (oldLayout === 0) {
+            return FIGLET_LAYOUT.KERNING;
+        }
+        return (oldLayout & 63) | FIGLET_LAYOUT.SMUSHING;
+    }
+
+    /**
+     * Remove trailing whitespace and endmarks from a character line
+     * Any run of the endmark character at the end is removed, as figlet does.
+     * @param {string} line - Raw line
+     * @returns {string} Character row
+     */
+    static stripEndmarks(line) {
+        const trimmed = line.trimEnd();
+        if (trimmed.length === 0) {
+            return trimmed;
+        }
+
+        const endmark = trimmed[trimmed.length - 1];
+        let end = trimmed.length;
+        while (end > 0 && trimmed[end - 1] === endmark) {
+            end--;
+        }
+        return trimmed.slice(0, end);
+    }
+
+    /**
+     * Read the character code from a code tag line
+     * Codes may be decimal, octal (leading 0) or hex (0x), optionally negative.
+     * @param {string} line - Code tag line, e.g. "0x00C4  LATIN CAPITAL LETTER A WITH DIAERESIS"
+     * @returns {number|null} Character code, or null when the tag is malformed
+     */
+    static parseCodeTag(line) {
+        const match = line.trim().match(/^(-?)(0x[0-9a-f]+|0[0-7]*|[1-9]\d*)(?:\s|$)/i);
+        if (!match) {
+            return null;
+        }
+
+        const [, sign, digits] = match;
+        let value;
+        if (/^0x/i.test(digits)) {
+            value = parseInt(digits.slice(2), 16);
+        } else if (digits.length > 1 && digits.startsWith('0')) {
+            value = parseInt(digits, 8);
+        } else {
+            value = parseInt(digits, 10);
+        }
+
+        const code = sign ? -value : value;
+        return code > 0x10ffff ? null : code;
+    }
+}
@@ -0,0 +1,468 @@
+/**
+ * ASCII Art Studio - Font Editor
+ * Glyph-by-glyph editing of TextGenerator fonts, with local persistence and
+ * JSON / FIGfont (.flf) import and export
+ *
+ * Glyphs are kept as TextGenerator stores them: an array of `height` strings
+ * per character. The editor keeps every row of a glyph the same width.
+ */
+
+import { Config } from '../config.js';
+import { FigletFontParser } from './figlet-font-parser.js';
+
+export const FONT_FILE_FORMAT = 'ascii-studio-font';
+export const MAX_FONT_HEIGHT = 32;
+export const MAX_GLYPH_WIDTH = 64;
+
+// Characters offered for editing even when the font lacks them
+const EDITABLE_CHARS = Array.from({ length: 94 }, (_, i) => String.fromCharCode(33 + i));
+
+// FIGfont required characters after printable ASCII
+const GERMAN_CHARS = ['Ä', 'Ö', 'Ü', 'ä', 'ö', 'ü', 'ß'];
+
+// TextGenerator draws a missing space three columns wide
+const SPACE_WIDTH = 3;
+
+export class FontEditor {
+    /**
+     * @param {Storage|null} storage - Where saved fonts are kept (localStorage by default)
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.storageKey = Config.STORAGE_KEYS.CUSTOM_FONTS;
+        this.create();
+    }
+
+    /**
+     * Start a new, empty font
+     * @param {number} height - Glyph height in rows
+     * @param {string} name - Font name
+     */
+    create(height = 6, name = 'custom') {
+        this.validateHeight(height);
+        this.name = name;
+        this.fontData = { height, chars: {} };
+    }
+
+    /**
+     * Start editing a copy of existing font data
+     * @param {Object} fontData - TextGenerator font data
+     * @param {string} name - Font name
+     */
+    load(fontData, name) {
+        if (!fontData || !fontData.chars) {
+            throw new Error('Invalid font data format');
+        }
+        this.validateHeight(fontData.height);
+
+        this.name = name;
+        this.fontData = { height: fontData.height, chars: {} };
+        for (const [char, rows] of Object.entries(fontData.chars)) {
+            this.fontData.chars[char] = this.normalizeRows(rows, fontData.height);
+        }
+    }
+
+    /**
+     * Characters to offer for editing: printable ASCII plus any the font defines
+     * @returns {Array<string>} Characters in code point order
+     */
+    getCharacters() {
+        const chars = new Set([...EDITABLE_CHARS, ...Object.keys(this.fontData.chars)]);
+        return Array.from(chars).sort((a, b) => a.codePointAt(0) - b.codePointAt(0));
+    }
+
+    /**
+     * Whether the font defines a glyph for a character
+     * @param {string} char - Character
+     * @returns {boolean}
+     */
+    hasGlyph(char) {
+        return Object.prototype.hasOwnProperty.call(this.fontData.chars, char);
+    }
+
+    /**
+     * Rows of a glyph; undefined glyphs are blank at the default width
+     * @param {string} char - Character
+     * @returns {Array<string>} Glyph rows
+     */
+    getGlyph(char) {
+        if (this.hasGlyph(char)) {
+            return [...this.fontData.chars[char]];
+        }
+        return Array(this.fontData.height).fill(' '.repeat(this.getDefaultWidth()));
+    }
+
+    /**
+     * Width of a glyph in columns
+     * @param {string} char - Character
+     * @returns {number}
+     */
+    getGlyphWidth(char) {
+        return this.getGlyph(char)[0].length;
+    }
+
+    /**
+     * Width for new glyphs: that of "A", else the widest glyph, else 5
+     * @returns {number}
+     */
+    getDefaultWidth() {
+        const { chars } = this.fontData;
+        if (chars.A) {
+            return Math.max(1, chars.A[0].length);
+        }
+        const widths = Object.values(chars).map(rows => rows[0].length);
+        return Math.max(1, widths.length > 0 ? Math.max(...widths) : 5);
+    }
+
+    /**
+     * Replace a glyph
+     * @param {string} char - Character
+     * @param {Array<string>} rows - Glyph rows; padded or cropped to the font height
+     */
+    setGlyph(char, rows) {
+        if (typeof char !== 'string' || Array.from(char).length !== 1) {
+            throw new Error('Glyphs must be assigned to a single character');
+        }
+        this.fontData.chars[char] = this.normalizeRows(rows, this.fontData.height);
+    }
+
+    /**
+     * Flip one cell between blank and the fill character
+     * @param {string} char - Character
+     * @param {number} row - Row index
+     * @param {number} column - Column index
+     * @param {string} fill - Character drawn into blank cells
+     * @returns {string} New cell value
+     */
+    toggleCell(char, row, column, fill = '█') {
+        const current = this.getGlyph(char)[row]?.[column];
+        const value = current === undefined || current === ' ' ? fill : ' ';
+        this.setCell(char, row, column, value);
+        return value;
+    }
+
+    /**
+     * Set one cell of a glyph
+     * @param {string} char - Character
+     * @param {number} row - Row index
+     * @param {number} column - Column index
+     * @param {string} value - Single character
+     */
+    setCell(char, row, column, value) {
+        if (row < 0 || row >= this.fontData.height || column < 0 || column >= MAX_GLYPH_WIDTH) {
+            throw new Error(`Cell ${row},${column} is outside the glyph`);
+        }
+        if (typeof value !== 'string' || value.length !== 1) {
+            throw new Error('A cell holds exactly one character');
+        }
+
+        const rows = this.getGlyph(char).map(line => line.padEnd(column + 1));
+        rows[row] = rows[row].slice(0, column) + value + rows[row].slice(column + 1);
+        this.setGlyph(char, rows);
+    }
+
+    /**
+     * Change a glyph's width, adding blank columns or cropping on the right
+     * @param {string} char - Character
+     * @param {number} width - Columns (1-64)
+     */
+    setGlyphWidth(char, width) {
+        if (!Number.isInteger(width) || width < 1 || width > MAX_GLYPH_WIDTH) {
+            throw new Error(`Glyph width must be between 1 and ${MAX_GLYPH_WIDTH}`);
+        }
+        this.setGlyph(char, this.getGlyph(char).map(line => line.padEnd(width).slice(0, width)));
+    }
+
+    /**
+     * Copy one glyph onto another character
+     * @param {string} from - Source character
+     * @param {string} to - Target character
+     */
+    copyGlyph(from, to) {
+        this.setGlyph(to, this.getGlyph(from));
+    }
+
+    /**
+     * Remove a glyph so the character falls back to TextGenerator's default
+     * @param {string} char - Character
+     * @returns {boolean} Whether a glyph was removed
+     */
+    deleteGlyph(char) {
+        if (!this.hasGlyph(char)) {
+            return false;
+        }
+        delete this.fontData.chars[char];
+        return true;
+    }
+
+    /**
+     * Change the font height, adding blank rows or cropping at the bottom
+     * @param {number} height - Rows (1-32)
+     */
+    setHeight(height) {
+        this.validateHeight(height);
+        this.fontData.height = height;
+        for (const [char, rows] of Object.entries(this.fontData.chars)) {
+            this.fontData.chars[char] = this.normalizeRows(rows, height);
+        }
+    }
+
+    /**
+     * Copy of the font as TextGenerator font data
+     * @returns {Object} Font data
+     */
+    toFontData() {
+        const chars = {};
+        for (const [char, rows] of Object.entries(this.fontData.chars)) {
+            chars[char] = [...rows];
+        }
+        return { height: this.fontData.height, chars };
+    }
+
+    /**
+     * Register the font with a TextGenerator and save it locally
+     * @param {TextGenerator} generator - Generator to register the font with
+     * @returns {string} Font identifier derived from the name
+     */
+    save(generator) {
+        const id = this.getFontId(this.name);
+        const fontData = this.toFontData();
+
+        generator.addFont(id, fontData);
+        this.saveFont(id, fontData);
+        return id;
+    }
+
+    /**
+     * Register every saved font with a TextGenerator
+     * @param {TextGenerator} generator - Generator to register the fonts with
+     * @returns {Array<string>} Restored font identifiers
+     */
+    restore(generator) {
+        const fonts = this.getSavedFonts();
+        for (const [id, fontData] of Object.entries(fonts)) {
+            generator.addFont(id, fontData);
+        }
+        return Object.keys(fonts);
+    }
+
+    /**
+     * Build an identifier from a font name, e.g. "My Font" becomes "my-font"
+     * @param {string} name - Font name
+     * @returns {string} Font identifier
+     */
+    getFontId(name) {
+        const id = String(name || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9_-]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        if (!id) {
+            throw new Error('Please give the font a name');
+        }
+        return id;
+    }
+
+    /**
+     * Serialize the font as JSON
+     * @returns {string} JSON font file
+     */
+    toJSON() {
+        return JSON.stringify({
+            format: FONT_FILE_FORMAT,
+            version: 1,
+            name: this.name,
+            ...this.toFontData()
+        }, null, 2);
+    }
+
+    /**
+     * Load a font from JSON produced by toJSON, or bare { height, chars } data
+     * @param {string} source - JSON text
+     * @param {string} fallbackName - Name to use when the file has none
+     */
+    fromJSON(source, fallbackName = 'custom') {
+        let data;
+        try {
+            data = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid font file: ${error.message}`);
+        }
+
+        if (!data || typeof data !== 'object' || !data.chars || typeof data.chars !== 'object') {
+            throw new Error('Invalid font file: missing glyphs');
+        }
+        if (data.format !== undefined && data.format !== FONT_FILE_FORMAT) {
+            throw new Error(`Invalid font file: unknown format ${data.format}`);
+        }
+        for (const rows of Object.values(data.chars)) {
+            if (!Array.isArray(rows) || rows.some(row => typeof row !== 'string')) {
+                throw new Error('Invalid font file: glyphs must be arrays of strings');
+            }
+        }
+
+        this.load({ height: data.height, chars: data.chars }, data.name || fallbackName);
+    }
+
+    /**
+     * Serialize the font as a FIGfont
+     * Glyphs are written exactly, with full-width layout so FIGlet places
+     * them side by side as drawn. Missing ASCII characters use the capital
+     * glyph like TextGenerator does, or are left empty.
+     * @returns {string} .flf file contents
+     */
+    toFlf() {
+        const { height, chars } = this.fontData;
+        const used = new Set(Object.values(chars).flatMap(rows => Array.from(rows.join(''))));
+        const hardblank = this.pickUnusedChar(['$', '#', '¤', '~'], used);
+        const endmark = this.pickUnusedChar(['@', '%', '&', '|'], used);
+
+        const space = this.hasGlyph(' ')
+            ? chars[' '].map(row => row.replace(/ /g, hardblank))
+            : Array(height).fill(hardblank.repeat(SPACE_WIDTH));
+        const glyphFor = char => chars[char] || chars[char.toUpperCase()] || Array(height).fill('');
+
+        const required = [space];
+        for (let code = 33; code <= 126; code++) {
+            required.push(glyphFor(String.fromCharCode(code)));
+        }
+        const tagged = Object.keys(chars)
+            .filter(char => char.codePointAt(0) > 126 && !GERMAN_CHARS.includes(char))
+            .sort((a, b) => a.codePointAt(0) - b.codePointAt(0));
+
+        // The German set is required before any code-tagged character
+        if (tagged.length > 0 || GERMAN_CHARS.some(char => this.hasGlyph(char))) {
+            required.push(...GERMAN_CHARS.map(char => chars[char] || Array(height).fill('')));
+        }
+
+        const widths = Object.values(chars).map(rows => rows[0].length);
+        const maxLength = Math.max(SPACE_WIDTH, ...widths) + 2;
+        const comment = [`${this.name}`, 'Created with the ASCII Art Studio font editor'];
+
+        const lines = [
+            `flf2a${hardblank} ${height} ${height} ${maxLength} -1 ${comment.length} 0 0 ${tagged.length}`,
+            ...comment
+        ];
+        const writeGlyph = rows => rows.forEach((row, i) => {
+            lines.push(row + endmark + (i === rows.length - 1 ? endmark : ''));
+        });
+
+        required.forEach(writeGlyph);
+        for (const char of tagged) {
+            lines.push(`0x${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+            writeGlyph(chars[char]);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Load a font from a FIGfont; hardblanks become spaces
+     * @param {string} source - .flf file contents
+     * @param {string} name - Font name
+     */
+    fromFlf(source, name = 'custom') {
+        const font = FigletFontParser.parse(source);
+        if (font.height > MAX_FONT_HEIGHT) {
+            throw new Error(`Font height must be between 1 and ${MAX_FONT_HEIGHT}`);
+        }
+
+        const chars = {};
+        for (const [char, rows] of Object.entries(font.chars)) {
+            chars[char] = rows.map(row => row.split(font.hardblank).join(' '));
+        }
+        this.load({ height: font.height, chars }, name);
+    }
+
+    /**
+     * Save a font locally
+     * @param {string} id - Font identifier
+     * @param {Object} fontData - Font data
+     * @returns {boolean} Success status
+     */
+    saveFont(id, fontData) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            const fonts = this.getSavedFonts();
+            fonts[id] = fontData;
+            this.storage.setItem(this.storageKey, JSON.stringify(fonts));
+            return true;
+        } catch (error) {
+            console.error('Failed to save font:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a saved font
+     * @param {string} id - Font identifier
+     * @returns {boolean} Whether a font was removed
+     */
+    removeFont(id) {
+        const fonts = this.getSavedFonts();
+        if (!this.storage || !fonts[id]) {
+            return false;
+        }
+
+        try {
+            delete fonts[id];
+            this.storage.setItem(this.storageKey, JSON.stringify(fonts));
+            return true;
+        } catch (error) {
+            console.error('Failed to remove saved font:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read all saved fonts
+     * @returns {Object} Font data keyed by identifier
+     */
+    getSavedFonts() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load saved fonts:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Pad or crop glyph rows to a height and a common width
+     * @param {Array<string>} rows - Glyph rows
+     * @param {number} height - Rows
+     * @returns {Array<string>} Normalized rows
+     */
+    normalizeRows(rows, height) {
+        const width = Math.min(MAX_GLYPH_WIDTH, Math.max(1, ...rows.map(row => row.length)));
+        return Array.from({ length: height }, (_, i) => (rows[i] || '').padEnd(width).slice(0, width));
+    }
+
+    /**
+     * Check a font height
+     * @param {number} height - Rows
+     */
+    validateHeight(height) {
+        if (!Number.isInteger(height) || height < 1 || height > MAX_FONT_HEIGHT) {
+            throw new Error(`Font height must be between 1 and ${MAX_FONT_HEIGHT}`);
+        }
+    }
+
+    /**
+     * First candidate that does not occur in the font
+     * @param {Array<string>} candidates - Characters to try in order
+     * @param {Set<string>} used - Characters used by glyphs
+     * @returns {string}
+     */
+    pickUnusedChar(candidates, used) {
+        return candidates.find(char => !used.has(char)) || candidates[0];
+    }
+}
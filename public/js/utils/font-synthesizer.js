@@ -0,0 +1,319 @@
+/**
+ * ASCII Art Studio - Font Synthesizer
+ * Builds TextGenerator block fonts from any CSS font family
+ *
+ * Each glyph is drawn on a canvas at a multiple of the target cell grid and
+ * its ink coverage is averaged into cells. A cell is twice as tall as it is
+ * wide, like a terminal character, so glyphs keep their proportions.
+ */
+
+import { Config } from '../config.js';
+
+// Canvas pixels per cell column; a cell is SCALE wide and 2 * SCALE tall
+const SCALE = 8;
+
+// Printable ASCII; TextGenerator draws spaces itself
+const DEFAULT_CHARS = Array.from({ length: 94 }, (_, i) => String.fromCharCode(33 + i)).join('');
+
+// Reference text for the font's vertical extent
+const METRICS_SAMPLE = 'MWgjpqy|[]()';
+
+export const SYNTH_STYLES = ['block', 'half', 'density'];
+
+export class FontSynthesizer {
+    /**
+     * @param {Storage|null} storage - Where generated fonts are cached (localStorage by default)
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.storageKey = Config.STORAGE_KEYS.SYNTH_FONTS;
+    }
+
+    /**
+     * Rasterize a font family into TextGenerator font data
+     * @param {string} family - CSS font family, e.g. "Georgia" or a loaded web font
+     * @param {Object} options - Synthesis options
+     * @param {number} options.height - Glyph height in character rows (2-32)
+     * @param {string} options.style - block (█), half (▀▄█) or density (ramp characters)
+     * @param {string} options.weight - CSS font weight
+     * @param {number} options.threshold - Ink coverage (0-1) that fills a block
+     * @param {string} options.url - Optional font file to load as a FontFace first
+     * @param {string} options.chars - Characters to generate
+     * @returns {Promise<Object>} Font data: height, chars and the source settings
+     */
+    async synthesize(family, options = {}) {
+        const {
+            height = 8,
+            style = 'block',
+            weight = 'normal',
+            threshold = 0.5,
+            url = null,
+            chars = DEFAULT_CHARS
+        } = options;
+
+        if (typeof family !== 'string' || family.trim().length === 0) {
+            throw new Error('Font family is required');
+        }
+        if (!Number.isInteger(height) || height < 2 || height > 32) {
+            throw new Error('Font height must be between 2 and 32 rows');
+        }
+        if (!SYNTH_STYLES.includes(style)) {
+            throw new Error(`Unknown font style: ${style}`);
+        }
+
+        const name = family.trim();
+        await this.loadFontFace(name, weight, url);
+
+        const pixelHeight = height * 2 * SCALE;
+        const canvas = this.createCanvas(pixelHeight * 2, pixelHeight);
+        const ctx = canvas && canvas.getContext('2d', { willReadFrequently: true });
+        if (!ctx) {
+            throw new Error('Font synthesis requires canvas support');
+        }
+
+        const baseline = this.fitFont(ctx, name, weight, pixelHeight);
+        const subRows = style === 'half' ? height * 2 : height;
+
+        const glyphs = {};
+        for (const char of chars) {
+            const coverage = this.rasterizeGlyph(ctx, char, { canvasWidth: canvas.width, pixelHeight, baseline, subRows });
+            glyphs[char] = this.coverageToRows(coverage, style, threshold);
+        }
+
+        return {
+            height,
+            chars: glyphs,
+            source: { family: name, height, style, weight }
+        };
+    }
+
+    /**
+     * Synthesize a font, register it with a TextGenerator and cache it
+     * @param {TextGenerator} generator - Generator to register the font with
+     * @param {string} family - CSS font family
+     * @param {Object} options - Options for synthesize
+     * @returns {Promise<string>} Font identifier
+     */
+    async register(generator, family, options = {}) {
+        const fontData = await this.synthesize(family, options);
+        const id = this.getFontId(fontData.source);
+
+        generator.addFont(id, fontData);
+        this.saveFont(id, fontData);
+        return id;
+    }
+
+    /**
+     * Register every cached font with a TextGenerator
+     * @param {TextGenerator} generator - Generator to register the fonts with
+     * @returns {Array<string>} Restored font identifiers
+     */
+    restore(generator) {
+        const fonts = this.getCachedFonts();
+        for (const [id, fontData] of Object.entries(fonts)) {
+            generator.addFont(id, fontData);
+        }
+        return Object.keys(fonts);
+    }
+
+    /**
+     * Build an identifier from the synthesis settings, e.g. "georgia-8-block"
+     * @param {Object} source - family, height and style
+     * @returns {string} Font identifier
+     */
+    getFontId({ family, height, style }) {
+        const slug = family.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return `${slug || 'font'}-${height}-${style}`;
+    }
+
+    /**
+     * Load a font file as a FontFace, or wait for a CSS font to be ready
+     * @param {string} family - CSS font family
+     * @param {string} weight - CSS font weight
+     * @param {string|null} url - Font file URL
+     */
+    async loadFontFace(family, weight, url) {
+        if (typeof document === 'undefined' || !document.fonts || typeof document.fonts.load !== 'function') {
+            return;
+        }
+
+        if (url && typeof FontFace !== 'undefined') {
+            const face = new FontFace(family, `url(${JSON.stringify(url)})`, { weight });
+            await face.load();
+            document.fonts.add(face);
+        }
+
+        await document.fonts.load(`${weight} 16px ${JSON.stringify(family)}`);
+    }
+
+    /**
+     * Size the canvas font so its ascent and descent fill the glyph height
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {string} family - CSS font family
+     * @param {string} weight - CSS font weight
+     * @param {number} pixelHeight - Glyph height in canvas pixels
+     * @returns {number} Baseline position in canvas pixels
+     */
+    fitFont(ctx, family, weight, pixelHeight) {
+        const setSize = size => {
+            ctx.font = `${weight} ${size}px ${JSON.stringify(family)}`;
+        };
+
+        setSize(pixelHeight);
+        const metrics = ctx.measureText(METRICS_SAMPLE);
+        const ascent = metrics.actualBoundingBoxAscent || pixelHeight * 0.8;
+        const descent = metrics.actualBoundingBoxDescent || pixelHeight * 0.2;
+        const scale = pixelHeight / (ascent + descent);
+
+        setSize(pixelHeight * scale);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = '#000';
+        return ascent * scale;
+    }
+
+    /**
+     * Draw one glyph and measure its ink coverage per cell
+     * @param {CanvasRenderingContext2D} ctx - Canvas context with the font set
+     * @param {string} char - Character to draw
+     * @param {Object} layout - canvasWidth, pixelHeight, baseline and subRows
+     * @returns {Array<Array<number>>} Coverage (0-1) indexed [subRow][column]
+     */
+    rasterizeGlyph(ctx, char, { canvasWidth, pixelHeight, baseline, subRows }) {
+        const advance = ctx.measureText(char).width;
+        const columns = Math.max(1, Math.min(Math.ceil(advance / SCALE), Math.floor(canvasWidth / SCALE)));
+        const width = columns * SCALE;
+
+        ctx.clearRect(0, 0, canvasWidth, pixelHeight);
+        ctx.fillText(char, 0, baseline);
+        const { data } = ctx.getImageData(0, 0, width, pixelHeight);
+
+        const rowHeight = pixelHeight / subRows;
+        const coverage = [];
+        for (let row = 0; row < subRows; row++) {
+            const cells = [];
+            for (let column = 0; column < columns; column++) {
+                let ink = 0;
+                let count = 0;
+                for (let y = Math.round(row * rowHeight); y < Math.round((row + 1) * rowHeight); y++) {
+                    for (let x = column * SCALE; x < (column + 1) * SCALE; x++) {
+                        ink += data[(y * width + x) * 4 + 3];
+                        count++;
+                    }
+                }
+                cells.push(count > 0 ? ink / (255 * count) : 0);
+            }
+            coverage.push(cells);
+        }
+
+        return coverage;
+    }
+
+    /**
+     * Turn cell coverage into glyph rows
+     * @param {Array<Array<number>>} coverage - Coverage indexed [subRow][column]; two sub-rows per row for half
+     * @param {string} style - block, half or density
+     * @param {number} threshold - Coverage that counts as ink for block and half
+     * @returns {Array<string>} Glyph rows
+     */
+    coverageToRows(coverage, style, threshold) {
+        if (style === 'density') {
+            const ramp = Config.DENSITY_SETS.detailed;
+            return coverage.map(cells => cells
+                .map(value => ramp[Math.round(Math.min(1, value) * (ramp.length - 1))])
+                .join(''));
+        }
+
+        if (style === 'half') {
+            const rows = [];
+            for (let row = 0; row < coverage.length; row += 2) {
+                rows.push(coverage[row].map((value, column) => {
+                    const top = value >= threshold;
+                    const bottom = coverage[row + 1][column] >= threshold;
+                    return top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+                }).join(''));
+            }
+            return rows;
+        }
+
+        return coverage.map(cells => cells.map(value => (value >= threshold ? '█' : ' ')).join(''));
+    }
+
+    /**
+     * Cache a generated font
+     * @param {string} id - Font identifier
+     * @param {Object} fontData - Font data
+     * @returns {boolean} Success status
+     */
+    saveFont(id, fontData) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            const fonts = this.getCachedFonts();
+            fonts[id] = fontData;
+            this.storage.setItem(this.storageKey, JSON.stringify(fonts));
+            return true;
+        } catch (error) {
+            console.error('Failed to cache font:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a cached font
+     * @param {string} id - Font identifier
+     * @returns {boolean} Whether a font was removed
+     */
+    removeFont(id) {
+        const fonts = this.getCachedFonts();
+        if (!this.storage || !fonts[id]) {
+            return false;
+        }
+
+        try {
+            delete fonts[id];
+            this.storage.setItem(this.storageKey, JSON.stringify(fonts));
+            return true;
+        } catch (error) {
+            console.error('Failed to remove cached font:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read all cached fonts
+     * @returns {Object} Font data keyed by identifier
+     */
+    getCachedFonts() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load cached fonts:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Create a canvas for glyph rasterization
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {HTMLCanvasElement|OffscreenCanvas|null} Canvas, or null when none is available
+     */
+    createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(width, height) : null;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+}
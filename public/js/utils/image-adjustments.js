@@ -0,0 +1,290 @@
+/**
+ * Image Adjustments
+ * Luminance pre-processing applied before characters are chosen:
+ * blur, sharpen, histogram equalization, brightness, contrast, gamma and invert
+ */
+
+export class ImageAdjustments {
+    /**
+     * Default (neutral) adjustment settings
+     * @returns {Object} Settings that leave the image unchanged
+     */
+    static getDefaults() {
+        return {
+            blur: 0,            // Box blur radius in pixels (0-5)
+            sharpen: 0,         // Unsharp mask amount (0-100)
+            equalize: 'none',   // none, global or local (CLAHE)
+            brightness: 0,      // -100 to 100
+            contrast: 0,        // -100 to 100
+            gamma: 1,           // 0.1 to 5
+            invert: false
+        };
+    }
+
+    /**
+     * Fill in defaults and clamp settings to their valid ranges
+     * @param {Object} settings - Partial adjustment settings
+     * @returns {Object} Complete adjustment settings
+     */
+    static normalize(settings = {}) {
+        const merged = { ...this.getDefaults(), ...settings };
+        const clamp = (value, min, max, fallback) => {
+            const number = Number(value);
+            return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+        };
+
+        return {
+            blur: Math.round(clamp(merged.blur, 0, 5, 0)),
+            sharpen: clamp(merged.sharpen, 0, 100, 0),
+            equalize: ['global', 'local'].includes(merged.equalize) ? merged.equalize : 'none',
+            brightness: clamp(merged.brightness, -100, 100, 0),
+            contrast: clamp(merged.contrast, -100, 100, 0),
+            gamma: clamp(merged.gamma, 0.1, 5, 1),
+            invert: merged.invert === true || merged.invert === 'true'
+        };
+    }
+
+    /**
+     * Check whether settings would change the image
+     * @param {Object} settings - Adjustment settings
+     * @returns {boolean} True when at least one adjustment is active
+     */
+    static isActive(settings) {
+        if (!settings) {
+            return false;
+        }
+        const normalized = this.normalize(settings);
+        const defaults = this.getDefaults();
+        return Object.keys(defaults).some(key => normalized[key] !== defaults[key]);
+    }
+
+    /**
+     * Apply the adjustment chain
+     * Order: blur, sharpen, equalize, brightness, contrast, gamma, invert.
+     * @param {Array<number>} pixels - Pixel luminance values (0-255)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} settings - Adjustment settings
+     * @returns {Float32Array} Adjusted pixels
+     */
+    static apply(pixels, width, height, settings = {}) {
+        const { blur, sharpen, equalize, brightness, contrast, gamma, invert } = this.normalize(settings);
+        let result = Float32Array.from(pixels);
+
+        if (blur > 0) {
+            result = this.blur(result, width, height, blur);
+        }
+        if (sharpen > 0) {
+            result = this.sharpen(result, width, height, sharpen);
+        }
+        if (equalize === 'global') {
+            result = this.equalizeHistogram(result);
+        } else if (equalize === 'local') {
+            result = this.equalizeLocal(result, width, height);
+        }
+
+        // Point operations share one lookup table
+        if (brightness !== 0 || contrast !== 0 || gamma !== 1 || invert) {
+            const lut = this.createLookupTable({ brightness, contrast, gamma, invert });
+            result = result.map(value => lut[this.clampByte(value)]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Build a lookup table for the per-pixel adjustments
+     * @param {Object} settings - brightness, contrast, gamma and invert
+     * @returns {Array<number>} 256-entry lookup table
+     */
+    static createLookupTable({ brightness = 0, contrast = 0, gamma = 1, invert = false }) {
+        const c = contrast * 2.55;
+        const contrastFactor = (259 * (c + 255)) / (255 * (259 - c));
+        const lut = [];
+
+        for (let value = 0; value < 256; value++) {
+            let v = value + brightness * 2.55;
+            v = contrastFactor * (v - 128) + 128;
+            v = 255 * Math.pow(this.clampByte(v) / 255, 1 / gamma);
+            if (invert) {
+                v = 255 - v;
+            }
+            lut.push(this.clampByte(v));
+        }
+
+        return lut;
+    }
+
+    /**
+     * Separable box blur
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} radius - Blur radius in pixels
+     * @returns {Float32Array} Blurred pixels
+     */
+    static blur(pixels, width, height, radius) {
+        const pass = (source, horizontal) => {
+            const result = new Float32Array(source.length);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let sum = 0;
+                    let count = 0;
+                    for (let k = -radius; k <= radius; k++) {
+                        const sx = horizontal ? x + k : x;
+                        const sy = horizontal ? y : y + k;
+                        if (sx >= 0 && sx < width && sy >= 0 && sy < height) {
+                            sum += source[sy * width + sx];
+                            count++;
+                        }
+                    }
+                    result[y * width + x] = sum / count;
+                }
+            }
+            return result;
+        };
+
+        return pass(pass(pixels, true), false);
+    }
+
+    /**
+     * Unsharp mask: add back the difference between the image and a blurred copy
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} amount - Strength (0-100)
+     * @param {number} radius - Blur radius of the mask
+     * @returns {Float32Array} Sharpened pixels
+     */
+    static sharpen(pixels, width, height, amount, radius = 1) {
+        const blurred = this.blur(pixels, width, height, radius);
+        const strength = amount / 50; // 100 doubles the high-frequency detail
+
+        return Float32Array.from(pixels, (value, i) => this.clampByte(value + strength * (value - blurred[i])));
+    }
+
+    /**
+     * Global histogram equalization
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @returns {Float32Array} Equalized pixels
+     */
+    static equalizeHistogram(pixels) {
+        const histogram = new Array(256).fill(0);
+        pixels.forEach(value => histogram[this.clampByte(value)]++);
+
+        const lut = this.histogramToLookupTable(histogram, pixels.length);
+        return Float32Array.from(pixels, value => lut[this.clampByte(value)]);
+    }
+
+    /**
+     * Contrast-limited adaptive histogram equalization (CLAHE)
+     * The image is split into tiles, each tile's histogram is clipped and
+     * equalized, and pixels blend the mappings of the four nearest tiles.
+     * @param {Array<number>} pixels - Pixel luminance values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} options - tiles per axis and clipLimit (multiple of the mean bin count)
+     * @returns {Float32Array} Equalized pixels
+     */
+    static equalizeLocal(pixels, width, height, options = {}) {
+        const { tiles = 8, clipLimit = 2 } = options;
+        const tilesX = Math.max(1, Math.min(tiles, width));
+        const tilesY = Math.max(1, Math.min(tiles, height));
+        const tileWidth = width / tilesX;
+        const tileHeight = height / tilesY;
+
+        // Build one lookup table per tile
+        const tables = [];
+        for (let ty = 0; ty < tilesY; ty++) {
+            for (let tx = 0; tx < tilesX; tx++) {
+                const x0 = Math.floor(tx * tileWidth);
+                const x1 = Math.floor((tx + 1) * tileWidth);
+                const y0 = Math.floor(ty * tileHeight);
+                const y1 = Math.floor((ty + 1) * tileHeight);
+                const histogram = new Array(256).fill(0);
+
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        histogram[this.clampByte(pixels[y * width + x])]++;
+                    }
+                }
+
+                const count = (x1 - x0) * (y1 - y0);
+                this.clipHistogram(histogram, Math.max(1, (clipLimit * count) / 256));
+                tables.push(this.histogramToLookupTable(histogram, count));
+            }
+        }
+
+        // Bilinear interpolation between tile centers
+        const result = new Float32Array(pixels.length);
+        for (let y = 0; y < height; y++) {
+            const gy = Math.max(0, Math.min(tilesY - 1, (y + 0.5) / tileHeight - 0.5));
+            const ty0 = Math.floor(gy);
+            const ty1 = Math.min(tilesY - 1, ty0 + 1);
+            const fy = gy - ty0;
+
+            for (let x = 0; x < width; x++) {
+                const gx = Math.max(0, Math.min(tilesX - 1, (x + 0.5) / tileWidth - 0.5));
+                const tx0 = Math.floor(gx);
+                const tx1 = Math.min(tilesX - 1, tx0 + 1);
+                const fx = gx - tx0;
+                const value = this.clampByte(pixels[y * width + x]);
+
+                const top = tables[ty0 * tilesX + tx0][value] * (1 - fx) + tables[ty0 * tilesX + tx1][value] * fx;
+                const bottom = tables[ty1 * tilesX + tx0][value] * (1 - fx) + tables[ty1 * tilesX + tx1][value] * fx;
+                result[y * width + x] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Clip histogram bins and redistribute the excess evenly
+     * @param {Array<number>} histogram - 256-bin histogram (modified in place)
+     * @param {number} limit - Maximum bin count
+     */
+    static clipHistogram(histogram, limit) {
+        let excess = 0;
+        for (let i = 0; i < 256; i++) {
+            if (histogram[i] > limit) {
+                excess += histogram[i] - limit;
+                histogram[i] = limit;
+            }
+        }
+
+        const share = excess / 256;
+        for (let i = 0; i < 256; i++) {
+            histogram[i] += share;
+        }
+    }
+
+    /**
+     * Convert a histogram into an equalizing lookup table via its CDF
+     * @param {Array<number>} histogram - 256-bin histogram
+     * @param {number} total - Number of pixels
+     * @returns {Array<number>} 256-entry lookup table
+     */
+    static histogramToLookupTable(histogram, total) {
+        const lut = new Array(256);
+        const cdfMin = histogram.find(count => count > 0) || 0;
+        const range = total - cdfMin;
+        let cdf = 0;
+
+        for (let i = 0; i < 256; i++) {
+            cdf += histogram[i];
+            lut[i] = range > 0 ? this.clampByte(((cdf - cdfMin) / range) * 255) : i;
+        }
+
+        return lut;
+    }
+
+    /**
+     * Round and clamp a value to the 0-255 range
+     * @param {number} value - Input value
+     * @returns {number} Byte value
+     */
+    static clampByte(value) {
+        return Math.max(0, Math.min(255, Math.round(value)));
+    }
+}
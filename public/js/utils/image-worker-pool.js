@@ -0,0 +1,314 @@
+/**
+ * Image Worker Pool
+ * Converts images in Web Workers so large conversions don't block the UI
+ * Shared by the video processor, webcam capture and batch processor
+ */
+
+import { ImageGenerator } from '../generators/image.js';
+
+let sharedPool = null;
+
+export class ImageWorkerPool {
+    /**
+     * @param {Object} options - Pool options
+     * @param {number} options.size - Maximum number of workers
+     * @param {URL|string} options.workerUrl - Worker module URL
+     * @param {ImageGenerator} options.generator - Main-thread generator used when workers are unavailable
+     */
+    constructor(options = {}) {
+        const {
+            size = ImageWorkerPool.getDefaultSize(),
+            workerUrl = new URL('../workers/image-worker.js', import.meta.url),
+            generator = null
+        } = options;
+
+        this.size = Math.max(1, size);
+        this.workerUrl = workerUrl;
+        this.generator = generator;
+        this.slots = [];
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Get the pool shared by all image consumers
+     * @returns {ImageWorkerPool} Shared pool
+     */
+    static getShared() {
+        if (!sharedPool) {
+            sharedPool = new ImageWorkerPool();
+        }
+        return sharedPool;
+    }
+
+    /**
+     * Check whether the browser can convert images in workers
+     * @returns {boolean} True when module workers, OffscreenCanvas and createImageBitmap exist
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Default pool size: leave one core for the UI
+     * @returns {number} Worker count
+     */
+    static getDefaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
+
+    /**
+     * Render an image to a frame in a worker
+     * @param {File|Blob|HTMLImageElement|HTMLCanvasElement|ImageBitmap|ImageData|string} source - Image source
+     * @param {Object} options - ImageGenerator options, plus onProgress(percent, stage) and an AbortSignal
+     * @returns {Promise<Object>} Frame with text, colors, backgrounds, width and height
+     */
+    async render(source, options = {}) {
+        const { onProgress = null, signal = null, ...renderOptions } = options;
+
+        if (!ImageWorkerPool.isSupported()) {
+            return this.getGenerator().render(source, options);
+        }
+
+        this.throwIfAborted(signal);
+        // Raw RGBA buffers are copied to the worker as-is; everything else is decoded first
+        const input = this.getGenerator().isPixelBuffer(source)
+            ? { width: source.width, height: source.height, data: source.data }
+            : await this.createBitmap(source);
+
+        if (signal && signal.aborted) {
+            this.release(input);
+            this.throwIfAborted(signal);
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = {
+                id: this.nextId++,
+                source: input,
+                options: renderOptions,
+                onProgress,
+                signal,
+                resolve,
+                reject
+            };
+
+            if (signal) {
+                task.onAbort = () => this.cancelTask(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Generate ASCII art in a worker
+     * @param {File|Blob|HTMLImageElement|HTMLCanvasElement|ImageBitmap|string} source - Image source
+     * @param {Object} options - Same as render
+     * @returns {Promise<string>} ASCII art, with ANSI color sequences when colorMode is set
+     */
+    async generate(source, options = {}) {
+        const frame = await this.render(source, options);
+        return this.getGenerator().formatFrame(frame, options.colorMode);
+    }
+
+    /**
+     * Get the main-thread generator, creating it on first use
+     * @returns {ImageGenerator} Generator
+     */
+    getGenerator() {
+        if (!this.generator) {
+            this.generator = new ImageGenerator();
+        }
+        return this.generator;
+    }
+
+    /**
+     * Decode a source into a transferable ImageBitmap
+     * @param {File|Blob|HTMLImageElement|HTMLCanvasElement|ImageBitmap|string} source - Image source
+     * @returns {Promise<ImageBitmap>} Bitmap
+     */
+    async createBitmap(source) {
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            return createImageBitmap(await response.blob());
+        }
+
+        if (typeof HTMLImageElement !== 'undefined' && source instanceof HTMLImageElement) {
+            return createImageBitmap(await this.getGenerator().loadImage(source));
+        }
+
+        return createImageBitmap(source);
+    }
+
+    /**
+     * Hand queued tasks to idle workers, spawning workers up to the pool size
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.slots.find(candidate => !candidate.task);
+            if (!slot) {
+                if (this.slots.length >= this.size) {
+                    return;
+                }
+                slot = this.spawn();
+            }
+
+            const task = this.queue.shift();
+            slot.task = task;
+            const transfer = this.getGenerator().isPixelBuffer(task.source) ? [] : [task.source];
+            slot.worker.postMessage({ id: task.id, source: task.source, options: task.options }, transfer);
+        }
+    }
+
+    /**
+     * Start a worker and add it to the pool
+     * @returns {Object} Slot with worker and current task
+     */
+    spawn() {
+        const worker = new Worker(this.workerUrl, { type: 'module' });
+        const slot = { worker, task: null };
+
+        worker.addEventListener('message', (event) => this.handleMessage(slot, event.data));
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            // A crashed worker is replaced on the next dispatch
+            this.removeSlot(slot);
+            if (slot.task) {
+                this.settle(slot.task, new Error(event.message || 'Image worker failed'));
+            }
+            this.dispatch();
+        });
+
+        this.slots.push(slot);
+        return slot;
+    }
+
+    /**
+     * Handle a message from a worker
+     * @param {Object} slot - Worker slot
+     * @param {Object} message - Worker message
+     */
+    handleMessage(slot, message) {
+        const task = slot.task;
+        if (!task || message.id !== task.id) {
+            return;
+        }
+
+        if (message.type === 'progress') {
+            if (task.onProgress) {
+                task.onProgress(message.percent, message.stage);
+            }
+            return;
+        }
+
+        slot.task = null;
+        if (message.type === 'result') {
+            this.settle(task, null, message.frame);
+        } else {
+            this.settle(task, new Error(message.message));
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Cancel a queued or running task
+     * A running conversion can't be interrupted, so its worker is terminated
+     * and replaced on the next dispatch.
+     * @param {Object} task - Task to cancel
+     */
+    cancelTask(task) {
+        const queued = this.queue.indexOf(task);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            this.release(task.source);
+        }
+
+        const slot = this.slots.find(candidate => candidate.task === task);
+        if (slot) {
+            slot.worker.terminate();
+            this.removeSlot(slot);
+        }
+
+        if (queued !== -1 || slot) {
+            this.settle(task, new DOMException('Image conversion cancelled', 'AbortError'));
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Resolve or reject a task and detach its abort listener
+     * @param {Object} task - Task
+     * @param {Error|null} error - Failure, if any
+     * @param {Object} frame - Result frame
+     */
+    settle(task, error, frame = null) {
+        if (task.signal && task.onAbort) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+
+        if (error) {
+            task.reject(error);
+        } else {
+            task.resolve(frame);
+        }
+    }
+
+    /**
+     * Free a decoded bitmap that will not be sent to a worker
+     * @param {ImageBitmap|Object} source - Task source
+     */
+    release(source) {
+        if (typeof source.close === 'function') {
+            source.close();
+        }
+    }
+
+    /**
+     * Remove a slot from the pool
+     * @param {Object} slot - Worker slot
+     */
+    removeSlot(slot) {
+        this.slots = this.slots.filter(candidate => candidate !== slot);
+    }
+
+    /**
+     * Throw if the signal was aborted
+     * @param {AbortSignal|null} signal - Abort signal
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Image conversion cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * Get pool status
+     * @returns {Object} Worker, busy and queued counts
+     */
+    getStatus() {
+        return {
+            workers: this.slots.length,
+            busy: this.slots.filter(slot => slot.task).length,
+            queued: this.queue.length
+        };
+    }
+
+    /**
+     * Stop all workers and reject every pending task
+     */
+    terminate() {
+        const tasks = [...this.queue, ...this.slots.map(slot => slot.task).filter(Boolean)];
+
+        this.queue.forEach(task => this.release(task.source));
+        this.slots.forEach(slot => slot.worker.terminate());
+        this.slots = [];
+        this.queue = [];
+
+        tasks.forEach(task => this.settle(task, new DOMException('Image worker pool terminated', 'AbortError')));
+    }
+}
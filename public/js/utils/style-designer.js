@@ -0,0 +1,253 @@
+/**
+ * ASCII Art Studio - Banner Style Designer
+ * Editing of WarezGenerator border styles, with local persistence and JSON
+ * import and export so a team can share a house style
+ *
+ * Every border part must be a single character one cell wide, or the
+ * right-hand border of a banner drifts out of line.
+ */
+
+import { Config } from '../config.js';
+import { WarezGenerator, STYLE_CHARACTERS, LAYOUT_JUNCTIONS } from '../generators/warez.js';
+
+export const STYLE_FILE_FORMAT = 'ascii-studio-banner-style';
+export const STYLE_FIELDS = [...STYLE_CHARACTERS, 'decoration'];
+
+// Plain ASCII parts for a new style
+const BLANK_STYLE = {
+    topLeft: '+',
+    topRight: '+',
+    bottomLeft: '+',
+    bottomRight: '+',
+    horizontal: '-',
+    vertical: '|',
+    topJunction: '+',
+    bottomJunction: '+',
+    decoration: '=-',
+    separator: '-'
+};
+
+export class StyleDesigner {
+    /**
+     * @param {Storage|null} storage - Where saved styles are kept (localStorage by default)
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.storageKey = Config.STORAGE_KEYS.CUSTOM_STYLES;
+        this.preview = new WarezGenerator();
+        this.create();
+    }
+
+    /**
+     * Start a new style from plain ASCII parts
+     * @param {string} name - Style name
+     */
+    create(name = 'Custom') {
+        this.style = { name, ...BLANK_STYLE };
+    }
+
+    /**
+     * Start editing a copy of existing style data
+     * @param {Object} style - WarezGenerator style data
+     * @param {string} name - Style name
+     */
+    load(style, name = style?.name) {
+        const copy = { ...style, name };
+        WarezGenerator.validateStyle(copy);
+        this.style = this.pickFields(copy);
+    }
+
+    /**
+     * Change one part of the style
+     * @param {string} field - One of STYLE_FIELDS
+     * @param {string} value - Character, or pattern for the decoration
+     */
+    set(field, value) {
+        if (!STYLE_FIELDS.includes(field)) {
+            throw new Error(`Unknown style field: ${field}`);
+        }
+        WarezGenerator.validateStyle({ ...this.style, [field]: value });
+        this.style[field] = value;
+    }
+
+    /**
+     * Preview of the style being edited
+     * @param {string} text - Sample text
+     * @returns {string} Preview from WarezGenerator.createPreview
+     */
+    getPreview(text) {
+        return this.preview.createPreview(this.style, text || undefined);
+    }
+
+    /**
+     * Register the style with generators and save it locally
+     * @param {Array<WarezGenerator>} generators - Generators to register the
+     *   style with (banner, NFO and DIZ generators share the styles)
+     * @returns {string} Style identifier derived from the name
+     */
+    save(generators) {
+        const id = this.getStyleId(this.style.name);
+        const style = this.toStyle();
+
+        generators.forEach(generator => generator.addStyle(id, style));
+        this.saveStyle(id, style);
+        return id;
+    }
+
+    /**
+     * Register every saved style with generators
+     * Saved styles that no longer pass validation are skipped.
+     * @param {Array<WarezGenerator>} generators - Generators to register the styles with
+     * @returns {Array<string>} Restored style identifiers
+     */
+    restore(generators) {
+        const restored = [];
+        for (const [id, style] of Object.entries(this.getSavedStyles())) {
+            try {
+                generators.forEach(generator => generator.addStyle(id, style));
+                restored.push(id);
+            } catch (error) {
+                console.error(`Skipping saved style ${id}:`, error);
+            }
+        }
+        return restored;
+    }
+
+    /**
+     * Build an identifier from a style name, e.g. "House Style" becomes "house-style"
+     * @param {string} name - Style name
+     * @returns {string} Style identifier
+     */
+    getStyleId(name) {
+        const id = String(name || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9_-]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        if (!id) {
+            throw new Error('Please give the style a name');
+        }
+        return id;
+    }
+
+    /**
+     * Copy of the style as WarezGenerator style data
+     * @returns {Object} Style data
+     */
+    toStyle() {
+        return { ...this.style };
+    }
+
+    /**
+     * Serialize the style as JSON
+     * @returns {string} JSON style file
+     */
+    toJSON() {
+        return JSON.stringify({
+            format: STYLE_FILE_FORMAT,
+            version: 1,
+            ...this.toStyle()
+        }, null, 2);
+    }
+
+    /**
+     * Load a style from JSON produced by toJSON, or bare style data
+     * @param {string} source - JSON text
+     * @param {string} fallbackName - Name to use when the file has none
+     */
+    fromJSON(source, fallbackName = 'Custom') {
+        let data;
+        try {
+            data = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid style file: ${error.message}`);
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid style file: expected an object');
+        }
+        if (data.format !== undefined && data.format !== STYLE_FILE_FORMAT) {
+            throw new Error(`Invalid style file: unknown format ${data.format}`);
+        }
+
+        this.load(data, typeof data.name === 'string' && data.name.trim() ? data.name : fallbackName);
+    }
+
+    /**
+     * Save a style locally
+     * @param {string} id - Style identifier
+     * @param {Object} style - Style data
+     * @returns {boolean} Success status
+     */
+    saveStyle(id, style) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            const styles = this.getSavedStyles();
+            styles[id] = style;
+            this.storage.setItem(this.storageKey, JSON.stringify(styles));
+            return true;
+        } catch (error) {
+            console.error('Failed to save style:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a saved style
+     * @param {string} id - Style identifier
+     * @returns {boolean} Whether a style was removed
+     */
+    removeStyle(id) {
+        const styles = this.getSavedStyles();
+        if (!this.storage || !styles[id]) {
+            return false;
+        }
+
+        try {
+            delete styles[id];
+            this.storage.setItem(this.storageKey, JSON.stringify(styles));
+            return true;
+        } catch (error) {
+            console.error('Failed to remove saved style:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read all saved styles
+     * @returns {Object} Style data keyed by identifier
+     */
+    getSavedStyles() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load saved styles:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Keep the name, the style fields and any layout junctions, dropping
+     * anything else in the data
+     * @param {Object} style - Style data
+     * @returns {Object}
+     */
+    pickFields(style) {
+        const picked = { name: style.name.trim() };
+        STYLE_FIELDS.forEach(field => {
+            picked[field] = style[field];
+        });
+        LAYOUT_JUNCTIONS.filter(field => style[field] !== undefined).forEach(field => {
+            picked[field] = style[field];
+        });
+        return picked;
+    }
+}
@@ -0,0 +1,400 @@
+/**
+ * ASCII Art Studio - Text Effects
+ * Post-render effects for font output, in the spirit of toilet's filters
+ *
+ * Effects work on the rendered lines of any font. Every non-space character
+ * is "ink"; effects add characters around the ink or replace it, growing the
+ * canvas when they draw outside it.
+ */
+
+import { Config } from '../config.js';
+
+export const TEXT_EFFECTS = ['shadow', 'outline', 'hollow', 'extrude', 'fill', 'gradient'];
+
+// Column and row step for each direction
+export const EFFECT_DIRECTIONS = {
+    'up': [0, -1],
+    'down': [0, 1],
+    'left': [-1, 0],
+    'right': [1, 0],
+    'up-left': [-1, -1],
+    'up-right': [1, -1],
+    'down-left': [-1, 1],
+    'down-right': [1, 1]
+};
+
+// Options set by the values in "name=value:value" effect lists: a direction
+// name sets direction, a whole number the count option and anything else the
+// text option
+const EFFECT_PARAMS = {
+    shadow: { direction: true, count: 'offset', text: 'char' },
+    outline: { text: 'char' },
+    hollow: null,
+    extrude: { direction: true, count: 'depth' },
+    fill: { text: 'pattern' },
+    gradient: { text: 'ramp' }
+};
+
+const NEIGHBOURS_4 = [[0, -1], [-1, 0], [1, 0], [0, 1]];
+const NEIGHBOURS_8 = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+export class TextEffects {
+    /**
+     * Apply effects in order
+     * @param {Array<string>} lines - Rendered lines
+     * @param {Array<string|Object>} effects - Effect names, or objects with a
+     *   type and that effect's options, e.g. { type: 'shadow', char: '▒' }
+     * @returns {Array<string>} Lines with the effects applied
+     */
+    static apply(lines, effects = []) {
+        return effects.reduce((result, effect) => {
+            const { type, ...options } = typeof effect === 'string' ? { type: effect } : effect;
+            if (!TEXT_EFFECTS.includes(type)) {
+                throw new Error(`Unknown text effect: ${type}`);
+            }
+            return this[type](result, options);
+        }, lines);
+    }
+
+    /**
+     * Parse a comma-separated effect list such as "shadow=down-left:2:▒,gradient=simple"
+     * Values after = are separated by colons and set by their shape: a
+     * direction name sets the shadow or extrude direction, a whole number the
+     * shadow offset or extrude depth, and any other value the shadow or
+     * outline character, the fill pattern or the gradient ramp. Fill and
+     * gradient take the whole value, colons included. Values are checked here
+     * so a bad list fails before any rendering.
+     * @param {string} spec - Effect list
+     * @returns {Array<Object>} Effects for apply()
+     */
+    static parse(spec) {
+        return String(spec).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+            const separator = item.indexOf('=');
+            const type = separator === -1 ? item : item.slice(0, separator);
+            if (!TEXT_EFFECTS.includes(type)) {
+                throw new Error(`Unknown text effect: ${type}. Expected one of: ${TEXT_EFFECTS.join(', ')}`);
+            }
+            if (separator === -1) {
+                return { type };
+            }
+
+            const params = EFFECT_PARAMS[type];
+            if (!params) {
+                throw new Error(`The ${type} effect takes no value`);
+            }
+
+            const value = item.slice(separator + 1);
+            const values = params.direction || params.count ? value.split(':') : [value];
+            const effect = { type };
+            for (const part of values) {
+                let key = params.text;
+                if (params.direction && EFFECT_DIRECTIONS[part]) {
+                    key = 'direction';
+                } else if (params.count && /^\d+$/.test(part)) {
+                    key = params.count;
+                }
+                if (!key) {
+                    throw new Error(`Unknown ${type} value: ${part}. Expected a direction or a number`);
+                }
+                if (key in effect) {
+                    throw new Error(`The ${type} effect takes one ${key}`);
+                }
+                effect[key] = key === params.count ? Number(part) : part;
+            }
+
+            this.validateOptions(effect);
+            return effect;
+        });
+    }
+
+    /**
+     * Check the options parse() sets, with the same rules as the effects
+     * @param {Object} effect - Effect type and options
+     */
+    static validateOptions(effect) {
+        if (effect.direction !== undefined) {
+            this.getDirection(effect.direction);
+        }
+        if (effect.offset !== undefined) {
+            this.validateCount('Shadow offset', effect.offset, 4);
+        }
+        if (effect.depth !== undefined) {
+            this.validateCount('Extrude depth', effect.depth, 8);
+        }
+        if (effect.char !== undefined) {
+            this.validateChar(effect.char);
+        }
+        if (effect.pattern === '') {
+            throw new Error('Fill pattern cannot be empty');
+        }
+        if (effect.ramp !== undefined) {
+            this.getRamp(effect.ramp);
+        }
+    }
+
+    /**
+     * Drop shadow: a copy of the ink offset in a direction, behind the text
+     * @param {Array<string>} lines - Rendered lines
+     * @param {Object} options - direction, offset (1-4) and char
+     * @returns {Array<string>}
+     */
+    static shadow(lines, options = {}) {
+        const { direction = 'down-right', offset = 1, char = '░' } = options;
+        this.validateCount('Shadow offset', offset, 4);
+        this.validateChar(char);
+
+        const [dx, dy] = this.getDirection(direction);
+        return this.project(lines, [{ dx: dx * offset, dy: dy * offset, char }]);
+    }
+
+    /**
+     * 3D extrusion: layered copies of the ink receding in a direction
+     * @param {Array<string>} lines - Rendered lines
+     * @param {Object} options - direction, depth (1-8) and chars, one per
+     *   layer from the front; the last one repeats
+     * @returns {Array<string>}
+     */
+    static extrude(lines, options = {}) {
+        const { direction = 'down-right', depth = 2, chars = ['▓', '▒', '░'] } = options;
+        this.validateCount('Extrude depth', depth, 8);
+        const shades = Array.from(chars);
+        shades.forEach(char => this.validateChar(char));
+        if (shades.length === 0) {
+            throw new Error('Extrude needs at least one shading character');
+        }
+
+        const [dx, dy] = this.getDirection(direction);
+        const layers = Array.from({ length: depth }, (_, i) => ({
+            dx: dx * (i + 1),
+            dy: dy * (i + 1),
+            char: shades[Math.min(i, shades.length - 1)]
+        }));
+        return this.project(lines, layers);
+    }
+
+    /**
+     * Outline: draw a character on every blank cell touching the ink
+     * @param {Array<string>} lines - Rendered lines
+     * @param {Object} options - char
+     * @returns {Array<string>}
+     */
+    static outline(lines, options = {}) {
+        const { char = '#' } = options;
+        this.validateChar(char);
+
+        const grid = this.pad(this.toGrid(lines), 1, 1, 1, 1);
+        const result = grid.map(row => [...row]);
+        grid.forEach((row, y) => row.forEach((cell, x) => {
+            if (!this.isInk(cell) && NEIGHBOURS_8.some(([nx, ny]) => this.isInk(grid[y + ny]?.[x + nx]))) {
+                result[y][x] = char;
+            }
+        }));
+        return this.fromGrid(result);
+    }
+
+    /**
+     * Hollow: clear ink surrounded by ink on all four sides, leaving outlines
+     * @param {Array<string>} lines - Rendered lines
+     * @returns {Array<string>}
+     */
+    static hollow(lines) {
+        const grid = this.toGrid(lines);
+        return this.fromGrid(grid.map((row, y) => row.map((cell, x) => (
+            this.isInterior(grid, x, y) ? ' ' : cell
+        ))));
+    }
+
+    /**
+     * Fill: replace ink with a repeating pattern
+     * @param {Array<string>} lines - Rendered lines
+     * @param {Object} options - pattern (one or more characters, repeated
+     *   across each row) and interior (only fill inside the glyph edges)
+     * @returns {Array<string>}
+     */
+    static fill(lines, options = {}) {
+        const { pattern = '▓', interior = false } = options;
+        const chars = Array.from(String(pattern));
+        if (chars.length === 0) {
+            throw new Error('Fill pattern cannot be empty');
+        }
+
+        const grid = this.toGrid(lines);
+        return this.fromGrid(grid.map((row, y) => row.map((cell, x) => {
+            const filled = interior ? this.isInterior(grid, x, y) : this.isInk(cell);
+            return filled ? chars[x % chars.length] : cell;
+        })));
+    }
+
+    /**
+     * Gradient: shade the ink along a density ramp
+     * @param {Array<string>} lines - Rendered lines
+     * @param {Object} options - ramp (a Config.DENSITY_SETS name, string or
+     *   array from light to dense), direction (vertical or horizontal) and
+     *   reverse (start light instead of dense)
+     * @returns {Array<string>}
+     */
+    static gradient(lines, options = {}) {
+        const { ramp = 'detailed', direction = 'vertical', reverse = false } = options;
+        if (direction !== 'vertical' && direction !== 'horizontal') {
+            throw new Error(`Unknown gradient direction: ${direction}`);
+        }
+
+        const shades = this.getRamp(ramp);
+        const grid = this.toGrid(lines);
+        const span = Math.max(1, (direction === 'vertical' ? grid.length : grid[0]?.length || 0) - 1);
+
+        return this.fromGrid(grid.map((row, y) => row.map((cell, x) => {
+            if (!this.isInk(cell)) {
+                return cell;
+            }
+            const t = (direction === 'vertical' ? y : x) / span;
+            const position = reverse ? t : 1 - t;
+            return shades[Math.round(position * (shades.length - 1))];
+        })));
+    }
+
+    /**
+     * Draw offset copies of the ink onto blank cells, nearest layer first
+     * @param {Array<string>} lines - Rendered lines
+     * @param {Array<Object>} layers - dx, dy and char per copy
+     * @returns {Array<string>}
+     */
+    static project(lines, layers) {
+        const left = Math.max(0, ...layers.map(({ dx }) => -dx));
+        const top = Math.max(0, ...layers.map(({ dy }) => -dy));
+        const right = Math.max(0, ...layers.map(({ dx }) => dx));
+        const bottom = Math.max(0, ...layers.map(({ dy }) => dy));
+
+        const grid = this.pad(this.toGrid(lines), left, top, right, bottom);
+        const result = grid.map(row => [...row]);
+
+        for (const { dx, dy, char } of layers) {
+            grid.forEach((row, y) => row.forEach((cell, x) => {
+                const target = result[y + dy]?.[x + dx];
+                if (this.isInk(cell) && target !== undefined && !this.isInk(target)) {
+                    result[y + dy][x + dx] = char;
+                }
+            }));
+        }
+
+        return this.fromGrid(result);
+    }
+
+    /**
+     * Split lines into a rectangular grid of characters
+     * @param {Array<string>} lines - Lines
+     * @returns {Array<Array<string>>}
+     */
+    static toGrid(lines) {
+        const rows = lines.map(line => Array.from(line));
+        const width = Math.max(0, ...rows.map(row => row.length));
+        return rows.map(row => [...row, ...Array(width - row.length).fill(' ')]);
+    }
+
+    /**
+     * Join a grid back into lines
+     * @param {Array<Array<string>>} grid - Characters
+     * @returns {Array<string>}
+     */
+    static fromGrid(grid) {
+        return grid.map(row => row.join(''));
+    }
+
+    /**
+     * Add blank cells around a grid
+     * @param {Array<Array<string>>} grid - Characters
+     * @param {number} left - Columns to add on the left
+     * @param {number} top - Rows to add on top
+     * @param {number} right - Columns to add on the right
+     * @param {number} bottom - Rows to add below
+     * @returns {Array<Array<string>>}
+     */
+    static pad(grid, left, top, right, bottom) {
+        const width = (grid[0]?.length || 0) + left + right;
+        const blank = () => Array(width).fill(' ');
+        return [
+            ...Array.from({ length: top }, blank),
+            ...grid.map(row => [...Array(left).fill(' '), ...row, ...Array(right).fill(' ')]),
+            ...Array.from({ length: bottom }, blank)
+        ];
+    }
+
+    /**
+     * Whether a cell holds ink
+     * @param {string|undefined} cell - Character, undefined outside the grid
+     * @returns {boolean}
+     */
+    static isInk(cell) {
+        return cell !== undefined && cell !== ' ';
+    }
+
+    /**
+     * Whether a cell is ink with ink on all four sides
+     * @param {Array<Array<string>>} grid - Characters
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean}
+     */
+    static isInterior(grid, x, y) {
+        return this.isInk(grid[y][x]) && NEIGHBOURS_4.every(([nx, ny]) => this.isInk(grid[y + ny]?.[x + nx]));
+    }
+
+    /**
+     * Resolve a ramp to single visible characters, light to dense
+     * Multi-character entries such as the minimal set's "░░" use their first
+     * character; blank entries are dropped so ink stays visible.
+     * @param {string|Array<string>} ramp - Density set name, string or array
+     * @returns {Array<string>}
+     */
+    static getRamp(ramp) {
+        let entries;
+        if (Array.isArray(ramp)) {
+            entries = ramp;
+        } else if (Config.DENSITY_SETS[ramp]) {
+            entries = Config.DENSITY_SETS[ramp];
+        } else {
+            entries = Array.from(String(ramp));
+        }
+
+        const shades = entries.map(entry => Array.from(String(entry))[0]).filter(this.isInk);
+        if (shades.length === 0) {
+            throw new Error('Gradient ramp needs at least one visible character');
+        }
+        return shades;
+    }
+
+    /**
+     * Look up a direction
+     * @param {string} direction - Direction name
+     * @returns {Array<number>} Column and row step
+     */
+    static getDirection(direction) {
+        const step = EFFECT_DIRECTIONS[direction];
+        if (!step) {
+            throw new Error(`Unknown direction: ${direction}. Expected one of: ${Object.keys(EFFECT_DIRECTIONS).join(', ')}`);
+        }
+        return step;
+    }
+
+    /**
+     * Check a whole-number option
+     * @param {string} label - Option name for the message
+     * @param {number} value - Value
+     * @param {number} max - Largest allowed value
+     */
+    static validateCount(label, value, max) {
+        if (!Number.isInteger(value) || value < 1 || value > max) {
+            throw new Error(`${label} must be between 1 and ${max}`);
+        }
+    }
+
+    /**
+     * Check a single drawing character
+     * @param {string} char - Character
+     */
+    static validateChar(char) {
+        if (typeof char !== 'string' || Array.from(char).length !== 1) {
+            throw new Error('Effect characters must be a single character');
+        }
+    }
+}
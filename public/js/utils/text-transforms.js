@@ -0,0 +1,282 @@
+/**
+ * ASCII Art Studio - Text Transforms
+ * Geometric transforms for generated art: mirror, flip and rotation
+ *
+ * Transforms move every cell of the rendered output and swap characters
+ * whose shape changes with them, so "/" mirrors to "\" and "▀" flips to "▄".
+ * Text cells are roughly twice as tall as they are wide, so art rotated by
+ * 90 or 270 degrees comes out stretched.
+ */
+
+export const TEXT_TRANSFORMS = ['mirror', 'flip', 'rotate-90', 'rotate-180', 'rotate-270'];
+
+// Characters that swap with each other under a horizontal mirror
+const MIRROR_PAIRS = [
+    '/\\', '()', '[]', '{}', '<>', 'bd', 'pq', '«»', '◄►', '▌▐', '▏▕',
+    '▘▝', '▖▗', '▚▞', '▙▟', '▛▜',
+    '┌┐', '└┘', '├┤', '╔╗', '╚╝', '╠╣', '╒╕', '╘╛', '╓╖', '╙╜', '╞╡', '╟╢'
+];
+
+// Characters that swap with each other under a vertical flip
+const FLIP_PAIRS = [
+    '/\\', '^v', '_‾', '\',', 'MW', 'bp', 'dq', '∩∪', '▲▼', '▀▄', '▔▁',
+    '▘▖', '▝▗', '▚▞', '▙▛', '▟▜',
+    '┌└', '┐┘', '┬┴', '╔╚', '╗╝', '╦╩', '╒╘', '╕╛', '╓╙', '╖╜', '╤╧', '╥╨'
+];
+
+// Characters that cycle through their shapes under a clockwise quarter turn
+const ROTATE_CYCLES = [
+    '-|', '─│', '═║', '/\\', '^>v<', '▲►▼◄', '▀▐▄▌', '▘▝▗▖', '▚▞', '▙▛▜▟',
+    '┌┐┘└', '├┬┤┴', '╔╗╝╚', '╠╦╣╩'
+];
+
+// Braille dot bits swapped by each transform (dots 1-8 are bits 0-7)
+const BRAILLE_BASE = 0x2800;
+const BRAILLE_MIRROR = [[0, 3], [1, 4], [2, 5], [6, 7]];
+const BRAILLE_FLIP = [[0, 6], [3, 7], [1, 2], [4, 5]];
+
+/**
+ * Build a character map from pairs that swap with each other
+ * @param {Array<string>} pairs - Two-character strings
+ * @returns {Map<string, string>}
+ */
+function buildPairMap(pairs) {
+    const map = new Map();
+    for (const [a, b] of pairs.map(pair => Array.from(pair))) {
+        map.set(a, b);
+        map.set(b, a);
+    }
+    return map;
+}
+
+/**
+ * Build a character map from cycles, each character mapping to the next
+ * @param {Array<string>} cycles - Characters in rotation order
+ * @param {number} step - 1 for clockwise, -1 for counter-clockwise
+ * @returns {Map<string, string>}
+ */
+function buildCycleMap(cycles, step) {
+    const map = new Map();
+    for (const cycle of cycles.map(chars => Array.from(chars))) {
+        cycle.forEach((char, i) => map.set(char, cycle[(i + step + cycle.length) % cycle.length]));
+    }
+    return map;
+}
+
+const MIRROR_MAP = buildPairMap(MIRROR_PAIRS);
+const FLIP_MAP = buildPairMap(FLIP_PAIRS);
+const ROTATE_CW_MAP = buildCycleMap(ROTATE_CYCLES, 1);
+const ROTATE_CCW_MAP = buildCycleMap(ROTATE_CYCLES, -1);
+
+export class TextTransforms {
+    /**
+     * Apply transforms in order to rendered text
+     * @param {string} text - Rendered art
+     * @param {Array<string>} transforms - Names from TEXT_TRANSFORMS
+     * @returns {string} Transformed art
+     */
+    static apply(text, transforms = []) {
+        if (transforms.length === 0) {
+            return text;
+        }
+        const grid = this.toGrid(String(text).split('\n'));
+        return transforms.reduce((result, name) => this.transformText(result, name), grid)
+            .map(row => row.join(''))
+            .join('\n');
+    }
+
+    /**
+     * Apply transforms to an image frame, moving its colors with the text
+     * @param {Object} frame - { text, colors, backgrounds, width, height }
+     * @param {Array<string>} transforms - Names from TEXT_TRANSFORMS
+     * @returns {Object} Transformed frame
+     */
+    static applyToFrame(frame, transforms = []) {
+        if (transforms.length === 0) {
+            return frame;
+        }
+        let text = this.toGrid(frame.text.split('\n'));
+        let { colors, backgrounds, width, height } = frame;
+
+        for (const name of transforms) {
+            text = this.transformText(text, name);
+            colors = colors ? this.move(colors, name) : colors;
+            backgrounds = backgrounds ? this.move(backgrounds, name) : backgrounds;
+            if (name === 'rotate-90' || name === 'rotate-270') {
+                [width, height] = [height, width];
+            }
+        }
+
+        return {
+            ...frame,
+            text: text.map(row => row.join('')).join('\n'),
+            colors,
+            backgrounds,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Parse a comma-separated transform list such as "mirror,rotate-90"
+     * @param {string} spec - Transform list
+     * @returns {Array<string>} Transforms for apply()
+     */
+    static parse(spec) {
+        return String(spec).split(',').map(item => item.trim()).filter(Boolean).map(name => {
+            this.validate(name);
+            return name;
+        });
+    }
+
+    /**
+     * Move the cells of a text grid and swap their characters to match
+     * @param {Array<Array<string>>} grid - Characters
+     * @param {string} name - Transform name
+     * @returns {Array<Array<string>>}
+     */
+    static transformText(grid, name) {
+        const moved = this.move(grid, name);
+        return moved.map(row => row.map(char => this.mapChar(char, name)));
+    }
+
+    /**
+     * Move the cells of any grid without changing them
+     * @param {Array<Array<*>>} grid - Rows of cells
+     * @param {string} name - Transform name
+     * @returns {Array<Array<*>>}
+     */
+    static move(grid, name) {
+        this.validate(name);
+        const height = grid.length;
+        const width = grid[0]?.length || 0;
+
+        switch (name) {
+            case 'mirror':
+                return grid.map(row => [...row].reverse());
+            case 'flip':
+                return [...grid].reverse();
+            case 'rotate-180':
+                return [...grid].reverse().map(row => [...row].reverse());
+            case 'rotate-90':
+                // New row i is old column i read bottom to top
+                return Array.from({ length: width }, (_, x) => (
+                    Array.from({ length: height }, (_, y) => grid[height - 1 - y][x])
+                ));
+            default:
+                // rotate-270: new row i is old column (width - 1 - i) read top to bottom
+                return Array.from({ length: width }, (_, x) => (
+                    Array.from({ length: height }, (_, y) => grid[y][width - 1 - x])
+                ));
+        }
+    }
+
+    /**
+     * Swap a character for its transformed shape
+     * @param {string} char - Character
+     * @param {string} name - Transform name
+     * @returns {string}
+     */
+    static mapChar(char, name) {
+        const code = char.codePointAt(0);
+        if (code >= BRAILLE_BASE && code <= BRAILLE_BASE + 0xff) {
+            return this.mapBraille(code, name);
+        }
+
+        switch (name) {
+            case 'mirror':
+                return MIRROR_MAP.get(char) || char;
+            case 'flip':
+                return FLIP_MAP.get(char) || char;
+            case 'rotate-180':
+                return this.mapChar(this.mapChar(char, 'mirror'), 'flip');
+            case 'rotate-90':
+                return ROTATE_CW_MAP.get(char) || char;
+            default:
+                return ROTATE_CCW_MAP.get(char) || char;
+        }
+    }
+
+    /**
+     * Mirror or flip the dots of a braille character
+     * Quarter turns leave braille unchanged since a 2x4 cell cannot turn
+     * into a 4x2 one.
+     * @param {number} code - Braille code point
+     * @param {string} name - Transform name
+     * @returns {string}
+     */
+    static mapBraille(code, name) {
+        let dots = code - BRAILLE_BASE;
+        if (name === 'mirror' || name === 'rotate-180') {
+            dots = this.swapBits(dots, BRAILLE_MIRROR);
+        }
+        if (name === 'flip' || name === 'rotate-180') {
+            dots = this.swapBits(dots, BRAILLE_FLIP);
+        }
+        return String.fromCodePoint(BRAILLE_BASE + dots);
+    }
+
+    /**
+     * Swap pairs of bits
+     * @param {number} value - Bits
+     * @param {Array<Array<number>>} pairs - Bit positions to swap
+     * @returns {number}
+     */
+    static swapBits(value, pairs) {
+        return pairs.reduce((result, [a, b]) => {
+            const bitA = (value >> a) & 1;
+            const bitB = (value >> b) & 1;
+            return (result & ~((1 << a) | (1 << b))) | (bitA << b) | (bitB << a);
+        }, value);
+    }
+
+    /**
+     * Split text into one entry per letter for vertical layouts
+     * Whitespace becomes an empty entry, leaving a gap between words.
+     * @param {string} text - Input text
+     * @returns {Array<string>} Letters, top to bottom
+     */
+    static toVerticalLines(text) {
+        return Array.from(String(text).trim()).map(char => (/\s/.test(char) ? '' : char));
+    }
+
+    /**
+     * Stack rendered blocks, centering each on the widest
+     * @param {Array<Array<string>>} blocks - Rendered lines per block
+     * @param {number} gap - Blank lines between blocks
+     * @returns {Array<string>} Lines, all the same width
+     */
+    static centerBlocks(blocks, gap = 0) {
+        const width = Math.max(0, ...blocks.flat().map(line => Array.from(line).length));
+        return blocks.flatMap((block, i) => {
+            const blockWidth = Math.max(0, ...block.map(line => Array.from(line).length));
+            const left = Math.floor((width - blockWidth) / 2);
+            const spacer = i > 0 ? Array(gap).fill(' '.repeat(width)) : [];
+            return [
+                ...spacer,
+                ...block.map(line => ' '.repeat(left) + line + ' '.repeat(width - left - Array.from(line).length))
+            ];
+        });
+    }
+
+    /**
+     * Split lines into a rectangular grid of characters
+     * @param {Array<string>} lines - Lines
+     * @returns {Array<Array<string>>}
+     */
+    static toGrid(lines) {
+        const rows = lines.map(line => Array.from(line));
+        const width = Math.max(0, ...rows.map(row => row.length));
+        return rows.map(row => [...row, ...Array(width - row.length).fill(' ')]);
+    }
+
+    /**
+     * Check a transform name
+     * @param {string} name - Transform name
+     */
+    static validate(name) {
+        if (!TEXT_TRANSFORMS.includes(name)) {
+            throw new Error(`Unknown transform: ${name}. Expected one of: ${TEXT_TRANSFORMS.join(', ')}`);
+        }
+    }
+}
@@ -58,7 +58,7 @@ export class InputValidator {
         if (!Config.VALIDATION.TEXT_INPUT.allowedChars.test(trimmed)) {
             return {
                 valid: false,
-                error: 'Text contains invalid characters. Only letters, numbers, and basic punctuation allowed.',
+                error: 'Text contains invalid characters. Only printable ASCII characters are allowed.',
                 field: 'text'
             };
         }
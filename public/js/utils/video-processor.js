@@ -4,9 +4,17 @@
  * Part of Issue #19 - Animation Support
  */
 
+import { ImageWorkerPool } from './image-worker-pool.js';
+
 export class VideoProcessor {
-    constructor(imageGenerator) {
+    /**
+     * @param {ImageGenerator} imageGenerator - Generator used when no worker pool is given
+     * @param {ImageWorkerPool|null} pool - Worker pool, shared with other image consumers by default
+     */
+    constructor(imageGenerator, pool = ImageWorkerPool.getShared()) {
         this.imageGenerator = imageGenerator;
+        this.pool = pool;
+        this.abortController = null;
         this.video = null;
         this.canvas = null;
         this.ctx = null;
@@ -26,9 +34,12 @@ export class VideoProcessor {
             maxFrames = 100,
             fps = 10,
             width = 80,
-            height = 40
+            height = 40,
+            ...imageOptions // Passed to ImageGenerator, e.g. an ordered dithering algorithm
         } = options;
 
+        this.abortController = new AbortController();
+
         try {
             // Create video element
             this.video = document.createElement('video');
@@ -48,7 +59,7 @@ export class VideoProcessor {
             // Extract frames
             for (let i = 0; i < totalFrames; i++) {
                 const time = i * frameInterval;
-                const frame = await this.extractFrame(time, width, height);
+                const frame = await this.extractFrame(time, width, height, imageOptions);
 
                 frames.push({
                     content: frame,
@@ -103,9 +114,10 @@ export class VideoProcessor {
      * @param {number} time - Time in seconds
      * @param {number} width - Output width
      * @param {number} height - Output height
+     * @param {Object} imageOptions - Additional ImageGenerator options
      * @returns {Promise<string>} ASCII frame
      */
-    async extractFrame(time, width, height) {
+    async extractFrame(time, width, height, imageOptions = {}) {
         // Seek to time
         this.video.currentTime = time;
         await this.waitForSeek();
@@ -124,9 +136,12 @@ export class VideoProcessor {
         this.ctx.drawImage(this.video, 0, 0);
 
         // Convert to ASCII using ImageGenerator
-        const ascii = await this.imageGenerator.generate(this.canvas, {
+        const converter = this.pool || this.imageGenerator;
+        const ascii = await converter.generate(this.canvas, {
+            ...imageOptions,
             width,
-            height
+            height,
+            signal: this.abortController ? this.abortController.signal : null
         });
 
         return ascii;
@@ -207,6 +222,9 @@ export class VideoProcessor {
      * Cancel processing
      */
     cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
         if (this.video) {
             this.video.pause();
             if (this.video.src) {
@@ -4,9 +4,17 @@
  * Part of Issue #19 - Animation Support
  */
 
+import { ImageWorkerPool } from './image-worker-pool.js';
+
 export class WebcamCapture {
-    constructor(imageGenerator) {
+    /**
+     * @param {ImageGenerator} imageGenerator - Generator used when no worker pool is given
+     * @param {ImageWorkerPool|null} pool - Worker pool, shared with other image consumers by default
+     */
+    constructor(imageGenerator, pool = ImageWorkerPool.getShared()) {
         this.imageGenerator = imageGenerator;
+        this.pool = pool;
+        this.abortController = null;
         this.stream = null;
         this.video = null;
         this.canvas = null;
@@ -27,7 +35,8 @@ export class WebcamCapture {
             fps = 10,
             width = 80,
             height = 40,
-            facingMode = 'user' // 'user' or 'environment'
+            facingMode = 'user', // 'user' or 'environment'
+            ...imageOptions // Passed to ImageGenerator, e.g. an ordered dithering algorithm
         } = options;
 
         try {
@@ -52,11 +61,12 @@ export class WebcamCapture {
 
             // Start capturing frames
             this.isCapturing = true;
+            this.abortController = new AbortController();
             const frameDelay = 1000 / fps;
 
             this.captureTimer = setInterval(async () => {
                 try {
-                    const frame = await this.captureFrame(width, height);
+                    const frame = await this.captureFrame(width, height, imageOptions);
                     if (this.onFrame) {
                         this.onFrame(frame);
                     }
@@ -80,6 +90,12 @@ export class WebcamCapture {
     stop() {
         this.isCapturing = false;
 
+        // Cancel conversions still running in the worker pool
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
         // Stop capture timer
         if (this.captureTimer) {
             clearInterval(this.captureTimer);
@@ -103,9 +119,10 @@ export class WebcamCapture {
      * Capture single frame from webcam
      * @param {number} width - ASCII width
      * @param {number} height - ASCII height
+     * @param {Object} imageOptions - Additional ImageGenerator options
      * @returns {Promise<string>} ASCII frame
      */
-    async captureFrame(width, height) {
+    async captureFrame(width, height, imageOptions = {}) {
         if (!this.video || !this.isCapturing) {
             throw new Error('Webcam not active');
         }
@@ -124,9 +141,12 @@ export class WebcamCapture {
         this.ctx.drawImage(this.video, 0, 0);
 
         // Convert to ASCII
-        const ascii = await this.imageGenerator.generate(this.canvas, {
+        const converter = this.pool || this.imageGenerator;
+        const ascii = await converter.generate(this.canvas, {
+            ...imageOptions,
             width,
-            height
+            height,
+            signal: this.abortController ? this.abortController.signal : null
         });
 
         return ascii;
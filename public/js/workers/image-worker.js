@@ -0,0 +1,31 @@
+/**
+ * Image Worker
+ * Runs ImageGenerator off the main thread; resizing happens on an OffscreenCanvas
+ *
+ * Messages in:  { id, source: ImageBitmap or { width, height, data }, options }
+ * Messages out: { id, type: 'progress', percent, stage }
+ *               { id, type: 'result', frame }
+ *               { id, type: 'error', message }
+ */
+
+import { ImageGenerator } from '../generators/image.js';
+
+const generator = new ImageGenerator();
+
+self.addEventListener('message', async (event) => {
+    const { id, source, options } = event.data;
+
+    try {
+        const frame = await generator.render(source, {
+            ...options,
+            onProgress: (percent, stage) => self.postMessage({ id, type: 'progress', percent, stage })
+        });
+        self.postMessage({ id, type: 'result', frame });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    } finally {
+        if (typeof source.close === 'function') {
+            source.close();
+        }
+    }
+});
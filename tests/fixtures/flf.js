@@ -0,0 +1,48 @@
+/**
+ * Builders for small FIGfont (.flf) files used in tests
+ */
+
+/**
+ * Build a FIGfont where every character is drawn by a callback
+ * @param {Object} options
+ * @param {number} options.height - Character height
+ * @param {string} options.hardblank - Hardblank character
+ * @param {number} options.oldLayout - old_layout header field
+ * @param {number|undefined} options.fullLayout - full_layout header field, omitted when undefined
+ * @param {Array<string>} options.comments - Comment lines
+ * @param {Function} options.glyph - (char, code) => array of rows without endmarks
+ * @param {boolean} options.german - Include the seven German characters
+ * @param {Array<Array>} options.tagged - [codeTag, rows] pairs appended after the required set
+ * @returns {string} Font file contents
+ */
+export function createFlf({
+  height = 2,
+  hardblank = '$',
+  oldLayout = 0,
+  fullLayout,
+  comments = ['Test font'],
+  glyph = char => Array(height).fill(char === ' ' ? hardblank : char),
+  german = true,
+  tagged = []
+} = {}) {
+  const header = [`flf2a${hardblank}`, height, height - 1, 10, oldLayout, comments.length];
+  if (fullLayout !== undefined) {
+    header.push(0, fullLayout, tagged.length);
+  }
+
+  const encode = rows => rows.map((row, i) => row + (i === rows.length - 1 ? '@@' : '@'));
+  const lines = [header.join(' '), ...comments];
+
+  const codes = [];
+  for (let code = 32; code <= 126; code++) {
+    codes.push(code);
+  }
+  if (german) {
+    codes.push(196, 214, 220, 228, 246, 252, 223);
+  }
+
+  codes.forEach(code => lines.push(...encode(glyph(String.fromCharCode(code), code))));
+  tagged.forEach(([tag, rows]) => lines.push(tag, ...encode(rows)));
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,371 @@
+/**
+ * Unit tests for the apehost-ascii command line
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Readable } from 'node:stream';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { AsciiCli, EXIT_CODES } from '../../../cli/index.js';
+import { Cp437 } from '../../../public/js/utils/cp437.js';
+import { createFlf } from '../../fixtures/flf.js';
+
+/**
+ * Run the CLI with captured output
+ */
+async function runCli(argv, stdinText = null) {
+  const stdout = [];
+  const stderr = [];
+  const stdin = stdinText === null ? { isTTY: true } : Readable.from([Buffer.from(stdinText)]);
+  const cli = new AsciiCli({
+    stdin,
+    stdout: { write: text => stdout.push(text) },
+    stderr: { write: text => stderr.push(text) }
+  });
+
+  const code = await cli.run(argv);
+  return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+}
+
+describe('AsciiCli', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'apehost-cli-'));
+    // Generators log their own failures; keep the test output clean
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  describe('commands', () => {
+    it('should render text from the arguments', async () => {
+      const { code, stdout } = await runCli(['text', 'HI']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout.split('\n')).toHaveLength(7);
+      expect(stdout).toContain('█');
+    });
+
+    it('should read text from stdin', async () => {
+      const { code, stdout } = await runCli(['figlet', '--font', 'standard'], 'HI\n');
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout).toContain('|');
+    });
+
+    it('should render FIGlet text with a font file', async () => {
+      const path = join(directory, 'Blocky.flf');
+      await writeFile(path, createFlf());
+
+      const { code, stdout } = await runCli(['figlet', 'HI', '--font-file', path, '--format', 'json']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(JSON.parse(stdout).metadata.font).toBe('blocky');
+    });
+
+    it('should wrap FIGlet text to a width', async () => {
+      const path = join(directory, 'blocky.flf');
+      await writeFile(path, createFlf({ height: 1, oldLayout: -1, glyph: char => [char] }));
+
+      const { code, stdout } = await runCli(['figlet', 'ONE TWO', '--font-file', path, '--width', '4', '--vertical-layout', 'full']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout).toBe('ONE\nTWO\n');
+    });
+
+    it('should apply text effects', async () => {
+      const path = join(directory, 'blocky.flf');
+      await writeFile(path, createFlf({ height: 1, oldLayout: -1, glyph: () => ['#'] }));
+
+      const { code, stdout } = await runCli(['figlet', 'HI', '--font-file', path, '--effects', 'fill=*,shadow']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout).toBe('** \n ░░\n');
+      expect((await runCli(['figlet', 'HI', '--font-file', path, '--effects', 'shadow=left:2:▒'])).stdout).toBe('▒▒##\n');
+      expect((await runCli(['text', 'HI', '--effects', 'glow'])).stderr).toContain('Unknown text effect: glow');
+    });
+
+    it('should report invalid effect values as usage errors', async () => {
+      const depth = await runCli(['text', '--effects', 'extrude=9', 'HI']);
+      const char = await runCli(['figlet', '--effects', 'shadow=ab', 'HI']);
+
+      expect(depth.code).toBe(EXIT_CODES.USAGE);
+      expect(depth.stderr).toContain('Invalid value for --effects: Extrude depth must be between 1 and 8');
+      expect(char.code).toBe(EXIT_CODES.USAGE);
+      expect(char.stderr).toContain('single character');
+      expect(char.stderr).not.toContain('    at ');
+    });
+
+    it('should reject invalid font files', async () => {
+      const path = join(directory, 'broken.flf');
+      await writeFile(path, 'not a font');
+
+      const { code, stderr } = await runCli(['figlet', 'HI', '--font-file', path]);
+
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(stderr).toContain('missing flf2a signature');
+    });
+
+    it('should use a style file from the style designer', async () => {
+      const path = join(directory, 'house.json');
+      await writeFile(path, JSON.stringify({
+        name: 'House', topLeft: '┏', topRight: '┓', bottomLeft: '┗', bottomRight: '┛',
+        horizontal: '━', vertical: '┃', topJunction: '┳', bottomJunction: '┻', decoration: '▪', separator: '─'
+      }));
+
+      const { code, stdout } = await runCli(['banner', 'HI', '--style-file', path, '--format', 'json']);
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(JSON.parse(stdout).ascii_art).toMatch(/^┏━/);
+
+      await writeFile(path, JSON.stringify({ name: 'Wide', topLeft: '字' }));
+      const invalid = await runCli(['diz', '--name', 'X', '--style-file', path]);
+      expect(invalid.code).toBe(EXIT_CODES.USAGE);
+      expect(invalid.stderr).toContain('house.json: Invalid style');
+    });
+
+    it('should build multi-panel banners from a layout file', async () => {
+      const path = join(directory, 'layout.json');
+      await writeFile(path, JSON.stringify({ width: 20, rows: [['A', 'B']] }));
+
+      const { code, stdout } = await runCli(['banner', '--layout', path, '--style', 'elite']);
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout).toBe('┌─────────┬────────┐\n│    A    │   B    │\n└─────────┴────────┘\n');
+
+      await writeFile(path, JSON.stringify({ rows: [[{ text: 'A', rowSpan: 2 }]] }));
+      const invalid = await runCli(['banner', '--layout', path]);
+      expect(invalid.code).toBe(EXIT_CODES.USAGE);
+      expect(invalid.stderr).toContain('layout.json: Invalid layout');
+    });
+
+    it('should build multi-line banners with options', async () => {
+      const { code, stdout } = await runCli(['banner', 'ELITE|CREW', '--style', 'classic', '--text-effect', 'spaced', '--credits', 'BY US']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout).toContain('E L I T E');
+      expect(stdout).toContain('C R E W');
+      expect(stdout).toContain('B Y   U S');
+    });
+
+    it('should convert an image file', async () => {
+      const path = join(directory, 'ramp.pgm');
+      await writeFile(path, Buffer.concat([Buffer.from('P5\n16 8\n255\n'), Buffer.from(Array.from({ length: 128 }, (_, i) => (i % 16) * 17))]));
+
+      const { code, stdout } = await runCli(['image', path, '--width', '16', '--density', 'simple']);
+      const [firstLine] = stdout.split('\n');
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(firstLine).toHaveLength(16);
+      expect(firstLine[0]).toBe('@');
+    });
+
+    it('should apply transforms and vertical text', async () => {
+      const path = join(directory, 'ramp.pgm');
+      await writeFile(path, Buffer.concat([Buffer.from('P5\n16 8\n255\n'), Buffer.from(Array.from({ length: 128 }, (_, i) => (i % 16) * 17))]));
+
+      const image = await runCli(['image', path, '--width', '16', '--density', 'simple', '--transform', 'mirror']);
+      expect(image.stdout.split('\n')[0].at(-1)).toBe('@');
+
+      const banner = await runCli(['banner', 'HI', '--vertical']);
+      expect(banner.stdout).toMatch(/H.*\n.*I/);
+
+      const invalid = await runCli(['text', 'HI', '--transform', 'spin']);
+      expect(invalid.code).toBe(EXIT_CODES.USAGE);
+      expect(invalid.stderr).toContain('Unknown transform: spin');
+    });
+
+    it('should fit text to a width', async () => {
+      const { code, stdout } = await runCli(['fit', 'HELLO WORLD', '--width', '30', '--generator', 'text']);
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout.split('\n').every(line => line.length <= 30)).toBe(true);
+      expect((await runCli(['fit', 'HI', '--width', '1'])).stderr).toContain('No font fits');
+    });
+
+    it('should compose an NFO in CP437 with DOS line endings', async () => {
+      const path = join(directory, 'release.nfo');
+      const { code } = await runCli(['nfo', '--logo', 'NFO', '--footer', 'Enjoy', '-o', path], '[release]\nName: Demo\n[notes]\nHello');
+      const bytes = await readFile(path);
+      const lines = bytes.toString('latin1').split('\r\n');
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(lines.pop()).toBe('');
+      expect(lines.every(line => line.length === 80)).toBe(true);
+      expect(Cp437.decode(bytes)).toContain('Release Info');
+    });
+
+    it('should print an NFO to stdout as UTF-8 text', async () => {
+      const { code, stdout } = await runCli(['nfo', '--logo', 'NFO'], '[notes]\nHello');
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout).toContain('Hello');
+      expect(stdout).toMatch(/[╔═║]/);
+      expect(stdout).not.toContain('\r');
+    });
+
+    it('should print a FILE_ID.DIZ to stdout as UTF-8 text and save it as CP437', async () => {
+      const path = join(directory, 'FILE_ID.DIZ');
+      const printed = await runCli(['diz', '--name', 'Demo', 'Useful']);
+      const saved = await runCli(['diz', '--name', 'Demo', 'Useful', '-o', path]);
+
+      expect(printed.code).toBe(EXIT_CODES.SUCCESS);
+      expect(printed.stdout).toMatch(/[╔═║]/);
+      expect(printed.stdout).not.toContain('\r');
+      expect(saved.code).toBe(EXIT_CODES.SUCCESS);
+      expect(Cp437.decode(await readFile(path))).toBe(`${printed.stdout.trimEnd().replace(/\n/g, '\r\n')}\r\n`);
+    });
+
+    it('should convert between CP437 and UTF-8 files', async () => {
+      const path = join(directory, 'art.nfo');
+      const converted = join(directory, 'art.txt');
+      await writeFile(path, Buffer.from([0xc9, 0xcd, 0xbb, 0x0d, 0x0a, 0xb0, 0xb1, 0xb2, 0x0d, 0x0a]));
+
+      expect(await runCli(['convert', path, '-o', converted])).toMatchObject({ code: EXIT_CODES.SUCCESS });
+      expect(await readFile(converted, 'utf8')).toBe('╔═╗\n░▒▓');
+
+      const { code, stderr } = await runCli(['convert', converted, '-f', 'nfo', '-o', path, '--transform', 'mirror']);
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stderr).toBe('');
+      expect(Array.from(await readFile(path))).toEqual([0xc9, 0xcd, 0xbb, 0x0d, 0x0a, 0xb2, 0xb1, 0xb0, 0x0d, 0x0a]);
+    });
+
+    it('should pick the format from .ans and .ansi output files', async () => {
+      const source = join(directory, 'shades.txt');
+      const bbs = join(directory, 'shades.ans');
+      const ansi = join(directory, 'shades.ansi');
+      await writeFile(source, '░▒▓');
+
+      expect(await runCli(['convert', source, '-o', bbs])).toMatchObject({ code: EXIT_CODES.SUCCESS });
+      expect(await runCli(['convert', source, '-o', ansi])).toMatchObject({ code: EXIT_CODES.SUCCESS });
+      expect(Array.from(await readFile(bbs))).toEqual(expect.arrayContaining([0xb0, 0xb1, 0xb2]));
+      expect(await readFile(ansi, 'utf8')).toContain('░▒▓');
+    });
+
+    it('should lay out a FILE_ID.DIZ and warn about cut content', async () => {
+      const { code, stdout, stderr } = await runCli(['diz', '--name', 'X'.repeat(50), '--disks', '2', '-f', 'txt'], 'Short');
+      const lines = stdout.trimEnd().split('\n');
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stderr).toContain('warning: Name');
+      expect(lines.every(line => Array.from(line).length === 45)).toBe(true);
+      expect(stdout).toContain('[01/02]');
+      expect((await runCli(['diz', 'text'])).stderr).toContain('needs --name');
+    });
+
+    it('should warn about characters CP437 cannot represent', async () => {
+      const { code, stderr } = await runCli(['convert', '-', '-f', 'diz', '-o', join(directory, 'file_id.diz')], 'A▘');
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stderr).toContain('warning: 1 character has no CP437 byte and was replaced: ▘ U+2598');
+    });
+
+    it('should default to ANSI output when a color mode is set', async () => {
+      const ppm = Buffer.concat([Buffer.from('P6\n2 2\n255\n'), Buffer.alloc(12, 200)]);
+      const path = join(directory, 'color.ppm');
+      await writeFile(path, ppm);
+
+      const { stdout } = await runCli(['image', path, '--width', '2', '--color', 'truecolor']);
+
+      expect(stdout).toContain('\x1b[38;2;200;200;200m');
+    });
+
+    it('should list the choices for a command', async () => {
+      const { stdout } = await runCli(['banner', '--list']);
+
+      expect(stdout.split('\n')).toContain('classic');
+    });
+  });
+
+  describe('output', () => {
+    it('should infer the export format from the output file', async () => {
+      const path = join(directory, 'art.json');
+
+      const { code, stdout } = await runCli(['text', 'HI', '-o', path]);
+      const json = JSON.parse(await readFile(path, 'utf8'));
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout).toBe('');
+      expect(json.metadata.mode).toBe('text');
+      expect(json.metadata.input).toBe('HI');
+    });
+
+    it('should support every export format', async () => {
+      for (const format of ['txt', 'html', 'json', 'md', 'discord', 'ansi']) {
+        const { code, stdout } = await runCli(['text', 'HI', '--format', format]);
+
+        expect(code).toBe(EXIT_CODES.SUCCESS);
+        expect(stdout).toContain('█');
+      }
+    });
+  });
+
+  describe('errors', () => {
+    it('should reject input that fails InputValidator rules', async () => {
+      const { code, stderr } = await runCli(['text', 'héllo']);
+
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(stderr).toContain('Text contains invalid characters');
+    });
+
+    it('should validate each banner line', async () => {
+      const { code, stderr } = await runCli(['banner', `OK|${'X'.repeat(60)}`]);
+
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(stderr).toContain('Banner text cannot exceed 50 characters');
+    });
+
+    it('should report unknown commands and options', async () => {
+      expect((await runCli(['paint'])).stderr).toContain('Unknown command: paint');
+
+      const { code, stderr } = await runCli(['text', '--colour', 'red', 'HI']);
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(stderr).toContain("Run 'apehost-ascii text --help' for usage.");
+    });
+
+    it('should validate option values', async () => {
+      expect((await runCli(['image', '--width', '900'])).stderr).toContain('--width cannot be greater than 200');
+      expect((await runCli(['text', 'HI', '--font', 'nope'])).stderr).toContain('Expected one of: standard');
+      expect((await runCli(['text', 'HI', '--format', 'pdf'])).stderr).toContain('Unsupported export format');
+    });
+
+    it('should reject shape matching without canvas support', async () => {
+      const path = join(directory, 'ramp.pgm');
+      await writeFile(path, Buffer.concat([Buffer.from('P5\n2 2\n255\n'), Buffer.from([0, 85, 170, 255])]));
+
+      const { code, stdout, stderr } = await runCli(['image', path, '--matching', 'shape']);
+
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(stdout).toBe('');
+      expect(stderr).toContain('--matching shape needs canvas support');
+      expect(stderr).not.toContain('    at ');
+    });
+
+    it('should ask for input when stdin is a terminal', async () => {
+      const { code, stderr } = await runCli(['text']);
+
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(stderr).toContain('No input given');
+    });
+
+    it('should fail with exit code 1 on unreadable files', async () => {
+      const { code, stderr } = await runCli(['image', join(directory, 'missing.png')]);
+
+      expect(code).toBe(EXIT_CODES.FAILURE);
+      expect(stderr).toContain('no such file');
+    });
+
+    it('should reject files that are not images', async () => {
+      const path = join(directory, 'notes.txt');
+      await writeFile(path, 'hello');
+
+      const { code, stderr } = await runCli(['image', path]);
+
+      expect(code).toBe(EXIT_CODES.USAGE);
+      expect(stderr).toContain('Unsupported image format');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the CLI image decoder
+ */
+
+import { describe, it, expect } from 'vitest';
+import { deflateSync } from 'node:zlib';
+import { ImageDecoder } from '../../../cli/image-decoder.js';
+
+/**
+ * Build a PNG file; chunk CRCs are left at zero since the decoder skips them
+ */
+function createPng({ width, height, colorType, bitDepth = 8, rows, palette, transparency }) {
+  const chunk = (type, data) => {
+    const buffer = Buffer.alloc(12 + data.length);
+    buffer.writeUInt32BE(data.length, 0);
+    buffer.write(type, 4, 'latin1');
+    Buffer.from(data).copy(buffer, 8);
+    return buffer;
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+
+  const scanlines = Buffer.concat(rows.map(([filter, ...bytes]) => Buffer.from([filter, ...bytes])));
+
+  return new Uint8Array(Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    ...(palette ? [chunk('PLTE', palette)] : []),
+    ...(transparency ? [chunk('tRNS', transparency)] : []),
+    chunk('IDAT', deflateSync(scanlines)),
+    chunk('IEND', [])
+  ]));
+}
+
+describe('ImageDecoder', () => {
+  describe('detectFormat()', () => {
+    it('should recognize PNG and Netpbm files', () => {
+      expect(ImageDecoder.detectFormat(createPng({ width: 1, height: 1, colorType: 0, rows: [[0, 0]] }))).toBe('png');
+      expect(ImageDecoder.detectFormat(Buffer.from('P6\n1 1\n255\n'))).toBe('pnm');
+      expect(ImageDecoder.detectFormat(Buffer.from('GIF89a'))).toBeNull();
+    });
+
+    it('should reject unsupported formats', () => {
+      expect(() => ImageDecoder.decode(Buffer.from([0xff, 0xd8, 0xff])))
+        .toThrow('Unsupported image format');
+    });
+  });
+
+  describe('decodePng()', () => {
+    it('should decode RGB pixels', () => {
+      const png = createPng({ width: 2, height: 1, colorType: 2, rows: [[0, 255, 0, 0, 0, 0, 255]] });
+
+      const image = ImageDecoder.decode(png);
+
+      expect(image.width).toBe(2);
+      expect(image.height).toBe(1);
+      expect(Array.from(image.data)).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+    });
+
+    it('should undo scanline filters', () => {
+      // Sub filter on row 0, Up filter on row 1, both encoding gray 10, 20
+      const png = createPng({ width: 2, height: 2, colorType: 0, rows: [[1, 10, 10], [2, 0, 0]] });
+
+      const { data } = ImageDecoder.decode(png);
+
+      expect([data[0], data[4], data[8], data[12]]).toEqual([10, 20, 10, 20]);
+    });
+
+    it('should scale low bit depth grayscale', () => {
+      // Two 1-bit pixels: black then white
+      const png = createPng({ width: 2, height: 1, colorType: 0, bitDepth: 1, rows: [[0, 0b01000000]] });
+
+      const { data } = ImageDecoder.decode(png);
+
+      expect([data[0], data[4]]).toEqual([0, 255]);
+    });
+
+    it('should look up palette colors and transparency', () => {
+      const png = createPng({
+        width: 2,
+        height: 1,
+        colorType: 3,
+        rows: [[0, 0, 1]],
+        palette: [0, 0, 0, 200, 100, 50],
+        transparency: [0]
+      });
+
+      const { data } = ImageDecoder.decode(png);
+
+      expect(Array.from(data)).toEqual([0, 0, 0, 0, 200, 100, 50, 255]);
+    });
+
+    it('should reject interlaced images', () => {
+      const png = createPng({ width: 1, height: 1, colorType: 0, rows: [[0, 0]] });
+      png[28] = 1;
+
+      expect(() => ImageDecoder.decode(png)).toThrow('Interlaced PNG images are not supported');
+    });
+  });
+
+  describe('decodePnm()', () => {
+    it('should decode raw PPM with comments', () => {
+      const ppm = Buffer.concat([Buffer.from('P6\n# comment\n2 1\n255\n'), Buffer.from([255, 0, 0, 0, 0, 255])]);
+
+      const image = ImageDecoder.decode(ppm);
+
+      expect(Array.from(image.data)).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+    });
+
+    it('should decode plain PGM and scale maxval', () => {
+      const { data } = ImageDecoder.decode(Buffer.from('P2\n2 1\n15\n0 15\n'));
+
+      expect(Array.from(data)).toEqual([0, 0, 0, 255, 255, 255, 255, 255]);
+    });
+
+    it('should decode PAM with alpha', () => {
+      const pam = Buffer.concat([
+        Buffer.from('P7\nWIDTH 1\nHEIGHT 1\nDEPTH 2\nMAXVAL 255\nTUPLTYPE GRAYSCALE_ALPHA\nENDHDR\n'),
+        Buffer.from([128, 64])
+      ]);
+
+      expect(Array.from(ImageDecoder.decode(pam).data)).toEqual([128, 128, 128, 64]);
+    });
+
+    it('should reject truncated data', () => {
+      expect(() => ImageDecoder.decode(Buffer.from('P5\n4 4\n255\n\x00')))
+        .toThrow('image data is truncated');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for the headless core entry point
+ * The DOM globals are removed to make sure no generator depends on them.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  TextGenerator,
+  FigletGenerator,
+  WarezGenerator,
+  ImageGenerator,
+  renderImage,
+  convertImage
+} from '../../public/js/core.js';
+
+/**
+ * Build a horizontal black-to-white RGBA gradient
+ */
+function createGradient(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const value = Math.round((x / (width - 1)) * 255);
+      data[i] = value;
+      data[i + 1] = value;
+      data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+describe('core', () => {
+  beforeEach(() => {
+    vi.stubGlobal('document', undefined);
+    vi.stubGlobal('Image', undefined);
+    vi.stubGlobal('OffscreenCanvas', undefined);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should export the text generators', async () => {
+    expect(await new TextGenerator().generate('HI')).toContain('█');
+    expect(await new FigletGenerator().generate('HI')).toContain('|');
+    expect(await new WarezGenerator().generate('HI')).toContain('HI');
+  });
+
+  describe('renderImage()', () => {
+    it('should resize the buffer to the requested width', () => {
+      const frame = renderImage(createGradient(64, 32), { width: 16, density: 'simple' });
+      const lines = frame.text.split('\n');
+
+      expect(frame.width).toBe(16);
+      expect(lines[0]).toHaveLength(16);
+      expect(lines).toHaveLength(frame.height);
+      expect(lines[0][0]).toBe('@');
+      expect(lines[0][15]).not.toBe('@');
+    });
+
+    it('should reject buffers of the wrong size', () => {
+      expect(() => renderImage({ width: 4, height: 4, data: new Uint8Array(10) }))
+        .toThrow('Invalid RGBA buffer: expected 64 bytes');
+    });
+  });
+
+  describe('convertImage()', () => {
+    it('should return ANSI output when a color mode is set', () => {
+      const output = convertImage(createGradient(8, 8), { width: 8, colorMode: 'truecolor' });
+
+      expect(output).toContain('\x1b[38;2;');
+    });
+
+    it('should explain that shape matching needs a canvas', () => {
+      expect(() => convertImage(createGradient(8, 8), { matching: 'shape' }))
+        .toThrow('Shape matching requires canvas support');
+    });
+  });
+
+  describe('ImageGenerator.resizeImageData()', () => {
+    it('should average the pixels each target pixel covers', () => {
+      const generator = new ImageGenerator();
+      const source = {
+        width: 2,
+        height: 1,
+        data: new Uint8ClampedArray([0, 0, 0, 255, 200, 100, 50, 255])
+      };
+
+      const resized = generator.resizeImageData(source, 1, 1);
+
+      expect(Array.from(resized.data)).toEqual([100, 50, 25, 255]);
+    });
+
+    it('should repeat pixels when upscaling', () => {
+      const generator = new ImageGenerator();
+      const source = { width: 1, height: 1, data: new Uint8ClampedArray([10, 20, 30, 255]) };
+
+      const resized = generator.resizeImageData(source, 2, 2);
+
+      expect(Array.from(resized.data)).toEqual([10, 20, 30, 255, 10, 20, 30, 255, 10, 20, 30, 255, 10, 20, 30, 255]);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for DizGenerator
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DizGenerator } from '../../../public/js/generators/diz.js';
+
+const LONG_DESCRIPTION = 'A tool that does many useful things. '.repeat(8).trim();
+
+describe('DizGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new DizGenerator();
+  });
+
+  describe('compose()', () => {
+    it('should lay out the name, version, disk count and description', () => {
+      const { text, warnings } = generator.compose({
+        name: 'Demo Tool',
+        version: '2.1',
+        disk: 1,
+        disks: 3,
+        description: 'Does things.'
+      });
+      const lines = text.split('\n');
+
+      expect(warnings).toEqual([]);
+      expect(lines).toHaveLength(6);
+      expect(lines[1]).toContain('DEMO TOOL');
+      expect(lines[2]).toMatch(/^║ v2\.1 +\[01\/03\] ║$/);
+      expect(lines[4]).toContain('Does things.');
+      expect(lines.every(line => Array.from(line).length === 45)).toBe(true);
+    });
+
+    it('should cut long content to 45 columns and 10 lines with warnings', () => {
+      const { text, warnings } = generator.compose({
+        name: 'N'.repeat(50),
+        version: '1.0',
+        disks: 1,
+        description: LONG_DESCRIPTION
+      }, { style: 'elite' });
+      const lines = text.split('\n');
+
+      expect(lines).toHaveLength(10);
+      expect(lines.every(line => Array.from(line).length <= 45)).toBe(true);
+      expect(lines[8]).toMatch(/\.\.\. +│$/);
+      expect(warnings).toHaveLength(2);
+      expect(warnings[0]).toContain('cut to 41 columns');
+      expect(warnings[1]).toMatch(/^Description cut to 5 of \d+ lines/);
+    });
+
+    it('should give the description more room without a version or disks', () => {
+      const { text } = generator.compose({ name: 'X', description: LONG_DESCRIPTION });
+
+      expect(text.split('\n')).toHaveLength(10);
+      expect(text).not.toContain('[01/');
+    });
+
+    it('should join the separator to the frame with the style junctions', () => {
+      const diz = { name: 'X', description: 'Y' };
+
+      expect(generator.compose(diz).text.split('\n')[2]).toBe(`╠${'═'.repeat(43)}╣`);
+      expect(generator.compose(diz, { style: 'elite' }).text.split('\n')[2]).toBe(`├${'─'.repeat(43)}┤`);
+    });
+
+    it('should reject missing names and bad disk counts', () => {
+      expect(() => generator.compose({ name: ' ' })).toThrow('DIZ name cannot be empty');
+      expect(() => generator.compose({ name: 'X', disk: 2, disks: 1 })).toThrow('Disk count');
+    });
+  });
+});
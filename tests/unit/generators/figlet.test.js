@@ -0,0 +1,387 @@
+/**
+ * Unit tests for FigletGenerator
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FigletGenerator } from '../../../public/js/generators/figlet.js';
+import { FIGLET_LAYOUT } from '../../../public/js/utils/figlet-font-parser.js';
+import { createFlf } from '../../fixtures/flf.js';
+
+describe('FigletGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new FigletGenerator();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('generate()', () => {
+    it('should render with the built-in fonts', async () => {
+      const result = await generator.generate('HI', { font: 'standard' });
+
+      expect(result.split('\n')).toHaveLength(6);
+    });
+
+    it('should keep the case of the input', async () => {
+      const lower = await generator.generate('hi', { font: 'standard' });
+      const upper = await generator.generate('HI', { font: 'standard' });
+
+      expect(lower).not.toBe(upper);
+    });
+
+    it('should render lowercase with capitals when the font has none', async () => {
+      const lower = await generator.generate('hi', { font: 'banner' });
+      const upper = await generator.generate('HI', { font: 'banner' });
+
+      expect(lower).toBe(upper);
+    });
+
+    it('should have a glyph for every printable ASCII character in the built-in fonts', async () => {
+      const printable = Array.from({ length: 94 }, (_, i) => String.fromCharCode(33 + i));
+
+      for (const font of ['standard', 'banner', 'small']) {
+        const unknown = await generator.generate('?', { font });
+        for (const char of printable) {
+          const result = await generator.generate(char, { font });
+
+          expect(result, `${font} ${char}`).not.toContain('█');
+          expect(result.trim(), `${font} ${char}`).not.toBe('');
+          if (char !== '?') {
+            expect(result, `${font} ${char}`).not.toBe(unknown);
+          }
+        }
+        expect(await generator.generate(printable.join(''), { font })).not.toContain('█');
+      }
+    });
+
+    it('should reject unknown fonts', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(generator.generate('HI', { font: 'missing' })).rejects.toThrow("Font 'missing' not found");
+    });
+  });
+
+  describe('loadFont()', () => {
+    it('should register parsed fonts so they are listed', () => {
+      generator.loadFont('blocky', createFlf());
+
+      expect(generator.getAvailableFonts()).toContainEqual({ id: 'blocky', name: 'Blocky', height: 2 });
+    });
+
+    it('should render hardblanks as spaces', async () => {
+      generator.loadFont('blocky', createFlf({ glyph: char => [`${char}$`, `${char}$`] }));
+
+      const result = await generator.generate('AB', { font: 'blocky', horizontalLayout: 'full' });
+
+      expect(result).toBe('A B \nA B ');
+    });
+
+    it('should use the font\'s own space character', async () => {
+      generator.loadFont('blocky', createFlf({ glyph: char => (char === ' ' ? ['$$$$', '$$$$'] : [char, char]) }));
+
+      const result = await generator.generate('A B', { font: 'blocky', horizontalLayout: 'full' });
+
+      expect(result.split('\n')[0]).toBe('A    B');
+    });
+  });
+
+  describe('horizontal layout', () => {
+    const render = (layout, fontOptions) => {
+      generator.loadFont('test', createFlf({ height: 1, ...fontOptions }));
+      return generator.generate('AB', { font: 'test', horizontalLayout: layout });
+    };
+
+    it('should keep full width characters apart', async () => {
+      expect(await render('full', { glyph: char => [`${char}  `] })).toBe('A  B  ');
+    });
+
+    it('should close blank gaps when fitting', async () => {
+      expect(await render('fitted', { glyph: char => [`${char}  `] })).toBe('AB  ');
+      expect(await render('fitted', { glyph: char => [`|${char}|`] })).toBe('|A||B|');
+    });
+
+    it('should smush with the font\'s rules', async () => {
+      expect(await render('smushed', { oldLayout: 1, glyph: char => [`|${char}|`] })).toBe('|A|B|');
+    });
+
+    it('should use the font\'s layout by default', async () => {
+      expect(await render('default', { oldLayout: 1, glyph: char => [`|${char}|`] })).toBe('|A|B|');
+      expect(await render('default', { oldLayout: -1, glyph: char => [`|${char}|`] })).toBe('|A||B|');
+    });
+
+    it('should fall back to universal smushing when the font has no rules', async () => {
+      expect(await render('smushed', { oldLayout: 0, glyph: char => [`/${char}`] })).toBe('//B');
+    });
+
+    it('should keep word spaces with the built-in fonts in every layout', async () => {
+      // Columns blank on every row, not counting the right edge
+      const blankColumns = art => {
+        const rows = art.split('\n');
+        const width = Math.max(...rows.map(row => row.trimEnd().length));
+        return Array.from({ length: width }, (_, column) => column)
+          .filter(column => rows.every(row => (row[column] || ' ') === ' ')).length;
+      };
+
+      for (const font of ['standard', 'banner', 'small']) {
+        for (const layout of ['default', 'full', 'fitted', 'smushed', 'universal']) {
+          const spaced = await generator.generate('AB CD', { font, horizontalLayout: layout });
+          const joined = await generator.generate('ABCD', { font, horizontalLayout: layout });
+
+          expect(blankColumns(spaced), `${font} ${layout}`).toBeGreaterThan(blankColumns(joined));
+        }
+      }
+    });
+
+    it('should reject unknown layouts', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(render('squashed', {})).rejects.toThrow('Unknown horizontal layout: squashed');
+    });
+  });
+
+  describe('getSmushMode()', () => {
+    const font = { fullLayout: FIGLET_LAYOUT.EQUAL | FIGLET_LAYOUT.HIERARCHY | FIGLET_LAYOUT.SMUSHING | FIGLET_LAYOUT.VERTICAL_EQUAL };
+
+    it('should map layouts to smush modes', () => {
+      expect(generator.getSmushMode(font, 'default')).toBe(FIGLET_LAYOUT.EQUAL | FIGLET_LAYOUT.HIERARCHY | FIGLET_LAYOUT.SMUSHING);
+      expect(generator.getSmushMode(font, 'full')).toBe(0);
+      expect(generator.getSmushMode(font, 'fitted')).toBe(FIGLET_LAYOUT.KERNING);
+      expect(generator.getSmushMode({ fullLayout: 0 }, 'smushed')).toBe(FIGLET_LAYOUT.SMUSHING);
+      expect(generator.getSmushMode(font, 'universal')).toBe(FIGLET_LAYOUT.SMUSHING);
+    });
+  });
+
+  describe('smushCharacters()', () => {
+    const smush = (left, right, rules, widths = 2) => generator.smushCharacters(left, right, {
+      mode: rules | FIGLET_LAYOUT.SMUSHING,
+      hardblank: '$',
+      previousWidth: widths,
+      charWidth: widths
+    });
+
+    it('should let blanks give way', () => {
+      expect(smush(' ', 'x', FIGLET_LAYOUT.EQUAL)).toBe('x');
+      expect(smush('x', ' ', FIGLET_LAYOUT.EQUAL)).toBe('x');
+    });
+
+    it('should apply the equal character rule', () => {
+      expect(smush('|', '|', FIGLET_LAYOUT.EQUAL)).toBe('|');
+      expect(smush('|', '|', FIGLET_LAYOUT.UNDERSCORE)).toBeNull();
+    });
+
+    it('should apply the underscore rule', () => {
+      expect(smush('_', '/', FIGLET_LAYOUT.UNDERSCORE)).toBe('/');
+      expect(smush('}', '_', FIGLET_LAYOUT.UNDERSCORE)).toBe('}');
+      expect(smush('_', 'x', FIGLET_LAYOUT.UNDERSCORE)).toBeNull();
+    });
+
+    it('should apply the hierarchy rule', () => {
+      expect(smush('|', '/', FIGLET_LAYOUT.HIERARCHY)).toBe('/');
+      expect(smush('(', '[', FIGLET_LAYOUT.HIERARCHY)).toBe('(');
+      expect(smush('<', '{', FIGLET_LAYOUT.HIERARCHY)).toBe('<');
+      expect(smush('[', ']', FIGLET_LAYOUT.HIERARCHY)).toBeNull();
+    });
+
+    it('should apply the opposite pair rule', () => {
+      expect(smush('[', ']', FIGLET_LAYOUT.OPPOSITE_PAIR)).toBe('|');
+      expect(smush(')', '(', FIGLET_LAYOUT.OPPOSITE_PAIR)).toBe('|');
+    });
+
+    it('should apply the big X rule', () => {
+      expect(smush('/', '\\', FIGLET_LAYOUT.BIG_X)).toBe('|');
+      expect(smush('\\', '/', FIGLET_LAYOUT.BIG_X)).toBe('Y');
+      expect(smush('>', '<', FIGLET_LAYOUT.BIG_X)).toBe('X');
+    });
+
+    it('should only smush hardblanks with the hardblank rule', () => {
+      expect(smush('$', '$', FIGLET_LAYOUT.HARDBLANK)).toBe('$');
+      expect(smush('$', '$', FIGLET_LAYOUT.EQUAL)).toBeNull();
+      expect(smush('$', '|', FIGLET_LAYOUT.HARDBLANK)).toBeNull();
+    });
+
+    it('should let the later character win with universal smushing', () => {
+      expect(smush('a', 'b', 0)).toBe('b');
+      expect(smush('$', 'b', 0)).toBe('b');
+      expect(smush('a', '$', 0)).toBe('a');
+    });
+
+    it('should not smush characters narrower than two columns', () => {
+      expect(smush('|', '|', FIGLET_LAYOUT.EQUAL, 1)).toBeNull();
+    });
+
+    it('should not smush when only kerning', () => {
+      expect(generator.smushCharacters('|', '|', { mode: FIGLET_LAYOUT.KERNING, hardblank: '$', previousWidth: 2, charWidth: 2 })).toBeNull();
+    });
+  });
+
+  describe('multi-line input', () => {
+    const render = (text, options, fontOptions) => {
+      generator.loadFont('test', createFlf({ height: 2, oldLayout: -1, ...fontOptions }));
+      return generator.generate(text, { font: 'test', ...options });
+    };
+
+    it('should stack one FIGure per line at full height', async () => {
+      const result = await render('AB\nC', { verticalLayout: 'full' });
+      expect(result).toBe('AB\nAB\nC \nC ');
+    });
+
+    it('should ignore leading and trailing blank lines', async () => {
+      expect(await render('\n\nA\n\n', { verticalLayout: 'full' })).toBe('A\nA');
+    });
+
+    it('should move lines up into blank rows when fitting', async () => {
+      const glyph = char => [char, ' '];
+      expect(await render('A\nB', { verticalLayout: 'fitted' }, { glyph })).toBe('A\nB\n ');
+      expect(await render('A\nB', { verticalLayout: 'fitted' })).toBe('A\nA\nB\nB');
+    });
+
+    it('should smush lines with the font\'s vertical rules', async () => {
+      const fullLayout = FIGLET_LAYOUT.HORIZONTAL_LINE | FIGLET_LAYOUT.VERTICAL_SMUSHING;
+      const glyph = char => (char === 'A' ? ['A', '-'] : ['_', char]);
+      expect(await render('A\nB', {}, { fullLayout, glyph })).toBe('A\n=\nB');
+      expect(await render('A\nB', { verticalLayout: 'full' }, { fullLayout, glyph })).toBe('A\n-\n_\nB');
+    });
+
+    it('should allow several vertical line smushes in a column', async () => {
+      const fullLayout = FIGLET_LAYOUT.VERTICAL_LINE_SUPER | FIGLET_LAYOUT.VERTICAL_SMUSHING;
+      expect(await render('A\nB', {}, { fullLayout, glyph: () => ['|', '|'] })).toBe('|\n|');
+    });
+
+    it('should stop at the first smush in each column', () => {
+      const mode = FIGLET_LAYOUT.VERTICAL_SMUSHING | FIGLET_LAYOUT.VERTICAL_EQUAL;
+      const upper = [' ', '-', ' '];
+      const lower = ['-', ' ', ' '];
+
+      expect(generator.calculateVerticalSmushAmount(upper, lower, mode, '$')).toBe(2);
+      expect(generator.stackFigures([upper, lower], mode, '$')).toEqual([' ', '-', ' ', ' ']);
+    });
+
+    it('should never stack lower characters above upper ones with the built-in fonts', () => {
+      const inkRows = (figure, column) => figure.map((row, index) => (row[column] === ' ' || row[column] === '$' ? -1 : index))
+        .filter(index => index >= 0);
+
+      for (const font of ['standard', 'small', 'banner']) {
+        const fontData = generator.fonts.get(font);
+        const mode = generator.getSmushMode(fontData);
+        for (const lines of [['HELLO', 'WORLD'], ['HI', 'THERE']]) {
+          const figures = lines.map(text => generator.renderLine(text, fontData, mode));
+          const width = Math.max(...figures.map(figure => figure[0].length));
+          const [upper, lower] = figures.map(figure => figure.map(row => row.padEnd(width)));
+          const amount = generator.calculateVerticalSmushAmount(upper, lower, generator.getVerticalSmushMode(fontData, 'smushed'), '$');
+
+          for (let column = 0; column < width; column++) {
+            const last = Math.max(-1, ...inkRows(upper, column));
+            const first = Math.min(lower.length, ...inkRows(lower, column));
+            if (last >= 0 && first < lower.length) {
+              expect(upper.length - amount + first, `${font} ${lines} column ${column}`).toBeGreaterThanOrEqual(last);
+            }
+          }
+        }
+      }
+    });
+
+    it('should reject unknown vertical layouts', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(render('A\nB', { verticalLayout: 'sideways' })).rejects.toThrow('Unknown vertical layout: sideways');
+    });
+  });
+
+  describe('word wrapping', () => {
+    const render = (text, width) => {
+      generator.loadFont('test', createFlf({ height: 1, oldLayout: -1, glyph: char => [char === ' ' ? ' ' : char] }));
+      return generator.generate(text, { font: 'test', verticalLayout: 'full', width });
+    };
+
+    it('should break lines between words', async () => {
+      expect(await render('ONE TWO THREE', 7)).toBe('ONE TWO\nTHREE  ');
+    });
+
+    it('should split words wider than the width', async () => {
+      expect(await render('ABCDEFG HI', 3)).toBe('ABC\nDEF\nG  \nHI ');
+    });
+
+    it('should not wrap without a width', async () => {
+      expect(await render('ONE TWO THREE')).toBe('ONE TWO THREE');
+    });
+  });
+
+  describe('getVerticalSmushMode()', () => {
+    const vertical = FIGLET_LAYOUT.VERTICAL_EQUAL | FIGLET_LAYOUT.HORIZONTAL_LINE;
+    const font = { fullLayout: FIGLET_LAYOUT.EQUAL | FIGLET_LAYOUT.SMUSHING | vertical | FIGLET_LAYOUT.VERTICAL_SMUSHING };
+
+    it('should map layouts to vertical smush modes', () => {
+      expect(generator.getVerticalSmushMode(font, 'default')).toBe(vertical | FIGLET_LAYOUT.VERTICAL_SMUSHING);
+      expect(generator.getVerticalSmushMode(font, 'full')).toBe(0);
+      expect(generator.getVerticalSmushMode(font, 'fitted')).toBe(FIGLET_LAYOUT.VERTICAL_FITTING);
+      expect(generator.getVerticalSmushMode(font, 'smushed')).toBe(vertical | FIGLET_LAYOUT.VERTICAL_SMUSHING);
+      expect(generator.getVerticalSmushMode(font, 'universal')).toBe(FIGLET_LAYOUT.VERTICAL_SMUSHING);
+      expect(generator.getVerticalSmushMode({}, 'default')).toBe(0);
+    });
+  });
+
+  describe('smushVertical()', () => {
+    const smush = (top, bottom, rules) => generator.smushVertical(top, bottom, rules | FIGLET_LAYOUT.VERTICAL_SMUSHING, '$');
+
+    it('should let blanks give way', () => {
+      expect(smush(' ', 'x', FIGLET_LAYOUT.VERTICAL_EQUAL)).toBe('x');
+      expect(smush('x', '$', FIGLET_LAYOUT.VERTICAL_EQUAL)).toBe('x');
+    });
+
+    it('should apply the vertical rules', () => {
+      expect(smush('x', 'x', FIGLET_LAYOUT.VERTICAL_EQUAL)).toBe('x');
+      expect(smush('_', '/', FIGLET_LAYOUT.VERTICAL_UNDERSCORE)).toBe('/');
+      expect(smush('|', '{', FIGLET_LAYOUT.VERTICAL_HIERARCHY)).toBe('{');
+      expect(smush('-', '_', FIGLET_LAYOUT.HORIZONTAL_LINE)).toBe('=');
+      expect(smush('_', '-', FIGLET_LAYOUT.HORIZONTAL_LINE)).toBe('=');
+      expect(smush('|', '|', FIGLET_LAYOUT.VERTICAL_LINE_SUPER)).toBe('|');
+      expect(smush('x', 'y', FIGLET_LAYOUT.VERTICAL_EQUAL)).toBeNull();
+    });
+
+    it('should let the lower character win with universal smushing', () => {
+      expect(smush('a', 'b', 0)).toBe('b');
+    });
+
+    it('should not smush when only fitting', () => {
+      expect(generator.smushVertical('|', '|', FIGLET_LAYOUT.VERTICAL_FITTING, '$')).toBeNull();
+    });
+  });
+
+  describe('loadFontFromFile()', () => {
+    it('should name the font after the file', async () => {
+      const file = new File([createFlf()], 'Big Money.flf');
+
+      const id = await generator.loadFontFromFile(file);
+
+      expect(id).toBe('big-money');
+      expect(generator.fonts.has('big-money')).toBe(true);
+    });
+  });
+
+  describe('loadFontFromUrl()', () => {
+    it('should fetch and register the font', async () => {
+      const fetchMock = vi.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve(createFlf()) }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const id = await generator.loadFontFromUrl('https://example.com/fonts/slant.flf?v=2');
+
+      expect(fetchMock).toHaveBeenCalledWith('https://example.com/fonts/slant.flf?v=2');
+      expect(id).toBe('slant');
+    });
+
+    it('should report HTTP errors', async () => {
+      vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' })));
+
+      await expect(generator.loadFontFromUrl('/fonts/missing.flf')).rejects.toThrow('Failed to load font: 404 Not Found');
+    });
+  });
+
+  describe('removeFont()', () => {
+    it('should protect the standard font', () => {
+      expect(() => generator.removeFont('standard')).toThrow('Cannot remove standard font');
+    });
+  });
+});
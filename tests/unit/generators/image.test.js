@@ -0,0 +1,251 @@
+/**
+ * Unit tests for ImageGenerator
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ImageGenerator } from '../../../public/js/generators/image.js';
+
+/**
+ * Build an ImageData-like object from [r, g, b] pixels
+ */
+function createImageData(width, height, pixelFn) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = pixelFn(x, y);
+      const i = (y * width + x) * 4;
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+describe('ImageGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new ImageGenerator();
+  });
+
+  describe('extractColors()', () => {
+    it('should group pixel colors into rows', () => {
+      const imageData = createImageData(2, 2, (x, y) => [x * 100, y * 100, 7]);
+      const colors = generator.extractColors(imageData);
+
+      expect(colors).toHaveLength(2);
+      expect(colors[0]).toEqual([[0, 0, 7], [100, 0, 7]]);
+      expect(colors[1][1]).toEqual([100, 100, 7]);
+    });
+  });
+
+  describe('pixelsToAscii()', () => {
+    it('should map dark pixels to dense characters', () => {
+      const result = generator.pixelsToAscii([0, 255], 2, 1, 'simple');
+
+      expect(result).toBe('@ ');
+    });
+  });
+
+  describe('pixelsToBraille()', () => {
+    it('should pack a 2x4 block into one braille character', () => {
+      // Left column dark, right column light
+      const pixels = [0, 255, 0, 255, 0, 255, 0, 255];
+      const result = generator.pixelsToBraille(pixels, 2, 4);
+
+      expect(result).toBe(String.fromCharCode(0x2800 + 0x01 + 0x02 + 0x04 + 0x40));
+    });
+
+    it('should respect the threshold', () => {
+      const pixels = new Array(8).fill(100);
+
+      expect(generator.pixelsToBraille(pixels, 2, 4, 50)).toBe('\u2800');
+      expect(generator.pixelsToBraille(pixels, 2, 4, 150)).toBe('\u28ff');
+    });
+
+    it('should pad partial cells at the image edge', () => {
+      const result = generator.pixelsToBraille([0, 0, 0], 3, 1);
+
+      expect(result).toBe(String.fromCharCode(0x2809, 0x2801));
+    });
+  });
+
+  describe('extractColors() with cells', () => {
+    it('should average colors over each cell block', () => {
+      const imageData = createImageData(2, 4, (x) => (x === 0 ? [0, 0, 0] : [200, 100, 50]));
+      const colors = generator.extractColors(imageData, 2, 4);
+
+      expect(colors).toEqual([[[100, 50, 25]]]);
+    });
+  });
+
+  describe('getSupportedDensities()', () => {
+    it('should include the ramps and braille', () => {
+      const densities = generator.getSupportedDensities();
+
+      expect(densities).toContain('detailed');
+      expect(densities).toContain('braille');
+    });
+  });
+
+  describe('pixelsToBlocks()', () => {
+    it('should render half blocks from top/bottom pixels', () => {
+      const mode = generator.cellModes.halfblock;
+      // Columns: top dark, bottom dark, both dark, neither
+      const pixels = [0, 255, 0, 255, 255, 0, 0, 255];
+      const result = generator.pixelsToBlocks(pixels, 4, 2, mode);
+
+      expect(result).toBe('▀▄█ ');
+    });
+
+    it('should render quadrant blocks', () => {
+      const mode = generator.cellModes.quadrant;
+      // Top-left and bottom-right dark
+      const pixels = [0, 255, 255, 0];
+
+      expect(generator.pixelsToBlocks(pixels, 2, 2, mode)).toBe('▚');
+    });
+  });
+
+  describe('colorsToBlocks()', () => {
+    it('should split half-block cells into foreground and background colors', () => {
+      const imageData = createImageData(1, 2, (x, y) => (y === 0 ? [255, 0, 0] : [0, 0, 255]));
+      const result = generator.colorsToBlocks(imageData, generator.cellModes.halfblock);
+
+      expect(result.text).toBe('▀');
+      expect(result.colors[0][0]).toEqual([255, 0, 0]);
+      expect(result.backgrounds[0][0]).toEqual([0, 0, 255]);
+    });
+
+    it('should pick the quadrant split with the least error', () => {
+      const imageData = createImageData(2, 2, (x) => (x === 0 ? [10, 200, 10] : [0, 0, 0]));
+      const result = generator.colorsToBlocks(imageData, generator.cellModes.quadrant);
+
+      expect(['▌', '▐']).toContain(result.text);
+      const pair = [result.colors[0][0], result.backgrounds[0][0]];
+      expect(pair).toContainEqual([10, 200, 10]);
+      expect(pair).toContainEqual([0, 0, 0]);
+    });
+
+    it('should use a solid block for uniform cells', () => {
+      const imageData = createImageData(2, 2, () => [50, 60, 70]);
+      const result = generator.colorsToBlocks(imageData, generator.cellModes.quadrant);
+
+      expect(result.colors[0][0]).toEqual([50, 60, 70]);
+      expect(result.backgrounds[0][0]).toEqual([50, 60, 70]);
+    });
+  });
+
+  describe('measureOrientation()', () => {
+    it('should detect a vertical edge with high coherence', () => {
+      const pixels = [];
+      for (let y = 0; y < 6; y++) {
+        for (let x = 0; x < 6; x++) {
+          pixels.push(x < 3 ? 0 : 255);
+        }
+      }
+      const gradients = generator.computeGradients(pixels, 6, 6);
+      const result = generator.measureOrientation(gradients, 6, { x: 0, y: 0, width: 6, height: 6 });
+
+      expect(result.coherence).toBeCloseTo(1);
+      expect(Math.abs(Math.cos(result.angle))).toBeCloseTo(1);
+    });
+
+    it('should report zero coherence for flat regions', () => {
+      const pixels = new Array(16).fill(128);
+      const gradients = generator.computeGradients(pixels, 4, 4);
+      const result = generator.measureOrientation(gradients, 4, { x: 0, y: 0, width: 4, height: 4 });
+
+      expect(result.coherence).toBe(0);
+      expect(result.magnitude).toBe(0);
+    });
+  });
+
+  describe('pixelsToShapes()', () => {
+    // 2x2 cells: a vertical bar on the left, a full block and a blank
+    const glyphs = [
+      { char: ' ', coverage: [0, 0, 0, 0], angle: 0, coherence: 0 },
+      { char: '|', coverage: [1, 0, 1, 0], angle: 0, coherence: 1 },
+      { char: '-', coverage: [1, 1, 0, 0], angle: Math.PI / 2, coherence: 1 },
+      { char: '#', coverage: [1, 1, 1, 1], angle: 0, coherence: 0 }
+    ];
+
+    it('should pick the glyph whose shape matches the cell', () => {
+      const pixels = [0, 255, 0, 255];
+      const result = generator.pixelsToShapes(pixels, 2, 2, glyphs, { cellWidth: 2, cellHeight: 2 });
+
+      expect(result).toBe('|');
+    });
+
+    it('should tell horizontal strokes from vertical ones', () => {
+      const pixels = [0, 0, 255, 255];
+      const result = generator.pixelsToShapes(pixels, 2, 2, glyphs, { cellWidth: 2, cellHeight: 2 });
+
+      expect(result).toBe('-');
+    });
+
+    it('should map flat cells by brightness', () => {
+      const dark = generator.pixelsToShapes([0, 0, 0, 0], 2, 2, glyphs, { cellWidth: 2, cellHeight: 2 });
+      const light = generator.pixelsToShapes([255, 255, 255, 255], 2, 2, glyphs, { cellWidth: 2, cellHeight: 2 });
+
+      expect(dark).toBe('#');
+      expect(light).toBe(' ');
+    });
+  });
+
+  describe('convert()', () => {
+    const gradient = createImageData(8, 2, (x) => new Array(3).fill(Math.min(255, x * 37)));
+
+    it('should map already-resized pixels to text', () => {
+      const frame = generator.convert(gradient, { density: 'simple' });
+
+      expect(frame.width).toBe(8);
+      expect(frame.height).toBe(2);
+      expect(frame.text.split('\n')).toHaveLength(2);
+      expect(frame.text[0]).toBe('@');
+      expect(frame.text[7]).toBe(' ');
+    });
+
+    it('should report progress through each stage', () => {
+      const stages = [];
+      generator.convert(gradient, {
+        dithering: 'bayer4',
+        onProgress: (percent, stage) => stages.push([percent, stage])
+      });
+
+      expect(stages.map(([, stage]) => stage)).toEqual(['adjust', 'dither', 'map', 'color', 'done']);
+      expect(stages[stages.length - 1][0]).toBe(100);
+    });
+
+    it('should apply adjustments and dithering in colored block modes', () => {
+      const gray = createImageData(2, 2, () => [100, 100, 100]);
+
+      const brighter = generator.convert(gray, { density: 'halfblock', colorMode: 'full', adjustments: { brightness: 50 } });
+      expect(brighter.colors[0][0][0]).toBeGreaterThan(100);
+
+      const dithered = generator.convert(gray, { density: 'quadrant', colorMode: 'full', dithering: 'bayer2' });
+      const plain = generator.convert(gray, { density: 'quadrant', colorMode: 'full' });
+      expect(dithered.text).not.toBe(plain.text);
+      expect(dithered.colors[0][0]).toEqual([100, 100, 100]);
+    });
+
+    it('should stop when the signal is aborted', () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      expect(() => generator.convert(gradient, { signal: controller.signal }))
+        .toThrow('Image conversion cancelled');
+    });
+  });
+
+  describe('extractPixels()', () => {
+    it('should return luminance as a Float32Array', () => {
+      const pixels = generator.extractPixels(createImageData(2, 1, () => [255, 255, 255]));
+
+      expect(pixels).toBeInstanceOf(Float32Array);
+      expect(Array.from(pixels)).toEqual([255, 255]);
+    });
+  });
+});
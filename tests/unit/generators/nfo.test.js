@@ -0,0 +1,69 @@
+/**
+ * Unit tests for NfoComposer
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { NfoComposer } from '../../../public/js/generators/nfo.js';
+
+const widths = text => text.split('\n').map(line => Array.from(line).length);
+
+describe('NfoComposer', () => {
+  let composer;
+
+  beforeEach(() => {
+    composer = new NfoComposer();
+  });
+
+  describe('parse()', () => {
+    it('should split sections and apply their templates', () => {
+      const sections = NfoComposer.parse('[release]\nName: Demo\nSize: 1MB\n\n[greetings: Shouts]\nA, B\nC\n[Credits]\nThanks');
+
+      expect(sections).toEqual([
+        { type: 'release', title: 'Release Info', layout: 'fields', content: [['Name', 'Demo'], ['Size', '1MB']] },
+        { type: 'greetings', title: 'Shouts', layout: 'names', content: ['A', 'B', 'C'] },
+        { type: undefined, title: 'Credits', layout: 'text', content: 'Thanks' }
+      ]);
+    });
+  });
+
+  describe('compose()', () => {
+    it('should make every line exactly 80 columns', async () => {
+      const result = await composer.compose({
+        logo: 'NFO',
+        sections: NfoComposer.parse(NfoComposer.getTemplate()),
+        footer: 'Support the developers'
+      }, { style: 'elite' });
+
+      expect(new Set(widths(result))).toEqual(new Set([80]));
+      expect(result).toContain('Release Info');
+      expect(result).toContain('Support the developers');
+    });
+
+    it('should align fields, number steps and wrap text', async () => {
+      const notes = 'word '.repeat(40).trim();
+      const result = await composer.compose({
+        sections: NfoComposer.parse(`[release]\nName: Demo\nSupplier: Crew\n[install]\nUnpack\nRun\n[notes]\n${notes}`)
+      });
+      const lines = result.split('\n');
+
+      const name = lines.find(line => line.includes('Name'));
+      const supplier = lines.find(line => line.includes('Supplier'));
+      expect(name.indexOf('Demo')).toBe(supplier.indexOf('Crew'));
+      expect(lines.some(line => line.includes('1. Unpack'))).toBe(true);
+      expect(lines.some(line => line.includes('2. Run'))).toBe(true);
+      expect(lines.filter(line => line.includes('word')).length).toBeGreaterThan(1);
+    });
+
+    it('should pick a logo font that fits with auto', async () => {
+      const result = await composer.compose({ logo: { text: 'WIDE LOGO TEXT', font: 'auto' } });
+
+      expect(new Set(widths(result))).toEqual(new Set([80]));
+    });
+
+    it('should reject logos and styles that do not fit', async () => {
+      await expect(composer.compose({ logo: { text: 'MUCH TOO WIDE A LOGO', font: 'standard' } }))
+        .rejects.toThrow('Logo is');
+      await expect(composer.compose({}, { style: 'nope' })).rejects.toThrow('Unknown style');
+    });
+  });
+});
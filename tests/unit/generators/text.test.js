@@ -105,6 +105,11 @@ describe('TextGenerator', () => {
       expect(result.error).toContain('invalid characters');
     });
 
+    it('should accept mixed case, URLs and symbols', () => {
+      expect(generator.validateInput('ApeHost https://ascii.apehost.net/?q=1&x=#top').valid).toBe(true);
+      expect(generator.validateInput('@#$%&*+=/:;<>^`|~\\').valid).toBe(true);
+    });
+
     it('should accept numbers and punctuation', () => {
       const result = generator.validateInput('Test 123!?.');
 
@@ -130,6 +135,32 @@ describe('TextGenerator', () => {
     });
   });
 
+  describe('wrapText()', () => {
+    it('should break between words to fit the width', () => {
+      const fontData = generator.fonts.get('small');
+      const oneWord = generator.convertTextToAscii('HI', fontData, 'normal')[0].length;
+      const rows = generator.wrapText('HI HI HI', fontData, 'normal', oneWord + 2);
+
+      expect(rows).toHaveLength(3);
+      expect(rows.every(row => row.length === fontData.height)).toBe(true);
+    });
+
+    it('should split words wider than the width', () => {
+      const fontData = generator.fonts.get('small');
+      const rows = generator.wrapText('HIHIHI', fontData, 'normal', 10);
+
+      expect(rows.length).toBeGreaterThan(1);
+      expect(rows.flat().every(line => line.length <= 10)).toBe(true);
+    });
+
+    it('should stack wrapped rows with a blank line from generate()', async () => {
+      const result = (await generator.generate('HI HI', { font: 'small', wrap: 12 })).split('\n');
+
+      expect(result).toHaveLength(9);
+      expect(result[4]).toBe('');
+    });
+  });
+
   describe('getCharacterData()', () => {
     it('should get character data from font', () => {
       const fontData = generator.fonts.get('standard');
@@ -146,6 +177,31 @@ describe('TextGenerator', () => {
       expect(charData.every(line => line === '   ')).toBe(true);
     });
 
+    it('should keep lowercase distinct from capitals', () => {
+      for (const id of ['standard', 'small', 'big']) {
+        const fontData = generator.fonts.get(id);
+
+        expect(generator.getCharacterData('a', fontData)).not.toEqual(generator.getCharacterData('A', fontData));
+      }
+    });
+
+    it('should cover printable ASCII in the built-in fonts', () => {
+      for (const id of ['standard', 'small', 'big']) {
+        const fontData = generator.fonts.get(id);
+        for (let code = 33; code <= 126; code++) {
+          const char = String.fromCharCode(code);
+
+          expect(fontData.chars[char], `${id} ${char}`).toHaveLength(fontData.height);
+        }
+      }
+    });
+
+    it('should use capitals for fonts without lowercase', () => {
+      const fontData = { height: 1, chars: { 'A': ['AA'] } };
+
+      expect(generator.getCharacterData('a', fontData)).toEqual(['AA']);
+    });
+
     it('should return fallback for unknown character', () => {
       const fontData = generator.fonts.get('standard');
       const charData = generator.getCharacterData('©', fontData);
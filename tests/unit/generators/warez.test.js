@@ -201,6 +201,37 @@ describe('WarezGenerator', () => {
     });
   });
 
+  describe('addStyle()', () => {
+    const style = {
+      name: 'House', topLeft: '+', topRight: '+', bottomLeft: '+', bottomRight: '+',
+      horizontal: '-', vertical: '|', topJunction: '+', bottomJunction: '+', decoration: '=-', separator: '-'
+    };
+
+    it('should register and remove custom styles', () => {
+      generator.addStyle('house', style);
+
+      expect(generator.getAvailableStyles()).toContain('house');
+      expect(generator.removeStyle('house')).toBe(true);
+      expect(generator.getAvailableStyles()).not.toContain('house');
+    });
+
+    it('should reject invalid styles and keep built-ins', () => {
+      expect(() => generator.addStyle('wide', { ...style, vertical: '｜' })).toThrow('one cell wide');
+      expect(() => generator.addStyle('classic', style)).toThrow('built-in');
+      expect(() => generator.removeStyle('classic')).toThrow('built-in');
+    });
+  });
+
+  describe('createPreview()', () => {
+    it('should draw every part of a style at a fixed width', () => {
+      const lines = generator.createPreview(generator.styles.classic, 'HI').split('\n');
+
+      expect(lines).toHaveLength(5);
+      expect(new Set(lines.map(line => Array.from(line).length)).size).toBe(1);
+      expect(lines.some(line => line.includes('HI'))).toBe(true);
+    });
+  });
+
   describe('getStyleInfo()', () => {
     it('should return style information', () => {
       const info = generator.getStyleInfo('classic');
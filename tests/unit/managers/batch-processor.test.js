@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { BatchProcessor } from '../../../public/js/managers/batch-processor.js';
+import { FigletGenerator } from '../../../public/js/generators/figlet.js';
 
 describe('BatchProcessor', () => {
     let batchProcessor;
@@ -156,6 +157,27 @@ describe('BatchProcessor', () => {
         });
     });
 
+    describe('createTextProcessor', () => {
+        it('should render text items with the generator', async () => {
+            const generator = new FigletGenerator();
+            batchProcessor.addTexts(['HI', 'YO'], { horizontalLayout: 'full' });
+
+            const results = await batchProcessor.process(batchProcessor.createTextProcessor(generator, { font: 'small' }));
+
+            expect(results.every(result => result.success)).toBe(true);
+            expect(results[0].result).toBe(await generator.generate('HI', { font: 'small', horizontalLayout: 'full' }));
+        });
+
+        it('should let item settings override the defaults', async () => {
+            const generator = { generate: vi.fn(() => Promise.resolve('art')) };
+            batchProcessor.addTexts(['HI'], { font: 'banner' });
+
+            await batchProcessor.process(batchProcessor.createTextProcessor(generator, { font: 'standard', verticalLayout: 'full' }));
+
+            expect(generator.generate).toHaveBeenCalledWith('HI', { font: 'banner', verticalLayout: 'full' });
+        });
+    });
+
     describe('getStatus', () => {
         it('should return processing status', () => {
             batchProcessor.addTexts(['text1', 'text2', 'text3']);
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for AutoFit
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AutoFit } from '../../../public/js/utils/auto-fit.js';
+
+describe('AutoFit', () => {
+  let autoFit;
+
+  beforeEach(() => {
+    autoFit = new AutoFit();
+  });
+
+  it('should pick the tallest rendering that fits on one row', async () => {
+    const fitted = await autoFit.fit('HI', { width: 80 });
+    const tallest = Math.max(
+      ...[autoFit.generators.text, autoFit.generators.figlet]
+        .flatMap(generator => Array.from(generator.fonts.values()).map(font => font.height))
+    );
+
+    expect(fitted.rows).toBe(1);
+    expect(fitted.fontHeight).toBe(tallest);
+    expect(fitted.text.split('\n').every(line => line.length <= 80)).toBe(true);
+  });
+
+  it('should wrap onto more rows when nothing fits on one', async () => {
+    const fitted = await autoFit.fit('HELLO WORLD', { width: 30, modes: ['text'] });
+
+    expect(fitted.mode).toBe('text');
+    expect(fitted.rows).toBe(2);
+    expect(fitted.width).toBeLessThanOrEqual(30);
+    expect(fitted.text).toBe(await autoFit.generators.text.generate('HELLO WORLD', fitted.options));
+  });
+
+  it('should try FIGlet layouts and only the requested fonts', async () => {
+    const candidates = await autoFit.getCandidates('HI', { width: 80, modes: ['figlet'], fonts: ['standard'] });
+    const layouts = candidates.map(candidate => candidate.options.horizontalLayout);
+
+    expect(candidates.every(candidate => candidate.font === 'standard')).toBe(true);
+    expect(layouts).toEqual(expect.arrayContaining(['full', 'fitted', 'smushed']));
+    // Same rows and height, so wider (more spacious) layouts come first
+    expect(candidates[0].width).toBeGreaterThanOrEqual(candidates.at(-1).width);
+  });
+
+  it('should include effects in the measured width', async () => {
+    const plain = await autoFit.fit('HI', { width: 80, modes: ['text'], fonts: ['small'] });
+    const shadowed = await autoFit.fit('HI', { width: 80, modes: ['text'], fonts: ['small'], effects: ['shadow'] });
+
+    expect(shadowed.width).toBe(plain.width + 1);
+  });
+
+  it('should reject widths nothing fits', async () => {
+    await expect(autoFit.fit('HI', { width: 1 })).rejects.toThrow('No font fits the text in 1 columns');
+    await expect(autoFit.fit('HI', { width: 0 })).rejects.toThrow('whole number');
+    await expect(autoFit.fit('HI', { modes: ['image'] })).rejects.toThrow('Unknown fit mode: image');
+  });
+});
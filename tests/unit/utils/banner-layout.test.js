@@ -0,0 +1,119 @@
+/**
+ * Unit tests for BannerLayout and multi-panel banners
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { BannerLayout } from '../../../public/js/utils/banner-layout.js';
+import { WarezGenerator } from '../../../public/js/generators/warez.js';
+
+const widths = text => text.split('\n').map(line => Array.from(line).length);
+
+describe('BannerLayout', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new WarezGenerator();
+  });
+
+  describe('normalize()', () => {
+    it('should fill in cell defaults', () => {
+      const layout = BannerLayout.normalize([['A', { text: 'B', align: 'right', colSpan: 2 }]]);
+
+      expect(layout.rows[0]).toEqual([
+        { text: 'A', align: 'center', valign: 'top', colSpan: 1, rowSpan: 1, textEffect: undefined, layout: null },
+        { text: 'B', align: 'right', valign: 'top', colSpan: 2, rowSpan: 1, textEffect: undefined, layout: null }
+      ]);
+    });
+
+    it('should reject invalid layouts', () => {
+      expect(() => BannerLayout.parse('{')).toThrow('Invalid layout');
+      expect(() => BannerLayout.normalize({ rows: [] })).toThrow('at least one row');
+      expect(() => BannerLayout.normalize([[{ text: 'A', align: 'justify' }]])).toThrow('align must be one of');
+      expect(() => BannerLayout.normalize([[{ text: 'A', colSpan: 0 }]])).toThrow('spans in row 1');
+      expect(() => BannerLayout.place(BannerLayout.normalize([[{ text: 'A', rowSpan: 2 }]]))).toThrow('spans past the last row');
+    });
+  });
+
+  describe('generateLayout()', () => {
+    it('should join a title panel and two columns with junctions', () => {
+      const result = generator.generateLayout({
+        width: 30,
+        rows: [
+          [{ text: 'Title', colSpan: 2 }],
+          [{ text: 'left', align: 'left' }, { text: 'right', align: 'right' }]
+        ]
+      });
+
+      expect(result.split('\n')).toEqual([
+        '╔════════════════════════════╗',
+        '║           TITLE            ║',
+        '╠══════════════╦═════════════╣',
+        '║ LEFT         ║       RIGHT ║',
+        '╚══════════════╩═════════════╝'
+      ]);
+    });
+
+    it('should cross inner borders and follow the style', () => {
+      const result = generator.generateLayout([['a', 'b'], ['c', 'd']], { style: 'elite', width: 11, textEffect: 'normal' });
+
+      expect(result).toBe([
+        '┌────┬────┐',
+        '│ a  │ b  │',
+        '├────┼────┤',
+        '│ c  │ d  │',
+        '└────┴────┘'
+      ].join('\n'));
+    });
+
+    it('should span rows, align vertically and widen short rows', () => {
+      const result = generator.generateLayout({
+        width: 20,
+        rows: [
+          [{ text: 'A', rowSpan: 2, valign: 'middle' }, 'B', 'C'],
+          ['D'],
+          ['E']
+        ]
+      });
+
+      expect(result.split('\n')).toEqual([
+        '╔══════╦═════╦═════╗',
+        '║      ║  B  ║  C  ║',
+        '║  A   ╠═════╩═════╣',
+        '║      ║     D     ║',
+        '╠══════╩═══════════╣',
+        '║        E         ║',
+        '╚══════════════════╝'
+      ]);
+    });
+
+    it('should draw nested layouts inside their cell', () => {
+      const result = generator.generateLayout([[{ layout: [['x', 'y']] }]], { style: 'minimal', width: 20 });
+      const lines = result.split('\n');
+
+      expect(new Set(widths(result))).toEqual(new Set([20]));
+      expect(lines[1]).toBe('| +-------+------+ |');
+      expect(lines[2]).toBe('| |   X   |  Y   | |');
+    });
+
+    it('should wrap long text and grow the row', () => {
+      const result = generator.generateLayout([['one two three four five six', 'x']], { width: 30 });
+
+      expect(result.split('\n').length).toBeGreaterThan(3);
+      expect(new Set(widths(result))).toEqual(new Set([30]));
+    });
+
+    it('should reject layouts too narrow for their columns', () => {
+      expect(() => generator.generateLayout([['a', 'b', 'c']], { width: 8 })).toThrow('does not fit in 8 columns');
+    });
+  });
+
+  describe('getJunctions()', () => {
+    it('should prefer junctions set on the style', () => {
+      const style = { ...generator.styles.oldschool };
+
+      expect(BannerLayout.getJunctions(style)).toEqual({ left: '#', right: '#', cross: '#' });
+      expect(BannerLayout.getJunctions({ ...style, leftJunction: '>' }).left).toBe('>');
+      expect(BannerLayout.getJunctions(generator.styles.neon)).toEqual({ left: '╞', right: '╡', cross: '╪' });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit tests for BitmapFontParser
+ */
+
+import { describe, it, expect } from 'vitest';
+import { BitmapFontParser } from '../../../public/js/utils/bitmap-font-parser.js';
+import { TextGenerator } from '../../../public/js/generators/text.js';
+
+// 4-row test glyph: a box outline in the left nibble
+const BOX = [0xf0, 0x90, 0x90, 0xf0];
+
+/**
+ * Build a PSF1 font with every glyph blank except the given ones
+ * @param {Object} glyphs - Row bytes keyed by glyph index
+ * @param {Array<Array<number>>|null} table - Unicode values per glyph
+ * @returns {Uint8Array} Font file
+ */
+function createPsf1(glyphs, table = null) {
+  const height = 4;
+  const bytes = [0x36, 0x04, table ? 0x02 : 0x00, height];
+  for (let index = 0; index < 256; index++) {
+    bytes.push(...(glyphs[index] || [0, 0, 0, 0]));
+  }
+  if (table) {
+    for (let index = 0; index < 256; index++) {
+      for (const value of table[index] || []) {
+        bytes.push(value & 0xff, value >> 8);
+      }
+      bytes.push(0xff, 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Build a 10-pixel wide PSF2 font with a Unicode table
+ * @param {Array<Array<number>>} glyphs - Row bytes per glyph (4 rows of 2 bytes)
+ * @param {Array<string>} table - Characters per glyph
+ * @returns {Uint8Array} Font file
+ */
+function createPsf2(glyphs, table) {
+  const header = new DataView(new ArrayBuffer(32));
+  [0x72, 0xb5, 0x4a, 0x86].forEach((value, i) => header.setUint8(i, value));
+  [0, 32, 1, glyphs.length, 8, 4, 10].forEach((value, i) => header.setUint32(4 + i * 4, value, true));
+
+  const bytes = [...new Uint8Array(header.buffer)];
+  glyphs.forEach(rows => bytes.push(...rows));
+  table.forEach(chars => bytes.push(...new TextEncoder().encode(chars), 0xff));
+  return new Uint8Array(bytes);
+}
+
+const BDF = [
+  'STARTFONT 2.1',
+  'FONT -test-fixed-medium-r-normal--4-40-75-75-c-40-iso10646-1',
+  'SIZE 4 75 75',
+  'FONTBOUNDINGBOX 4 4 0 -1',
+  'STARTPROPERTIES 2',
+  'FONT_ASCENT 3',
+  'FONT_DESCENT 1',
+  'ENDPROPERTIES',
+  'CHARS 3',
+  'STARTCHAR A',
+  'ENCODING 65',
+  'DWIDTH 4 0',
+  'BBX 4 4 0 -1',
+  'BITMAP',
+  'F0',
+  '90',
+  '90',
+  'F0',
+  'ENDCHAR',
+  'STARTCHAR period',
+  'ENCODING 46',
+  'DWIDTH 4 0',
+  'BBX 1 1 1 0',
+  'BITMAP',
+  '80',
+  'ENDCHAR',
+  'STARTCHAR unmapped',
+  'ENCODING -1',
+  'BBX 4 4 0 -1',
+  'BITMAP',
+  'F0',
+  'F0',
+  'F0',
+  'F0',
+  'ENDCHAR',
+  'ENDFONT'
+].join('\n');
+
+describe('BitmapFontParser', () => {
+  describe('parse', () => {
+    it('should read a PSF1 font in CP437 order', () => {
+      const font = BitmapFontParser.parse(createPsf1({ 65: BOX, 0xdb: [0xff, 0xff, 0xff, 0xff] }));
+
+      expect(font.format).toBe('psf1');
+      expect(font.height).toBe(4);
+      expect(font.glyphs.get('A').width).toBe(8);
+      expect(font.glyphs.get('A').rows[1].slice(0, 4)).toEqual([true, false, false, true]);
+      expect(font.glyphs.get('█').rows.every(row => row.every(Boolean))).toBe(true);
+      expect(font.glyphs.get('╬')).toBeDefined();
+    });
+
+    it('should map PSF1 glyphs through the Unicode table', () => {
+      const font = BitmapFontParser.parse(createPsf1({ 1: BOX }, { 1: [0x41, 0x391, 0xfffe, 0x41, 0x301] }));
+
+      expect(font.glyphs.get('A').rows).toEqual(font.glyphs.get('Α').rows);
+      expect(font.glyphs.get('́')).toBeUndefined();
+      expect(font.glyphs.size).toBe(2);
+    });
+
+    it('should read a PSF2 font with wide glyphs and a UTF-8 table', () => {
+      const wide = [0xff, 0xc0, 0x80, 0x40, 0x80, 0x40, 0xff, 0xc0];
+      const font = BitmapFontParser.parse(createPsf2([new Array(8).fill(0), wide], [' ', 'Ж€']));
+
+      expect(font.format).toBe('psf2');
+      expect(font.glyphs.get('Ж').width).toBe(10);
+      expect(font.glyphs.get('Ж').rows[1]).toEqual([true, ...new Array(8).fill(false), true]);
+      expect(font.glyphs.get('€')).toBe(font.glyphs.get('Ж'));
+      expect(font.glyphs.get(' ').rows.flat().some(Boolean)).toBe(false);
+    });
+
+    it('should place BDF glyphs on the baseline using their bounding box', () => {
+      const font = BitmapFontParser.parse(BDF);
+
+      expect(font.format).toBe('bdf');
+      expect(font.height).toBe(4);
+      expect(font.glyphs.get('A').rows[0]).toEqual([true, true, true, true]);
+      expect(font.glyphs.get('.').rows.map(row => row[1])).toEqual([false, false, true, false]);
+      expect(font.glyphs.size).toBe(2);
+    });
+
+    it('should reject unknown and compressed files', () => {
+      expect(() => BitmapFontParser.parse('hello')).toThrow('expected a BDF, PSF1 or PSF2 file');
+      expect(() => BitmapFontParser.parse(new Uint8Array([0x1f, 0x8b, 8]))).toThrow('gunzip');
+      expect(() => BitmapFontParser.parse(new Uint8Array([0x36, 0x04, 0, 16]))).toThrow('truncated');
+    });
+  });
+
+  describe('toFontData', () => {
+    const font = BitmapFontParser.parse(BDF);
+
+    it('should pack two pixel rows into each text row in half mode', () => {
+      const fontData = BitmapFontParser.toFontData(font);
+
+      expect(fontData.height).toBe(2);
+      expect(fontData.chars.A).toEqual(['█▀▀█', '█▄▄█']);
+      expect(fontData.source).toMatchObject({ format: 'bdf', mode: 'half', scale: 1 });
+    });
+
+    it('should draw each pixel two characters wide in block mode', () => {
+      const fontData = BitmapFontParser.toFontData(font, { mode: 'block' });
+
+      expect(fontData.height).toBe(4);
+      expect(fontData.chars.A[1]).toBe('██    ██');
+    });
+
+    it('should scale pixels', () => {
+      const fontData = BitmapFontParser.toFontData(font, { scale: 2 });
+
+      expect(fontData.height).toBe(4);
+      expect(fontData.chars.A[0]).toBe('████████');
+      expect(fontData.chars.A[1]).toBe('██    ██');
+    });
+
+    it('should reject invalid options', () => {
+      expect(() => BitmapFontParser.toFontData(font, { mode: 'dots' })).toThrow('Unknown bitmap font mode');
+      expect(() => BitmapFontParser.toFontData(font, { scale: 0 })).toThrow('between 1 and 8');
+    });
+  });
+
+  describe('TextGenerator integration', () => {
+    it('should register an imported font and render with its own space glyph', async () => {
+      const generator = new TextGenerator();
+      generator.loadBitmapFont('box', createPsf1({ 65: BOX }));
+
+      const result = await generator.generate('A A', { font: 'box', spacing: 'narrow' });
+
+      expect(result.split('\n')).toEqual(['█▀▀█            █▀▀█    ', '█▄▄█            █▄▄█    ']);
+    });
+
+    it('should load a font file and name it after the file', async () => {
+      const generator = new TextGenerator();
+      const file = { name: 'Lat2-Box16.psfu', arrayBuffer: () => Promise.resolve(createPsf1({ 65: BOX }).buffer) };
+
+      const id = await generator.loadBitmapFontFromFile(file, undefined, { mode: 'block' });
+
+      expect(id).toBe('lat2-box16');
+      expect(generator.fonts.get(id).height).toBe(4);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for ColorRenderer
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ColorRenderer } from '../../../public/js/utils/color-renderer.js';
+
+describe('ColorRenderer', () => {
+  const red = [255, 0, 0];
+  const blue = [0, 0, 255];
+
+  describe('rgbToAnsi16()', () => {
+    it('should map primary colors to bright palette entries', () => {
+      expect(ColorRenderer.rgbToAnsi16(255, 0, 0)).toBe(9);
+      expect(ColorRenderer.rgbToAnsi16(0, 0, 0)).toBe(0);
+      expect(ColorRenderer.rgbToAnsi16(255, 255, 255)).toBe(15);
+    });
+  });
+
+  describe('rgbToAnsi256()', () => {
+    it('should map saturated colors into the color cube', () => {
+      expect(ColorRenderer.rgbToAnsi256(255, 0, 0)).toBe(196);
+      expect(ColorRenderer.rgbToAnsi256(0, 0, 255)).toBe(21);
+    });
+
+    it('should map mid grays onto the grayscale ramp', () => {
+      const index = ColorRenderer.rgbToAnsi256(128, 128, 128);
+
+      expect(index).toBeGreaterThanOrEqual(232);
+      expect(index).toBeLessThanOrEqual(255);
+    });
+  });
+
+  describe('toAnsi()', () => {
+    it('should emit truecolor sequences and reset at line end', () => {
+      const result = ColorRenderer.toAnsi('ab', [[red, blue]], 'truecolor');
+
+      expect(result).toBe('\x1b[0m\x1b[38;2;255;0;0ma\x1b[0m\x1b[38;2;0;0;255mb\x1b[0m');
+    });
+
+    it('should merge runs of the same color', () => {
+      const result = ColorRenderer.toAnsi('aaa', [[red, red, red]], 'ansi256');
+
+      expect(result.match(/38;5;196/g)).toHaveLength(1);
+      expect(result).toContain('aaa');
+    });
+
+    it('should emit background colors', () => {
+      const result = ColorRenderer.toAnsi('▀', [[red]], 'ansi16', [[blue]]);
+
+      expect(result).toContain('\x1b[91;44m');
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => ColorRenderer.toAnsi('a', [[red]], 'cmyk')).toThrow('Unsupported color mode');
+    });
+  });
+
+  describe('toDosAnsi()', () => {
+    it('should use bold and blink for bright colors instead of aixterm codes', () => {
+      const result = ColorRenderer.toDosAnsi('▀▄', [[red, [205, 0, 0]]], [[[255, 255, 0], [0, 0, 238]]]);
+
+      expect(result).toBe('\x1b[0m\x1b[1;31;5;43m▀\x1b[0m\x1b[31;44m▄\x1b[0m');
+    });
+  });
+
+  describe('toHtml()', () => {
+    it('should wrap colored runs in spans', () => {
+      const result = ColorRenderer.toHtml('ab\ncd', [[red, red], [blue, red]]);
+      const lines = result.split('\n');
+
+      expect(lines[0]).toBe('<span style="color:rgb(255,0,0)">ab</span>');
+      expect(lines[1]).toContain('<span style="color:rgb(0,0,255)">c</span>');
+    });
+
+    it('should escape HTML characters', () => {
+      const result = ColorRenderer.toHtml('<&>', [[red, red, red]]);
+
+      expect(result).toContain('&lt;&amp;&gt;');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for the CP437 transcoder and byte-exact exports
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Cp437, CP437 } from '../../../public/js/utils/cp437.js';
+import { ExportManager } from '../../../public/js/utils/export.js';
+
+const bytesOf = async blob => Array.from(new Uint8Array(await blob.arrayBuffer()));
+
+describe('Cp437', () => {
+  describe('encode()', () => {
+    it('should write box-drawing and shade characters as single bytes', () => {
+      const { bytes, unmappable } = Cp437.encode('╔░▒▓█╗\nA');
+
+      expect(Array.from(bytes)).toEqual([0xc9, 0xb0, 0xb1, 0xb2, 0xdb, 0xbb, 0x0a, 0x41]);
+      expect(unmappable).toEqual([]);
+    });
+
+    it('should report characters CP437 cannot represent', () => {
+      const { bytes, unmappable } = Cp437.encode('ab\n▘c▘');
+
+      expect(Array.from(bytes)).toEqual([0x61, 0x62, 0x0a, 0x3f, 0x63, 0x3f]);
+      expect(unmappable).toEqual([{ char: '▘', code: 'U+2598', count: 2, line: 2, column: 1 }]);
+      expect(Cp437.formatReport(unmappable)).toBe(
+        '2 characters have no CP437 byte and were replaced: ▘ U+2598 (2×, first at line 2, column 1)'
+      );
+    });
+
+    it('should not write control-byte glyphs as line breaks', () => {
+      expect(Cp437.canEncode('◙')).toBe(false);
+      expect(Cp437.encode('◙', { replacement: '.' }).bytes[0]).toBe(0x2e);
+    });
+  });
+
+  describe('decode()', () => {
+    it('should round-trip every printable byte', () => {
+      const bytes = Uint8Array.from({ length: 256 }, (_, i) => i)
+        .filter(byte => byte >= 0x20);
+
+      expect(Array.from(Cp437.encode(Cp437.decode(bytes)).bytes)).toEqual(Array.from(bytes));
+    });
+
+    it('should keep line breaks and stop at the end-of-file byte', () => {
+      const text = Cp437.decode(Uint8Array.from([0xdb, 0x0d, 0x0a, 0x01, 0x1a, 0x53, 0x41]));
+
+      expect(text).toBe(`█\r\n${CP437[1]}`);
+    });
+
+    it('should tell UTF-8 files from CP437 files', () => {
+      expect(Cp437.decodeAuto(new TextEncoder().encode('█'))).toEqual({ text: '█', encoding: 'utf-8' });
+      expect(Cp437.decodeAuto(Uint8Array.from([0xdb]))).toEqual({ text: '█', encoding: 'cp437' });
+    });
+  });
+
+  describe('ExportManager', () => {
+    const manager = new ExportManager();
+
+    it('should export NFO, DIZ and BBS ANSI as CP437 with DOS line endings', async () => {
+      for (const format of ['nfo', 'diz', 'bbs']) {
+        const blob = await manager.createBlob('█\n░', format, {});
+
+        expect(await bytesOf(blob)).toEqual([0xdb, 0x0d, 0x0a, 0xb0, 0x0d, 0x0a]);
+        expect(manager.getEncoding(format)).toBe('cp437');
+      }
+      expect(manager.getEncoding('txt')).toBe('utf-8');
+    });
+
+    it('should use DOS 16-color escape sequences for BBS ANSI', async () => {
+      const blob = await manager.createBlob('█', 'bbs', { colors: [[[255, 0, 0]]], backgrounds: [[[255, 255, 0]]] });
+
+      expect(Cp437.decode(await blob.arrayBuffer())).toBe('\x1b[0m\x1b[1;31;5;43m█\x1b[0m\r\n');
+    });
+
+    it('should enforce the FILE_ID.DIZ limits and name', async () => {
+      await expect(manager.createBlob('x'.repeat(46), 'diz', {})).rejects.toThrow('wider than 45 columns');
+      await expect(manager.createBlob('x\n'.repeat(11), 'diz', {})).rejects.toThrow('limited to 10');
+      expect(manager.generateFilename('diz', {})).toBe('FILE_ID.DIZ');
+    });
+
+    it('should report unmappable characters only for CP437 formats', () => {
+      expect(manager.getEncodingReport('▘', 'nfo')).toHaveLength(1);
+      expect(manager.getEncodingReport('▘', 'txt')).toEqual([]);
+    });
+
+    it('should import CP437 files as Unicode', async () => {
+      const file = new Blob([Uint8Array.from([0xc9, 0xcd, 0x0d, 0x0a, 0xb1])]);
+
+      expect(await manager.importFile(file)).toEqual({ text: '╔═\n▒', encoding: 'cp437' });
+    });
+  });
+});
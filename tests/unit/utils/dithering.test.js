@@ -0,0 +1,102 @@
+/**
+ * Unit tests for Dithering
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Dithering } from '../../../public/js/utils/dithering.js';
+
+describe('Dithering', () => {
+  const flat = (value, width, height) => new Array(width * height).fill(value);
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  describe('getAlgorithms()', () => {
+    it('should list diffusion and ordered algorithms', () => {
+      const algorithms = Dithering.getAlgorithms();
+
+      expect(algorithms).toContain('floyd-steinberg');
+      expect(algorithms).toContain('atkinson');
+      expect(algorithms).toContain('jarvis-judice-ninke');
+      expect(algorithms).toContain('sierra');
+      expect(algorithms).toContain('bayer4');
+      expect(algorithms).toContain('blue-noise');
+      expect(Dithering.isOrdered('bayer8')).toBe(true);
+      expect(Dithering.isOrdered('atkinson')).toBe(false);
+    });
+  });
+
+  describe('createQuantizer()', () => {
+    it('should use the threshold for two levels', () => {
+      const quantize = Dithering.createQuantizer(2, 200);
+
+      expect(quantize(199)).toBe(0);
+      expect(quantize(200)).toBe(255);
+    });
+
+    it('should produce values that map back onto ramp indices', () => {
+      const levels = 12;
+      const quantize = Dithering.createQuantizer(levels);
+
+      for (let level = 0; level < levels; level++) {
+        const value = quantize(level * 255 / (levels - 1));
+        expect(Math.floor((value / 255) * (levels - 1))).toBe(level);
+      }
+    });
+  });
+
+  describe('createBayerMatrix()', () => {
+    it('should contain each rank exactly once', () => {
+      const matrix = Dithering.createBayerMatrix(4);
+      const ranks = matrix.flat().map(v => Math.round(v * 16 - 0.5)).sort((a, b) => a - b);
+
+      expect(matrix).toHaveLength(4);
+      expect(ranks).toEqual([...Array(16).keys()]);
+    });
+  });
+
+  describe('createBlueNoiseMatrix()', () => {
+    it('should contain each rank exactly once', () => {
+      const matrix = Dithering.createBlueNoiseMatrix(8);
+      const ranks = matrix.flat().map(v => Math.round(v * 64 - 0.5)).sort((a, b) => a - b);
+
+      expect(ranks).toEqual([...Array(64).keys()]);
+    });
+  });
+
+  describe('apply()', () => {
+    it.each(Dithering.getAlgorithms())('should preserve mean brightness with %s', (algorithm) => {
+      const result = Dithering.apply(flat(64, 32, 32), 32, 32, { algorithm });
+
+      expect(new Set(result)).toEqual(new Set([0, 255]));
+      expect(Math.abs(mean(result) - 64)).toBeLessThan(20);
+    });
+
+    it('should quantize to the requested number of levels', () => {
+      const pixels = [...Array(64).keys()].map(i => i * 4);
+      const result = Dithering.apply(pixels, 8, 8, { algorithm: 'bayer4', levels: 4 });
+
+      expect(new Set(result).size).toBeLessThanOrEqual(4);
+      result.forEach(value => expect([0, 85, 170, 255]).toContain(value));
+    });
+
+    it('should produce the same ordered pattern for the same input', () => {
+      const pixels = flat(100, 16, 16);
+
+      expect(Dithering.apply(pixels, 16, 16, { algorithm: 'bayer8' }))
+        .toEqual(Dithering.apply(pixels, 16, 16, { algorithm: 'bayer8' }));
+    });
+
+    it('should mirror the scan direction with serpentine', () => {
+      const pixels = flat(100, 16, 4);
+      const plain = Dithering.apply(pixels, 16, 4, { algorithm: 'floyd-steinberg' });
+      const serpentine = Dithering.apply(pixels, 16, 4, { algorithm: 'floyd-steinberg', serpentine: true });
+
+      expect(serpentine.slice(0, 16)).toEqual(plain.slice(0, 16));
+      expect(serpentine).not.toEqual(plain);
+    });
+
+    it('should reject unknown algorithms', () => {
+      expect(() => Dithering.apply([0], 1, 1, { algorithm: 'bogus' }))
+        .toThrow('Unknown dithering algorithm: bogus');
+    });
+  });
+});
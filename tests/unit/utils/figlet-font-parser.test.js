@@ -0,0 +1,98 @@
+/**
+ * Unit tests for FigletFontParser
+ */
+
+import { describe, it, expect } from 'vitest';
+import { FigletFontParser, FIGLET_LAYOUT } from '../../../public/js/utils/figlet-font-parser.js';
+import { createFlf } from '../../fixtures/flf.js';
+
+describe('FigletFontParser', () => {
+  describe('parse()', () => {
+    it('should read the header fields', () => {
+      const font = FigletFontParser.parse(createFlf({ height: 3, hardblank: '#', oldLayout: 15, comments: ['one', 'two'] }));
+
+      expect(font.height).toBe(3);
+      expect(font.baseline).toBe(2);
+      expect(font.hardblank).toBe('#');
+      expect(font.oldLayout).toBe(15);
+      expect(font.comment).toBe('one\ntwo');
+    });
+
+    it('should read the required ASCII and German characters', () => {
+      const font = FigletFontParser.parse(createFlf());
+
+      expect(font.chars.A).toEqual(['A', 'A']);
+      expect(font.chars['~']).toEqual(['~', '~']);
+      expect(font.chars[' ']).toEqual(['$', '$']);
+      expect(font.chars['Ä']).toBeDefined();
+      expect(font.chars['ß']).toBeDefined();
+    });
+
+    it('should strip endmarks and trailing whitespace', () => {
+      const font = FigletFontParser.parse(createFlf({ glyph: char => [` ${char} `, `/${char}\\`] }).replace(/@@\n/g, '@@  \n'));
+
+      expect(font.chars.B).toEqual([' B ', '/B\\']);
+    });
+
+    it('should accept Windows line endings', () => {
+      const font = FigletFontParser.parse(createFlf().replace(/\n/g, '\r\n'));
+
+      expect(font.chars.Z).toEqual(['Z', 'Z']);
+    });
+
+    it('should tolerate fonts without the German characters', () => {
+      const font = FigletFontParser.parse(createFlf({ german: false }));
+
+      expect(font.chars['~']).toBeDefined();
+      expect(font.chars['Ä']).toBeUndefined();
+    });
+
+    it('should read code-tagged characters in decimal, hex and octal', () => {
+      const font = FigletFontParser.parse(createFlf({
+        tagged: [
+          ['169  COPYRIGHT SIGN', ['(c)', '(c)']],
+          ['0x20AC  EURO SIGN', ['EUR', 'EUR']],
+          ['0256', ['(R)', '(R)']],
+          ['-2  translation entry', ['xx', 'xx']]
+        ]
+      }));
+
+      expect(font.chars['©']).toEqual(['(c)', '(c)']);
+      expect(font.chars['€']).toEqual(['EUR', 'EUR']);
+      expect(font.chars['®']).toEqual(['(R)', '(R)']);
+      expect(Object.keys(font.chars)).toHaveLength(95 + 7 + 3);
+    });
+
+    it('should reject files without the signature', () => {
+      expect(() => FigletFontParser.parse('hello')).toThrow('missing flf2a signature');
+      expect(() => FigletFontParser.parse('PK\u0003\u0004')).toThrow('Compressed FIGlet fonts are not supported');
+    });
+
+    it('should reject truncated fonts', () => {
+      const truncated = createFlf().split('\n').slice(0, 40).join('\n');
+
+      expect(() => FigletFontParser.parse(truncated)).toThrow('missing character');
+    });
+  });
+
+  describe('layout', () => {
+    it('should keep an explicit full_layout', () => {
+      const font = FigletFontParser.parse(createFlf({ oldLayout: 0, fullLayout: 24463 }));
+
+      expect(font.fullLayout).toBe(24463);
+    });
+
+    it('should derive full_layout from old_layout', () => {
+      expect(FigletFontParser.layoutFromOldLayout(-1)).toBe(0);
+      expect(FigletFontParser.layoutFromOldLayout(0)).toBe(FIGLET_LAYOUT.KERNING);
+      expect(FigletFontParser.layoutFromOldLayout(15)).toBe(15 | FIGLET_LAYOUT.SMUSHING);
+    });
+  });
+
+  describe('parseCodeTag()', () => {
+    it('should reject malformed tags', () => {
+      expect(FigletFontParser.parseCodeTag('abc')).toBeNull();
+      expect(FigletFontParser.parseCodeTag('0x')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit tests for FontEditor
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FontEditor } from '../../../public/js/utils/font-editor.js';
+import { TextGenerator } from '../../../public/js/generators/text.js';
+import { FigletGenerator } from '../../../public/js/generators/figlet.js';
+import { FigletFontParser } from '../../../public/js/utils/figlet-font-parser.js';
+
+describe('FontEditor', () => {
+  let editor;
+
+  beforeEach(() => {
+    localStorage.clear();
+    editor = new FontEditor(localStorage);
+    editor.create(3, 'Test Font');
+  });
+
+  describe('editing', () => {
+    it('should start with blank glyphs at the default width', () => {
+      expect(editor.hasGlyph('A')).toBe(false);
+      expect(editor.getGlyph('A')).toEqual(['     ', '     ', '     ']);
+      expect(editor.getCharacters()).toHaveLength(94);
+    });
+
+    it('should toggle cells between blank and the fill character', () => {
+      expect(editor.toggleCell('A', 1, 2)).toBe('█');
+      expect(editor.getGlyph('A')[1]).toBe('  █  ');
+
+      expect(editor.toggleCell('A', 1, 2, '#')).toBe(' ');
+      expect(editor.toggleCell('A', 0, 0, '#')).toBe('#');
+      expect(editor.getGlyph('A')).toEqual(['#    ', '     ', '     ']);
+    });
+
+    it('should widen a glyph when a cell beyond it is set', () => {
+      editor.setGlyph('I', ['█', '█', '█']);
+      editor.setCell('I', 0, 2, '▀');
+
+      expect(editor.getGlyph('I')).toEqual(['█ ▀', '█  ', '█  ']);
+    });
+
+    it('should resize glyphs and the font', () => {
+      editor.setGlyph('L', ['█  ', '█  ', '███']);
+
+      editor.setGlyphWidth('L', 2);
+      expect(editor.getGlyph('L')).toEqual(['█ ', '█ ', '██']);
+
+      editor.setHeight(4);
+      expect(editor.getGlyph('L')).toEqual(['█ ', '█ ', '██', '  ']);
+
+      editor.setHeight(2);
+      expect(editor.getGlyph('L')).toEqual(['█ ', '█ ']);
+    });
+
+    it('should copy and delete glyphs', () => {
+      editor.setGlyph('O', ['███', '█ █', '███']);
+      editor.copyGlyph('O', '0');
+
+      expect(editor.getGlyph('0')).toEqual(editor.getGlyph('O'));
+      expect(editor.deleteGlyph('0')).toBe(true);
+      expect(editor.deleteGlyph('0')).toBe(false);
+    });
+
+    it('should reject invalid edits', () => {
+      expect(() => editor.setCell('A', 3, 0, '█')).toThrow('outside the glyph');
+      expect(() => editor.setCell('A', 0, 0, '██')).toThrow('exactly one character');
+      expect(() => editor.setGlyphWidth('A', 0)).toThrow('between 1 and 64');
+      expect(() => editor.setHeight(33)).toThrow('between 1 and 32');
+      expect(() => editor.setGlyph('AB', ['x'])).toThrow('single character');
+    });
+
+    it('should edit a copy of existing font data', () => {
+      const generator = new TextGenerator();
+      editor.load(generator.fonts.get('small'), 'small-custom');
+      editor.toggleCell('A', 0, 0);
+
+      expect(editor.fontData.height).toBe(4);
+      expect(editor.getGlyph('A')[0]).not.toBe(generator.fonts.get('small').chars.A[0]);
+    });
+  });
+
+  describe('saving', () => {
+    it('should register the font and restore it later', async () => {
+      editor.setGlyph('H', ['█ █', '███', '█ █']);
+      const generator = new TextGenerator();
+
+      const id = editor.save(generator);
+      expect(id).toBe('test-font');
+      expect(await generator.generate('H', { font: id })).toBe('█ █\n███\n█ █');
+
+      const restored = new TextGenerator();
+      expect(new FontEditor(localStorage).restore(restored)).toEqual(['test-font']);
+      expect(restored.fonts.get('test-font').chars.H).toEqual(['█ █', '███', '█ █']);
+    });
+
+    it('should remove saved fonts', () => {
+      editor.save(new TextGenerator());
+
+      expect(editor.removeFont('test-font')).toBe(true);
+      expect(editor.getSavedFonts()).toEqual({});
+    });
+
+    it('should require a name', () => {
+      editor.name = '  ';
+      expect(() => editor.save(new TextGenerator())).toThrow('name');
+    });
+  });
+
+  describe('JSON', () => {
+    it('should round-trip a font', () => {
+      editor.setGlyph('A', ['▄█▄', '█▄█', '█ █']);
+      const json = editor.toJSON();
+
+      const other = new FontEditor(null);
+      other.fromJSON(json);
+
+      expect(JSON.parse(json).format).toBe('ascii-studio-font');
+      expect(other.name).toBe('Test Font');
+      expect(other.toFontData()).toEqual(editor.toFontData());
+    });
+
+    it('should reject malformed files', () => {
+      expect(() => editor.fromJSON('{')).toThrow('Invalid font file');
+      expect(() => editor.fromJSON('{"height": 2}')).toThrow('missing glyphs');
+      expect(() => editor.fromJSON('{"height": 2, "chars": {"A": "AB"}}')).toThrow('arrays of strings');
+      expect(() => editor.fromJSON('{"format": "other", "height": 2, "chars": {}}')).toThrow('unknown format');
+    });
+  });
+
+  describe('FIGfont', () => {
+    beforeEach(() => {
+      editor.setGlyph('H', ['█ █', '███', '█ █']);
+      editor.setGlyph('I', ['█', '█', '█']);
+      editor.setGlyph('é', ['▀', '█', '▀']);
+    });
+
+    it('should export a FIGfont that FIGlet renders as drawn', async () => {
+      const source = editor.toFlf();
+      const font = FigletFontParser.parse(source);
+
+      expect(font.height).toBe(3);
+      expect(font.fullLayout).toBe(0);
+      expect(font.chars.H).toEqual(['█ █', '███', '█ █']);
+      expect(font.chars['é']).toEqual(['▀', '█', '▀']);
+      // Lowercase falls back to the capital like TextGenerator
+      expect(font.chars.h).toEqual(font.chars.H);
+
+      const figlet = new FigletGenerator();
+      figlet.loadFont('edited', source);
+      expect(await figlet.generate('HI', { font: 'edited' })).toBe('█ ██\n████\n█ ██');
+    });
+
+    it('should import a FIGfont with hardblanks as spaces', () => {
+      const other = new FontEditor(null);
+      other.fromFlf(editor.toFlf(), 'imported');
+
+      expect(other.name).toBe('imported');
+      expect(other.getGlyph(' ')).toEqual(['   ', '   ', '   ']);
+      expect(other.getGlyph('H')).toEqual(['█ █', '███', '█ █']);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for FontSynthesizer
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { FontSynthesizer } from '../../../public/js/utils/font-synthesizer.js';
+import { TextGenerator } from '../../../public/js/generators/text.js';
+
+/**
+ * Canvas whose glyphs are 16px wide with ink in the left 8px below `inkTop`
+ * @param {number} inkTop - First inked canvas row
+ * @returns {Object} Fake canvas
+ */
+function createFakeCanvas(inkTop) {
+  const ctx = {
+    font: '',
+    measureText: vi.fn(() => ({ width: 16, actualBoundingBoxAscent: 24, actualBoundingBoxDescent: 8 })),
+    clearRect: vi.fn(),
+    fillText: vi.fn(),
+    getImageData: vi.fn((x, y, width, height) => {
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let row = inkTop; row < height; row++) {
+        for (let column = 0; column < 8; column++) {
+          data[(row * width + column) * 4 + 3] = 255;
+        }
+      }
+      return { width, height, data };
+    })
+  };
+  return { width: 64, height: 32, getContext: () => ctx, ctx };
+}
+
+describe('FontSynthesizer', () => {
+  let synthesizer;
+  let canvas;
+
+  beforeEach(() => {
+    localStorage.clear();
+    synthesizer = new FontSynthesizer(localStorage);
+    canvas = createFakeCanvas(8);
+    vi.spyOn(synthesizer, 'createCanvas').mockReturnValue(canvas);
+  });
+
+  describe('synthesize()', () => {
+    it('should fill cells with blocks above the threshold', async () => {
+      const font = await synthesizer.synthesize('Georgia', { height: 2, chars: 'L' });
+
+      expect(font.height).toBe(2);
+      expect(font.chars.L).toEqual(['█ ', '█ ']);
+      expect(font.source).toEqual({ family: 'Georgia', height: 2, style: 'block', weight: 'normal' });
+    });
+
+    it('should use half blocks for half-cell ink', async () => {
+      const font = await synthesizer.synthesize('Georgia', { height: 2, style: 'half', chars: 'L' });
+
+      expect(font.chars.L).toEqual(['▄ ', '█ ']);
+    });
+
+    it('should map coverage to density characters', async () => {
+      const font = await synthesizer.synthesize('Georgia', { height: 2, style: 'density', chars: 'L' });
+
+      expect(font.chars.L).toEqual(['+ ', '@ ']);
+    });
+
+    it('should size the font to the glyph height', async () => {
+      await synthesizer.synthesize('My Font', { height: 2, weight: 'bold', chars: 'L' });
+
+      expect(canvas.ctx.font).toBe('bold 32px "My Font"');
+      expect(canvas.ctx.fillText).toHaveBeenCalledWith('L', 0, 24);
+    });
+
+    it('should generate printable ASCII by default', async () => {
+      const font = await synthesizer.synthesize('Georgia', { height: 2 });
+
+      expect(Object.keys(font.chars)).toHaveLength(94);
+      expect(font.chars['~']).toHaveLength(2);
+    });
+
+    it('should reject invalid settings', async () => {
+      await expect(synthesizer.synthesize('  ')).rejects.toThrow('Font family is required');
+      await expect(synthesizer.synthesize('Georgia', { height: 40 })).rejects.toThrow('between 2 and 32');
+      await expect(synthesizer.synthesize('Georgia', { style: 'dots' })).rejects.toThrow('Unknown font style: dots');
+    });
+
+    it('should require canvas support', async () => {
+      synthesizer.createCanvas.mockReturnValue(null);
+
+      await expect(synthesizer.synthesize('Georgia')).rejects.toThrow('Font synthesis requires canvas support');
+    });
+  });
+
+  describe('register() and restore()', () => {
+    it('should add the font to the generator and cache it', async () => {
+      const generator = new TextGenerator();
+
+      const id = await synthesizer.register(generator, 'Fira Sans', { height: 3, style: 'half', chars: 'AB' });
+
+      expect(id).toBe('fira-sans-3-half');
+      expect(generator.fonts.get(id).chars.A).toHaveLength(3);
+      expect(synthesizer.getCachedFonts()[id].chars.B).toHaveLength(3);
+    });
+
+    it('should restore cached fonts after a reload', async () => {
+      await synthesizer.register(new TextGenerator(), 'Georgia', { height: 3, chars: 'HI' });
+      const generator = new TextGenerator();
+
+      const ids = new FontSynthesizer(localStorage).restore(generator);
+
+      expect(ids).toEqual(['georgia-3-block']);
+      expect(await generator.generate('HI', { font: 'georgia-3-block' })).toContain('█');
+    });
+
+    it('should remove cached fonts', async () => {
+      await synthesizer.register(new TextGenerator(), 'Georgia', { height: 3, chars: 'A' });
+
+      expect(synthesizer.removeFont('georgia-3-block')).toBe(true);
+      expect(synthesizer.getCachedFonts()).toEqual({});
+      expect(synthesizer.removeFont('georgia-3-block')).toBe(false);
+    });
+
+    it('should work without storage', async () => {
+      const uncached = new FontSynthesizer(null);
+      vi.spyOn(uncached, 'createCanvas').mockReturnValue(canvas);
+
+      await uncached.register(new TextGenerator(), 'Georgia', { height: 3, chars: 'A' });
+
+      expect(uncached.getCachedFonts()).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for ImageAdjustments
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ImageAdjustments } from '../../../public/js/utils/image-adjustments.js';
+
+describe('ImageAdjustments', () => {
+  describe('normalize()', () => {
+    it('should fill in neutral defaults', () => {
+      expect(ImageAdjustments.normalize()).toEqual(ImageAdjustments.getDefaults());
+    });
+
+    it('should clamp out-of-range values', () => {
+      const settings = ImageAdjustments.normalize({
+        brightness: 500,
+        contrast: -500,
+        gamma: 0,
+        blur: 12,
+        equalize: 'bogus'
+      });
+
+      expect(settings.brightness).toBe(100);
+      expect(settings.contrast).toBe(-100);
+      expect(settings.gamma).toBe(0.1);
+      expect(settings.blur).toBe(5);
+      expect(settings.equalize).toBe('none');
+    });
+  });
+
+  describe('isActive()', () => {
+    it('should detect neutral settings', () => {
+      expect(ImageAdjustments.isActive(null)).toBe(false);
+      expect(ImageAdjustments.isActive({ brightness: 0, gamma: 1 })).toBe(false);
+      expect(ImageAdjustments.isActive({ invert: true })).toBe(true);
+    });
+  });
+
+  describe('apply()', () => {
+    const ramp = [0, 64, 128, 192, 255];
+
+    it('should return a Float32Array', () => {
+      expect(ImageAdjustments.apply(ramp, 5, 1, {})).toBeInstanceOf(Float32Array);
+    });
+
+    it('should leave pixels unchanged with default settings', () => {
+      expect(Array.from(ImageAdjustments.apply(ramp, 5, 1, {}))).toEqual(ramp);
+    });
+
+    it('should invert pixels', () => {
+      expect(Array.from(ImageAdjustments.apply(ramp, 5, 1, { invert: true }))).toEqual([255, 191, 127, 63, 0]);
+    });
+
+    it('should shift pixels with brightness', () => {
+      const result = ImageAdjustments.apply(ramp, 5, 1, { brightness: 20 });
+
+      expect(result[0]).toBe(51);
+      expect(result[4]).toBe(255);
+    });
+
+    it('should spread values away from mid-gray with contrast', () => {
+      const result = ImageAdjustments.apply([100, 156], 2, 1, { contrast: 50 });
+
+      expect(result[0]).toBeLessThan(100);
+      expect(result[1]).toBeGreaterThan(156);
+    });
+
+    it('should brighten mid-tones with gamma above 1', () => {
+      const result = ImageAdjustments.apply(ramp, 5, 1, { gamma: 2 });
+
+      expect(result[0]).toBe(0);
+      expect(result[2]).toBeGreaterThan(128);
+      expect(result[4]).toBe(255);
+    });
+  });
+
+  describe('blur() and sharpen()', () => {
+    const edge = [0, 0, 0, 255, 255, 255];
+
+    it('should soften a hard edge', () => {
+      const result = ImageAdjustments.blur(edge, 6, 1, 1);
+
+      expect(result[2]).toBeGreaterThan(0);
+      expect(result[3]).toBeLessThan(255);
+    });
+
+    it('should overshoot a hard edge when sharpening', () => {
+      const soft = [50, 50, 100, 150, 200, 200];
+      const result = ImageAdjustments.sharpen(soft, 6, 1, 100);
+
+      expect(result[1]).toBeLessThan(50);
+      expect(result[4]).toBeGreaterThan(200);
+    });
+  });
+
+  describe('equalizeHistogram()', () => {
+    it('should stretch a narrow range to the full range', () => {
+      const result = ImageAdjustments.equalizeHistogram([100, 110, 120, 130]);
+
+      expect(result[0]).toBe(0);
+      expect(result[3]).toBe(255);
+    });
+
+    it('should leave a flat image unchanged', () => {
+      expect(Array.from(ImageAdjustments.equalizeHistogram([90, 90, 90]))).toEqual([90, 90, 90]);
+    });
+  });
+
+  describe('equalizeLocal()', () => {
+    it('should raise contrast within each region', () => {
+      // Left half is dim, right half is bright, each with a small internal variation
+      const width = 16;
+      const height = 16;
+      const pixels = [];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const base = x < width / 2 ? 40 : 200;
+          pixels.push(base + ((x + y) % 2) * 10);
+        }
+      }
+
+      const result = ImageAdjustments.equalizeLocal(pixels, width, height, { tiles: 2 });
+      const spread = (x0, x1) => {
+        const values = [];
+        for (let y = 0; y < height; y++) {
+          for (let x = x0; x < x1; x++) {
+            values.push(result[y * width + x]);
+          }
+        }
+        return Math.max(...values) - Math.min(...values);
+      };
+
+      expect(result).toHaveLength(pixels.length);
+      expect(spread(0, 4)).toBeGreaterThan(10);
+      expect(spread(12, 16)).toBeGreaterThan(10);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for ImageWorkerPool
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ImageWorkerPool } from '../../../public/js/utils/image-worker-pool.js';
+
+/**
+ * Minimal stand-in for a module worker; tests drive replies by hand
+ */
+class FakeWorker {
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.messages = [];
+    this.listeners = { message: [], error: [] };
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  reply(data) {
+    this.listeners.message.forEach(listener => listener({ data }));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ImageWorkerPool', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('without worker support', () => {
+    it('should fall back to the main-thread generator', async () => {
+      vi.stubGlobal('Worker', undefined);
+      const generator = {
+        render: vi.fn(() => Promise.resolve({ text: 'ok', colors: [], backgrounds: null })),
+        formatFrame: vi.fn(frame => frame.text)
+      };
+      const pool = new ImageWorkerPool({ generator });
+
+      const text = await pool.generate('image.png', { width: 40 });
+
+      expect(text).toBe('ok');
+      expect(generator.render).toHaveBeenCalledWith('image.png', { width: 40 });
+    });
+  });
+
+  describe('with worker support', () => {
+    let pool;
+
+    beforeEach(() => {
+      FakeWorker.instances = [];
+      vi.stubGlobal('Worker', FakeWorker);
+      vi.stubGlobal('OffscreenCanvas', class {});
+      vi.stubGlobal('createImageBitmap', vi.fn(() => Promise.resolve({ close: vi.fn() })));
+      pool = new ImageWorkerPool({ size: 2, workerUrl: 'worker.js' });
+    });
+
+    it('should run tasks in module workers and resolve with the frame', async () => {
+      const promise = pool.render(new Blob(['x']), { width: 40 });
+      await flush();
+
+      const worker = FakeWorker.instances[0];
+      expect(worker.options).toEqual({ type: 'module' });
+      expect(worker.messages[0].options).toEqual({ width: 40 });
+
+      worker.reply({ id: worker.messages[0].id, type: 'result', frame: { text: 'art' } });
+
+      await expect(promise).resolves.toEqual({ text: 'art' });
+      expect(pool.getStatus()).toEqual({ workers: 1, busy: 0, queued: 0 });
+    });
+
+    it('should forward progress messages', async () => {
+      const onProgress = vi.fn();
+      const promise = pool.render(new Blob(['x']), { onProgress });
+      await flush();
+
+      const worker = FakeWorker.instances[0];
+      const { id } = worker.messages[0];
+      worker.reply({ id, type: 'progress', percent: 60, stage: 'map' });
+      worker.reply({ id, type: 'result', frame: { text: '' } });
+      await promise;
+
+      expect(onProgress).toHaveBeenCalledWith(60, 'map');
+    });
+
+    it('should queue tasks beyond the pool size', async () => {
+      const promises = [1, 2, 3].map(() => pool.render(new Blob(['x'])));
+      await flush();
+
+      expect(FakeWorker.instances).toHaveLength(2);
+      expect(pool.getStatus()).toEqual({ workers: 2, busy: 2, queued: 1 });
+
+      const worker = FakeWorker.instances[0];
+      worker.reply({ id: worker.messages[0].id, type: 'result', frame: { text: 'a' } });
+      await promises[0];
+
+      expect(worker.messages).toHaveLength(2);
+      expect(pool.getStatus().queued).toBe(0);
+      pool.terminate();
+      await Promise.allSettled(promises);
+    });
+
+    it('should reject with worker errors', async () => {
+      const promise = pool.render(new Blob(['x']));
+      await flush();
+
+      const worker = FakeWorker.instances[0];
+      worker.reply({ id: worker.messages[0].id, type: 'error', message: 'Failed to load image' });
+
+      await expect(promise).rejects.toThrow('Failed to load image');
+    });
+
+    it('should terminate the worker when a running task is cancelled', async () => {
+      const controller = new AbortController();
+      const promise = pool.render(new Blob(['x']), { signal: controller.signal });
+      await flush();
+
+      controller.abort();
+
+      await expect(promise).rejects.toThrow('Image conversion cancelled');
+      expect(FakeWorker.instances[0].terminated).toBe(true);
+      expect(pool.getStatus().workers).toBe(0);
+    });
+
+    it('should be shared between consumers', () => {
+      expect(ImageWorkerPool.getShared()).toBe(ImageWorkerPool.getShared());
+    });
+  });
+});
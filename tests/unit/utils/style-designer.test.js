@@ -0,0 +1,78 @@
+/**
+ * Unit tests for StyleDesigner
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { StyleDesigner, STYLE_FILE_FORMAT } from '../../../public/js/utils/style-designer.js';
+import { WarezGenerator } from '../../../public/js/generators/warez.js';
+import { DizGenerator } from '../../../public/js/generators/diz.js';
+
+describe('StyleDesigner', () => {
+  let designer;
+
+  beforeEach(() => {
+    localStorage.clear();
+    designer = new StyleDesigner(localStorage);
+    designer.create('House Style');
+  });
+
+  describe('editing', () => {
+    it('should accept single-cell characters and a decoration pattern', () => {
+      designer.set('topLeft', '╒');
+      designer.set('decoration', '·:·');
+
+      expect(designer.toStyle()).toMatchObject({ name: 'House Style', topLeft: '╒', decoration: '·:·' });
+      expect(designer.getPreview('HI').split('\n')[0]).toMatch(/^╒/);
+    });
+
+    it('should reject wide, empty and multi-character border parts', () => {
+      expect(() => designer.set('topLeft', 'Ｗ')).toThrow('one cell wide');
+      expect(() => designer.set('vertical', '🔥')).toThrow('one cell wide');
+      expect(() => designer.set('horizontal', '--')).toThrow('one cell wide');
+      expect(() => designer.set('separator', '')).toThrow('one cell wide');
+      expect(() => designer.set('decoration', '字')).toThrow('decoration');
+      expect(() => designer.set('shadow', '#')).toThrow('Unknown style field');
+      expect(designer.toStyle().topLeft).toBe('+');
+    });
+  });
+
+  describe('JSON', () => {
+    it('should round-trip a style through toJSON and fromJSON', () => {
+      designer.set('horizontal', '═');
+      const json = designer.toJSON();
+
+      const other = new StyleDesigner(null);
+      other.fromJSON(json);
+
+      expect(JSON.parse(json).format).toBe(STYLE_FILE_FORMAT);
+      expect(other.toStyle()).toEqual(designer.toStyle());
+    });
+
+    it('should reject files that are not styles', () => {
+      expect(() => designer.fromJSON('{')).toThrow('Invalid style file');
+      expect(() => designer.fromJSON('{"format":"font"}')).toThrow('unknown format');
+      expect(() => designer.fromJSON('{"topLeft":"+"}')).toThrow('Invalid style');
+    });
+  });
+
+  describe('persistence', () => {
+    it('should register saved styles and restore them into new generators', async () => {
+      const banner = new WarezGenerator();
+      const id = designer.save([banner]);
+
+      expect(id).toBe('house-style');
+      expect(await banner.generate('HI', { style: id })).toContain('HI');
+
+      const diz = new DizGenerator();
+      expect(new StyleDesigner(localStorage).restore([diz])).toEqual(['house-style']);
+      expect(diz.getAvailableStyles()).toContain('house-style');
+    });
+
+    it('should not replace built-in styles', () => {
+      designer.create('Classic');
+
+      expect(() => designer.save([new WarezGenerator()])).toThrow('built-in');
+      expect(designer.getSavedStyles()).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for TextEffects
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TextEffects } from '../../../public/js/utils/text-effects.js';
+import { TextGenerator } from '../../../public/js/generators/text.js';
+import { FigletGenerator } from '../../../public/js/generators/figlet.js';
+
+const SQUARE = ['███', '███', '███'];
+
+describe('TextEffects', () => {
+  describe('shadow', () => {
+    it('should cast a shadow down and to the right by default', () => {
+      expect(TextEffects.shadow(['██', '██'])).toEqual(['██ ', '██░', ' ░░']);
+    });
+
+    it('should use the direction, offset and character', () => {
+      expect(TextEffects.shadow(['█'], { direction: 'up-left', offset: 2, char: '.' })).toEqual(['.  ', '   ', '  █']);
+    });
+
+    it('should not cover ink', () => {
+      expect(TextEffects.shadow(['█ █'], { direction: 'right', offset: 2 })).toEqual(['█ █ ░']);
+    });
+  });
+
+  describe('extrude', () => {
+    it('should stack shaded layers with the nearest in front', () => {
+      expect(TextEffects.extrude(['█'], { depth: 3, direction: 'down' })).toEqual(['█', '▓', '▒', '░']);
+    });
+
+    it('should repeat the last shading character', () => {
+      expect(TextEffects.extrude(['█'], { depth: 3, direction: 'right', chars: '#:' })).toEqual(['█#::']);
+    });
+  });
+
+  describe('outline and hollow', () => {
+    it('should surround the ink with the outline character', () => {
+      expect(TextEffects.outline(['█'], { char: '+' })).toEqual(['+++', '+█+', '+++']);
+    });
+
+    it('should clear the interior of solid shapes', () => {
+      expect(TextEffects.hollow(SQUARE)).toEqual(['███', '█ █', '███']);
+      expect(TextEffects.hollow(['█ █'])).toEqual(['█ █']);
+    });
+  });
+
+  describe('fill', () => {
+    it('should replace ink with a repeating pattern', () => {
+      expect(TextEffects.fill(['███ █'], { pattern: 'ab' })).toEqual(['aba a']);
+    });
+
+    it('should fill only the interior when asked', () => {
+      expect(TextEffects.fill(SQUARE, { pattern: '▒', interior: true })).toEqual(['███', '█▒█', '███']);
+    });
+  });
+
+  describe('gradient', () => {
+    it('should shade from dense at the top to light at the bottom', () => {
+      expect(TextEffects.gradient(['█', '█', '█'], { ramp: 'simple' })).toEqual(['#', '=', '.']);
+    });
+
+    it('should shade horizontally and in reverse', () => {
+      expect(TextEffects.gradient(['█ █'], { ramp: '.:#', direction: 'horizontal', reverse: true })).toEqual(['. #']);
+    });
+
+    it('should use the first character of wide ramp entries', () => {
+      expect(TextEffects.gradient(['█', '█'], { ramp: 'minimal' })).toEqual(['█', '░']);
+    });
+  });
+
+  describe('apply and parse', () => {
+    it('should apply effects in order', () => {
+      const result = TextEffects.apply(SQUARE, ['hollow', { type: 'fill', pattern: '#' }]);
+      expect(result).toEqual(['###', '# #', '###']);
+    });
+
+    it('should parse effect lists with values', () => {
+      expect(TextEffects.parse('shadow=▒, hollow,extrude=3,gradient=simple')).toEqual([
+        { type: 'shadow', char: '▒' },
+        { type: 'hollow' },
+        { type: 'extrude', depth: 3 },
+        { type: 'gradient', ramp: 'simple' }
+      ]);
+    });
+
+    it('should reject unknown effects and invalid options', () => {
+      expect(() => TextEffects.apply(SQUARE, ['glow'])).toThrow('Unknown text effect: glow');
+      expect(() => TextEffects.parse('hollow=1')).toThrow('takes no value');
+      expect(() => TextEffects.shadow(SQUARE, { direction: 'north' })).toThrow('Unknown direction');
+      expect(() => TextEffects.extrude(SQUARE, { depth: 9 })).toThrow('between 1 and 8');
+      expect(() => TextEffects.outline(SQUARE, { char: '##' })).toThrow('single character');
+      expect(() => TextEffects.gradient(SQUARE, { ramp: '   ' })).toThrow('visible character');
+    });
+
+    it('should parse colon-separated effect values by their shape', () => {
+      expect(TextEffects.parse('shadow=down-left:2:▒,extrude=3:up,outline=:,fill=a:b')).toEqual([
+        { type: 'shadow', direction: 'down-left', offset: 2, char: '▒' },
+        { type: 'extrude', depth: 3, direction: 'up' },
+        { type: 'outline', char: ':' },
+        { type: 'fill', pattern: 'a:b' }
+      ]);
+    });
+
+    it('should check effect values while parsing', () => {
+      expect(() => TextEffects.parse('extrude=9')).toThrow('between 1 and 8');
+      expect(() => TextEffects.parse('extrude=two')).toThrow('Unknown extrude value: two');
+      expect(() => TextEffects.parse('shadow=1:2')).toThrow('takes one offset');
+      expect(() => TextEffects.parse('shadow=5')).toThrow('between 1 and 4');
+      expect(() => TextEffects.parse('shadow=ab')).toThrow('single character');
+      expect(() => TextEffects.parse('outline=')).toThrow('single character');
+      expect(() => TextEffects.parse('fill=')).toThrow('cannot be empty');
+      expect(() => TextEffects.parse('gradient=   ')).toThrow('visible character');
+    });
+  });
+
+  describe('generators', () => {
+    it('should apply effects to TextGenerator output before alignment', async () => {
+      const generator = new TextGenerator();
+      const plain = (await generator.generate('I', { font: 'small' })).split('\n');
+      const result = (await generator.generate('I', { font: 'small', effects: ['shadow'], width: 10, alignment: 'right' })).split('\n');
+
+      expect(result).toHaveLength(plain.length + 1);
+      expect(result.every(line => line.length === 10)).toBe(true);
+      expect(result.join('')).toContain('░');
+    });
+
+    it('should apply effects to FIGlet output', async () => {
+      const generator = new FigletGenerator();
+      const result = await generator.generate('I', { effects: [{ type: 'fill', pattern: '*' }] });
+
+      expect(result).toMatch(/\*/);
+      expect(result).not.toMatch(/[|_]/);
+    });
+  });
+});
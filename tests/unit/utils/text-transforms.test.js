@@ -0,0 +1,145 @@
+/**
+ * Unit tests for TextTransforms
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TextTransforms } from '../../../public/js/utils/text-transforms.js';
+import { TextGenerator } from '../../../public/js/generators/text.js';
+import { FigletGenerator } from '../../../public/js/generators/figlet.js';
+import { WarezGenerator } from '../../../public/js/generators/warez.js';
+import { ImageGenerator } from '../../../public/js/generators/image.js';
+
+const ARROW = '/\\_\n(▀ ';
+
+describe('TextTransforms', () => {
+  describe('mirror and flip', () => {
+    it('should mirror lines and swap mirrored characters', () => {
+      expect(TextTransforms.apply(ARROW, ['mirror'])).toBe('_/\\\n ▀)');
+    });
+
+    it('should flip lines and swap flipped characters', () => {
+      expect(TextTransforms.apply(ARROW, ['flip'])).toBe('(▄ \n\\/‾');
+    });
+
+    it('should pad ragged lines before moving them', () => {
+      expect(TextTransforms.apply('ab\nc', ['mirror'])).toBe('da\n c');
+    });
+
+    it('should mirror and flip braille dots', () => {
+      // Dots 1 and 2 (left column, top two rows)
+      expect(TextTransforms.apply('⠃', ['mirror'])).toBe('⠘');
+      expect(TextTransforms.apply('⠃', ['flip'])).toBe('⡄');
+    });
+  });
+
+  describe('rotate', () => {
+    it('should turn rows into columns clockwise', () => {
+      expect(TextTransforms.apply('ab\ncd', ['rotate-90'])).toBe('ca\ndb');
+      expect(TextTransforms.apply('ab\ncd', ['rotate-270'])).toBe('bd\nac');
+    });
+
+    it('should rotate characters with the art', () => {
+      expect(TextTransforms.apply('-▀┌', ['rotate-90'])).toBe('|\n▐\n┐');
+      expect(TextTransforms.apply('|', ['rotate-270'])).toBe('-');
+      expect(TextTransforms.apply('▀>', ['rotate-180'])).toBe('<▄');
+    });
+
+    it('should return to the start after four quarter turns', () => {
+      const art = '┌─▀/\n│ ▙^';
+      expect(TextTransforms.apply(art, Array(4).fill('rotate-90'))).toBe(art);
+      expect(TextTransforms.apply(art, ['rotate-90', 'rotate-270'])).toBe(art);
+    });
+  });
+
+  describe('frames', () => {
+    it('should move colors with the text and swap the size', () => {
+      const frame = {
+        text: 'ab\ncd\nef',
+        colors: [[1, 2], [3, 4], [5, 6]],
+        backgrounds: null,
+        width: 2,
+        height: 3
+      };
+
+      expect(TextTransforms.applyToFrame(frame, ['rotate-90'])).toEqual({
+        text: 'eca\nfdb',
+        colors: [[5, 3, 1], [6, 4, 2]],
+        backgrounds: null,
+        width: 3,
+        height: 2
+      });
+    });
+  });
+
+  describe('parse', () => {
+    it('should parse transform lists', () => {
+      expect(TextTransforms.parse('mirror, rotate-90')).toEqual(['mirror', 'rotate-90']);
+    });
+
+    it('should reject unknown transforms', () => {
+      expect(() => TextTransforms.parse('mirror,spin')).toThrow('Unknown transform: spin');
+      expect(() => TextTransforms.apply('a', ['rotate-45'])).toThrow('Unknown transform');
+    });
+  });
+
+  describe('vertical layout', () => {
+    it('should split text into letters with gaps for spaces', () => {
+      expect(TextTransforms.toVerticalLines(' A B ')).toEqual(['A', '', 'B']);
+    });
+
+    it('should center blocks on the widest', () => {
+      expect(TextTransforms.centerBlocks([['#'], ['###']], 1)).toEqual([' # ', '   ', '###']);
+    });
+  });
+
+  describe('generators', () => {
+    it('should stack TextGenerator letters and transform the output', async () => {
+      const generator = new TextGenerator();
+      const letter = await generator.generate('I', { font: 'small' });
+      const vertical = (await generator.generate('II', { font: 'small', vertical: true, spacing: 'narrow' })).split('\n');
+
+      expect(vertical).toEqual([...letter.split('\n'), ...letter.split('\n')]);
+      expect(await generator.generate('I', { font: 'small', transforms: ['flip', 'flip'] })).toBe(letter);
+    });
+
+    it('should stack FIGlet letters and transform the output', async () => {
+      const generator = new FigletGenerator();
+      const letter = await generator.generate('/', { font: 'standard' });
+      const mirrored = await generator.generate('/', { font: 'standard', transforms: ['mirror'] });
+
+      expect(mirrored).toBe(TextTransforms.apply(letter, ['mirror']));
+      expect(mirrored).toContain('\\');
+
+      const vertical = await generator.generate('AB', { vertical: true, verticalLayout: 'full' });
+      const height = generator.fonts.get('standard').height;
+      expect(vertical.split('\n')).toHaveLength(height * 2);
+    });
+
+    it('should put one banner line per letter', async () => {
+      const generator = new WarezGenerator();
+      const horizontal = (await generator.generate('ABC')).split('\n');
+      const vertical = (await generator.generate('ABC', { vertical: true })).split('\n');
+
+      expect(vertical).toHaveLength(horizontal.length + 2);
+      expect(vertical.filter(line => /[ABC]/.test(line.slice(2, -2)))).toHaveLength(3);
+    });
+
+    it('should rotate image frames', () => {
+      const generator = new ImageGenerator();
+      const imageData = {
+        width: 4,
+        height: 2,
+        data: new Uint8ClampedArray(Array.from({ length: 8 }, (_, i) => [i * 30, i * 30, i * 30, 255]).flat())
+      };
+      const options = { density: 'simple' };
+
+      const frame = generator.convert(imageData, options);
+      const rotated = generator.convert(imageData, { ...options, transforms: ['rotate-90'] });
+
+      expect(rotated.width).toBe(frame.height);
+      expect(rotated.height).toBe(frame.width);
+      expect(rotated.text).toBe(TextTransforms.apply(frame.text, ['rotate-90']));
+      expect(rotated.colors[0][0]).toEqual(frame.colors[frame.height - 1][0]);
+    });
+  });
+});